@@ -36,6 +36,12 @@ const controller = Router();
  *         country:
  *           type: string
  *           description: The country of the address.
+ *         latitude:
+ *           type: number
+ *           description: The latitude of the address, computed by geocoding when not provided.
+ *         longitude:
+ *           type: number
+ *           description: The longitude of the address, computed by geocoding when not provided.
  *       example:
  *         id: 1
  *         street: "123 Rue de la Peinture"
@@ -49,6 +55,7 @@ const controller = Router();
  * /addresses:
  *   post:
  *     summary: Créer une nouvelle adresse
+ *     description: Les coordonnées sont calculées par le fournisseur de géocodage (GEOCODER_PROVIDER) si elles ne sont pas fournies.
  *     tags: [Addresses]
  *     requestBody:
  *       required: true
@@ -166,6 +173,7 @@ controller.get("/", async (req, res, next) => {
  * /addresses/{id}:
  *   put:
  *     summary: Mettre à jour une adresse existante
+ *     description: Les coordonnées sont recalculées quand l'adresse change, sauf si elles sont fournies.
  *     tags: [Addresses]
  *     parameters:
  *       - in: path
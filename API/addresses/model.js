@@ -6,8 +6,11 @@ const createAddressSchema = Joi.object({
     city: Joi.string().required(),
     state: Joi.string().required(),
     postal_code: Joi.string().required(),
-    country: Joi.string().required()
-});
+    country: Joi.string().required(),
+    // Coordonnées saisies à la main ; sinon elles sont calculées par le géocodage
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional()
+}).and("latitude", "longitude");
 
 // Schéma de validation pour mettre à jour une adresse
 const updateAddressSchema = Joi.object({
@@ -15,8 +18,10 @@ const updateAddressSchema = Joi.object({
     city: Joi.string().optional(),
     state: Joi.string().optional(),
     postal_code: Joi.string().optional(),
-    country: Joi.string().optional()
-}).min(1);
+    country: Joi.string().optional(),
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional()
+}).min(1).and("latitude", "longitude");
 
 module.exports = {
     createAddressSchema,
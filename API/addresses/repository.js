@@ -5,8 +5,8 @@ async function createOne(address) {
     const connection = await getConnection();
     try {
         const [result] = await connection.execute(
-            'INSERT INTO Address (Street, City, State, Postal_Code, Country) VALUES (?, ?, ?, ?, ?)',
-            [address.street, address.city, address.state, address.postal_code, address.country]
+            'INSERT INTO Address (Street, City, State, Postal_Code, Country, Latitude, Longitude) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [address.street, address.city, address.state, address.postal_code, address.country, address.latitude ?? null, address.longitude ?? null]
         );
         return { Address_ID: result.insertId, ...address };
     } finally {
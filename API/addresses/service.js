@@ -1,6 +1,9 @@
 const { createAddressSchema, updateAddressSchema } = require('./model');
 const Repository = require('./repository');
 const { InvalidArgumentError, NotFoundError } = require('../common/service_errors');
+const geocoding = require('../common/geocoding');
+
+const LOCATION_FIELDS = ['street', 'city', 'postal_code', 'country'];
 
 // Fonction de création d'une nouvelle adresse
 async function createOne(address) {
@@ -8,6 +11,9 @@ async function createOne(address) {
     if (error) {
         throw new InvalidArgumentError(error.details[0].message);
     }
+    if (value.latitude === undefined) {
+        Object.assign(value, await geocoding.geocode(value));
+    }
     return await Repository.createOne(value);
 }
 
@@ -31,6 +37,20 @@ async function updateOne(id, address) {
     if (error) {
         throw new InvalidArgumentError(error.details[0].message);
     }
+    // L'adresse a changé : on recalcule ses coordonnées à partir de l'adresse complète
+    if (value.latitude === undefined && LOCATION_FIELDS.some(field => field in value)) {
+        const current = await Repository.getOne(id);
+        if (!current) {
+            throw new NotFoundError("Adresse non trouvée pour la mise à jour.");
+        }
+        Object.assign(value, await geocoding.geocode({
+            street: current.Street,
+            city: current.City,
+            postal_code: current.Postal_Code,
+            country: current.Country,
+            ...value
+        }));
+    }
     const updated = await Repository.updateOne(id, value);
     if (!updated) {
         throw new NotFoundError("Adresse non trouvée pour la mise à jour.");
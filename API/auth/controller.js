@@ -1,5 +1,7 @@
 const { Router } = require("express");
 const authService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
 
 const controller = Router();
 
@@ -55,6 +57,22 @@ const controller = Router();
  *         password: secret
  *         firstname: John
  *         name: Doe
+ *     RefreshToken:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: The refresh token received at login or at the last refresh.
+ *     Session:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *           description: The new refresh token; the previous one can no longer be used.
  */
 
 /**
@@ -71,25 +89,32 @@ const controller = Router();
  *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. The access token is short-lived and must be renewed with the refresh token.
  *         headers:
  *           Authorization:
- *             description: Bearer token
+ *             description: Bearer access token
  *             schema:
  *               type: string
  *               example: Bearer <token>
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  */
 controller.post("/login", (req, res, next) => {
     authService
         .login(req.body)
-        .then((token) => {
-            res.set('Authorization', `Bearer ${token}`);
+        .then(({accessToken, refreshToken}) => {
+            res.set('Authorization', `Bearer ${accessToken}`);
             res.status(200).send({
-                message: 'Login successful'
+                message: 'Login successful',
+                refreshToken
             });
         })
         .catch((err) => {
@@ -111,7 +136,7 @@ controller.post("/login", (req, res, next) => {
  *             $ref: '#/components/schemas/Register'
  *     responses:
  *       200:
- *         description: User registered successfully
+ *         description: User registered successfully. A verification link is sent to the email address.
  *         content:
  *           application/json:
  *             schema:
@@ -132,4 +157,264 @@ controller.post("/register", (req, res, next) => {
         });
 });
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and a new refresh token
+ *     description: The refresh token is single use. Presenting an already used token closes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       200:
+ *         description: Tokens renewed
+ *         headers:
+ *           Authorization:
+ *             description: Bearer access token
+ *             schema:
+ *               type: string
+ *               example: Bearer <token>
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ */
+controller.post("/refresh", (req, res, next) => {
+    authService
+        .refresh(req.body)
+        .then(({accessToken, refreshToken}) => {
+            res.set('Authorization', `Bearer ${accessToken}`);
+            res.status(200).send({
+                message: 'Token refreshed',
+                refreshToken
+            });
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Close the session of a refresh token
+ *     description: Revokes every refresh token of the session. The current access token stays valid until it expires.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       204:
+ *         description: Session closed
+ *       400:
+ *         description: Invalid input
+ */
+controller.post("/logout", (req, res, next) => {
+    authService
+        .logout(req.body)
+        .then(() => {
+            res.status(204).send();
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm the email address of a new account with the token sent by email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid, expired or already used token
+ */
+controller.post("/verify-email", (req, res, next) => {
+    authService
+        .verifyEmail(req.body)
+        .then(() => {
+            res.status(204).send();
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send the email verification link again
+ *     description: The response is the same whether or not the email belongs to an unverified account.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Verification link sent if the account needs it
+ *       400:
+ *         description: Invalid input
+ */
+controller.post("/resend-verification", (req, res, next) => {
+    authService
+        .resendVerification(req.body)
+        .then(() => {
+            res.status(202).send();
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset link by email
+ *     description: The link is single use and expires (PASSWORD_RESET_LIFETIME_MINUTES). The response is the same whether or not the email exists.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid input
+ */
+controller.post("/forgot-password", (req, res, next) => {
+    authService
+        .forgotPassword(req.body)
+        .then(() => {
+            res.status(202).send();
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with the token sent by email
+ *     description: All the sessions of the user are closed.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid, expired or already used token
+ */
+controller.post("/reset-password", (req, res, next) => {
+    authService
+        .resetPassword(req.body)
+        .then(() => {
+            res.status(204).send();
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{userId}:
+ *   delete:
+ *     summary: Close all the sessions of a user
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: Sessions closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revokedSessions:
+ *                   type: integer
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+controller.delete("/sessions/:userId", authorize(["users.manage"]), (req, res, next) => {
+    authService
+        .revokeAllSessions(Number(req.params.userId))
+        .then((data) => {
+            if (data === null) {
+                throw new NotFoundError(`User with ID ${req.params.userId} not found`);
+            }
+            res.status(200).json(data);
+        })
+        .catch((err) => {
+            next(err);
+        });
+});
+
 module.exports = controller;
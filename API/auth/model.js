@@ -22,9 +22,34 @@ const registerSchema = Joi.object({
     }).required()                                  // L'adresse entière est requise
 });
 
+// Définition du schéma de validation pour le rafraîchissement et la déconnexion
+const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().required(),         // Le jeton de rafraîchissement reçu à la connexion
+});
+
+// Définition du schéma de validation pour les demandes par email (mot de passe oublié, renvoi de la vérification)
+const emailSchema = Joi.object({
+    email: Joi.string().email().required(),        // L'email du compte
+});
+
+// Définition du schéma de validation pour la réinitialisation du mot de passe
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().required(),                // Le jeton reçu par mail
+    password: Joi.string().required(),             // Le nouveau mot de passe
+});
+
+// Définition du schéma de validation pour la vérification de l'email
+const verifyEmailSchema = Joi.object({
+    token: Joi.string().required(),                // Le jeton reçu par mail
+});
+
 
 // Exportation des schémas pour utilisation dans d'autres parties de l'application
 module.exports = {
     loginSchema,
     registerSchema,
+    refreshTokenSchema,
+    emailSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
 };
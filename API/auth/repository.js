@@ -0,0 +1,140 @@
+const getConnection = require("../common/db_handler");
+
+// Enregistre un jeton de rafraîchissement (son empreinte) dans une famille de session
+async function createRefreshToken(userId, familyId, tokenHash, lifetimeDays) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'INSERT INTO Refresh_Tokens (User_ID, Family_ID, Token_Hash, Expires_At) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+            [userId, familyId, tokenHash, lifetimeDays]
+        );
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère un jeton de rafraîchissement par son empreinte
+async function getRefreshToken(tokenHash) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT rt.*, rt.Expires_At <= NOW() AS Expired
+            FROM Refresh_Tokens rt
+            WHERE rt.Token_Hash = ?
+        `, [tokenHash]);
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Consomme un jeton lors de sa rotation. Renvoie false s'il avait déjà été consommé entre-temps.
+async function markRefreshTokenUsed(id) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'UPDATE Refresh_Tokens SET Used_At = NOW() WHERE Refresh_Token_ID = ? AND Used_At IS NULL',
+            [id]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Révoque tous les jetons d'une famille (déconnexion ou réutilisation suspecte d'un jeton)
+async function revokeFamily(familyId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE Family_ID = ? AND Revoked_At IS NULL',
+            [familyId]
+        );
+        return result.affectedRows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Révoque toutes les sessions d'un utilisateur ; renvoie le nombre de sessions fermées
+async function revokeAllForUser(userId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT COUNT(DISTINCT Family_ID) AS Sessions
+            FROM Refresh_Tokens
+            WHERE User_ID = ? AND Revoked_At IS NULL AND Used_At IS NULL AND Expires_At > NOW()
+        `, [userId]);
+        await connection.execute(
+            'UPDATE Refresh_Tokens SET Revoked_At = NOW() WHERE User_ID = ? AND Revoked_At IS NULL',
+            [userId]
+        );
+        return rows[0].Sessions;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Crée un jeton à usage unique envoyé par mail ; les jetons précédents du même type sont annulés
+async function createUserToken(userId, type, tokenHash, lifetimeMinutes) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute(
+            'UPDATE User_Tokens SET Used_At = NOW() WHERE User_ID = ? AND Type = ? AND Used_At IS NULL',
+            [userId, type]
+        );
+        const [result] = await connection.execute(
+            'INSERT INTO User_Tokens (User_ID, Type, Token_Hash, Expires_At) VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+            [userId, type, tokenHash, lifetimeMinutes]
+        );
+        await connection.commit();
+        return result.insertId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère un jeton envoyé par mail par son empreinte et son type
+async function getUserToken(tokenHash, type) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT *
+            FROM User_Tokens
+            WHERE Token_Hash = ? AND Type = ?
+        `, [tokenHash, type]);
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Consomme un jeton envoyé par mail. Renvoie false s'il était déjà utilisé ou expiré.
+async function consumeUserToken(id) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'UPDATE User_Tokens SET Used_At = NOW() WHERE User_Token_ID = ? AND Used_At IS NULL AND Expires_At > NOW()',
+            [id]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+module.exports = {
+    createRefreshToken,
+    getRefreshToken,
+    markRefreshTokenUsed,
+    revokeFamily,
+    revokeAllForUser,
+    createUserToken,
+    getUserToken,
+    consumeUserToken
+};
@@ -1,10 +1,25 @@
 // Importation des schémas de validation et du répertoire utilisateur pour accéder à la base de données
-const {loginSchema, registerSchema} = require("./model");
+const {
+    loginSchema,
+    registerSchema,
+    refreshTokenSchema,
+    emailSchema,
+    resetPasswordSchema,
+    verifyEmailSchema
+} = require("./model");
 const userRepository = require("../users/repository");
+const authRepository = require("./repository");
+const rolesRepository = require("../roles/repository");
+const crypto = require("crypto");
+const config = require("../common/config");
 // Importation des erreurs personnalisées pour gérer des situations spécifiques
-const {AuthError, InvalidArgumentError} = require("../common/service_errors");
+const {AuthError, InvalidArgumentError, UnauthorizedError} = require("../common/service_errors");
 // Importation de la fonction pour générer des jetons JWT
 const generateJWT = require("../common/jwt_handler");
+// Importation des fonctions de hachage des mots de passe
+const {hashPassword, verifyPassword} = require("../common/password_handler");
+// Importation de l'envoi de mails
+const {sendMail} = require("../common/mailer");
 
 // Fonction asynchrone pour la connexion des utilisateurs
 async function login(loginForm) {
@@ -22,13 +37,82 @@ async function login(loginForm) {
     if (!user) {
         throw new AuthError("Could not login: unknown email provided");
     }
-    const password = await userRepository.checkPassword(user.User_ID, value.password);
     // Vérification du mot de passe de l'utilisateur
-    if (!password) {
+    const {valid, needsRehash} = await verifyPassword(value.password, user.Password);
+    if (!valid) {
         throw new AuthError("Could not login: password or email is incorrect");
     }
-    // Génération du jeton JWT pour l'utilisateur et retour du jeton
-    return generateJWT(user.User_ID, user.Role);
+    // Un mot de passe encore en clair (ou haché avec d'anciens paramètres) est haché à nouveau
+    if (needsRehash) {
+        await userRepository.updatePassword(user.User_ID, await hashPassword(value.password));
+    }
+    // Un compte créé en ligne doit d'abord confirmer son adresse email
+    if (!user.Email_Verified) {
+        throw new UnauthorizedError("Email address not verified");
+    }
+    // Ouverture d'une nouvelle session : jeton d'accès et premier jeton de rafraîchissement de la famille
+    return await createSession(user.User_ID, crypto.randomUUID());
+}
+
+// Empreinte stockée en base : un vol de la table ne donne pas de jetons utilisables
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Génère un jeton d'accès et un nouveau jeton de rafraîchissement dans la famille donnée.
+// Les rôles et permissions sont relus à chaque fois : un changement de rôle s'applique au prochain rafraîchissement.
+async function createSession(userId, familyId) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    await authRepository.createRefreshToken(userId, familyId, hashToken(refreshToken), config.jwt.refreshTokenLifetimeDays);
+    const {roles, permissions} = await rolesRepository.getUserAccess(userId);
+    return {
+        accessToken: generateJWT(userId, roles, permissions),
+        refreshToken
+    };
+}
+
+// Échange un jeton de rafraîchissement contre une nouvelle paire de jetons (rotation)
+async function refresh(data) {
+    const {value, error} = refreshTokenSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const token = await authRepository.getRefreshToken(hashToken(value.refreshToken));
+    if (!token || token.Revoked_At) {
+        throw new AuthError("Invalid refresh token");
+    }
+    // Un jeton déjà consommé qui revient a probablement été volé : toute la session est fermée
+    if (token.Used_At || !(await authRepository.markRefreshTokenUsed(token.Refresh_Token_ID))) {
+        await authRepository.revokeFamily(token.Family_ID);
+        throw new AuthError("Refresh token reuse detected, the session has been closed");
+    }
+    if (token.Expired) {
+        throw new AuthError("Refresh token expired");
+    }
+
+    return await createSession(token.User_ID, token.Family_ID);
+}
+
+// Déconnexion : révoque la famille du jeton, c'est-à-dire la session entière
+async function logout(data) {
+    const {value, error} = refreshTokenSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const token = await authRepository.getRefreshToken(hashToken(value.refreshToken));
+    if (token) {
+        await authRepository.revokeFamily(token.Family_ID);
+    }
+}
+
+// Ferme toutes les sessions d'un utilisateur (action d'administration)
+async function revokeAllSessions(userId) {
+    if (!await userRepository.getOneBy("User_ID", userId)) {
+        return null;
+    }
+    return {revokedSessions: await authRepository.revokeAllForUser(userId)};
 }
 
 // Fonction asynchrone pour l'enregistrement des utilisateurs
@@ -46,9 +130,118 @@ async function register(user) {
         throw new InvalidArgumentError("This email is already taken.");
     }
 
-    // Création de l'utilisateur avec le rôle "customer" et retour de l'utilisateur créé
-    return await userRepository.createOne({...value});
+    // Création de l'utilisateur, dont l'email reste à vérifier, et envoi du lien de vérification
+    const userId = await userRepository.createOne({
+        ...value,
+        password: await hashPassword(value.password),
+        emailVerified: false
+    });
+    // Le compte existe même si l'envoi échoue : le lien peut être renvoyé depuis la page de connexion
+    try {
+        await sendVerificationEmail(userId, value.email);
+    } catch (mailError) {
+        console.error("Could not send the verification email:", mailError);
+    }
+    return userId;
+}
+
+// Crée un jeton à usage unique et renvoie sa valeur, dont seule l'empreinte est conservée
+async function createUserToken(userId, type, lifetimeMinutes) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await authRepository.createUserToken(userId, type, hashToken(token), lifetimeMinutes);
+    return token;
+}
+
+// Consomme un jeton reçu par mail et renvoie l'ID de son utilisateur
+async function consumeUserToken(token, type) {
+    const userToken = await authRepository.getUserToken(hashToken(token), type);
+    if (!userToken || !(await authRepository.consumeUserToken(userToken.User_Token_ID))) {
+        throw new InvalidArgumentError("This link is invalid or has expired.");
+    }
+    return userToken.User_ID;
+}
+
+async function sendVerificationEmail(userId, email) {
+    const token = await createUserToken(userId, "email_verification", config.emailVerificationLifetimeMinutes);
+    await sendMail({
+        to: email,
+        subject: "Confirmez votre adresse email",
+        text: `Bonjour,\n\nPour activer votre compte, confirmez votre adresse email en ouvrant ce lien :\n`
+            + `${config.frontUrl}/login?verify=${token}\n\n`
+            + `Ce lien est valable ${Math.round(config.emailVerificationLifetimeMinutes / 60)} heures.`
+    });
+}
+
+// Fonction asynchrone pour la vérification de l'email à partir du lien reçu
+async function verifyEmail(data) {
+    const {value, error} = verifyEmailSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const userId = await consumeUserToken(value.token, "email_verification");
+    await userRepository.setEmailVerified(userId);
+}
+
+// Renvoie le lien de vérification. La réponse ne dit pas si l'email existe.
+async function resendVerification(data) {
+    const {value, error} = emailSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const user = await userRepository.getOneBy("email", value.email);
+    if (user && !user.Email_Verified) {
+        await sendVerificationEmail(user.User_ID, user.Email);
+    }
+}
+
+// Envoie un lien de réinitialisation du mot de passe. La réponse ne dit pas si l'email existe.
+async function forgotPassword(data) {
+    const {value, error} = emailSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const user = await userRepository.getOneBy("email", value.email);
+    if (!user) {
+        return;
+    }
+    const token = await createUserToken(user.User_ID, "password_reset", config.passwordResetLifetimeMinutes);
+    await sendMail({
+        to: user.Email,
+        subject: "Réinitialisation de votre mot de passe",
+        text: `Bonjour,\n\nPour choisir un nouveau mot de passe, ouvrez ce lien :\n`
+            + `${config.frontUrl}/login?reset=${token}\n\n`
+            + `Ce lien est valable ${config.passwordResetLifetimeMinutes} minutes et ne peut servir qu'une fois. `
+            + `Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.`
+    });
+}
+
+// Fonction asynchrone pour la réinitialisation du mot de passe à partir du lien reçu
+async function resetPassword(data) {
+    const {value, error} = resetPasswordSchema.validate(data);
+    if (error) {
+        throw error;
+    }
+
+    const userId = await consumeUserToken(value.token, "password_reset");
+    await userRepository.updatePassword(userId, await hashPassword(value.password));
+    // Le lien reçu par mail prouve aussi la possession de l'adresse
+    await userRepository.setEmailVerified(userId);
+    // Les sessions ouvertes avec l'ancien mot de passe sont fermées
+    await authRepository.revokeAllForUser(userId);
 }
 
 // Exportation des fonctions pour utilisation dans d'autres parties de l'application
-module.exports = {login, register};
+module.exports = {
+    login,
+    register,
+    refresh,
+    logout,
+    revokeAllSessions,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
+};
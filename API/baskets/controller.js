@@ -0,0 +1,190 @@
+const {Router} = require("express");
+const basketsService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+const {selfOrAdmin} = require("../common/middlewares/policy_middleware");
+
+const controller = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Baskets
+ *   description: Products a beneficiary is picking from the catalogue, reserved for a limited time
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Basket:
+ *       type: object
+ *       properties:
+ *         User_ID:
+ *           type: integer
+ *         Reserved_Until:
+ *           type: string
+ *           format: date-time
+ *           description: When the reservation of the whole basket expires (null if empty)
+ *         Items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Product_ID:
+ *                 type: integer
+ *               Name:
+ *                 type: string
+ *               Barcode:
+ *                 type: string
+ *               Category_Name:
+ *                 type: string
+ *               Quantity:
+ *                 type: integer
+ *               Reserved_Until:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /baskets/{userId}:
+ *   get:
+ *     summary: Get the basket of a user
+ *     description: Expired reservations are left out.
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The basket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Basket'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/:userId", authorize(["requests.create"]), selfOrAdmin("userId"), (req, res, next) => {
+    basketsService.getBasket(Number(req.params.userId))
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /baskets/{userId}/items/{productId}:
+ *   put:
+ *     summary: Reserve a quantity of a product in the basket
+ *     description: >
+ *       Fails if the stock left once the other baskets are served is not enough,
+ *       or if the basket would exceed the household quotas. Every change extends the reservation of the whole basket.
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Quantity
+ *             properties:
+ *               Quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The updated basket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Basket'
+ *       400:
+ *         description: Not enough stock, or quota exceeded
+ *       403:
+ *         description: The household is not eligible
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put("/:userId/items/:productId", authorize(["requests.create"]), selfOrAdmin("userId"), (req, res, next) => {
+    basketsService.reserveItem(Number(req.params.userId), Number(req.params.productId), req.body)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /baskets/{userId}/items/{productId}:
+ *   delete:
+ *     summary: Remove a product from the basket and release its reservation
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Product removed
+ *       404:
+ *         description: The product is not in the basket
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:userId/items/:productId", authorize(["requests.create"]), selfOrAdmin("userId"), (req, res, next) => {
+    basketsService.removeItem(Number(req.params.userId), Number(req.params.productId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Product ${req.params.productId} is not in the basket`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /baskets/{userId}:
+ *   delete:
+ *     summary: Empty the basket and release all its reservations
+ *     tags: [Baskets]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Basket emptied
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:userId", authorize(["requests.create"]), selfOrAdmin("userId"), (req, res, next) => {
+    basketsService.clear(Number(req.params.userId))
+        .then(() => res.status(204).json())
+        .catch((err) => next(err));
+});
+
+module.exports = controller;
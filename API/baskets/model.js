@@ -0,0 +1,14 @@
+const Joi = require("joi");
+
+// Durée pendant laquelle les produits d'un panier restent réservés sans activité du bénéficiaire
+const RESERVATION_MINUTES = 30;
+
+// Schéma de validation pour réserver un produit dans le panier
+const basketItemSchema = Joi.object({
+    Quantity: Joi.number().integer().min(1).required(),
+});
+
+module.exports = {
+    RESERVATION_MINUTES,
+    basketItemSchema,
+};
@@ -0,0 +1,105 @@
+const getConnection = require("../common/db_handler");
+const stockRepository = require("../stocks/repository");
+const { InvalidArgumentError } = require("../common/service_errors");
+
+// Récupère les produits encore réservés dans le panier d'un utilisateur
+async function getItems(userId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT b.Product_ID,
+                   b.Quantity,
+                   b.Reserved_Until,
+                   p.Name,
+                   p.Barcode,
+                   c.Name AS Category_Name
+            FROM Basket_Items b
+                     JOIN Products p ON p.Product_ID = b.Product_ID
+                     LEFT JOIN ProductsCategories c ON c.Category_ID = p.Category_ID
+            WHERE b.User_ID = ?
+              AND b.Reserved_Until > NOW()
+            ORDER BY p.Name
+        `, [userId]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Réserve la quantité voulue d'un produit dans le panier, si le stock le permet,
+// et prolonge la réservation de tout le panier
+async function reserveItem(userId, productId, quantity, minutes) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Une réservation expirée a pu être prise par un autre foyer : elle n'est pas prolongée
+        await connection.execute(
+            'DELETE FROM Basket_Items WHERE User_ID = ? AND Reserved_Until <= NOW()',
+            [userId]
+        );
+
+        const available = await stockRepository.getAvailableQuantity(connection, productId, { basketUserId: userId });
+        if (quantity > available) {
+            throw new InvalidArgumentError(`Only ${available} left for product ${productId}.`);
+        }
+
+        await connection.execute(`
+            INSERT INTO Basket_Items (User_ID, Product_ID, Quantity, Reserved_Until)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+            ON DUPLICATE KEY UPDATE Quantity = VALUES(Quantity)
+        `, [userId, productId, quantity, minutes]);
+        await connection.execute(`
+            UPDATE Basket_Items
+            SET Reserved_Until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+            WHERE User_ID = ?
+        `, [minutes, userId]);
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function removeItem(userId, productId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'DELETE FROM Basket_Items WHERE User_ID = ? AND Product_ID = ?',
+            [userId, productId]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function clear(userId) {
+    const connection = await getConnection();
+    try {
+        await releaseBasket(connection, userId);
+    } finally {
+        await connection.end();
+    }
+}
+
+/*
+ * Les fonctions suivantes reçoivent la connexion de l'appelant afin de s'exécuter
+ * dans sa transaction (dépôt d'une commande par exemple).
+ */
+
+// Vide le panier, ses produits ne sont plus réservés
+async function releaseBasket(connection, userId) {
+    await connection.execute('DELETE FROM Basket_Items WHERE User_ID = ?', [userId]);
+}
+
+module.exports = {
+    getItems,
+    reserveItem,
+    removeItem,
+    clear,
+    releaseBasket
+};
@@ -0,0 +1,46 @@
+const Repository = require("./repository");
+const beneficiariesService = require("../beneficiaries/service");
+const { RESERVATION_MINUTES, basketItemSchema } = require("./model");
+const { InvalidArgumentError } = require("../common/service_errors");
+
+// Panier d'un utilisateur : ses produits réservés et l'heure à laquelle la réservation expire
+async function getBasket(userId) {
+    const items = await Repository.getItems(userId);
+    return {
+        User_ID: userId,
+        Reserved_Until: items.length > 0 ? items[0].Reserved_Until : null,
+        Items: items,
+    };
+}
+
+// Réserve un produit dans le panier. Le panier complet doit rester dans les quotas du foyer.
+async function reserveItem(userId, productId, data) {
+    const { error } = basketItemSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const items = (await Repository.getItems(userId))
+        .filter(item => item.Product_ID !== productId)
+        .map(item => ({ Product_ID: item.Product_ID, Quantity: item.Quantity }));
+    items.push({ Product_ID: productId, Quantity: data.Quantity });
+    await beneficiariesService.checkRequest(userId, items, new Date().toISOString().slice(0, 10));
+
+    await Repository.reserveItem(userId, productId, data.Quantity, RESERVATION_MINUTES);
+    return await getBasket(userId);
+}
+
+async function removeItem(userId, productId) {
+    return await Repository.removeItem(userId, productId);
+}
+
+async function clear(userId) {
+    await Repository.clear(userId);
+}
+
+module.exports = {
+    getBasket,
+    reserveItem,
+    removeItem,
+    clear
+};
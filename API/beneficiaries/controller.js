@@ -0,0 +1,493 @@
+const {Router} = require("express");
+const beneficiariesService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+const {ownerOr} = require("../common/middlewares/policy_middleware");
+const {upload, checkFileProvided} = require("../common/middlewares/uploads_middleware");
+
+const controller = Router();
+
+// Le bénéficiaire accède à son propre foyer, les gestionnaires à tous
+const selfOrManager = ownerOr(req => req.params.userId, ["beneficiaries.manage"]);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Beneficiaries
+ *   description: Beneficiary households, their eligibility and distribution quotas
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Beneficiary:
+ *       type: object
+ *       properties:
+ *         User_ID:
+ *           type: integer
+ *         Adults:
+ *           type: integer
+ *         Children:
+ *           type: integer
+ *         Household_Size:
+ *           type: integer
+ *           readOnly: true
+ *         Notes:
+ *           type: string
+ *         Eligibility_Status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           readOnly: true
+ *         Eligible_From:
+ *           type: string
+ *           format: date
+ *           readOnly: true
+ *         Eligible_Until:
+ *           type: string
+ *           format: date
+ *           readOnly: true
+ *         Reviewed_By:
+ *           type: integer
+ *           readOnly: true
+ *         Reviewed_At:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         Rejection_Reason:
+ *           type: string
+ *           readOnly: true
+ *         Documents:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               Document_ID:
+ *                 type: integer
+ *               Type:
+ *                 type: string
+ *               File_Name:
+ *                 type: string
+ *               Uploaded_At:
+ *                 type: string
+ *                 format: date-time
+ *         Quotas:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/QuotaUsage'
+ *       example:
+ *         Adults: 2
+ *         Children: 3
+ *         Notes: Un enfant de moins de 2 ans
+ *     CategoryQuota:
+ *       type: object
+ *       required:
+ *         - Period_Days
+ *         - Base_Quantity
+ *         - Per_Member_Quantity
+ *       properties:
+ *         Category_ID:
+ *           type: integer
+ *           readOnly: true
+ *         Category_Name:
+ *           type: string
+ *           readOnly: true
+ *         Period_Days:
+ *           type: integer
+ *           description: Length of the rolling period, in days
+ *         Base_Quantity:
+ *           type: integer
+ *           description: Quantity allowed per household over the period
+ *         Per_Member_Quantity:
+ *           type: integer
+ *           description: Quantity added per household member over the period
+ *       example:
+ *         Period_Days: 7
+ *         Base_Quantity: 5
+ *         Per_Member_Quantity: 5
+ *     QuotaUsage:
+ *       type: object
+ *       properties:
+ *         Category_ID:
+ *           type: integer
+ *         Category_Name:
+ *           type: string
+ *         Period_Days:
+ *           type: integer
+ *         Allowed_Quantity:
+ *           type: integer
+ *         Used_Quantity:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /beneficiaries:
+ *   get:
+ *     summary: Get all beneficiary households
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Only the households with this eligibility status
+ *     responses:
+ *       200:
+ *         description: The list of households, pending ones first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Beneficiary'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/", authorize(["beneficiaries.manage"]), (req, res, next) => {
+    beneficiariesService.getAll(req.query.status)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/quotas:
+ *   get:
+ *     summary: Get the quotas per product category
+ *     tags: [Beneficiaries]
+ *     responses:
+ *       200:
+ *         description: The quotas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryQuota'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/quotas", authorize(["requests.create", "beneficiaries.manage"]), (_req, res, next) => {
+    beneficiariesService.getQuotas()
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/quotas/{categoryId}:
+ *   put:
+ *     summary: Set the quota of a product category
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The product category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryQuota'
+ *     responses:
+ *       200:
+ *         description: All the quotas.
+ *       400:
+ *         description: Invalid data
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put("/quotas/:categoryId", authorize(["beneficiaries.manage"]), (req, res, next) => {
+    beneficiariesService.saveQuota(Number(req.params.categoryId), req.body)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/quotas/{categoryId}:
+ *   delete:
+ *     summary: Remove the quota of a product category
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The product category ID
+ *     responses:
+ *       204:
+ *         description: Quota removed
+ *       404:
+ *         description: No quota for this category
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/quotas/:categoryId", authorize(["beneficiaries.manage"]), (req, res, next) => {
+    beneficiariesService.deleteQuota(Number(req.params.categoryId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`No quota for category ${req.params.categoryId}`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}:
+ *   get:
+ *     summary: Get a household with its documents and current quota usage
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *     responses:
+ *       200:
+ *         description: The household.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Beneficiary'
+ *       404:
+ *         description: No household declared for this user
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/:userId", selfOrManager, (req, res, next) => {
+    beneficiariesService.getOne(Number(req.params.userId))
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`No household declared for user ${req.params.userId}`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}:
+ *   put:
+ *     summary: Declare or update the household composition
+ *     description: When the beneficiary changes it, the household goes back to pending until an admin approves it again.
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Beneficiary'
+ *     responses:
+ *       200:
+ *         description: The household.
+ *       400:
+ *         description: Invalid data
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put("/:userId", selfOrManager, (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    beneficiariesService.saveHousehold(Number(req.params.userId), req.body, issuer)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}/eligibility:
+ *   put:
+ *     summary: Approve or reject the eligibility of a household
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Status
+ *             properties:
+ *               Status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               Eligible_From:
+ *                 type: string
+ *                 format: date
+ *                 description: Required when approved
+ *               Eligible_Until:
+ *                 type: string
+ *                 format: date
+ *                 description: Required when approved
+ *               Reason:
+ *                 type: string
+ *                 description: Required when rejected
+ *     responses:
+ *       200:
+ *         description: The household.
+ *       400:
+ *         description: Invalid data
+ *       404:
+ *         description: No household declared for this user
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put("/:userId/eligibility", authorize(["beneficiaries.manage"]), (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    beneficiariesService.setEligibility(Number(req.params.userId), req.body, issuer)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`No household declared for user ${req.params.userId}`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}/documents:
+ *   post:
+ *     summary: Add a supporting document to a household
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Type:
+ *                 type: string
+ *                 description: What the document proves (income, household composition...)
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *                 description: The document (pdf, jpg or png, 5 MB max)
+ *     responses:
+ *       201:
+ *         description: The household with its documents.
+ *       400:
+ *         description: Missing file or type
+ *       404:
+ *         description: No household declared for this user
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/:userId/documents", selfOrManager, upload.single('document'), checkFileProvided, (req, res, next) => {
+    beneficiariesService.addDocument(Number(req.params.userId), req.body.Type, req.file.filename)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}/documents/{documentId}:
+ *   get:
+ *     summary: Download a supporting document
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *       - in: path
+ *         name: documentId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document ID
+ *     responses:
+ *       200:
+ *         description: The document file.
+ *       404:
+ *         description: Document not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/:userId/documents/:documentId", selfOrManager, (req, res, next) => {
+    beneficiariesService.getDocumentPath(Number(req.params.userId), Number(req.params.documentId))
+        .then((filePath) => {
+            if (!filePath) {
+                throw new NotFoundError(`Document with ID ${req.params.documentId} not found`);
+            }
+            res.sendFile(filePath, (err) => err && next(err));
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /beneficiaries/{userId}/documents/{documentId}:
+ *   delete:
+ *     summary: Remove a supporting document
+ *     tags: [Beneficiaries]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The beneficiary user ID
+ *       - in: path
+ *         name: documentId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document ID
+ *     responses:
+ *       204:
+ *         description: Document removed
+ *       404:
+ *         description: Document not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:userId/documents/:documentId", selfOrManager, (req, res, next) => {
+    beneficiariesService.deleteDocument(Number(req.params.userId), Number(req.params.documentId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Document with ID ${req.params.documentId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+module.exports = controller;
@@ -0,0 +1,49 @@
+const Joi = require("joi");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Schéma de validation pour déclarer ou mettre à jour la composition du foyer
+const householdSchema = Joi.object({
+    Adults: Joi.number().integer().min(1).max(20).required(),
+    Children: Joi.number().integer().min(0).max(20).required(),
+    Notes: Joi.string().max(2000).optional().allow(null, ""),
+});
+
+// Schéma de validation pour ajouter un justificatif (le fichier est envoyé à part, champ "document")
+const documentSchema = Joi.object({
+    Type: Joi.string().max(100).required(),
+});
+
+// Schéma de validation pour la décision d'un administrateur sur l'éligibilité du foyer
+const eligibilitySchema = Joi.object({
+    Status: Joi.string().valid("approved", "rejected").required(),
+    Eligible_From: Joi.when("Status", {
+        is: "approved",
+        then: Joi.string().pattern(DATE_PATTERN).required(),
+        otherwise: Joi.forbidden(),
+    }),
+    Eligible_Until: Joi.when("Status", {
+        is: "approved",
+        then: Joi.string().pattern(DATE_PATTERN).required(),
+        otherwise: Joi.forbidden(),
+    }),
+    Reason: Joi.when("Status", {
+        is: "rejected",
+        then: Joi.string().max(255).required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
+// Schéma de validation pour fixer le quota d'une catégorie de produits
+const quotaSchema = Joi.object({
+    Period_Days: Joi.number().integer().min(1).max(366).required(),
+    Base_Quantity: Joi.number().integer().min(0).required(),
+    Per_Member_Quantity: Joi.number().integer().min(0).required(),
+});
+
+module.exports = {
+    householdSchema,
+    documentSchema,
+    eligibilitySchema,
+    quotaSchema,
+};
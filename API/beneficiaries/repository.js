@@ -0,0 +1,224 @@
+const getConnection = require("../common/db_handler");
+
+// Récupère les foyers bénéficiaires, éventuellement filtrés par statut d'éligibilité
+async function getAll(status = null) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT b.*,
+                   u.Name,
+                   u.Firstname,
+                   u.Email,
+                   b.Adults + b.Children AS Household_Size,
+                   (SELECT COUNT(*) FROM Beneficiary_Documents d WHERE d.User_ID = b.User_ID) AS Total_Documents
+            FROM Beneficiaries b
+                     JOIN Users u ON u.User_ID = b.User_ID
+            WHERE ? IS NULL OR b.Eligibility_Status = ?
+            ORDER BY b.Eligibility_Status = 'pending' DESC, u.Name, u.Firstname
+        `, [status, status]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère le foyer d'un utilisateur avec ses justificatifs
+async function getOne(userId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT b.*,
+                   u.Name,
+                   u.Firstname,
+                   u.Email,
+                   b.Adults + b.Children AS Household_Size,
+                   CONCAT(r.Firstname, ' ', r.Name) AS Reviewer
+            FROM Beneficiaries b
+                     JOIN Users u ON u.User_ID = b.User_ID
+                     LEFT JOIN Users r ON r.User_ID = b.Reviewed_By
+            WHERE b.User_ID = ?
+        `, [userId]);
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const [documents] = await connection.execute(
+            'SELECT * FROM Beneficiary_Documents WHERE User_ID = ? ORDER BY Uploaded_At DESC',
+            [userId]
+        );
+        return {...rows[0], Documents: documents};
+    } finally {
+        await connection.end();
+    }
+}
+
+// Crée ou met à jour la composition du foyer.
+// resetEligibility repasse le foyer en attente de validation (composition modifiée par le bénéficiaire lui-même).
+async function saveHousehold(userId, household, resetEligibility) {
+    const connection = await getConnection();
+    try {
+        await connection.execute(`
+            INSERT INTO Beneficiaries (User_ID, Adults, Children, Notes)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE Adults             = VALUES(Adults),
+                                    Children           = VALUES(Children),
+                                    Notes              = VALUES(Notes),
+                                    Eligibility_Status = IF(?, 'pending', Eligibility_Status)
+        `, [userId, household.Adults, household.Children, household.Notes ?? null, resetEligibility]);
+    } finally {
+        await connection.end();
+    }
+}
+
+// Enregistre la décision d'un administrateur sur l'éligibilité du foyer
+async function setEligibility(userId, decision, reviewerId) {
+    const connection = await getConnection();
+    try {
+        const approved = decision.Status === "approved";
+        const [result] = await connection.execute(`
+            UPDATE Beneficiaries
+            SET Eligibility_Status = ?,
+                Eligible_From      = ?,
+                Eligible_Until     = ?,
+                Rejection_Reason   = ?,
+                Reviewed_By        = ?,
+                Reviewed_At        = NOW()
+            WHERE User_ID = ?
+        `, [
+            decision.Status,
+            approved ? decision.Eligible_From : null,
+            approved ? decision.Eligible_Until : null,
+            approved ? null : decision.Reason,
+            reviewerId,
+            userId
+        ]);
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function addDocument(userId, type, fileName) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'INSERT INTO Beneficiary_Documents (User_ID, Type, File_Name) VALUES (?, ?, ?)',
+            [userId, type, fileName]
+        );
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getDocument(userId, documentId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(
+            'SELECT * FROM Beneficiary_Documents WHERE User_ID = ? AND Document_ID = ?',
+            [userId, documentId]
+        );
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteDocument(userId, documentId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'DELETE FROM Beneficiary_Documents WHERE User_ID = ? AND Document_ID = ?',
+            [userId, documentId]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getQuotas() {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT q.*, c.Name AS Category_Name
+            FROM Category_Quotas q
+                     JOIN ProductsCategories c ON c.Category_ID = q.Category_ID
+            ORDER BY c.Name
+        `);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function saveQuota(categoryId, quota) {
+    const connection = await getConnection();
+    try {
+        await connection.execute(`
+            INSERT INTO Category_Quotas (Category_ID, Period_Days, Base_Quantity, Per_Member_Quantity)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE Period_Days         = VALUES(Period_Days),
+                                    Base_Quantity       = VALUES(Base_Quantity),
+                                    Per_Member_Quantity = VALUES(Per_Member_Quantity)
+        `, [categoryId, quota.Period_Days, quota.Base_Quantity, quota.Per_Member_Quantity]);
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteQuota(categoryId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute('DELETE FROM Category_Quotas WHERE Category_ID = ?', [categoryId]);
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Quotas du foyer à une date : quantité autorisée selon la taille du foyer et quantité déjà demandée
+// sur la période glissante de part et d'autre de cette date, pour qu'une demande antidatée ou postdatée
+// ne retrouve pas un quota neuf. productId restreint le résultat à la catégorie du produit.
+async function getQuotaUsage(userId, date, productId = null) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT q.Category_ID,
+                   c.Name                                                   AS Category_Name,
+                   q.Period_Days,
+                   q.Base_Quantity + q.Per_Member_Quantity * (b.Adults + b.Children) AS Allowed_Quantity,
+                   (SELECT COALESCE(SUM(r.Quantity), 0)
+                    FROM Requests r
+                             JOIN Products p ON p.Product_ID = r.Product_ID
+                    WHERE r.User_ID = b.User_ID
+                      AND p.Category_ID = q.Category_ID
+                      AND r.Status NOT IN ('rejected', 'cancelled')
+                      AND r.Date > DATE_SUB(?, INTERVAL q.Period_Days DAY)
+                      AND r.Date < DATE_ADD(?, INTERVAL q.Period_Days DAY)) AS Used_Quantity
+            FROM Category_Quotas q
+                     JOIN ProductsCategories c ON c.Category_ID = q.Category_ID
+                     JOIN Beneficiaries b ON b.User_ID = ?
+            WHERE ? IS NULL
+               OR q.Category_ID = (SELECT Category_ID FROM Products WHERE Product_ID = ?)
+            ORDER BY c.Name
+        `, [date, date, userId, productId, productId]);
+        return rows.map(row => ({...row, Used_Quantity: Number(row.Used_Quantity)}));
+    } finally {
+        await connection.end();
+    }
+}
+
+module.exports = {
+    getAll,
+    getOne,
+    saveHousehold,
+    setEligibility,
+    addDocument,
+    getDocument,
+    deleteDocument,
+    getQuotas,
+    saveQuota,
+    deleteQuota,
+    getQuotaUsage
+};
@@ -0,0 +1,150 @@
+const path = require("path");
+const fs = require("fs");
+const {householdSchema, documentSchema, eligibilitySchema, quotaSchema} = require("./model");
+const Repository = require("./repository");
+const {InvalidArgumentError, NotFoundError, UnauthorizedError} = require("../common/service_errors");
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+// Dossier des justificatifs d'un foyer (voir uploads_middleware)
+function documentsDirectory(userId) {
+    return path.join(__dirname, "../uploads/beneficiaries", String(userId));
+}
+
+async function getAll(status) {
+    if (status !== undefined && !STATUSES.includes(status)) {
+        throw new InvalidArgumentError(`status must be one of ${STATUSES.join(", ")}.`);
+    }
+    return await Repository.getAll(status ?? null);
+}
+
+async function getOne(userId) {
+    const beneficiary = await Repository.getOne(userId);
+    if (!beneficiary) {
+        return null;
+    }
+    return {...beneficiary, Quotas: await Repository.getQuotaUsage(userId, new Date())};
+}
+
+// Le bénéficiaire qui modifie la composition de son foyer repasse en attente de validation,
+// puisque ses quotas en dépendent ; un gestionnaire peut la corriger sans toucher à l'éligibilité.
+async function saveHousehold(userId, household, issuer) {
+    const {error} = householdSchema.validate(household);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    const resetEligibility = !issuer?.permissions?.includes("beneficiaries.manage");
+    await Repository.saveHousehold(userId, household, resetEligibility);
+    return await getOne(userId);
+}
+
+async function setEligibility(userId, decision, issuer) {
+    const {error} = eligibilitySchema.validate(decision);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    if (decision.Status === "approved" && decision.Eligible_Until < decision.Eligible_From) {
+        throw new InvalidArgumentError("Eligible_Until must be on or after Eligible_From.");
+    }
+    if (!(await Repository.setEligibility(userId, decision, issuer.id))) {
+        return null;
+    }
+    return await getOne(userId);
+}
+
+async function addDocument(userId, type, fileName) {
+    const {error} = documentSchema.validate({Type: type});
+    if (error) {
+        fs.rmSync(path.join(documentsDirectory(userId), fileName), {force: true});
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    if (!(await Repository.getOne(userId))) {
+        fs.rmSync(path.join(documentsDirectory(userId), fileName), {force: true});
+        throw new NotFoundError("The household must be declared before adding documents.");
+    }
+    await Repository.addDocument(userId, type, fileName);
+    return await getOne(userId);
+}
+
+// Chemin du fichier d'un justificatif, pour l'envoyer à l'appelant
+async function getDocumentPath(userId, documentId) {
+    const document = await Repository.getDocument(userId, documentId);
+    return document ? path.join(documentsDirectory(userId), document.File_Name) : null;
+}
+
+async function deleteDocument(userId, documentId) {
+    const document = await Repository.getDocument(userId, documentId);
+    if (!document) {
+        return false;
+    }
+    await Repository.deleteDocument(userId, documentId);
+    fs.rmSync(path.join(documentsDirectory(userId), document.File_Name), {force: true});
+    return true;
+}
+
+async function getQuotas() {
+    return await Repository.getQuotas();
+}
+
+async function saveQuota(categoryId, quota) {
+    const {error} = quotaSchema.validate(quota);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    await Repository.saveQuota(categoryId, quota);
+    return await Repository.getQuotas();
+}
+
+async function deleteQuota(categoryId) {
+    return await Repository.deleteQuota(categoryId);
+}
+
+/**
+ * Vérifie qu'un foyer peut demander des produits à une date : son éligibilité doit couvrir la date
+ * et les quantités demandées, additionnées par catégorie, ne doivent pas dépasser les quotas.
+ * @param {number} userId - L'utilisateur bénéficiaire.
+ * @param {Array} items - Les produits demandés ({ Product_ID, Quantity }).
+ * @param {string} date - La date de la demande (YYYY-MM-DD).
+ */
+async function checkRequest(userId, items, date) {
+    const beneficiary = await Repository.getOne(userId);
+    if (!beneficiary || beneficiary.Eligibility_Status !== "approved") {
+        throw new UnauthorizedError("Only households with an approved eligibility can request products.");
+    }
+    const day = new Date(`${date}T00:00:00`);
+    if (day < new Date(beneficiary.Eligible_From) || day > new Date(beneficiary.Eligible_Until)) {
+        throw new UnauthorizedError("The household eligibility does not cover this date.");
+    }
+
+    const requested = new Map();
+    for (const item of items) {
+        const [quota] = await Repository.getQuotaUsage(userId, date, item.Product_ID);
+        if (quota) {
+            const entry = requested.get(quota.Category_ID) || { quota, Quantity: 0 };
+            entry.Quantity += item.Quantity;
+            requested.set(quota.Category_ID, entry);
+        }
+    }
+    for (const { quota, Quantity } of requested.values()) {
+        if (quota.Used_Quantity + Quantity > quota.Allowed_Quantity) {
+            const remaining = Math.max(quota.Allowed_Quantity - quota.Used_Quantity, 0);
+            throw new InvalidArgumentError(
+                `Quota exceeded for ${quota.Category_Name}: ${remaining} left over ${quota.Period_Days} days.`
+            );
+        }
+    }
+}
+
+module.exports = {
+    getAll,
+    getOne,
+    saveHousehold,
+    setEligibility,
+    addDocument,
+    getDocumentPath,
+    deleteDocument,
+    getQuotas,
+    saveQuota,
+    deleteQuota,
+    checkRequest
+};
@@ -0,0 +1,35 @@
+//config.js
+// Paramètres de l'API lus dans l'environnement (ou le fichier API/.env), avec des valeurs par défaut pour le développement
+require("dotenv").config();
+const {randomBytes} = require("node:crypto");
+
+// Le secret de signature des jetons n'a pas de valeur par défaut : l'API refuse de démarrer en production sans lui.
+// En développement, un secret aléatoire est tiré à chaque démarrage, ce qui déconnecte tout le monde au redémarrage.
+function readJwtSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("JWT_SECRET must be set in production, the API cannot sign tokens without it.");
+    }
+    console.warn("JWT_SECRET is not set: tokens are signed with a random secret that changes at every restart. Set it in API/.env.");
+    return randomBytes(32).toString("hex");
+}
+
+const jwtSecret = readJwtSecret();
+
+module.exports = {
+    jwt: {
+        secret: jwtSecret,
+        algorithm: "HS256",
+        // Durée de vie du jeton d'accès (format jsonwebtoken : "15m", "1h"...)
+        accessTokenLifetime: process.env.ACCESS_TOKEN_LIFETIME || "15m",
+        // Durée de vie du jeton de rafraîchissement, en jours
+        refreshTokenLifetimeDays: Number(process.env.REFRESH_TOKEN_LIFETIME_DAYS || 30),
+    },
+    // Adresse du front, pour les liens envoyés par mail
+    frontUrl: process.env.FRONT_URL || "http://localhost:5173",
+    // Durées de validité des liens de réinitialisation du mot de passe et de vérification de l'email
+    passwordResetLifetimeMinutes: Number(process.env.PASSWORD_RESET_LIFETIME_MINUTES || 60),
+    emailVerificationLifetimeMinutes: Number(process.env.EMAIL_VERIFICATION_LIFETIME_MINUTES || 48 * 60),
+};
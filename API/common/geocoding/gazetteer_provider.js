@@ -0,0 +1,90 @@
+const fs = require("fs/promises");
+
+// Met un nom de commune sous une forme comparable : sans accents, tirets ni casse
+function normalizeName(value) {
+    return String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-zA-Z0-9]+/g, " ")
+        .trim()
+        .toUpperCase();
+}
+
+// Reconnaît les colonnes d'un fichier de codes postaux : le format simple de data/postcodes.csv
+// (postal_code, city, latitude, longitude) ou la base officielle de La Poste (Code_postal,
+// Nom_de_la_commune, coordonnees_gps "lat, lon")
+function parseRow(raw) {
+    const postalCode = raw.postal_code || raw.code_postal;
+    const city = raw.city || raw.nom_de_la_commune || raw.nom_commune;
+    let latitude = raw.latitude;
+    let longitude = raw.longitude;
+    if ((latitude === undefined || longitude === undefined) && raw.coordonnees_gps) {
+        [latitude, longitude] = raw.coordonnees_gps.split(",");
+    }
+
+    latitude = Number(latitude);
+    longitude = Number(longitude);
+    if (!postalCode || Number.isNaN(latitude) || Number.isNaN(longitude) || (latitude === 0 && longitude === 0)) {
+        return null;
+    }
+    return { postalCode: String(postalCode).trim(), city: normalizeName(city), latitude, longitude };
+}
+
+// Fournisseur hors ligne : position du centre de la commune ou de l'arrondissement d'après un
+// fichier de codes postaux. Un fichier absent n'est pas une erreur, les adresses restent sans coordonnées.
+function createGazetteerProvider(filePath) {
+    let index = null;
+
+    async function load() {
+        if (index) {
+            return index;
+        }
+        index = new Map();
+
+        let content;
+        try {
+            content = await fs.readFile(filePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                console.warn(`Gazetteer file not found: ${filePath}`);
+                return index;
+            }
+            throw error;
+        }
+
+        const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/).filter(line => line.trim() !== "");
+        if (lines.length === 0) {
+            return index;
+        }
+        const delimiter = [";", "\t", ","].find(candidate => lines[0].includes(candidate)) || ";";
+        const headers = lines[0].split(delimiter).map(header => header.trim().replace(/^#/, "").toLowerCase());
+
+        for (const line of lines.slice(1)) {
+            const values = line.split(delimiter);
+            const row = parseRow(Object.fromEntries(headers.map((header, i) => [header, values[i]?.trim()])));
+            if (row) {
+                if (!index.has(row.postalCode)) {
+                    index.set(row.postalCode, []);
+                }
+                index.get(row.postalCode).push(row);
+            }
+        }
+        return index;
+    }
+
+    return {
+        name: "gazetteer",
+        async geocode(address) {
+            const entries = (await load()).get(String(address.postal_code || "").trim());
+            if (!entries) {
+                return null;
+            }
+            // Un code postal peut couvrir plusieurs communes : on préfère celle de l'adresse
+            const city = normalizeName(address.city);
+            const entry = entries.find(candidate => candidate.city === city) || entries[0];
+            return { latitude: entry.latitude, longitude: entry.longitude };
+        },
+    };
+}
+
+module.exports = createGazetteerProvider;
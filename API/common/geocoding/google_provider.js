@@ -0,0 +1,25 @@
+const NodeGeocoder = require("node-geocoder");
+
+// Fournisseur Google Maps, nécessite la clé GOOGLE_MAPS_API_KEY
+function createGoogleProvider() {
+    const geocoder = NodeGeocoder({
+        provider: "google",
+        apiKey: process.env.GOOGLE_MAPS_API_KEY,
+    });
+
+    return {
+        name: "google",
+        async geocode(address) {
+            const query = [address.street, `${address.postal_code || ""} ${address.city || ""}`.trim(), address.country]
+                .filter(Boolean)
+                .join(", ");
+            const results = await geocoder.geocode(query);
+            if (results.length === 0) {
+                return null;
+            }
+            return { latitude: results[0].latitude, longitude: results[0].longitude };
+        },
+    };
+}
+
+module.exports = createGoogleProvider;
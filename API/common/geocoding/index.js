@@ -0,0 +1,49 @@
+const path = require("path");
+const createGoogleProvider = require("./google_provider");
+const createGazetteerProvider = require("./gazetteer_provider");
+
+// Fournisseurs de géocodage, sélectionnés par GEOCODER_PROVIDER (par défaut Google si une clé
+// GOOGLE_MAPS_API_KEY est fournie, sinon le fichier de codes postaux hors ligne).
+// Un fournisseur est une fabrique (filePath) => { name, geocode(address) } renvoyant
+// { latitude, longitude } ou null ; l'adresse a les champs street, city, postal_code et country.
+const providers = {
+    google: createGoogleProvider,
+    gazetteer: createGazetteerProvider,
+    none: () => ({ name: "none", geocode: async () => null }),
+};
+
+let provider = null;
+
+// Permet de brancher un autre fournisseur (Nominatim, base adresse nationale...)
+function registerProvider(name, factory) {
+    providers[name] = factory;
+    provider = null;
+}
+
+function getProvider() {
+    if (provider) {
+        return provider;
+    }
+
+    const name = process.env.GEOCODER_PROVIDER || (process.env.GOOGLE_MAPS_API_KEY ? "google" : "gazetteer");
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown geocoding provider: ${name}`);
+    }
+    provider = factory(process.env.GEOCODER_FILE || path.join(__dirname, "../../data", "postcodes.csv"));
+    return provider;
+}
+
+// Calcule les coordonnées d'une adresse. Un échec du géocodage n'empêche pas d'enregistrer
+// l'adresse : les coordonnées sont alors null.
+async function geocode(address) {
+    try {
+        const coordinates = await getProvider().geocode(address);
+        return coordinates || { latitude: null, longitude: null };
+    } catch (error) {
+        console.error("Geocoding failed:", error);
+        return { latitude: null, longitude: null };
+    }
+}
+
+module.exports = { geocode, registerProvider };
@@ -1,19 +1,21 @@
 //jwt_handler.js
 // Importation du module jsonwebtoken, utilisé pour créer des JWT
 const jwt = require("jsonwebtoken");
+const config = require("./config");
 
-// Fonction pour générer un JWT pour un utilisateur spécifique
-function generateJWT(userId, role) {
+// Fonction pour générer un jeton d'accès (JWT de courte durée) pour un utilisateur spécifique
+function generateJWT(userId, roles, permissions) {
     return jwt.sign(
         {
             uid: userId,  // Identifiant de l'utilisateur
-            urole: role,  // Rôle de l'utilisateur, utile pour les contrôles d'autorisation
+            uroles: roles,  // Rôles de l'utilisateur, pour l'affichage
+            uperms: permissions,  // Permissions issues de ses rôles, utilisées pour les contrôles d'autorisation
         },
-        "secret",
+        config.jwt.secret, // Clé secrète utilisée pour signer le JWT
         {
-            expiresIn: "24h"  // Durée de validité du JWT
-
-        } // Clé secrète utilisée pour signer le JWT
+            algorithm: config.jwt.algorithm,
+            expiresIn: config.jwt.accessTokenLifetime  // Durée de validité du JWT
+        }
     );
 }
 
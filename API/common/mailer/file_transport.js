@@ -0,0 +1,27 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Transport de développement : chaque message est écrit dans un fichier .eml du dossier d'envoi,
+// lisible avec n'importe quel client mail
+function createFileTransport(outboxDir) {
+    return {
+        name: "file",
+        async send(message) {
+            await fs.mkdir(outboxDir, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, "_")}.eml`;
+            const content = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                "Content-Type: text/plain; charset=utf-8",
+                "",
+                message.text,
+            ].join("\r\n");
+            await fs.writeFile(path.join(outboxDir, fileName), content, "utf8");
+            return { id: fileName };
+        },
+    };
+}
+
+module.exports = createFileTransport;
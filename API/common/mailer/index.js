@@ -0,0 +1,57 @@
+const path = require("path");
+const createFileTransport = require("./file_transport");
+
+// Transports d'envoi de mails, sélectionnés par MAIL_TRANSPORT (file par défaut).
+// Un transport est une fabrique (outboxDir) => { name, send(message) } ; le message a les champs
+// from, to, subject et text.
+const outbox = [];
+
+const transports = {
+    file: createFileTransport,
+    // Boîte d'envoi en mémoire, consultable avec getOutbox() (tests)
+    memory: () => ({
+        name: "memory",
+        async send(message) {
+            outbox.push({ ...message, sentAt: new Date() });
+            return { id: String(outbox.length) };
+        },
+    }),
+};
+
+let transport = null;
+
+// Permet de brancher un vrai transport (SMTP, API d'un service d'envoi...)
+function registerTransport(name, factory) {
+    transports[name] = factory;
+    transport = null;
+}
+
+function getTransport() {
+    if (transport) {
+        return transport;
+    }
+
+    const name = process.env.MAIL_TRANSPORT || "file";
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../outbox"));
+    return transport;
+}
+
+// Envoie un mail texte
+async function sendMail({ to, subject, text }) {
+    return await getTransport().send({
+        from: process.env.MAIL_FROM || "no-reply@pcs.local",
+        to,
+        subject,
+        text,
+    });
+}
+
+function getOutbox() {
+    return outbox;
+}
+
+module.exports = { sendMail, registerTransport, getOutbox };
@@ -1,43 +1,33 @@
 const {UnauthorizedError} = require("../service_errors");
 const {expressjwt: expressJwt} = require("express-jwt");
-const generateJWT = require("../jwt_handler"); // Importer la fonction generateJWT
+const config = require("../config");
 
-const secret = "secret";
-const algorithms = ["HS256"];
-
-// Middleware to validate JWT and refresh token if valid
+// Middleware to validate the short-lived access token (renewed by the client with POST /auth/refresh)
 const jwtMiddleware = (req, res, next) => {
     expressJwt({
-        secret: secret,
-        algorithms: algorithms,
+        secret: config.jwt.secret,
+        algorithms: [config.jwt.algorithm],
         credentialsRequired: false,
     })(req, res, (err) => {
         if (err) {
             return res.status(401).json({message: "Invalid token"});
         }
 
-        // If token is valid, refresh it
-        if (req.auth) {
-            const newToken = generateJWT(req.auth.uid, req.auth.urole);
-
-            // Set the new token in the response header
-            res.setHeader("Authorization", `Bearer ${newToken}`);
-        }
-
         // Proceed to the next middleware
         next();
     });
 };
 
-// Fonction qui prend un tableau de rôles autorisés
-function authorize(roles) {
+// Fonction qui prend un tableau de permissions : l'une d'elles suffit.
+// Les permissions viennent des rôles de l'utilisateur (tables Roles / Role_Permissions) et sont portées par le jeton.
+function authorize(permissions) {
     return (req, res, next) => {
         jwtMiddleware(req, res, (err) => {
             if (err) {
                 return next(err);
             }
 
-            if (roles.includes(req.auth && req.auth.urole) || (req.auth && req.auth.urole === "admin")) {
+            if (hasPermission(req.auth, permissions)) {
                 next();
             } else {
                 return next(new UnauthorizedError("You do not have permission to perform this action."));
@@ -46,4 +36,10 @@ function authorize(roles) {
     };
 }
 
+// Indique si le jeton décodé (req.auth) porte au moins une des permissions données
+function hasPermission(auth, permissions) {
+    return [].concat(permissions).some(permission => (auth?.uperms || []).includes(permission));
+}
+
 module.exports = authorize;
+module.exports.hasPermission = hasPermission;
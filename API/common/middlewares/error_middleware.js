@@ -24,14 +24,12 @@ function errorHandlingMiddleware(err, _req, res, next) {
         res.status(400).json({
             message: err.message,
         });
-    } else if (err instanceof AuthError) {
+    } else if (err instanceof AuthError || err instanceof JWTUnauthorizedError) {
+        // Jeton invalide ou expiré : le client doit se réauthentifier ou rafraîchir son jeton
         res.status(401).json({
             message: err.message,
         });
-    } else if (
-        err instanceof UnauthorizedError ||
-        err instanceof JWTUnauthorizedError
-    ) {
+    } else if (err instanceof UnauthorizedError) {
         res.status(403).json({
             message: err.message,
         });
@@ -0,0 +1,45 @@
+const {AuthError, UnauthorizedError} = require("../service_errors");
+const {hasPermission} = require("./authorize_middleware");
+
+// Règles d'appartenance, en complément de authorize() qui ne regarde que les permissions :
+// un utilisateur n'agit que sur ses propres données, un gestionnaire (users.manage) agit sur celles de tous.
+
+/**
+ * Autorise l'appelant s'il est propriétaire de la ressource ou s'il a l'une des permissions données.
+ * @param {Function} resolveOwner - (req) => l'ID du propriétaire, éventuellement via une promesse.
+ * @param {Array} permissions - Les permissions autorisant à agir sur les données des autres.
+ * @returns {Function} - Le middleware Express.
+ */
+function ownerOr(resolveOwner, permissions = ["users.manage"]) {
+    return async (req, res, next) => {
+        if (!req.auth?.uid) {
+            return next(new AuthError("You must be logged in to perform this action."));
+        }
+
+        if (hasPermission(req.auth, permissions)) {
+            return next();
+        }
+
+        try {
+            const ownerId = await resolveOwner(req);
+            if (ownerId !== null && ownerId !== undefined && Number(ownerId) === Number(req.auth.uid)) {
+                return next();
+            }
+            return next(new UnauthorizedError("You can only access your own data."));
+        } catch (err) {
+            return next(err);
+        }
+    };
+}
+
+// L'ID du propriétaire est un paramètre de la route, ex. /users/:id
+function selfOrAdmin(param = "id") {
+    return ownerOr(req => req.params[param]);
+}
+
+// L'ID du propriétaire est un champ du corps de la requête, ex. { user_id } à la création
+function selfOrAdminBody(field) {
+    return ownerOr(req => req.body?.[field]);
+}
+
+module.exports = {ownerOr, selfOrAdmin, selfOrAdminBody};
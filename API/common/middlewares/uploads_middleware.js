@@ -21,6 +21,13 @@ const storage = multer.diskStorage({
         } else if (req.path.includes('tickets')) {
             uploadPath = path.join(__dirname, '../../uploads/tickets');
             console.log('Set upload path for ticket:', uploadPath);
+        } else if (req.path.includes('documents')) {
+            const userId = req.params.userId;
+            if (!userId) {
+                return cb(new Error('User ID is required for beneficiary documents'));
+            }
+            uploadPath = path.join(__dirname, '../../uploads/beneficiaries', userId);
+            console.log('Set upload path for beneficiary document:', uploadPath);
         } else {
             console.error('Invalid upload path for request path:', req.path);
             return cb(new Error('Invalid upload path'));
@@ -0,0 +1,51 @@
+//password_handler.js
+// Hachage des mots de passe avec scrypt (module crypto de Node), salé et à coût réglable.
+// Format stocké : scrypt$N$r$p$<sel base64>$<empreinte base64>
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = "scrypt";
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+// Paramètres de coût : N (CPU/mémoire), r (taille de bloc), p (parallélisme)
+const COST = { N: 16384, r: 8, p: 1 };
+
+// Calcule l'empreinte d'un mot de passe avec un sel aléatoire
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+    return [PREFIX, COST.N, COST.r, COST.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+// Compare deux valeurs en temps constant
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Vérifie un mot de passe contre la valeur stockée.
+// needsRehash indique une valeur à remplacer : mot de passe historique en clair ou paramètres de coût dépassés.
+async function verifyPassword(password, stored) {
+    if (!stored) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const parts = stored.split("$");
+    if (parts.length !== 6 || parts[0] !== PREFIX) {
+        // Compte créé avant le hachage : le mot de passe est encore en clair
+        return { valid: safeEqual(Buffer.from(password), Buffer.from(stored)), needsRehash: true };
+    }
+
+    const [, N, r, p, salt, expected] = parts;
+    const cost = { N: Number(N), r: Number(r), p: Number(p) };
+    const expectedHash = Buffer.from(expected, "base64");
+    const hash = await scrypt(password, Buffer.from(salt, "base64"), expectedHash.length, cost);
+
+    return {
+        valid: safeEqual(hash, expectedHash),
+        needsRehash: cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p,
+    };
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -31,6 +31,12 @@ const options = {
         path.join(basePath, "skills", "*.js"),
         path.join(basePath, "tickets", "*.js"),
         path.join(basePath, "Registrations", "*.js"),
+        path.join(basePath, "inventories", "*.js"),
+        path.join(basePath, "roles", "*.js"),
+        path.join(basePath, "merchants", "*.js"),
+        path.join(basePath, "beneficiaries", "*.js"),
+        path.join(basePath, "baskets", "*.js"),
+        path.join(basePath, "schedules", "*.js"),
     ],
 
 };
@@ -2,6 +2,7 @@ const { Router } = require("express");
 const donationsService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
 const authorize = require("../common/middlewares/authorize_middleware");
+const {selfOrAdmin} = require("../common/middlewares/policy_middleware");
 
 const controller = Router();
 
@@ -38,6 +39,10 @@ const controller = Router();
  *           type: string
  *           format: date
  *           description: The date the donation was collected (nullable)
+ *         Agreement_ID:
+ *           type: integer
+ *           readOnly: true
+ *           description: The merchant pickup agreement that generated this expected donation (nullable)
  *       required:
  *         - Product_ID
  *         - Quantity
@@ -172,7 +177,7 @@ controller.get("/notcollected", (req, res, next) => {
  *       404:
  *         description: Donations not found
  */
-controller.get("/donor/:donorID", (req, res, next) => {
+controller.get("/donor/:donorID", selfOrAdmin("donorID"), (req, res, next) => {
     donationsService.getOneDonor(Number(req.params.donorID))
         .then((data) => {
             if (data === null) {
@@ -276,7 +281,7 @@ controller.get("/:id", (req, res, next) => {
  *         description: Invalid input data
  */
 controller.post("/", (req, res, next) => {
-    donationsService.createOne(req.body)
+    donationsService.createOne(req.body, req.auth?.uid)
         .then((data) => res.status(201).json(data))
         .catch((err) => next(err));
 });
@@ -304,8 +309,11 @@ controller.post("/", (req, res, next) => {
  *     security:
  *       - bearerAuth: []
  */
-controller.delete("/:id", authorize(["admin"]), (req, res, next) => {
-    donationsService.deleteOne(Number(req.params.id), req.user)
+controller.delete("/:id", authorize(["donations.manage"]), (req, res, next) => {
+    donationsService.deleteOne(Number(req.params.id), {
+        id: req.auth?.uid,
+        permissions: req.auth?.uperms,
+    })
         .then((deleted) => {
             if (!deleted) {
                 throw new NotFoundError(`Donation with ID ${req.params.id} not found`);
@@ -350,7 +358,7 @@ controller.patch("/:id", (req, res, next) => {
     const donationId = Number(req.params.id);
     const data = req.body;
 
-    donationsService.updateOne(donationId, data)
+    donationsService.updateOne(donationId, data, req.auth?.uid)
         .then((updatedDonation) => {
             if (!updatedDonation) {
                 throw new NotFoundError(`Donation with ID ${req.params.id} not found`);
@@ -1,27 +1,56 @@
 const getConnection = require("../common/db_handler");
+const stockRepository = require("../stocks/repository");
 
-// Création d'une donation
-async function createOne(donation) {
+// Entre en stock une donation collectée, sous forme d'un lot journalisé
+async function addCollectedLot(connection, donationId, donation, userId) {
+    await stockRepository.addLot(connection, {
+        Product_ID: donation.Product_ID,
+        Quantity: donation.Quantity,
+        Donation_ID: donationId,
+        Route_ID: donation.Route_ID
+    }, {
+        Reason: 'collected',
+        Route_ID: donation.Route_ID,
+        User_ID: userId
+    });
+}
+
+// Création d'une donation (ajoutée au stock si elle est déjà collectée)
+async function createOne(donation, userId = null) {
     if (!donation) {
         throw new Error("createOne: donation object must be defined");
     }
     const connection = await getConnection();
-    const query = `
-        INSERT INTO Donations (Product_ID, Quantity, Donor_User_ID, Date, Route_ID, Collected, Collection_Date)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
-    const values = [
-        donation.Product_ID,
-        donation.Quantity,
-        donation.Donor_User_ID,
-        donation.Date,
-        donation.Route_ID || null,  // Allow NULL if Route_ID is not provided
-        donation.Collected || false, // Default to false if not provided
-        donation.Collection_Date || null // Allow NULL if Collection_Date is not provided
-    ];
-    const [result] = await connection.execute(query, values);
-    await connection.end();
-    return { Donation_ID: result.insertId, ...donation };
+    try {
+        await connection.beginTransaction();
+
+        const query = `
+            INSERT INTO Donations (Product_ID, Quantity, Donor_User_ID, Date, Route_ID, Collected, Collection_Date)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        const values = [
+            donation.Product_ID,
+            donation.Quantity,
+            donation.Donor_User_ID,
+            donation.Date,
+            donation.Route_ID || null,  // Allow NULL if Route_ID is not provided
+            donation.Collected || false, // Default to false if not provided
+            donation.Collection_Date || null // Allow NULL if Collection_Date is not provided
+        ];
+        const [result] = await connection.execute(query, values);
+
+        if (donation.Collected) {
+            await addCollectedLot(connection, result.insertId, donation, userId);
+        }
+
+        await connection.commit();
+        return { Donation_ID: result.insertId, ...donation };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
 }
 
 // Récupère les donations par un attribut spécifique
@@ -123,7 +152,7 @@ async function getAllNotCollected() {
             a.Country,
             COUNT(d.Donation_ID) AS Total_Donations,
             SUM(d.Quantity) AS Total_Quantity,
-            GROUP_CONCAT(DISTINCT CONCAT(u.Firstname, ' ', u.Name)) AS Donors,
+            GROUP_CONCAT(DISTINCT COALESCE(m.Name, CONCAT(u.Firstname, ' ', u.Name))) AS Donors,
             JSON_ARRAYAGG(
                     JSON_OBJECT(
                             'Donation_ID', d.Donation_ID,
@@ -133,14 +162,22 @@ async function getAllNotCollected() {
             ) AS Products
         FROM
             Donations d
-                JOIN
+                LEFT JOIN
             Users u ON d.Donor_User_ID = u.User_ID
+                LEFT JOIN
+            Pickup_Agreements pa ON d.Agreement_ID = pa.Agreement_ID
+                LEFT JOIN
+            Merchant_Stores s ON pa.Store_ID = s.Store_ID
+                LEFT JOIN
+            Merchants m ON s.Merchant_ID = m.Merchant_ID
                 JOIN
-            Address a ON u.Address_ID = a.Address_ID
+            Address a ON a.Address_ID = COALESCE(s.Address_ID, u.Address_ID)
                 JOIN
             Products p ON d.Product_ID = p.Product_ID
         WHERE
             d.Route_ID IS NULL
+            -- Une collecte commerçant se fait à l'adresse du magasin, le jour convenu uniquement
+            AND (d.Agreement_ID IS NULL OR d.Date = CURDATE())
         GROUP BY
             a.Address_ID, a.Street, a.City, a.State, a.Postal_Code, a.Country
         ORDER BY
@@ -153,29 +190,54 @@ async function getAllNotCollected() {
     return rows.length > 0 ? rows : [];
 }
 
-// Met à jour une donation par son ID
-async function updateOne(id, data) {
+// Met à jour une donation par son ID (la donation entre en stock lorsqu'elle passe à collectée)
+async function updateOne(id, data, userId = null) {
     if (id === undefined) {
         throw new Error("updateOne: id must be defined");
     }
     const connection = await getConnection();
-    // Construction de la partie SET de la requête SQL
-    const fields = Object.keys(data).map(field => `${field} = ?`).join(", ");
-    const values = Object.values(data);
-    const query = `
-        UPDATE Donations
-        SET ${fields}
-        WHERE Donation_ID = ?
-    `;
-    values.push(id);
-    const [result] = await connection.execute(query, values);
-    await connection.end();
+    try {
+        await connection.beginTransaction();
 
-    if (result.affectedRows === 0) {
-        throw new Error(`Donation with Donation_ID ${id} does not exist`);
-    }
+        const [existing] = await connection.execute(`
+            SELECT Collected
+            FROM Donations
+            WHERE Donation_ID = ?
+            FOR UPDATE
+        `, [id]);
 
-    return { Donation_ID: id, ...data };
+        // Construction de la partie SET de la requête SQL
+        const fields = Object.keys(data).map(field => `${field} = ?`).join(", ");
+        const values = Object.values(data);
+        const query = `
+            UPDATE Donations
+            SET ${fields}
+            WHERE Donation_ID = ?
+        `;
+        values.push(id);
+        const [result] = await connection.execute(query, values);
+
+        if (result.affectedRows === 0) {
+            throw new Error(`Donation with Donation_ID ${id} does not exist`);
+        }
+
+        if (data.Collected && !existing[0].Collected) {
+            const [rows] = await connection.execute(`
+                SELECT Product_ID, Quantity, Route_ID
+                FROM Donations
+                WHERE Donation_ID = ?
+            `, [id]);
+            await addCollectedLot(connection, id, rows[0], userId);
+        }
+
+        await connection.commit();
+        return { Donation_ID: id, ...data };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
 }
 
 // Supprime une donation par son ID
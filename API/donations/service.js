@@ -3,7 +3,7 @@ const donationRepository = require("./repository");
 const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
 
 // Fonction de création d'une donation
-async function createOne(donation) {
+async function createOne(donation, userId) {
     // Validate the donation data
     const { error } = createDonationSchema.validate(donation);
     if (error) {
@@ -11,7 +11,7 @@ async function createOne(donation) {
     }
 
     // Create the donation
-    const createdDonation = await donationRepository.createOne(donation);
+    const createdDonation = await donationRepository.createOne(donation, userId);
     return createdDonation;
 }
 
@@ -64,7 +64,7 @@ async function getAllNotCollected() {
 }
 
 // Fonction de mise à jour d'une donation en fonction de son ID
-async function updateOne(id, data) {
+async function updateOne(id, data, userId) {
     // Validation des données de la requête
     const { error } = updateDonationSchema.validate(data);
     if (error) {
@@ -78,7 +78,7 @@ async function updateOne(id, data) {
     }
 
     // Mise à jour de la donation
-    const updated = await donationRepository.updateOne(id, data);
+    const updated = await donationRepository.updateOne(id, data, userId);
     return updated ? { ...updated } : null;
 }
 
@@ -88,7 +88,7 @@ async function deleteOne(id, issuer) {
     if (!donation) {
         throw new Error(`Donation with ID ${id} does not exist`);
     }
-    if (issuer?.role !== "admin") {
+    if (!issuer?.permissions?.includes("donations.manage")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer une donation sans être un administrateur.");
     }
     return await donationRepository.deleteOne(id);
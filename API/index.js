@@ -25,6 +25,12 @@ const skillsController = require("./skills/controller");
 const subscriptionsController = require("./subscriptions/controller");
 const addressesController = require("./addresses/controller");
 const registrationsController = require("./registrations/controller");
+const inventoriesController = require("./inventories/controller");
+const rolesController = require("./roles/controller");
+const merchantsController = require("./merchants/controller");
+const beneficiariesController = require("./beneficiaries/controller");
+const basketsController = require("./baskets/controller");
+const schedulesController = require("./schedules/controller");
 
 const app = express();
 const port = 3000;
@@ -51,7 +57,7 @@ app.get("/", (_req, res) => {
         message: "Welcome to PCS API!",
         routes: ["/users", "/auth","/stocks", "/api-docs", "/donations","/tours",
             "/tickets","/categories","/stripe","/requests","/products",
-            "/productsCategories","/trucks","/recipes", "/skills", "/subscriptions", "/addresses", "/registrations"],
+            "/productsCategories","/trucks","/recipes", "/skills", "/subscriptions", "/addresses", "/registrations", "/inventories", "/roles", "/merchants", "/beneficiaries", "/baskets", "/schedules"],
     });
 });
 
@@ -74,6 +80,12 @@ app.use("/skills", skillsController);
 app.use("/subscriptions", subscriptionsController);
 app.use("/addresses", addressesController);
 app.use("/registrations", registrationsController);
+app.use("/inventories", inventoriesController);
+app.use("/roles", rolesController);
+app.use("/merchants", merchantsController);
+app.use("/beneficiaries", beneficiariesController);
+app.use("/baskets", basketsController);
+app.use("/schedules", schedulesController);
 
 // Application du middleware `idParamGuard` aux routes avec paramètre `id`
 app.use("/users/:id", idParamGuard);
@@ -89,6 +101,12 @@ app.use("/trucks/:id", idParamGuard);
 app.use("/recipes/:id", idParamGuard);
 app.use("/skills/:id", idParamGuard);
 app.use("/registrations/:id", idParamGuard);
+app.use("/inventories/:id", idParamGuard);
+app.use("/roles/:id", idParamGuard);
+app.use("/merchants/:id", idParamGuard);
+app.use("/beneficiaries/:id", idParamGuard);
+app.use("/baskets/:id", idParamGuard);
+app.use("/schedules/:id", idParamGuard);
 
 //Stripe
 app.use('/stripe', stripeRoutes);
@@ -96,7 +114,11 @@ app.use('/stripe', stripeRoutes);
 // Middleware de gestion des erreurs
 app.use(errorHandlingMiddleware);
 
-// Démarrer le serveur
-app.listen(port, () => {
-    console.log(`Server started on port ${port}`);
-});
+// Démarrer le serveur, sauf quand l'application est chargée par les tests
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Server started on port ${port}`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,370 @@
+const {Router} = require("express");
+const inventoriesService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+
+const controller = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Inventory:
+ *       type: object
+ *       properties:
+ *         Inventory_ID:
+ *           type: integer
+ *         Status:
+ *           type: string
+ *           enum: [open, approved, cancelled]
+ *         Sectors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The storage sectors counted during the session.
+ *         Opened_By:
+ *           type: integer
+ *           nullable: true
+ *         Opened_At:
+ *           type: string
+ *           format: date-time
+ *         Approved_By:
+ *           type: integer
+ *           nullable: true
+ *         Approved_At:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         Inventory_ID: 1
+ *         Status: open
+ *         Sectors: [Frigo, Congélateur]
+ *         Opened_By: 1
+ *         Opened_At: 2024-08-06T09:00:00.000Z
+ *     InventoryCounts:
+ *       type: object
+ *       required:
+ *         - Counts
+ *       properties:
+ *         Counts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - Counted_Quantity
+ *             properties:
+ *               Product_ID:
+ *                 type: integer
+ *                 description: The counted product (either Product_ID or Barcode must be given).
+ *               Barcode:
+ *                 type: string
+ *                 description: The scanned barcode of the counted product.
+ *               Counted_Quantity:
+ *                 type: integer
+ *       example:
+ *         Counts:
+ *           - Product_ID: 4
+ *             Counted_Quantity: 18
+ *           - Barcode: "1234567890126"
+ *             Counted_Quantity: 32
+ *     InventoryVariance:
+ *       type: object
+ *       properties:
+ *         Product_ID:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *         Barcode:
+ *           type: string
+ *         Category_Name:
+ *           type: string
+ *         StorageSector:
+ *           type: string
+ *         Current_Quantity:
+ *           type: integer
+ *           description: The quantity currently in stock.
+ *         Expected_Quantity:
+ *           type: integer
+ *           nullable: true
+ *           description: The quantity in stock when the product was counted (null if not counted yet).
+ *         Counted_Quantity:
+ *           type: integer
+ *           nullable: true
+ *         Variance:
+ *           type: integer
+ *           nullable: true
+ *           description: Counted minus expected quantity.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventories
+ *   description: Physical inventory count sessions
+ */
+
+/**
+ * @swagger
+ * /inventories:
+ *   get:
+ *     summary: Retrieve all inventory sessions
+ *     tags: [Inventories]
+ *     responses:
+ *       200:
+ *         description: A list of inventory sessions, the most recent first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Inventory'
+ */
+controller.get("/", (req, res, next) => {
+    inventoriesService.getAll()
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /inventories:
+ *   post:
+ *     summary: Open an inventory session on one or more storage sectors
+ *     tags: [Inventories]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Sectors
+ *             properties:
+ *               Sectors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *             example:
+ *               Sectors: [Frigo]
+ *     responses:
+ *       201:
+ *         description: The opened session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         description: Invalid sectors
+ */
+controller.post(
+    "/",
+    authorize(["inventories.count"]),
+    (req, res, next) => {
+        inventoriesService.createOne(req.body, req.auth?.uid)
+            .then((data) => res.status(201).json(data))
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /inventories/{id}:
+ *   get:
+ *     summary: Get an inventory session by ID
+ *     tags: [Inventories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The inventory ID
+ *     responses:
+ *       200:
+ *         description: A single inventory session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventory'
+ *       404:
+ *         description: Inventory not found
+ */
+controller.get("/:id", (req, res, next) => {
+    inventoriesService.getOne(Number(req.params.id))
+        .then((data) => {
+            if (data === null) {
+                throw new NotFoundError(`Inventory with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /inventories/{id}/counts:
+ *   post:
+ *     summary: Submit counted quantities, by product ID or scanned barcode
+ *     description: A product counted again replaces its previous count. Products must belong to the sectors of the session.
+ *     tags: [Inventories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The inventory ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryCounts'
+ *     responses:
+ *       200:
+ *         description: The variances of the session after the counts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InventoryVariance'
+ *       400:
+ *         description: Invalid counts, unknown product or session no longer open
+ *       404:
+ *         description: Inventory not found
+ */
+controller.post(
+    "/:id/counts",
+    authorize(["inventories.count"]),
+    (req, res, next) => {
+        inventoriesService.submitCounts(Number(req.params.id), req.body, req.auth?.uid)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Inventory with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /inventories/{id}/variances:
+ *   get:
+ *     summary: Compare the counted quantities with the expected stock
+ *     description: Returns every product of the sectors of the session; products not counted yet have a null variance.
+ *     tags: [Inventories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The inventory ID
+ *     responses:
+ *       200:
+ *         description: The variances, ordered by sector then product name.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InventoryVariance'
+ *       404:
+ *         description: Inventory not found
+ */
+controller.get("/:id/variances", (req, res, next) => {
+    inventoriesService.getVariances(Number(req.params.id))
+        .then((data) => {
+            if (data === null) {
+                throw new NotFoundError(`Inventory with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /inventories/{id}/approve:
+ *   post:
+ *     summary: Approve an inventory session and apply its variances to the stock
+ *     description: All adjustments are recorded as inventory_count movements in a single transaction.
+ *     tags: [Inventories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The inventory ID
+ *     responses:
+ *       200:
+ *         description: The approved session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         description: The session is not open
+ *       404:
+ *         description: Inventory not found
+ */
+controller.post(
+    "/:id/approve",
+    authorize(["inventories.approve"]),
+    (req, res, next) => {
+        inventoriesService.approve(Number(req.params.id), req.auth?.uid)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Inventory with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /inventories/{id}/cancel:
+ *   post:
+ *     summary: Cancel an open inventory session without touching the stock
+ *     tags: [Inventories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The inventory ID
+ *     responses:
+ *       200:
+ *         description: The cancelled session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         description: The session is not open
+ *       404:
+ *         description: Inventory not found
+ */
+controller.post(
+    "/:id/cancel",
+    authorize(["inventories.approve"]),
+    (req, res, next) => {
+        inventoriesService.cancel(Number(req.params.id))
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Inventory with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+module.exports = controller;
@@ -0,0 +1,19 @@
+const Joi = require("joi");
+
+// Schéma de validation pour ouvrir une session d'inventaire sur un ou plusieurs secteurs de stockage
+const openInventorySchema = Joi.object({
+    Sectors: Joi.array().items(Joi.string().max(100)).min(1).unique().required(),
+});
+
+// Schéma de validation pour saisir des quantités comptées, par ID de produit ou par code-barres scanné
+const submitCountsSchema = Joi.object({
+    Counts: Joi.array().items(
+        Joi.object({
+            Product_ID: Joi.number().integer(),
+            Barcode: Joi.string(),
+            Counted_Quantity: Joi.number().integer().min(0).required(),
+        }).xor("Product_ID", "Barcode")
+    ).min(1).required(),
+});
+
+module.exports = { openInventorySchema, submitCountsSchema };
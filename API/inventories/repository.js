@@ -0,0 +1,236 @@
+const getConnection = require("../common/db_handler");
+const stockRepository = require("../stocks/repository");
+const { InvalidArgumentError } = require("../common/service_errors");
+
+// Ouvre une session d'inventaire sur les secteurs donnés
+async function createOne(sectors, userId) {
+    if (!sectors || sectors.length === 0) {
+        throw new Error("createOne: sectors must be defined");
+    }
+
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            INSERT INTO Inventories (Opened_By)
+            VALUES (?)
+        `, [userId || null]);
+
+        for (const sector of sectors) {
+            await connection.execute(`
+                INSERT INTO Inventory_Sectors (Inventory_ID, StorageSector)
+                VALUES (?, ?)
+            `, [result.insertId, sector]);
+        }
+
+        await connection.commit();
+        return result.insertId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère toutes les sessions d'inventaire, les plus récentes d'abord
+async function getAll() {
+    const connection = await getConnection();
+    const query = `
+        SELECT i.*,
+               CONCAT(u.Firstname, ' ', u.Name)                        AS Opened_By_Name,
+               (SELECT GROUP_CONCAT(s.StorageSector ORDER BY s.StorageSector)
+                FROM Inventory_Sectors s
+                WHERE s.Inventory_ID = i.Inventory_ID)                 AS Sectors,
+               (SELECT COUNT(*)
+                FROM Inventory_Counts ic
+                WHERE ic.Inventory_ID = i.Inventory_ID)                AS Counted_Products
+        FROM Inventories i
+                 LEFT JOIN Users u ON i.Opened_By = u.User_ID
+        ORDER BY i.Opened_At DESC, i.Inventory_ID DESC
+    `;
+    const [rows] = await connection.execute(query);
+    await connection.end();
+    return rows.map(row => ({ ...row, Sectors: row.Sectors ? row.Sectors.split(",") : [] }));
+}
+
+// Récupère une session d'inventaire et ses secteurs
+async function getOne(id) {
+    if (!id) {
+        throw new Error("getOne: ID must be defined");
+    }
+
+    const connection = await getConnection();
+    const [rows] = await connection.execute(`
+        SELECT i.*,
+               CONCAT(u.Firstname, ' ', u.Name)  AS Opened_By_Name,
+               CONCAT(a.Firstname, ' ', a.Name)  AS Approved_By_Name
+        FROM Inventories i
+                 LEFT JOIN Users u ON i.Opened_By = u.User_ID
+                 LEFT JOIN Users a ON i.Approved_By = a.User_ID
+        WHERE i.Inventory_ID = ?
+    `, [id]);
+
+    if (rows.length === 0) {
+        await connection.end();
+        return null;
+    }
+
+    const [sectors] = await connection.execute(`
+        SELECT StorageSector
+        FROM Inventory_Sectors
+        WHERE Inventory_ID = ?
+        ORDER BY StorageSector
+    `, [id]);
+    await connection.end();
+
+    return { ...rows[0], Sectors: sectors.map(sector => sector.StorageSector) };
+}
+
+// Enregistre les quantités comptées. Un produit déjà compté est remplacé par le nouveau comptage,
+// et le stock théorique du moment est conservé pour calculer l'écart.
+async function saveCounts(id, counts, userId) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        for (const count of counts) {
+            const [products] = await connection.execute(`
+                SELECT p.Product_ID
+                FROM Products p
+                         JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
+                         JOIN Inventory_Sectors s ON s.StorageSector = c.StorageSector AND s.Inventory_ID = ?
+                WHERE ${count.Barcode ? "p.Barcode" : "p.Product_ID"} = ?
+                LIMIT 1
+            `, [id, count.Barcode || count.Product_ID]);
+
+            if (products.length === 0) {
+                throw new InvalidArgumentError(
+                    `Product ${count.Barcode || count.Product_ID} is unknown or is not stored in the sectors of this inventory.`
+                );
+            }
+            const productId = products[0].Product_ID;
+
+            await connection.execute(`
+                INSERT INTO Inventory_Counts (Inventory_ID, Product_ID, Counted_Quantity, Expected_Quantity, Counted_By)
+                SELECT ?, ?, ?, COALESCE(SUM(Quantity), 0), ?
+                FROM Stocks
+                WHERE Product_ID = ?
+                ON DUPLICATE KEY UPDATE Counted_Quantity  = VALUES(Counted_Quantity),
+                                        Expected_Quantity = VALUES(Expected_Quantity),
+                                        Counted_By        = VALUES(Counted_By),
+                                        Counted_At        = CURRENT_TIMESTAMP
+            `, [id, productId, count.Counted_Quantity, userId || null, productId]);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Compare, pour chaque produit des secteurs de la session, la quantité comptée au stock théorique
+async function getVariances(id) {
+    const connection = await getConnection();
+    const query = `
+        SELECT p.Product_ID,
+               p.Name,
+               p.Barcode,
+               c.Name                                      AS Category_Name,
+               c.StorageSector,
+               COALESCE(st.Quantity, 0)                    AS Current_Quantity,
+               ic.Expected_Quantity,
+               ic.Counted_Quantity,
+               ic.Counted_Quantity - ic.Expected_Quantity  AS Variance,
+               ic.Counted_At,
+               CONCAT(u.Firstname, ' ', u.Name)            AS Counted_By_Name
+        FROM Inventory_Sectors s
+                 JOIN ProductsCategories c ON c.StorageSector = s.StorageSector
+                 JOIN Products p ON p.Category_ID = c.Category_ID
+                 LEFT JOIN (SELECT Product_ID, SUM(Quantity) AS Quantity
+                            FROM Stocks
+                            GROUP BY Product_ID) st ON st.Product_ID = p.Product_ID
+                 LEFT JOIN Inventory_Counts ic ON ic.Inventory_ID = s.Inventory_ID AND ic.Product_ID = p.Product_ID
+                 LEFT JOIN Users u ON ic.Counted_By = u.User_ID
+        WHERE s.Inventory_ID = ?
+        ORDER BY c.StorageSector, p.Name
+    `;
+    const [rows] = await connection.execute(query, [id]);
+    await connection.end();
+    return rows.map(row => ({ ...row, Current_Quantity: Number(row.Current_Quantity) }));
+}
+
+// Applique tous les écarts de la session au stock en une seule transaction, puis clôture la session.
+// L'écart est appliqué au stock actuel, pour conserver les mouvements survenus depuis le comptage.
+async function approve(id, userId) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [sessions] = await connection.execute(`
+            SELECT Status
+            FROM Inventories
+            WHERE Inventory_ID = ?
+            FOR UPDATE
+        `, [id]);
+
+        if (sessions.length === 0) {
+            await connection.rollback();
+            return false;
+        }
+        if (sessions[0].Status !== "open") {
+            throw new InvalidArgumentError(`Inventory ${id} is ${sessions[0].Status} and cannot be approved.`);
+        }
+
+        const [counts] = await connection.execute(`
+            SELECT ic.Product_ID,
+                   ic.Counted_Quantity - ic.Expected_Quantity AS Variance,
+                   COALESCE((SELECT SUM(s.Quantity) FROM Stocks s WHERE s.Product_ID = ic.Product_ID), 0) AS Current_Quantity
+            FROM Inventory_Counts ic
+            WHERE ic.Inventory_ID = ?
+              AND ic.Counted_Quantity <> ic.Expected_Quantity
+        `, [id]);
+
+        for (const count of counts) {
+            const target = Math.max(0, Number(count.Current_Quantity) + count.Variance);
+            await stockRepository.setProductQuantity(connection, count.Product_ID, target, {
+                Reason: "inventory_count",
+                User_ID: userId,
+                Comment: `Inventaire n°${id}`
+            });
+        }
+
+        await connection.execute(`
+            UPDATE Inventories
+            SET Status = 'approved', Approved_By = ?, Approved_At = NOW()
+            WHERE Inventory_ID = ?
+        `, [userId || null, id]);
+
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Annule une session encore ouverte, sans toucher au stock
+async function cancel(id) {
+    const connection = await getConnection();
+    const [result] = await connection.execute(`
+        UPDATE Inventories
+        SET Status = 'cancelled'
+        WHERE Inventory_ID = ?
+          AND Status = 'open'
+    `, [id]);
+    await connection.end();
+    return result.affectedRows > 0;
+}
+
+module.exports = { createOne, getAll, getOne, saveCounts, getVariances, approve, cancel };
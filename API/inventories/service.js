@@ -0,0 +1,77 @@
+const { openInventorySchema, submitCountsSchema } = require("./model");
+const inventoryRepository = require("./repository");
+const { InvalidArgumentError } = require("../common/service_errors");
+
+// Fonction d'ouverture d'une session d'inventaire
+async function createOne(data, userId) {
+    const { error } = openInventorySchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const inventoryId = await inventoryRepository.createOne(data.Sectors, userId);
+    return await inventoryRepository.getOne(inventoryId);
+}
+
+// Fonction de récupération de toutes les sessions d'inventaire
+async function getAll() {
+    const inventories = await inventoryRepository.getAll();
+    return inventories.map(inventory => ({ ...inventory }));
+}
+
+// Fonction de récupération d'une session d'inventaire
+async function getOne(id) {
+    const inventory = await inventoryRepository.getOne(id);
+    return inventory ? { ...inventory } : null;
+}
+
+// Fonction de saisie des comptages d'une session ouverte
+async function submitCounts(id, data, userId) {
+    const { error } = submitCountsSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const inventory = await inventoryRepository.getOne(id);
+    if (!inventory) {
+        return null;
+    }
+    if (inventory.Status !== "open") {
+        throw new InvalidArgumentError(`Inventory ${id} is ${inventory.Status}, counts can no longer be submitted.`);
+    }
+
+    await inventoryRepository.saveCounts(id, data.Counts, userId);
+    return await inventoryRepository.getVariances(id);
+}
+
+// Fonction de récupération des écarts entre comptage et stock théorique
+async function getVariances(id) {
+    const inventory = await inventoryRepository.getOne(id);
+    if (!inventory) {
+        return null;
+    }
+    return await inventoryRepository.getVariances(id);
+}
+
+// Fonction de validation d'une session : les écarts sont appliqués au stock
+async function approve(id, userId) {
+    const approved = await inventoryRepository.approve(id, userId);
+    if (!approved) {
+        return null;
+    }
+    return await inventoryRepository.getOne(id);
+}
+
+// Fonction d'annulation d'une session ouverte
+async function cancel(id) {
+    const inventory = await inventoryRepository.getOne(id);
+    if (!inventory) {
+        return null;
+    }
+    if (!await inventoryRepository.cancel(id)) {
+        throw new InvalidArgumentError(`Inventory ${id} is ${inventory.Status} and cannot be cancelled.`);
+    }
+    return await inventoryRepository.getOne(id);
+}
+
+module.exports = { createOne, getAll, getOne, submitCounts, getVariances, approve, cancel };
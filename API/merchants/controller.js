@@ -0,0 +1,557 @@
+const { Router } = require("express");
+const merchantsService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+const {ownerOr} = require("../common/middlewares/policy_middleware");
+
+const controller = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Merchants
+ *   description: Merchant partners, their stores and recurring pickup agreements
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Merchant:
+ *       type: object
+ *       required:
+ *         - Name
+ *         - Contract_Start
+ *       properties:
+ *         Merchant_ID:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *         Siret:
+ *           type: string
+ *         Contact_User_ID:
+ *           type: integer
+ *           description: The user account of the merchant (merchant role), who receives the expected donations
+ *         Phone:
+ *           type: string
+ *         Email:
+ *           type: string
+ *         Contract_Start:
+ *           type: string
+ *           format: date
+ *         Contract_End:
+ *           type: string
+ *           format: date
+ *           description: Null for an open-ended contract
+ *         Active:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Whether the contract covers today
+ *         Stores:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/MerchantStore'
+ *       example:
+ *         Name: Boulangerie des Martyrs
+ *         Siret: "12345678900011"
+ *         Contract_Start: "2024-01-01"
+ *         Contract_End: null
+ *     MerchantStore:
+ *       type: object
+ *       properties:
+ *         Store_ID:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *         Address_ID:
+ *           type: integer
+ *         Agreements:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PickupAgreement'
+ *     PickupAgreement:
+ *       type: object
+ *       required:
+ *         - Weekday
+ *         - Window_Start
+ *         - Window_End
+ *         - Product_ID
+ *         - Expected_Quantity
+ *       properties:
+ *         Agreement_ID:
+ *           type: integer
+ *         Weekday:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: 1 = Monday ... 7 = Sunday
+ *         Window_Start:
+ *           type: string
+ *           example: "19:00"
+ *         Window_End:
+ *           type: string
+ *           example: "20:00"
+ *         Product_ID:
+ *           type: integer
+ *         Expected_Quantity:
+ *           type: integer
+ *     MerchantPickup:
+ *       type: object
+ *       description: The expected donations of a store for a day, grouped like GET /donations/notcollected
+ *       properties:
+ *         Address_ID:
+ *           type: integer
+ *         Street:
+ *           type: string
+ *         City:
+ *           type: string
+ *         Postal_Code:
+ *           type: string
+ *         Merchant_ID:
+ *           type: integer
+ *         Donors:
+ *           type: string
+ *           description: The merchant name
+ *         Store_Name:
+ *           type: string
+ *         Window_Start:
+ *           type: string
+ *         Window_End:
+ *           type: string
+ *         Total_Donations:
+ *           type: integer
+ *         Total_Quantity:
+ *           type: integer
+ *         Products:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Donation_ID:
+ *                 type: integer
+ *               Product_Name:
+ *                 type: string
+ *               Quantity:
+ *                 type: integer
+ */
+
+/**
+ * @swagger
+ * /merchants:
+ *   get:
+ *     summary: Get all merchant partners
+ *     tags: [Merchants]
+ *     responses:
+ *       200:
+ *         description: The list of merchants.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Merchant'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/", authorize(["merchants.manage"]), (_req, res, next) => {
+    merchantsService.getAll()
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/pickups:
+ *   get:
+ *     summary: Get the merchant pickups of a day that are not planned yet
+ *     description: The expected donations of the day are generated first from the pickup agreements, if needed.
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: The day (today by default)
+ *     responses:
+ *       200:
+ *         description: The pickups, by store.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MerchantPickup'
+ *       400:
+ *         description: Invalid date
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/pickups", authorize(["merchants.manage", "tours.manage"]), (req, res, next) => {
+    merchantsService.getPickups(req.query.date)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/pickups/generate:
+ *   post:
+ *     summary: Generate the expected donations of a period from the pickup agreements
+ *     tags: [Merchants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: The number of expected donations created (existing ones are kept).
+ *       400:
+ *         description: Invalid period (at most 92 days)
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/pickups/generate", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.generatePickups(req.body)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}:
+ *   get:
+ *     summary: Get a merchant with its stores and pickup agreements
+ *     description: Also available to the merchant's own contact user.
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *     responses:
+ *       200:
+ *         description: The merchant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Merchant'
+ *       404:
+ *         description: Merchant not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get(
+    "/:id",
+    ownerOr(async req => (await merchantsService.getOne(Number(req.params.id)))?.Contact_User_ID, ["merchants.manage"]),
+    (req, res, next) => {
+        merchantsService.getOne(Number(req.params.id))
+            .then((data) => {
+                if (!data) {
+                    throw new NotFoundError(`Merchant with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /merchants:
+ *   post:
+ *     summary: Create a merchant partner
+ *     tags: [Merchants]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Merchant'
+ *     responses:
+ *       201:
+ *         description: The created merchant.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Merchant'
+ *       400:
+ *         description: Invalid data
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.createOne(req.body)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}:
+ *   patch:
+ *     summary: Update a merchant or its contract dates
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Merchant'
+ *     responses:
+ *       200:
+ *         description: The updated merchant.
+ *       400:
+ *         description: Invalid data
+ *       404:
+ *         description: Merchant not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.patch("/:id", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.updateOne(Number(req.params.id), req.body)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Merchant with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}:
+ *   delete:
+ *     summary: Delete a merchant, its stores and agreements
+ *     description: Expected donations that are neither planned nor collected are deleted too.
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *     responses:
+ *       204:
+ *         description: Merchant deleted
+ *       404:
+ *         description: Merchant not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.deleteOne(Number(req.params.id))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Merchant with ID ${req.params.id} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}/stores:
+ *   post:
+ *     summary: Add a store to a merchant
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Name
+ *               - address
+ *             properties:
+ *               Name:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   street:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   postal_code:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: The merchant with its stores.
+ *       404:
+ *         description: Merchant not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/:id/stores", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.createStore(Number(req.params.id), req.body)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Merchant with ID ${req.params.id} not found`);
+            }
+            res.status(201).json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}/stores/{storeId}:
+ *   delete:
+ *     summary: Remove a store and its agreements
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *       - in: path
+ *         name: storeId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The store ID
+ *     responses:
+ *       204:
+ *         description: Store removed
+ *       404:
+ *         description: Store not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id/stores/:storeId", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.deleteStore(Number(req.params.id), Number(req.params.storeId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Store with ID ${req.params.storeId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}/stores/{storeId}/agreements:
+ *   post:
+ *     summary: Agree on a weekly pickup at a store
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *       - in: path
+ *         name: storeId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PickupAgreement'
+ *     responses:
+ *       201:
+ *         description: The merchant with its stores and agreements.
+ *       400:
+ *         description: Invalid data
+ *       404:
+ *         description: Store not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/:id/stores/:storeId/agreements", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.createAgreement(Number(req.params.id), Number(req.params.storeId), req.body)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Store with ID ${req.params.storeId} not found`);
+            }
+            res.status(201).json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /merchants/{id}/agreements/{agreementId}:
+ *   delete:
+ *     summary: End a pickup agreement
+ *     description: Its expected donations that are neither planned nor collected are deleted.
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The merchant ID
+ *       - in: path
+ *         name: agreementId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The agreement ID
+ *     responses:
+ *       204:
+ *         description: Agreement removed
+ *       404:
+ *         description: Agreement not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id/agreements/:agreementId", authorize(["merchants.manage"]), (req, res, next) => {
+    merchantsService.deleteAgreement(Number(req.params.id), Number(req.params.agreementId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Agreement with ID ${req.params.agreementId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+module.exports = controller;
@@ -0,0 +1,57 @@
+const Joi = require("joi");
+const { createAddressSchema } = require("../addresses/model");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Schéma de validation pour créer un commerçant partenaire et son contrat
+const createMerchantSchema = Joi.object({
+    Name: Joi.string().max(255).required(),
+    Siret: Joi.string().pattern(/^\d{14}$/).optional().allow(null),
+    Contact_User_ID: Joi.number().integer().optional().allow(null),
+    Phone: Joi.string().pattern(/^\+?\d{1,15}$/).optional().allow(null),
+    Email: Joi.string().email().optional().allow(null),
+    Contract_Start: Joi.date().iso().required(),
+    Contract_End: Joi.date().iso().min(Joi.ref("Contract_Start")).optional().allow(null),
+});
+
+// Schéma de validation pour mettre à jour un commerçant ou son contrat
+const updateMerchantSchema = Joi.object({
+    Name: Joi.string().max(255).optional(),
+    Siret: Joi.string().pattern(/^\d{14}$/).optional().allow(null),
+    Contact_User_ID: Joi.number().integer().optional().allow(null),
+    Phone: Joi.string().pattern(/^\+?\d{1,15}$/).optional().allow(null),
+    Email: Joi.string().email().optional().allow(null),
+    Contract_Start: Joi.date().iso().optional(),
+    Contract_End: Joi.date().iso().optional().allow(null),
+}).min(1);
+
+// Schéma de validation pour ajouter un magasin, avec son adresse
+const createStoreSchema = Joi.object({
+    Name: Joi.string().max(255).required(),
+    address: createAddressSchema.required(),
+});
+
+// Schéma de validation pour convenir d'une collecte hebdomadaire dans un magasin
+const createAgreementSchema = Joi.object({
+    Weekday: Joi.number().integer().min(1).max(7).required(), // 1 = lundi ... 7 = dimanche
+    Window_Start: Joi.string().pattern(TIME_PATTERN).required(),
+    Window_End: Joi.string().pattern(TIME_PATTERN).required(),
+    Product_ID: Joi.number().integer().required(),
+    Expected_Quantity: Joi.number().integer().min(1).required(),
+});
+
+// Schéma de validation pour générer les donations attendues sur une période
+const generatePickupsSchema = Joi.object({
+    from: Joi.string().pattern(DATE_PATTERN).required(),
+    to: Joi.string().pattern(DATE_PATTERN).required(),
+});
+
+module.exports = {
+    DATE_PATTERN,
+    createMerchantSchema,
+    updateMerchantSchema,
+    createStoreSchema,
+    createAgreementSchema,
+    generatePickupsSchema,
+};
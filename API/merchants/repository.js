@@ -0,0 +1,289 @@
+const getConnection = require("../common/db_handler");
+
+const MERCHANT_FIELDS = ["Name", "Siret", "Contact_User_ID", "Phone", "Email", "Contract_Start", "Contract_End"];
+
+// Les donations attendues encore ni planifiées ni collectées disparaissent avec leur accord de collecte
+async function deletePendingDonations(connection, agreementCondition, values) {
+    await connection.execute(`
+        DELETE d
+        FROM Donations d
+                 JOIN Pickup_Agreements pa ON pa.Agreement_ID = d.Agreement_ID
+                 JOIN Merchant_Stores s ON s.Store_ID = pa.Store_ID
+        WHERE ${agreementCondition}
+          AND d.Route_ID IS NULL
+          AND d.Collected = FALSE
+    `, values);
+}
+
+// Création d'un commerçant partenaire
+async function createOne(merchant) {
+    const connection = await getConnection();
+    try {
+        const fields = MERCHANT_FIELDS.filter(field => merchant[field] !== undefined);
+        const [result] = await connection.execute(
+            `INSERT INTO Merchants (${fields.join(", ")}) VALUES (${fields.map(() => "?").join(", ")})`,
+            fields.map(field => merchant[field])
+        );
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère tous les commerçants partenaires, avec le nombre de magasins et l'état du contrat
+async function getAll() {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT m.*,
+                   (SELECT COUNT(*) FROM Merchant_Stores s WHERE s.Merchant_ID = m.Merchant_ID) AS Total_Stores,
+                   m.Contract_Start <= CURDATE() AND (m.Contract_End IS NULL OR m.Contract_End >= CURDATE()) AS Active
+            FROM Merchants m
+            ORDER BY m.Name
+        `);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère un commerçant avec ses magasins et leurs accords de collecte
+async function getOne(id) {
+    const connection = await getConnection();
+    try {
+        const [merchants] = await connection.execute(`
+            SELECT m.*,
+                   m.Contract_Start <= CURDATE() AND (m.Contract_End IS NULL OR m.Contract_End >= CURDATE()) AS Active
+            FROM Merchants m
+            WHERE m.Merchant_ID = ?
+        `, [id]);
+        if (merchants.length === 0) {
+            return null;
+        }
+
+        const [stores] = await connection.execute(`
+            SELECT s.Store_ID, s.Name, s.Address_ID, a.Street, a.City, a.State, a.Postal_Code, a.Country
+            FROM Merchant_Stores s
+                     JOIN Address a ON a.Address_ID = s.Address_ID
+            WHERE s.Merchant_ID = ?
+            ORDER BY s.Name
+        `, [id]);
+        const [agreements] = await connection.execute(`
+            SELECT pa.*, p.Name AS Product_Name
+            FROM Pickup_Agreements pa
+                     JOIN Merchant_Stores s ON s.Store_ID = pa.Store_ID
+                     JOIN Products p ON p.Product_ID = pa.Product_ID
+            WHERE s.Merchant_ID = ?
+            ORDER BY pa.Weekday, pa.Window_Start
+        `, [id]);
+
+        return {
+            ...merchants[0],
+            Stores: stores.map(store => ({
+                ...store,
+                Agreements: agreements.filter(agreement => agreement.Store_ID === store.Store_ID)
+            }))
+        };
+    } finally {
+        await connection.end();
+    }
+}
+
+// Met à jour un commerçant ou les dates de son contrat
+async function updateOne(id, data) {
+    const connection = await getConnection();
+    try {
+        const fields = MERCHANT_FIELDS.filter(field => data[field] !== undefined);
+        const [result] = await connection.execute(
+            `UPDATE Merchants SET ${fields.map(field => `${field} = ?`).join(", ")} WHERE Merchant_ID = ?`,
+            [...fields.map(field => data[field]), id]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Supprime un commerçant, ses magasins et ses accords de collecte
+async function deleteOne(id) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        await deletePendingDonations(connection, "s.Merchant_ID = ?", [id]);
+        const [result] = await connection.execute('DELETE FROM Merchants WHERE Merchant_ID = ?', [id]);
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Ajoute un magasin à un commerçant
+async function createStore(merchantId, name, addressId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'INSERT INTO Merchant_Stores (Merchant_ID, Name, Address_ID) VALUES (?, ?, ?)',
+            [merchantId, name, addressId]
+        );
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getStore(merchantId, storeId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(
+            'SELECT * FROM Merchant_Stores WHERE Merchant_ID = ? AND Store_ID = ?',
+            [merchantId, storeId]
+        );
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteStore(merchantId, storeId) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        await deletePendingDonations(connection, "s.Merchant_ID = ? AND s.Store_ID = ?", [merchantId, storeId]);
+        const [result] = await connection.execute(
+            'DELETE FROM Merchant_Stores WHERE Merchant_ID = ? AND Store_ID = ?',
+            [merchantId, storeId]
+        );
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Ajoute un accord de collecte hebdomadaire à un magasin
+async function createAgreement(storeId, agreement) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(`
+            INSERT INTO Pickup_Agreements (Store_ID, Weekday, Window_Start, Window_End, Product_ID, Expected_Quantity)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [storeId, agreement.Weekday, agreement.Window_Start, agreement.Window_End, agreement.Product_ID, agreement.Expected_Quantity]);
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteAgreement(merchantId, agreementId) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        await deletePendingDonations(connection, "s.Merchant_ID = ? AND pa.Agreement_ID = ?", [merchantId, agreementId]);
+        const [result] = await connection.execute(`
+            DELETE pa
+            FROM Pickup_Agreements pa
+                     JOIN Merchant_Stores s ON s.Store_ID = pa.Store_ID
+            WHERE s.Merchant_ID = ?
+              AND pa.Agreement_ID = ?
+        `, [merchantId, agreementId]);
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Crée les donations attendues d'un jour à partir des accords dont le contrat couvre ce jour.
+// Une donation déjà générée pour un accord et un jour n'est pas recréée.
+async function generateExpectedDonations(date) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(`
+            INSERT INTO Donations (Product_ID, Quantity, Date, Donor_User_ID, Agreement_ID)
+            SELECT pa.Product_ID, pa.Expected_Quantity, ?, m.Contact_User_ID, pa.Agreement_ID
+            FROM Pickup_Agreements pa
+                     JOIN Merchant_Stores s ON s.Store_ID = pa.Store_ID
+                     JOIN Merchants m ON m.Merchant_ID = s.Merchant_ID
+            WHERE pa.Weekday = WEEKDAY(?) + 1
+              AND m.Contract_Start <= ?
+              AND (m.Contract_End IS NULL OR m.Contract_End >= ?)
+              AND NOT EXISTS (SELECT 1
+                              FROM Donations d
+                              WHERE d.Agreement_ID = pa.Agreement_ID
+                                AND d.Date = ?)
+        `, [date, date, date, date, date]);
+        return result.affectedRows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Collectes commerçants d'un jour encore à planifier, regroupées par magasin
+// (même forme que les donations non collectées, pour la création de tournée)
+async function getPickups(date) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT a.Address_ID,
+                   a.Street,
+                   a.City,
+                   a.State,
+                   a.Postal_Code,
+                   a.Country,
+                   m.Merchant_ID,
+                   m.Name              AS Donors,
+                   s.Store_ID,
+                   s.Name              AS Store_Name,
+                   MIN(pa.Window_Start) AS Window_Start,
+                   MAX(pa.Window_End)   AS Window_End,
+                   COUNT(d.Donation_ID) AS Total_Donations,
+                   SUM(d.Quantity)      AS Total_Quantity,
+                   JSON_ARRAYAGG(
+                           JSON_OBJECT(
+                                   'Donation_ID', d.Donation_ID,
+                                   'Product_Name', p.Name,
+                                   'Quantity', d.Quantity
+                           )
+                   )                    AS Products
+            FROM Donations d
+                     JOIN Pickup_Agreements pa ON pa.Agreement_ID = d.Agreement_ID
+                     JOIN Merchant_Stores s ON s.Store_ID = pa.Store_ID
+                     JOIN Merchants m ON m.Merchant_ID = s.Merchant_ID
+                     JOIN Address a ON a.Address_ID = s.Address_ID
+                     JOIN Products p ON p.Product_ID = d.Product_ID
+            WHERE d.Date = ?
+              AND d.Route_ID IS NULL
+              AND d.Collected = FALSE
+            GROUP BY s.Store_ID, a.Address_ID, m.Merchant_ID
+            ORDER BY Window_Start, m.Name
+        `, [date]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+module.exports = {
+    createOne,
+    getAll,
+    getOne,
+    updateOne,
+    deleteOne,
+    createStore,
+    getStore,
+    deleteStore,
+    createAgreement,
+    deleteAgreement,
+    generateExpectedDonations,
+    getPickups
+};
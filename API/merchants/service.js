@@ -0,0 +1,159 @@
+const {
+    DATE_PATTERN,
+    createMerchantSchema,
+    updateMerchantSchema,
+    createStoreSchema,
+    createAgreementSchema,
+    generatePickupsSchema
+} = require("./model");
+const Repository = require("./repository");
+const addressesService = require("../addresses/service");
+const { InvalidArgumentError } = require("../common/service_errors");
+
+// Au-delà, la génération des donations attendues doit être découpée en plusieurs appels
+const MAX_GENERATION_DAYS = 92;
+
+// Date du jour au format YYYY-MM-DD, dans le fuseau du serveur
+function today() {
+    const now = new Date();
+    return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+        .map(part => String(part).padStart(2, "0"))
+        .join("-");
+}
+
+// Jours de from à to inclus, au format YYYY-MM-DD
+function daysBetween(from, to) {
+    const days = [];
+    for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+async function createOne(merchant) {
+    const { error } = createMerchantSchema.validate(merchant);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    const merchantId = await Repository.createOne(merchant);
+    return await Repository.getOne(merchantId);
+}
+
+async function getAll() {
+    return await Repository.getAll();
+}
+
+async function getOne(id) {
+    return await Repository.getOne(id);
+}
+
+async function updateOne(id, data) {
+    const { error } = updateMerchantSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const current = await Repository.getOne(id);
+    if (!current) {
+        return null;
+    }
+    // La fin du contrat ne peut pas précéder son début, y compris quand une seule des deux dates change
+    const start = new Date(data.Contract_Start ?? current.Contract_Start);
+    const end = data.Contract_End === undefined ? current.Contract_End : data.Contract_End;
+    if (end && new Date(end) < start) {
+        throw new InvalidArgumentError("Contract_End must be on or after Contract_Start.");
+    }
+
+    await Repository.updateOne(id, data);
+    return await Repository.getOne(id);
+}
+
+async function deleteOne(id) {
+    return await Repository.deleteOne(id);
+}
+
+// Ajoute un magasin : son adresse est créée (et géocodée) avec lui
+async function createStore(merchantId, store) {
+    const { error } = createStoreSchema.validate(store);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    if (!(await Repository.getOne(merchantId))) {
+        return null;
+    }
+
+    const address = await addressesService.createOne(store.address);
+    await Repository.createStore(merchantId, store.Name, address.Address_ID);
+    return await Repository.getOne(merchantId);
+}
+
+async function deleteStore(merchantId, storeId) {
+    return await Repository.deleteStore(merchantId, storeId);
+}
+
+// Ajoute une collecte hebdomadaire convenue avec un magasin
+async function createAgreement(merchantId, storeId, agreement) {
+    const { error } = createAgreementSchema.validate(agreement);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    const withSeconds = time => (time.length === 5 ? `${time}:00` : time);
+    if (withSeconds(agreement.Window_End) <= withSeconds(agreement.Window_Start)) {
+        throw new InvalidArgumentError("Window_End must be after Window_Start.");
+    }
+    if (!(await Repository.getStore(merchantId, storeId))) {
+        return null;
+    }
+
+    await Repository.createAgreement(storeId, agreement);
+    return await Repository.getOne(merchantId);
+}
+
+async function deleteAgreement(merchantId, agreementId) {
+    return await Repository.deleteAgreement(merchantId, agreementId);
+}
+
+// Génère les donations attendues de chaque jour de la période
+async function generatePickups(data) {
+    const { error } = generatePickupsSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const days = daysBetween(data.from, data.to);
+    if (days.length === 0) {
+        throw new InvalidArgumentError("to must be on or after from.");
+    }
+    if (days.length > MAX_GENERATION_DAYS) {
+        throw new InvalidArgumentError(`The period cannot exceed ${MAX_GENERATION_DAYS} days.`);
+    }
+
+    let generated = 0;
+    for (const day of days) {
+        generated += await Repository.generateExpectedDonations(day);
+    }
+    return { from: data.from, to: data.to, generated };
+}
+
+// Collectes commerçants d'un jour (aujourd'hui par défaut), générées à la volée si besoin
+async function getPickups(date = today()) {
+    if (!DATE_PATTERN.test(date) || isNaN(new Date(date))) {
+        throw new InvalidArgumentError("date must be in the YYYY-MM-DD format.");
+    }
+    await Repository.generateExpectedDonations(date);
+    return await Repository.getPickups(date);
+}
+
+module.exports = {
+    createOne,
+    getAll,
+    getOne,
+    updateOne,
+    deleteOne,
+    createStore,
+    deleteStore,
+    createAgreement,
+    deleteAgreement,
+    generatePickups,
+    getPickups
+};
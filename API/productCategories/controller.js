@@ -23,6 +23,14 @@ const controller = Router();
  *         StorageSector:
  *           type: string
  *           description: The storage sector for the category
+ *         Min_Quantity:
+ *           type: integer
+ *           nullable: true
+ *           description: The default minimum stock level of the products of the category
+ *         Unit_Volume:
+ *           type: number
+ *           nullable: true
+ *           description: The default volume of one unit in litres
  *       example:
  *         Category_ID: 1
  *         Name: "Fruits et Légumes"
@@ -152,9 +160,12 @@ controller.post(
  */
 controller.delete(
     "/:id",
-    authorize(["admin"]),
+    authorize(["catalogue.manage"]),
     (req, res, next) => {
-        categoriesService.deleteOne(Number(req.params.id), req.user)
+        categoriesService.deleteOne(Number(req.params.id), {
+            id: req.auth?.uid,
+            permissions: req.auth?.uperms,
+        })
             .then((deleted) => {
                 if (!deleted) {
                     throw new NotFoundError(`Category with ID ${req.params.id} not found`);
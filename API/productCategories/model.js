@@ -4,12 +4,16 @@ const Joi = require("joi");
 const createCategorySchema = Joi.object({
     Name: Joi.string().required(),
     StorageSector: Joi.string().optional(),  // Optional field for StorageSector
+    Min_Quantity: Joi.number().integer().min(0).allow(null).optional(),
+    Unit_Volume: Joi.number().min(0).allow(null).optional(), // Volume d'une unité en litres
 });
 
 // Schéma de validation pour mettre à jour une catégorie de produit
 const updateCategorySchema = Joi.object({
     Name: Joi.string().optional(),
     StorageSector: Joi.string().optional(),
+    Min_Quantity: Joi.number().integer().min(0).allow(null).optional(),
+    Unit_Volume: Joi.number().min(0).allow(null).optional(), // Volume d'une unité en litres
 }).min(1);
 
 module.exports = {
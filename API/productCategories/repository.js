@@ -11,10 +11,15 @@ async function createOne(category) {
         await connection.beginTransaction();
 
         const query = `
-            INSERT INTO ProductsCategories (Name, StorageSector)
-            VALUES (?, ?)
+            INSERT INTO ProductsCategories (Name, StorageSector, Min_Quantity, Unit_Volume)
+            VALUES (?, ?, ?, ?)
         `;
-        const [result] = await connection.execute(query, [category.Name, category.StorageSector]);
+        const [result] = await connection.execute(query, [
+            category.Name,
+            category.StorageSector,
+            category.Min_Quantity ?? null,
+            category.Unit_Volume ?? null
+        ]);
 
         await connection.commit();
         return result.insertId;
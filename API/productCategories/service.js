@@ -62,7 +62,7 @@ async function deleteOne(id, issuer) {
     if (!category) {
         throw new Error(`Category with ID ${id} does not exist`);
     }
-    if (issuer?.role !== "admin") {
+    if (!issuer?.permissions?.includes("catalogue.manage")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer une catégorie sans être un administrateur.");
     }
     return await categoryRepository.deleteOne(id);
@@ -31,6 +31,22 @@ const controller = Router();
  *         Category_Name:
  *           type: string
  *           description: The name of the category (joined from the category table)
+ *         Min_Quantity:
+ *           type: integer
+ *           nullable: true
+ *           description: The minimum stock level of the product (null to use the threshold of its category)
+ *         Category_Min_Quantity:
+ *           type: integer
+ *           nullable: true
+ *           description: The minimum stock level of the category (joined from the category table)
+ *         Allergens:
+ *           type: string
+ *           nullable: true
+ *           description: The allergens of the product, separated by commas
+ *         Unit_Volume:
+ *           type: number
+ *           nullable: true
+ *           description: The volume of one unit in litres, used for the truck load (null to use the volume of its category)
  *       example:
  *         Product_ID: 1
  *         Barcode: "1234567890123"
@@ -71,6 +87,101 @@ controller.get(
     },
 );
 
+/**
+ * @swagger
+ * /products/barcode/{barcode}:
+ *   get:
+ *     summary: Get an existing product by its barcode
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The EAN/UPC barcode of the product
+ *     responses:
+ *       200:
+ *         description: The product with this barcode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid barcode
+ *       404:
+ *         description: No product with this barcode
+ */
+controller.get(
+    "/barcode/:barcode",
+    (req, res, next) => {
+        productsService.getOneByBarcode(req.params.barcode)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Product with barcode ${req.params.barcode} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /products/barcode/{barcode}:
+ *   post:
+ *     summary: Resolve a barcode to a product, importing it from the offline product database if unknown
+ *     description: The offline database is a JSON or CSV product dump (Open Food Facts format), chosen with the PRODUCT_LOOKUP_PROVIDER and PRODUCT_LOOKUP_FILE environment variables.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The EAN/UPC barcode of the product
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Category_ID:
+ *                 type: integer
+ *                 description: The category to use for an imported product whose category cannot be deduced
+ *     responses:
+ *       200:
+ *         description: The existing product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       201:
+ *         description: The product imported from the offline database
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid barcode, or category of the imported product unknown
+ *       404:
+ *         description: Barcode unknown in the database and in the offline product database
+ */
+controller.post(
+    "/barcode/:barcode",
+    (req, res, next) => {
+        productsService.resolveBarcode(req.params.barcode, req.body)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Product with barcode ${req.params.barcode} not found`);
+                }
+                res.status(data.created ? 201 : 200).json(data.product);
+            })
+            .catch((err) => next(err));
+    },
+);
+
 /**
  * @swagger
  * /products/{id}:
@@ -167,9 +278,12 @@ controller.post(
  */
 controller.delete(
     "/:id",
-    authorize(["admin"]),
+    authorize(["catalogue.manage"]),
     (req, res, next) => {
-        productsService.deleteOne(Number(req.params.id), req.user)
+        productsService.deleteOne(Number(req.params.id), {
+            id: req.auth?.uid,
+            permissions: req.auth?.uperms,
+        })
             .then((deleted) => {
                 if (!deleted) {
                     throw new NotFoundError(`Product with ID ${req.params.id} not found`);
@@ -0,0 +1,54 @@
+// Mots-clés des catégories Open Food Facts (en anglais ou en français) pour chaque catégorie de la banque alimentaire
+const CATEGORY_KEYWORDS = {
+    "Fruits et Légumes": ["fruit", "vegetable", "legume", "plant based foods"],
+    "Viandes et Poissons": ["meat", "viande", "fish", "poisson", "seafood", "poultr", "volaille"],
+    "Pains et Pâtisseries": ["bread", "pain", "pastr", "patisserie", "viennoiserie", "brioche"],
+    "Crèmerie et Produits laitiers": ["dair", "laitier", "milk", "lait", "cheese", "fromage", "yogurt", "yaourt", "butter", "beurre", "cream"],
+    "Charcuterie et Traiteur": ["charcuterie", "ham", "jambon", "sausage", "saucisse", "prepared meals", "plats prepares"],
+    "Surgelés": ["frozen", "surgele"],
+    "Boissons": ["beverage", "boisson", "drink", "water", "eau", "juice", "jus", "soda", "coffee", "cafe", "tea"],
+    "Épicerie salée": ["pasta", "pate", "rice", "riz", "cereal", "canned", "conserve", "sauce", "soup", "soupe", "oil", "huile", "salt", "condiment"],
+    "Épicerie sucrée": ["sweet", "sucre", "snack", "biscuit", "chocolate", "chocolat", "confectioner", "confiserie", "jam", "confiture", "honey", "miel", "breakfast"],
+    "Produits du monde": ["world", "monde", "asian", "asiatique", "mexican", "oriental"],
+    "Nutrition et Végétale": ["vegan", "vegetarian", "vegetal", "meat analogue", "plant based milk", "dietary", "organic"],
+    "Bébé": ["baby", "bebe", "infant", "nourrisson"],
+    "Entretien et Nettoyage": ["cleaning", "entretien", "detergent", "lessive"],
+    "Hygiène et Beauté": ["hygiene", "beauty", "beaute", "shampoo", "shampoing", "soap", "savon", "toothpaste", "dentifrice"],
+    "Parapharmacie": ["parapharmac", "pharmac", "health", "sante"],
+};
+
+const normalize = (str) => String(str).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+// Retrouve la catégorie existante correspondant aux catégories d'un produit importé.
+// Les catégories du produit vont de la plus générale à la plus précise : on part de la plus précise.
+function findCategory(labels, categories) {
+    const candidates = labels.map(normalize).reverse();
+
+    for (const label of candidates) {
+        const exact = categories.find(category => normalize(category.Name) === label);
+        if (exact) {
+            return exact;
+        }
+    }
+
+    for (const label of candidates) {
+        // Le mot-clé doit commencer un mot ("eau" ne doit pas reconnaître "beauté") ; le premier mot reconnu
+        // l'emporte, pour que "baby cereals" aille en Bébé et "frozen fishes" en Surgelés
+        let best = null;
+        for (const [name, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+            for (const keyword of keywords) {
+                const match = new RegExp(`(^|\\s)${keyword}`).exec(label);
+                if (match && (!best || match.index < best.index)) {
+                    best = { name, index: match.index };
+                }
+            }
+        }
+        const category = best && categories.find(category => normalize(category.Name) === normalize(best.name));
+        if (category) {
+            return category;
+        }
+    }
+    return null;
+}
+
+module.exports = { findCategory };
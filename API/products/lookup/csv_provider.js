@@ -0,0 +1,72 @@
+const { normalizeProduct, readDump } = require("./normalize");
+
+// Découpe une ligne CSV en gérant les champs entre guillemets
+function splitLine(line, delimiter) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+// Fournisseur lisant un export CSV de type Open Food Facts (séparateur tabulation, virgule ou point-virgule
+// détecté sur l'en-tête). Les colonnes reconnues sont code, product_name, categories(_tags) et allergens(_tags).
+function createCsvProvider(filePath) {
+    let index = null;
+
+    async function load() {
+        if (index) {
+            return index;
+        }
+        const content = await readDump(filePath);
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== "");
+        index = new Map();
+        if (lines.length === 0) {
+            return index;
+        }
+
+        const delimiter = ["\t", ";", ","].find(candidate => lines[0].includes(candidate)) || ",";
+        const headers = splitLine(lines[0], delimiter).map(header => header.trim());
+
+        for (const line of lines.slice(1)) {
+            const values = splitLine(line, delimiter);
+            const raw = Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+            const product = normalizeProduct(raw);
+            if (product) {
+                index.set(product.Barcode, product);
+            }
+        }
+        return index;
+    }
+
+    return {
+        name: "csv",
+        async lookup(barcode) {
+            const products = await load();
+            return products.get(barcode) || null;
+        },
+    };
+}
+
+module.exports = createCsvProvider;
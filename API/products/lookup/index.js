@@ -0,0 +1,41 @@
+const path = require("path");
+const createJsonProvider = require("./json_provider");
+const createCsvProvider = require("./csv_provider");
+
+// Fournisseurs de recherche de produits par code-barres, sélectionnés par PRODUCT_LOOKUP_PROVIDER.
+// Un fournisseur est une fabrique (filePath) => { name, lookup(barcode) } renvoyant un produit normalisé ou null.
+const providers = {
+    json: createJsonProvider,
+    csv: createCsvProvider,
+    none: () => ({ name: "none", lookup: async () => null }),
+};
+
+let provider = null;
+
+// Permet de brancher un autre fournisseur (API distante, autre format d'export...)
+function registerProvider(name, factory) {
+    providers[name] = factory;
+    provider = null;
+}
+
+function getProvider() {
+    if (provider) {
+        return provider;
+    }
+
+    const name = process.env.PRODUCT_LOOKUP_PROVIDER || "json";
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown product lookup provider: ${name}`);
+    }
+    const defaultFile = path.join(__dirname, "../../data", name === "csv" ? "products.csv" : "products.json");
+    provider = factory(process.env.PRODUCT_LOOKUP_FILE || defaultFile);
+    return provider;
+}
+
+// Recherche un produit dans la base hors ligne configurée
+async function lookup(barcode) {
+    return await getProvider().lookup(barcode);
+}
+
+module.exports = { lookup, registerProvider };
@@ -0,0 +1,35 @@
+const { normalizeProduct, readDump } = require("./normalize");
+
+// Fournisseur lisant un export JSON de type Open Food Facts :
+// soit un tableau de produits, soit un objet { products: [...] }
+function createJsonProvider(filePath) {
+    let index = null;
+
+    async function load() {
+        if (index) {
+            return index;
+        }
+        const content = await readDump(filePath);
+        const data = content ? JSON.parse(content) : [];
+        const products = Array.isArray(data) ? data : data.products || [];
+
+        index = new Map();
+        for (const raw of products) {
+            const product = normalizeProduct(raw);
+            if (product) {
+                index.set(product.Barcode, product);
+            }
+        }
+        return index;
+    }
+
+    return {
+        name: "json",
+        async lookup(barcode) {
+            const products = await load();
+            return products.get(barcode) || null;
+        },
+    };
+}
+
+module.exports = createJsonProvider;
@@ -0,0 +1,44 @@
+const fs = require("fs/promises");
+
+// Transforme une liste Open Food Facts ("en:milk,en:gluten" ou ["en:milk"]) en libellés lisibles
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(",");
+    return items
+        .map(item => String(item).trim().replace(/^[a-z]{2}:/, "").replace(/-/g, " "))
+        .filter(Boolean);
+}
+
+// Ramène un produit brut d'un export au format commun des fournisseurs :
+// { Barcode, Name, Categories: [..], Allergens: [..] }, ou null s'il est inexploitable
+function normalizeProduct(raw) {
+    const barcode = String(raw.code ?? raw.Barcode ?? "").trim();
+    const name = String(raw.product_name_fr || raw.product_name || raw.Name || "").trim();
+    if (!barcode || !name) {
+        return null;
+    }
+
+    return {
+        Barcode: barcode,
+        Name: name,
+        Categories: toList(raw.categories_tags || raw.categories || raw.Category),
+        Allergens: toList(raw.allergens_tags || raw.allergens || raw.Allergens),
+    };
+}
+
+// Lit le fichier d'export ; une base absente n'est pas une erreur, les recherches ne trouvent simplement rien
+async function readDump(filePath) {
+    try {
+        return await fs.readFile(filePath, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            console.warn(`Product database file not found: ${filePath}`);
+            return "";
+        }
+        throw error;
+    }
+}
+
+module.exports = { normalizeProduct, readDump };
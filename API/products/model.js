@@ -5,6 +5,9 @@ const createProductSchema = Joi.object({
     Barcode: Joi.string().required(),
     Name: Joi.string().required(),
     Category_ID: Joi.number().required(),
+    Min_Quantity: Joi.number().integer().min(0).allow(null).optional(),
+    Unit_Volume: Joi.number().min(0).allow(null).optional(), // Volume d'une unité en litres
+    Allergens: Joi.string().max(255).allow(null, "").optional(),
 });
 
 // Schéma de validation pour mettre à jour un produit
@@ -12,9 +15,19 @@ const updateProductSchema = Joi.object({
     Barcode: Joi.string().optional(),
     Name: Joi.string().optional(),
     Category_ID: Joi.number().optional(),
+    Min_Quantity: Joi.number().integer().min(0).allow(null).optional(),
+    Unit_Volume: Joi.number().min(0).allow(null).optional(), // Volume d'une unité en litres
+    Allergens: Joi.string().max(255).allow(null, "").optional(),
 }).min(1);
 
+// Schéma de validation pour la recherche d'un produit par code-barres
+const barcodeLookupSchema = Joi.object({
+    Barcode: Joi.string().pattern(/^[0-9]{6,50}$/).required(),
+    Category_ID: Joi.number().integer().optional(), // Catégorie à utiliser si elle ne peut pas être déduite
+});
+
 module.exports = {
     createProductSchema,
     updateProductSchema,
+    barcodeLookupSchema,
 };
@@ -11,10 +11,17 @@ async function createOne(product) {
         await connection.beginTransaction();
 
         const query = `
-            INSERT INTO Products (Barcode, Name, Category_ID)
-            VALUES (?, ?, ?)
+            INSERT INTO Products (Barcode, Name, Category_ID, Min_Quantity, Allergens, Unit_Volume)
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
-        const [result] = await connection.execute(query, [product.Barcode, product.Name, product.Category_ID]);
+        const [result] = await connection.execute(query, [
+            product.Barcode,
+            product.Name,
+            product.Category_ID,
+            product.Min_Quantity ?? null,
+            product.Allergens || null,
+            product.Unit_Volume ?? null
+        ]);
 
         await connection.commit();
         return result.insertId;
@@ -34,7 +41,7 @@ async function getOne(id) {
 
     const connection = await getConnection();
     const query = `
-        SELECT p.*, c.Name AS Category_Name, c.StorageSector
+        SELECT p.*, c.Name AS Category_Name, c.StorageSector, c.Min_Quantity AS Category_Min_Quantity
         FROM Products p
                  LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
         WHERE p.Product_ID = ?
@@ -53,7 +60,7 @@ async function getOneBy(attribute, value) {
     const connection = await getConnection();
     console.log(`Searching by ${attribute}: ${value}`);
     const query = `
-        SELECT p.*, c.Name AS Category_Name, c.StorageSector
+        SELECT p.*, c.Name AS Category_Name, c.StorageSector, c.Min_Quantity AS Category_Min_Quantity
         FROM Products p
                  LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
         WHERE p.${attribute} = ?
@@ -68,7 +75,7 @@ async function getOneBy(attribute, value) {
 async function getAll() {
     const connection = await getConnection();
     const query = `
-        SELECT p.*, c.Name AS Category_Name, c.StorageSector
+        SELECT p.*, c.Name AS Category_Name, c.StorageSector, c.Min_Quantity AS Category_Min_Quantity
         FROM Products p
                  LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
     `;
@@ -1,5 +1,8 @@
-const { createProductSchema, updateProductSchema } = require("./model");
+const { createProductSchema, updateProductSchema, barcodeLookupSchema } = require("./model");
 const productRepository = require("./repository");
+const categoryRepository = require("../productCategories/repository");
+const productLookup = require("./lookup");
+const { findCategory } = require("./lookup/category_mapping");
 const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
 
 // Fonction de création d'un produit
@@ -42,6 +45,54 @@ async function getAll() {
     return products;
 }
 
+// Fonction de récupération d'un produit existant à partir de son code-barres
+async function getOneByBarcode(barcode) {
+    const { error } = barcodeLookupSchema.validate({ Barcode: barcode });
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    const products = await productRepository.getOneBy("Barcode", barcode);
+    return products.length > 0 ? { ...products[0] } : null;
+}
+
+// Fonction de résolution d'un code-barres : produit existant, ou produit créé à partir de la base hors ligne.
+// Renvoie null si le code-barres n'est connu ni en base ni dans la base hors ligne.
+async function resolveBarcode(barcode, data = {}) {
+    const { error } = barcodeLookupSchema.validate({ ...data, Barcode: barcode });
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const existing = await getOneByBarcode(barcode);
+    if (existing) {
+        return { product: existing, created: false };
+    }
+
+    const imported = await productLookup.lookup(barcode);
+    if (!imported) {
+        return null;
+    }
+
+    let categoryId = data.Category_ID;
+    if (!categoryId) {
+        const category = findCategory(imported.Categories, await categoryRepository.getAll());
+        if (!category) {
+            throw new InvalidArgumentError(
+                `The category of product ${barcode} (${imported.Name}) could not be determined, Category_ID must be given.`
+            );
+        }
+        categoryId = category.Category_ID;
+    }
+
+    const productId = await productRepository.createOne({
+        Barcode: imported.Barcode,
+        Name: imported.Name.substring(0, 100),
+        Category_ID: categoryId,
+        Allergens: imported.Allergens.join(", ").substring(0, 255)
+    });
+    return { product: await productRepository.getOne(productId), created: true };
+}
+
 // Fonction de mise à jour d'un produit en fonction de son ID
 async function updateOne(id, productData) {
     const existing = await productRepository.getOne(id);
@@ -66,10 +117,10 @@ async function deleteOne(id, issuer) {
     if (!product) {
         throw new Error(`Product with ID ${id} does not exist`);
     }
-    if (issuer?.role !== "admin") {
+    if (!issuer?.permissions?.includes("catalogue.manage")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer un produit sans être un administrateur.");
     }
     return await productRepository.deleteOne(id);
 }
 
-module.exports = { createOne, getOne, getOneBy, getAll, updateOne, deleteOne };
+module.exports = { createOne, getOne, getOneBy, getOneByBarcode, resolveBarcode, getAll, updateOne, deleteOne };
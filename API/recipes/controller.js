@@ -273,9 +273,12 @@ controller.patch(
  */
 controller.delete(
     "/:id",
-    authorize(["admin"]),
+    authorize(["catalogue.manage"]),
     (req, res, next) => {
-        recipeService.deleteRecipe(Number(req.params.id))
+        recipeService.deleteRecipe(Number(req.params.id), {
+            id: req.auth?.uid,
+            permissions: req.auth?.uperms,
+        })
             .then((deleted) => {
                 if (!deleted) {
                     throw new NotFoundError(`Recipe with ID ${req.params.id} not found`);
@@ -112,7 +112,7 @@ async function deleteRecipe(id, issuer) {
     if (!recipe) {
         throw new Error(`Recipe with ID ${id} does not exist`);
     }
-    if (issuer?.role !== "admin") {
+    if (!issuer?.permissions?.includes("catalogue.manage")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer une recette sans être un administrateur.");
     }
     await recipeRepository.deleteRecipe(id);
@@ -1,6 +1,7 @@
 const { Router } = require("express");
 const registrationsService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
+const {selfOrAdmin} = require("../common/middlewares/policy_middleware");
 
 const controller = Router();
 
@@ -81,7 +82,7 @@ controller.get("/", (_req, res, next) => {
  *       404:
  *         description: User or ticket not found.
  */
-controller.post("/:ticketId/:userId", (req, res, next) => {
+controller.post("/:ticketId/:userId", selfOrAdmin("userId"), (req, res, next) => {
     registrationsService.createOne(Number(req.params.ticketId), Number(req.params.userId))
         .then(() => res.status(201).json({ message: "User successfully registered to the ticket." }))
         .catch((err) => next(err));
@@ -114,7 +115,7 @@ controller.post("/:ticketId/:userId", (req, res, next) => {
  *       404:
  *         description: Registration not found.
  */
-controller.delete("/:ticketId/:userId", (req, res, next) => {
+controller.delete("/:ticketId/:userId", selfOrAdmin("userId"), (req, res, next) => {
     registrationsService.deleteOne(Number(req.params.ticketId), Number(req.params.userId))
         .then(() => res.status(204).json())
         .catch((err) => next(err));
@@ -181,7 +182,7 @@ controller.get("/ticket/:ticketId", (req, res, next) => {
  *       404:
  *         description: No registrations found for the user.
  */
-controller.get("/user/:userId", (req, res, next) => {
+controller.get("/user/:userId", selfOrAdmin("userId"), (req, res, next) => {
     registrationsService.getAllForUser(Number(req.params.userId))
         .then((data) => {
             if (data.length === 0) {
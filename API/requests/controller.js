@@ -2,6 +2,7 @@ const {Router} = require("express");
 const requestsService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
 const authorize = require("../common/middlewares/authorize_middleware");
+const {ownerOr, selfOrAdmin, selfOrAdminBody} = require("../common/middlewares/policy_middleware");
 
 
 const controller = Router();
@@ -25,10 +26,29 @@ const controller = Router();
  *         Date:
  *           type: string
  *           format: date
- *           description: The date of the request
+ *           readOnly: true
+ *           description: The date of the request, set by the server on creation
  *         User_ID:
  *           type: integer
  *           description: The ID of the user making the request
+ *         Order_ID:
+ *           type: integer
+ *           readOnly: true
+ *           description: The order the request was submitted with (nullable)
+ *         Status:
+ *           type: string
+ *           enum: [submitted, approved, rejected, scheduled, delivered, cancelled]
+ *           readOnly: true
+ *           description: Where the request stands in its lifecycle
+ *         Rejection_Reason:
+ *           type: string
+ *           readOnly: true
+ *           description: Why the request was rejected (nullable)
+ *         Status_Date:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the status last changed
  *       required:
  *         - Product_ID
  *         - Quantity
@@ -116,7 +136,7 @@ controller.get("/notcollected", (req, res, next) => {
  *       404:
  *         description: Request not found
  */
-controller.get("/user/:userID", (req, res, next) => {
+controller.get("/user/:userID", selfOrAdmin("userID"), (req, res, next) => {
     requestsService.getOneUserID(Number(req.params.userID))
         .then((data) => {
             if (!data || data.length === 0) {
@@ -258,12 +278,235 @@ controller.get("/:id", (req, res, next) => {
  *             schema:
  *               $ref: '#/components/schemas/Request'
  */
-controller.post("/", (req, res, next) => {
-    requestsService.createOne(req.body)
+controller.post("/", authorize(["requests.create"]), selfOrAdminBody("User_ID"), (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    requestsService.createOne(req.body, issuer)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         Order_ID:
+ *           type: integer
+ *           readOnly: true
+ *         User_ID:
+ *           type: integer
+ *         Date:
+ *           type: string
+ *           format: date
+ *           readOnly: true
+ *           description: The date of the requests, set by the server on creation
+ *         Created_At:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         Items:
+ *           type: array
+ *           description: On creation, the products and quantities; in responses, the requests of the order
+ *           items:
+ *             oneOf:
+ *               - type: object
+ *                 properties:
+ *                   Product_ID:
+ *                     type: integer
+ *                   Quantity:
+ *                     type: integer
+ *               - $ref: '#/components/schemas/Request'
+ *       required:
+ *         - User_ID
+ *         - Items
+ */
+
+/**
+ * @swagger
+ * /requests/orders:
+ *   post:
+ *     summary: Submit several products as a single order
+ *     description: >
+ *       Creates one submitted request per product, all or nothing. Each quantity must be available
+ *       once the baskets of the other households are served, and the order must fit the household quotas.
+ *       The basket of the user is emptied.
+ *     tags: [Requests]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Order'
+ *     responses:
+ *       201:
+ *         description: Order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Not enough stock, or quota exceeded
+ *       403:
+ *         description: The household is not eligible
+ */
+controller.post("/orders", authorize(["requests.create"]), selfOrAdminBody("User_ID"), (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    requestsService.createOrder(req.body, issuer)
         .then((data) => res.status(201).json(data))
         .catch((err) => next(err));
 });
 
+/**
+ * @swagger
+ * /requests/orders/{orderId}:
+ *   get:
+ *     summary: Get an order with its requests
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Order not found
+ */
+controller.get("/orders/:orderId", ownerOr(async req => {
+    const order = await requestsService.getOrder(req.params.orderId);
+    return order?.User_ID;
+}, ["requests.manage"]), (req, res, next) => {
+    requestsService.getOrder(req.params.orderId)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Order with ID ${req.params.orderId} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /requests/{id}/status:
+ *   patch:
+ *     summary: Approve, reject or cancel a request
+ *     description: |
+ *       Allowed transitions: submitted -> approved, rejected or cancelled; approved -> cancelled.
+ *       Approval and rejection require the requests.manage permission; the requester can cancel their own request.
+ *       Scheduling and delivery are recorded by the tours.
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the request
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Status
+ *             properties:
+ *               Status:
+ *                 type: string
+ *                 enum: [approved, rejected, cancelled]
+ *               Reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: The updated request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Transition not allowed from the current status, or not enough available stock to approve
+ *       403:
+ *         description: Not allowed to make this change
+ *       404:
+ *         description: Request not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.patch("/:id/status", (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    requestsService.changeStatus(Number(req.params.id), req.body, issuer)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Request with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /requests/{id}/history:
+ *   get:
+ *     summary: Get the status history of a request
+ *     tags: [Requests]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the request
+ *     responses:
+ *       200:
+ *         description: The status changes, oldest first, with who made them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   Status:
+ *                     type: string
+ *                   Reason:
+ *                     type: string
+ *                   Changed_At:
+ *                     type: string
+ *                     format: date-time
+ *                   Changed_By:
+ *                     type: integer
+ *                   Changed_By_Name:
+ *                     type: string
+ *       404:
+ *         description: Request not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/:id/history", ownerOr(async req => {
+    const request = await requestsService.getOneRequest(Number(req.params.id));
+    return request?.[0]?.User.User_ID;
+}, ["requests.manage"]), (req, res, next) => {
+    requestsService.getHistory(Number(req.params.id))
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Request with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
 /**
  * @swagger
  * /requests/{id}:
@@ -301,6 +544,7 @@ controller.delete("/:id", (req, res, next) => {
  * /requests/{id}:
  *   patch:
  *     summary: Update a request by ID
+ *     description: Only the quantity of a submitted request can change, by its requester or a request manager. The new quantity must fit the eligibility and the quotas of the household.
  *     tags: [Requests]
  *     parameters:
  *       - in: path
@@ -314,7 +558,11 @@ controller.delete("/:id", (req, res, next) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Request'
+ *             type: object
+ *             properties:
+ *               Quantity:
+ *                 type: integer
+ *                 minimum: 1
  *     responses:
  *       200:
  *         description: Request updated
@@ -322,10 +570,21 @@ controller.delete("/:id", (req, res, next) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Request'
+ *       400:
+ *         description: Invalid data, request already reviewed or quota exceeded
+ *       401:
+ *         description: Not logged in
+ *       403:
+ *         description: Not the requester, or the household is not eligible
  *       404:
  *         description: Request not found
+ *     security:
+ *       - bearerAuth: []
  */
-controller.patch("/:id", (req, res, next) => {
+controller.patch("/:id", ownerOr(async req => {
+    const request = await requestsService.getOneRequest(Number(req.params.id));
+    return request?.[0]?.User.User_ID;
+}, ["requests.manage"]), (req, res, next) => {
     const requestId = Number(req.params.id);
     const data = req.body;
 
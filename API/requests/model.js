@@ -1,16 +1,46 @@
 const Joi = require("joi");
 
-// Schéma de validation pour créer une donation
+// Cycle de vie d'une demande : statuts atteignables depuis chaque statut.
+// scheduled et delivered sont posés par les tournées (mise en tournée, validation de la livraison) ;
+// une demande retirée de sa tournée redevient approved.
+const STATUS_TRANSITIONS = {
+    submitted: ["approved", "rejected", "cancelled"],
+    approved: ["scheduled", "cancelled"],
+    scheduled: ["delivered", "approved"],
+    rejected: [],
+    delivered: [],
+    cancelled: [],
+};
+
+// Schéma de validation pour créer une demande
 const createRequestSchema = Joi.object({
     Product_ID: Joi.number().required(),
-    Quantity: Joi.number().required(),
+    Quantity: Joi.number().integer().min(1).required(),
     User_ID: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
 });
 
-// Schéma de validation pour mettre à jour une donation
+// Schéma de validation pour mettre à jour une demande
 const updateRequestSchema = Joi.object({
-    Quantity: Joi.number().optional(),
-    User_ID: Joi.alternatives().try(Joi.number(), Joi.string()).optional(),
+    Quantity: Joi.number().integer().min(1).optional(),
 }).min(1);
 
-module.exports = { createRequestSchema,  updateRequestSchema };
+// Schéma de validation pour déposer une commande : plusieurs produits, une demande par produit
+const createOrderSchema = Joi.object({
+    User_ID: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+    Items: Joi.array().items(Joi.object({
+        Product_ID: Joi.number().integer().required(),
+        Quantity: Joi.number().integer().min(1).required(),
+    })).min(1).unique("Product_ID").required(),
+});
+
+// Schéma de validation pour changer le statut d'une demande depuis l'API
+const changeStatusSchema = Joi.object({
+    Status: Joi.string().valid("approved", "rejected", "cancelled").required(),
+    Reason: Joi.when("Status", {
+        is: "rejected",
+        then: Joi.string().max(255).required(),
+        otherwise: Joi.string().max(255).optional().allow(null, ""),
+    }),
+});
+
+module.exports = { STATUS_TRANSITIONS, createRequestSchema, createOrderSchema, updateRequestSchema, changeStatusSchema };
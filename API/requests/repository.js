@@ -1,27 +1,172 @@
 const getConnection = require("../common/db_handler");
+const basketsRepository = require("../baskets/repository");
+const stockRepository = require("../stocks/repository");
+const { InvalidArgumentError } = require("../common/service_errors");
 
-// Create a new request
-async function createOne(request) {
+// Date of the latest status change, from the status history
+const STATUS_DATE_COLUMN = `(SELECT MAX(h.Changed_At)
+          FROM Request_Status_History h
+          WHERE h.Request_ID = r.Request_ID)`;
+
+/**
+ * Records a status change of one or more requests, inside the caller's transaction.
+ * The transitions are checked by the caller (requests/service.js, tours/repository.js).
+ * @param {Object} connection - The connection holding the transaction.
+ * @param {Array} requestIds - The requests to update.
+ * @param {String} status - The new status.
+ * @param {Number|null} actorId - The user who made the change.
+ * @param {String|null} reason - Why (required for a rejection).
+ */
+async function recordStatus(connection, requestIds, status, actorId = null, reason = null) {
+    for (const requestId of requestIds) {
+        await connection.execute(`
+            UPDATE Requests
+            SET Status           = ?,
+                Rejection_Reason = IF(? = 'rejected', ?, Rejection_Reason),
+                Route_ID         = IF(? IN ('scheduled', 'delivered'), Route_ID, NULL)
+            WHERE Request_ID = ?
+        `, [status, status, reason, status, requestId]);
+        await connection.execute(`
+            INSERT INTO Request_Status_History (Request_ID, Status, Reason, Changed_By)
+            VALUES (?, ?, ?, ?)
+        `, [requestId, status, reason, actorId]);
+    }
+}
+
+// Create a new request, submitted by the actor
+async function createOne(request, actorId = null) {
     if (!request) {
         throw new Error("createOne: request object must be defined");
     }
     const connection = await getConnection();
-    const query = `
-        INSERT INTO Requests (Product_ID, Quantity, Date, User_ID, Route_ID, Processed, Processed_Date)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
-    const values = [
-        request.Product_ID,
-        request.Quantity,
-        request.Date,
-        request.User_ID,
-        request.Route_ID || null,  // Route_ID can be null
-        request.Processed || false,  // Default to false if not provided
-        request.Processed_Date || null  // Allow null if not processed yet
-    ];
-    const [result] = await connection.execute(query, values);
-    await connection.end();
-    return { Request_ID: result.insertId, ...request };
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.execute(`
+            INSERT INTO Requests (Product_ID, Quantity, Date, User_ID)
+            VALUES (?, ?, ?, ?)
+        `, [request.Product_ID, request.Quantity, request.Date, request.User_ID]);
+        await connection.execute(`
+            INSERT INTO Request_Status_History (Request_ID, Status, Changed_By)
+            VALUES (?, 'submitted', ?)
+        `, [result.insertId, actorId]);
+        await connection.commit();
+        return { Request_ID: result.insertId, ...request, Status: 'submitted' };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Create an order: one submitted request per item, all or nothing.
+// Each item must be covered by the available stock, not counting the basket of the user;
+// the basket of the user is released since its products are now requested.
+async function createOrder(order, actorId = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Lock the products always in the same order so that two orders cannot deadlock
+        const items = [...order.Items].sort((a, b) => a.Product_ID - b.Product_ID);
+        for (const item of items) {
+            const available = await stockRepository.getAvailableQuantity(connection, item.Product_ID, { basketUserId: order.User_ID });
+            if (item.Quantity > available) {
+                const [products] = await connection.execute('SELECT Name FROM Products WHERE Product_ID = ?', [item.Product_ID]);
+                throw new InvalidArgumentError(`Only ${available} left for ${products[0]?.Name ?? `product ${item.Product_ID}`}.`);
+            }
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO Orders (User_ID, Date) VALUES (?, ?)',
+            [order.User_ID, order.Date]
+        );
+        const orderId = result.insertId;
+
+        for (const item of order.Items) {
+            const [request] = await connection.execute(`
+                INSERT INTO Requests (Product_ID, Quantity, Date, User_ID, Order_ID)
+                VALUES (?, ?, ?, ?, ?)
+            `, [item.Product_ID, item.Quantity, order.Date, order.User_ID, orderId]);
+            await connection.execute(`
+                INSERT INTO Request_Status_History (Request_ID, Status, Changed_By)
+                VALUES (?, 'submitted', ?)
+            `, [request.insertId, actorId]);
+        }
+
+        await basketsRepository.releaseBasket(connection, order.User_ID);
+
+        await connection.commit();
+        return orderId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Get an order, without its requests
+async function getOrder(orderId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute('SELECT * FROM Orders WHERE Order_ID = ?', [orderId]);
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Change the status of a request, if it still has the expected status
+async function changeStatus(id, fromStatus, toStatus, actorId, reason = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.execute(
+            'SELECT Status, Product_ID, Quantity FROM Requests WHERE Request_ID = ? FOR UPDATE',
+            [id]
+        );
+        if (rows.length === 0 || rows[0].Status !== fromStatus) {
+            await connection.rollback();
+            return false;
+        }
+        // An approved request holds its quantity against the stock, which must cover it
+        if (toStatus === 'approved') {
+            const available = await stockRepository.getAvailableQuantity(connection, rows[0].Product_ID, { requestId: id });
+            if (rows[0].Quantity > available) {
+                throw new InvalidArgumentError(`Only ${available} available for this product, the request cannot be approved.`);
+            }
+        }
+        await recordStatus(connection, [id], toStatus, actorId, reason);
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Get the status history of a request, oldest first
+async function getHistory(id) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT h.Status,
+                   h.Reason,
+                   h.Changed_At,
+                   h.Changed_By,
+                   CONCAT(u.Firstname, ' ', u.Name) AS Changed_By_Name
+            FROM Request_Status_History h
+                     LEFT JOIN Users u ON u.User_ID = h.Changed_By
+            WHERE h.Request_ID = ?
+            ORDER BY h.Changed_At, h.History_ID
+        `, [id]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
 }
 
 // Get a request by a specific attribute
@@ -35,8 +180,10 @@ async function getOneBy(attribute, value) {
                r.Quantity,
                r.Date AS Request_Date,
                r.Route_ID,
-               r.Processed,
-               r.Processed_Date,
+               r.Order_ID,
+               r.Status,
+               r.Rejection_Reason,
+               ${STATUS_DATE_COLUMN} AS Status_Date,
                JSON_OBJECT(
                        'User_ID', u.User_ID,
                        'Name', u.Name,
@@ -62,8 +209,10 @@ async function getOneBy(attribute, value) {
         Quantity: row.Quantity,
         Request_Date: row.Request_Date,
         Route_ID: row.Route_ID,
-        Processed: row.Processed,
-        Processed_Date: row.Processed_Date,
+        Order_ID: row.Order_ID,
+        Status: row.Status,
+        Rejection_Reason: row.Rejection_Reason,
+        Status_Date: row.Status_Date,
         User: typeof row.User === 'string' ? JSON.parse(row.User) : row.User,
         Product: typeof row.Product === 'string' ? JSON.parse(row.Product) : row.Product
     })) : null;
@@ -100,6 +249,7 @@ async function getAllWithoutRoute() {
                 LEFT JOIN Address a ON u.Address_ID = a.Address_ID
         WHERE
             r.Route_ID IS NULL
+            AND r.Status = 'approved'
         GROUP BY
             a.Address_ID, a.Street, a.City, a.State, a.Postal_Code, a.Country
         ORDER BY
@@ -120,8 +270,10 @@ async function getAll() {
                r.Quantity,
                r.Date AS Request_Date,
                r.Route_ID,
-               r.Processed,
-               r.Processed_Date,
+               r.Order_ID,
+               r.Status,
+               r.Rejection_Reason,
+               ${STATUS_DATE_COLUMN} AS Status_Date,
                JSON_OBJECT(
                        'User_ID', u.User_ID,
                        'Name', u.Name,
@@ -146,8 +298,10 @@ async function getAll() {
         Quantity: row.Quantity,
         Request_Date: row.Request_Date,
         Route_ID: row.Route_ID,
-        Processed: row.Processed,
-        Processed_Date: row.Processed_Date,
+        Order_ID: row.Order_ID,
+        Status: row.Status,
+        Rejection_Reason: row.Rejection_Reason,
+        Status_Date: row.Status_Date,
         User: typeof row.User === 'string' ? JSON.parse(row.User) : row.User,
         Product: typeof row.Product === 'string' ? JSON.parse(row.Product) : row.Product
     }));
@@ -188,4 +342,16 @@ async function deleteOne(id) {
     return result.affectedRows > 0;
 }
 
-module.exports = { createOne, getAll, getOneBy, updateOne, deleteOne, getAllWithoutRoute };
+module.exports = {
+    recordStatus,
+    createOne,
+    createOrder,
+    getOrder,
+    changeStatus,
+    getHistory,
+    getAll,
+    getOneBy,
+    updateOne,
+    deleteOne,
+    getAllWithoutRoute
+};
@@ -1,9 +1,49 @@
 const requestsRepository = require("./repository");
+const beneficiariesService = require("../beneficiaries/service");
+const { STATUS_TRANSITIONS, createRequestSchema, createOrderSchema, updateRequestSchema, changeStatusSchema } = require("./model");
 const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
 
-// Create a new request
-async function createOne(request) {
-    await requestsRepository.createOne(request);
+// Local date as YYYY-MM-DD
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Create a new request, dated today by the server, within the eligibility period and the quotas of the household
+async function createOne(request, issuer) {
+    const { error } = createRequestSchema.validate(request);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const date = localDate(new Date());
+    await beneficiariesService.checkRequest(Number(request.User_ID), [
+        { Product_ID: request.Product_ID, Quantity: request.Quantity }
+    ], date);
+    return await requestsRepository.createOne({ ...request, Date: date }, issuer?.id ?? null);
+}
+
+// Submit several products at once, dated today by the server, within the eligibility period and the quotas of the household
+async function createOrder(order, issuer) {
+    const { error } = createOrderSchema.validate(order);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const userId = Number(order.User_ID);
+    const date = localDate(new Date());
+    await beneficiariesService.checkRequest(userId, order.Items, date);
+    const orderId = await requestsRepository.createOrder({ ...order, User_ID: userId, Date: date }, issuer?.id ?? null);
+    return await getOrder(orderId);
+}
+
+// Get an order with its requests
+async function getOrder(orderId) {
+    const order = await requestsRepository.getOrder(orderId);
+    if (!order) {
+        return null;
+    }
+    const requests = await requestsRepository.getOneBy("Order_ID", orderId);
+    return { ...order, Items: requests || [] };
 }
 
 // Get requests by User ID
@@ -53,26 +93,74 @@ async function getAllWithoutRoute() {
     return requests.map(request => ({ ...request }));
 }
 
-// Update a request by ID
+// Update a request by ID, as long as it has not been reviewed (the status has its own route)
 async function updateOne(id, data) {
-    // Validation of the request
-    // Assuming you have some validation schema for `Request`
-    // const { error } = updateRequestSchema.validate(data);
-    // if (error) {
-    //     throw new Error(error.details[0].message);
-    // }
+    const { error } = updateRequestSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
 
     // Check if the request exists
     const existing = await requestsRepository.getOneBy("Request_ID", id);
     if (!existing) {
         throw new Error(`Request with Request_ID ${id} does not exist`);
     }
+    if (existing[0].Status !== "submitted") {
+        throw new InvalidArgumentError(`A ${existing[0].Status} request can no longer be modified.`);
+    }
+
+    // A new quantity must still fit the eligibility and the quotas of the household.
+    // The request already counts in the quota usage, so only the difference is checked.
+    const [request] = existing;
+    if (data.Quantity !== undefined && data.Quantity !== request.Quantity) {
+        await beneficiariesService.checkRequest(request.User.User_ID, [
+            { Product_ID: request.Product.Product_ID, Quantity: data.Quantity - request.Quantity }
+        ], localDate(request.Request_Date));
+    }
 
     // Update the request
     const updated = await requestsRepository.updateOne(id, data);
     return updated ? { ...updated } : null;
 }
 
+// Move a request along its lifecycle: approval and rejection are for managers,
+// cancellation is also open to the requester
+async function changeStatus(id, data, issuer) {
+    const { error } = changeStatusSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const existing = await requestsRepository.getOneBy("Request_ID", id);
+    if (!existing) {
+        return null;
+    }
+    const request = existing[0];
+
+    const isManager = issuer?.permissions?.includes("requests.manage");
+    const isRequester = Number(request.User.User_ID) === Number(issuer?.id);
+    if (!isManager && !(data.Status === "cancelled" && isRequester)) {
+        throw new UnauthorizedError("You do not have permission to change the status of this request.");
+    }
+    if (!STATUS_TRANSITIONS[request.Status].includes(data.Status)) {
+        throw new InvalidArgumentError(`A ${request.Status} request cannot be ${data.Status}.`);
+    }
+
+    const changed = await requestsRepository.changeStatus(id, request.Status, data.Status, issuer.id, data.Reason || null);
+    if (!changed) {
+        throw new InvalidArgumentError("The request has been changed meanwhile, please reload it.");
+    }
+    return (await requestsRepository.getOneBy("Request_ID", id))[0];
+}
+
+// Get the status history of a request
+async function getHistory(id) {
+    if (!(await requestsRepository.getOneBy("Request_ID", id))) {
+        return null;
+    }
+    return await requestsRepository.getHistory(id);
+}
+
 // Delete a request by ID
 async function deleteOne(id, issuer) {
     const request = await requestsRepository.getOneBy("Request_ID", id);
@@ -80,10 +168,10 @@ async function deleteOne(id, issuer) {
         throw new Error(`Request with Request_ID ${id} does not exist`);
     }
     console.log(issuer);
-    // if (issuer?.role !== "admin") {
+    // if (!issuer?.permissions?.includes("requests.manage")) {
     //     throw new UnauthorizedError("You do not have permission to delete this request.");
     // }
     return await requestsRepository.deleteOne(id);
 }
 
-module.exports = { createOne, getOneRequest,getAllWithoutRoute, getOneUserID, getOneProduct, getOneByDate, getAll, updateOne, deleteOne };
+module.exports = { createOne, createOrder, getOrder, getOneRequest,getAllWithoutRoute, getOneUserID, getOneProduct, getOneByDate, getAll, updateOne, changeStatus, getHistory, deleteOne };
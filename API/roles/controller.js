@@ -0,0 +1,214 @@
+const { Router } = require("express");
+const rolesService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+
+const controller = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles, permissions and role assignment
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         Role_ID:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *           example: coordinator
+ *         Description:
+ *           type: string
+ *         Permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [backoffice.access, tours.manage]
+ *     UserAccess:
+ *       type: object
+ *       properties:
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: Get all roles with their permissions
+ *     tags: [Roles]
+ *     responses:
+ *       200:
+ *         description: The list of roles.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: Missing permission users.manage
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get(
+    "/",
+    authorize(["users.manage"]),
+    (_req, res, next) => {
+        rolesService.getAll()
+            .then((data) => res.json(data))
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: Get all existing permissions
+ *     tags: [Roles]
+ *     responses:
+ *       200:
+ *         description: The list of permissions.
+ *       403:
+ *         description: Missing permission roles.manage
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get(
+    "/permissions",
+    authorize(["roles.manage"]),
+    (_req, res, next) => {
+        rolesService.getAllPermissions()
+            .then((data) => res.json(data))
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /roles/{id}/permissions:
+ *   put:
+ *     summary: Replace the permissions of a role
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The updated role.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Unknown permission
+ *       403:
+ *         description: Missing permission roles.manage, or the admin role
+ *       404:
+ *         description: Role not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put(
+    "/:id/permissions",
+    authorize(["roles.manage"]),
+    (req, res, next) => {
+        rolesService.setRolePermissions(Number(req.params.id), req.body)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`Role with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+/**
+ * @swagger
+ * /roles/user/{userId}:
+ *   put:
+ *     summary: Replace the roles of a user
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [volunteer, driver]
+ *     responses:
+ *       200:
+ *         description: The roles and resulting permissions of the user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserAccess'
+ *       400:
+ *         description: Unknown role
+ *       404:
+ *         description: User not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put(
+    "/user/:userId",
+    authorize(["roles.manage"]),
+    (req, res, next) => {
+        rolesService.setUserRoles(Number(req.params.userId), req.body)
+            .then((data) => {
+                if (data === null) {
+                    throw new NotFoundError(`User with ID ${req.params.userId} not found`);
+                }
+                res.json(data);
+            })
+            .catch((err) => next(err));
+    },
+);
+
+module.exports = controller;
@@ -0,0 +1,16 @@
+const Joi = require("joi");
+
+// Schéma de validation pour remplacer les permissions d'un rôle
+const rolePermissionsSchema = Joi.object({
+    permissions: Joi.array().items(Joi.string()).unique().required(),
+});
+
+// Schéma de validation pour remplacer les rôles d'un utilisateur
+const userRolesSchema = Joi.object({
+    roles: Joi.array().items(Joi.string()).unique().min(1).required(),
+});
+
+module.exports = {
+    rolePermissionsSchema,
+    userRolesSchema,
+};
@@ -0,0 +1,142 @@
+const getConnection = require("../common/db_handler");
+
+// Récupère tous les rôles avec la liste de leurs permissions
+async function getAll() {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT r.Role_ID, r.Name, r.Description, GROUP_CONCAT(p.Name ORDER BY p.Name) AS Permissions
+            FROM Roles r
+                     LEFT JOIN Role_Permissions rp ON rp.Role_ID = r.Role_ID
+                     LEFT JOIN Permissions p ON p.Permission_ID = rp.Permission_ID
+            GROUP BY r.Role_ID
+            ORDER BY r.Role_ID
+        `);
+        return rows.map(row => ({...row, Permissions: row.Permissions ? row.Permissions.split(",") : []}));
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getOne(id) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute('SELECT * FROM Roles WHERE Role_ID = ?', [id]);
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère toutes les permissions existantes
+async function getAllPermissions() {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute('SELECT * FROM Permissions ORDER BY Name');
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Rôles et permissions d'un utilisateur (union des permissions de ses rôles)
+async function getUserAccess(userId) {
+    const connection = await getConnection();
+    try {
+        const [roles] = await connection.execute(`
+            SELECT r.Name
+            FROM User_Roles ur
+                     JOIN Roles r ON r.Role_ID = ur.Role_ID
+            WHERE ur.User_ID = ?
+            ORDER BY r.Name
+        `, [userId]);
+        const [permissions] = await connection.execute(`
+            SELECT DISTINCT p.Name
+            FROM User_Roles ur
+                     JOIN Role_Permissions rp ON rp.Role_ID = ur.Role_ID
+                     JOIN Permissions p ON p.Permission_ID = rp.Permission_ID
+            WHERE ur.User_ID = ?
+            ORDER BY p.Name
+        `, [userId]);
+        return {
+            roles: roles.map(row => row.Name),
+            permissions: permissions.map(row => row.Name)
+        };
+    } finally {
+        await connection.end();
+    }
+}
+
+// Remplace les permissions d'un rôle. Renvoie les noms inconnus, sans rien modifier s'il y en a.
+async function setRolePermissions(roleId, permissionNames) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const placeholders = permissionNames.map(() => "?").join(", ");
+        const [permissions] = permissionNames.length
+            ? await connection.execute(`SELECT Permission_ID, Name FROM Permissions WHERE Name IN (${placeholders})`, permissionNames)
+            : [[]];
+        const unknown = permissionNames.filter(name => !permissions.some(p => p.Name === name));
+        if (unknown.length) {
+            await connection.rollback();
+            return unknown;
+        }
+
+        await connection.execute('DELETE FROM Role_Permissions WHERE Role_ID = ?', [roleId]);
+        for (const permission of permissions) {
+            await connection.execute(
+                'INSERT INTO Role_Permissions (Role_ID, Permission_ID) VALUES (?, ?)',
+                [roleId, permission.Permission_ID]
+            );
+        }
+
+        await connection.commit();
+        return [];
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Remplace les rôles d'un utilisateur. Renvoie les noms inconnus, sans rien modifier s'il y en a.
+async function setUserRoles(userId, roleNames) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const placeholders = roleNames.map(() => "?").join(", ");
+        const [roles] = roleNames.length
+            ? await connection.execute(`SELECT Role_ID, Name FROM Roles WHERE Name IN (${placeholders})`, roleNames)
+            : [[]];
+        const unknown = roleNames.filter(name => !roles.some(r => r.Name === name));
+        if (unknown.length) {
+            await connection.rollback();
+            return unknown;
+        }
+
+        await connection.execute('DELETE FROM User_Roles WHERE User_ID = ?', [userId]);
+        for (const role of roles) {
+            await connection.execute('INSERT INTO User_Roles (User_ID, Role_ID) VALUES (?, ?)', [userId, role.Role_ID]);
+        }
+
+        await connection.commit();
+        return [];
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+module.exports = {
+    getAll,
+    getOne,
+    getAllPermissions,
+    getUserAccess,
+    setRolePermissions,
+    setUserRoles
+};
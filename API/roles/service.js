@@ -0,0 +1,57 @@
+const { rolePermissionsSchema, userRolesSchema } = require("./model");
+const Repository = require("./repository");
+const userRepository = require("../users/repository");
+const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
+
+async function getAll() {
+    return await Repository.getAll();
+}
+
+async function getAllPermissions() {
+    return await Repository.getAllPermissions();
+}
+
+// Remplace les permissions d'un rôle
+async function setRolePermissions(roleId, data) {
+    const { value, error } = rolePermissionsSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const role = await Repository.getOne(roleId);
+    if (!role) {
+        return null;
+    }
+    // Le rôle admin garde toutes les permissions : personne ne doit pouvoir se retirer l'accès
+    if (role.Name === "admin") {
+        throw new UnauthorizedError("Les permissions du rôle admin ne peuvent pas être modifiées.");
+    }
+
+    const unknown = await Repository.setRolePermissions(roleId, value.permissions);
+    if (unknown.length) {
+        throw new InvalidArgumentError(`Permissions inconnues : ${unknown.join(", ")}`);
+    }
+
+    return (await Repository.getAll()).find(r => r.Role_ID === roleId);
+}
+
+// Remplace les rôles d'un utilisateur. Les nouveaux droits s'appliquent au prochain rafraîchissement de son jeton.
+async function setUserRoles(userId, data) {
+    const { value, error } = userRolesSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    if (!(await userRepository.getOne(userId))) {
+        return null;
+    }
+
+    const unknown = await Repository.setUserRoles(userId, value.roles);
+    if (unknown.length) {
+        throw new InvalidArgumentError(`Rôles inconnus : ${unknown.join(", ")}`);
+    }
+
+    return await Repository.getUserAccess(userId);
+}
+
+module.exports = { getAll, getAllPermissions, setRolePermissions, setUserRoles };
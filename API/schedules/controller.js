@@ -0,0 +1,431 @@
+const {Router} = require("express");
+const schedulesService = require("./service");
+const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+const {ownerOr} = require("../common/middlewares/policy_middleware");
+
+const controller = Router();
+
+// Le bénévole gère ses propres disponibilités, les planificateurs celles de tous
+const selfOrPlanner = ownerOr(req => req.params.userId, ["planning.manage"]);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Schedules
+ *   description: Volunteer availability and shift planning
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Availability:
+ *       type: object
+ *       description: A recurring slot (Day_Of_Week, optionally bounded by Valid_From / Valid_Until) or a one-off slot (Date)
+ *       required:
+ *         - Start_Time
+ *         - End_Time
+ *       properties:
+ *         Availability_ID:
+ *           type: integer
+ *           readOnly: true
+ *         Day_Of_Week:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: 1 = Monday ... 7 = Sunday
+ *         Date:
+ *           type: string
+ *           format: date
+ *         Start_Time:
+ *           type: string
+ *           example: "17:00"
+ *         End_Time:
+ *           type: string
+ *           example: "21:00"
+ *         Valid_From:
+ *           type: string
+ *           format: date
+ *         Valid_Until:
+ *           type: string
+ *           format: date
+ *     Shift:
+ *       type: object
+ *       properties:
+ *         Schedule_ID:
+ *           type: integer
+ *         User_ID:
+ *           type: integer
+ *         User_Name:
+ *           type: string
+ *         Date:
+ *           type: string
+ *           format: date
+ *         Type:
+ *           type: boolean
+ *           description: For a tour shift, true for a collection, false for a distribution
+ *         Role:
+ *           type: string
+ *           enum: [driver, crew, warehouse]
+ *         Start_Time:
+ *           type: string
+ *         End_Time:
+ *           type: string
+ *         Route_ID:
+ *           type: integer
+ *           description: The tour, null for a warehouse shift
+ *         Has_Licence:
+ *           type: boolean
+ *           description: The volunteer has a validated driving licence
+ *         Conflicts:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [double_booking, missing_licence, unavailable]
+ *     NewShift:
+ *       type: object
+ *       required:
+ *         - User_ID
+ *         - Role
+ *       properties:
+ *         User_ID:
+ *           type: integer
+ *         Role:
+ *           type: string
+ *           enum: [driver, crew, warehouse]
+ *         Route_ID:
+ *           type: integer
+ *           description: Required for a driver or crew shift
+ *         Date:
+ *           type: string
+ *           format: date
+ *           description: Required for a warehouse shift
+ *         Start_Time:
+ *           type: string
+ *           description: Required for a warehouse shift, defaults to the tour departure time
+ *         End_Time:
+ *           type: string
+ *           description: Required for a warehouse shift, defaults to three hours after the start
+ */
+
+/**
+ * @swagger
+ * /schedules:
+ *   get:
+ *     summary: Get the planning board of a period
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The tours of the period and the assigned shifts with their conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Tours:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 Shifts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shift'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/", authorize(["planning.manage"]), (req, res, next) => {
+    schedulesService.getPlanning(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/volunteers:
+ *   get:
+ *     summary: Get the volunteers who could take a slot
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: start
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: end
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The volunteers, telling whether they declared themselves available, are already busy and hold a driving licence
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/volunteers", authorize(["planning.manage"]), (req, res, next) => {
+    schedulesService.getVolunteers(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/availabilities/{userId}:
+ *   get:
+ *     summary: Get the availability slots of a volunteer
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The recurring slots, then the one-off ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Availability'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/availabilities/:userId", selfOrPlanner, (req, res, next) => {
+    schedulesService.getAvailabilities(Number(req.params.userId))
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/availabilities/{userId}:
+ *   post:
+ *     summary: Publish an availability slot
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Availability'
+ *     responses:
+ *       201:
+ *         description: The availability slots of the volunteer
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/availabilities/:userId", selfOrPlanner, (req, res, next) => {
+    schedulesService.createAvailability(Number(req.params.userId), req.body)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/availabilities/{userId}/{availabilityId}:
+ *   delete:
+ *     summary: Remove an availability slot
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: availabilityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Slot removed
+ *       404:
+ *         description: Slot not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/availabilities/:userId/:availabilityId", selfOrPlanner, (req, res, next) => {
+    schedulesService.deleteAvailability(Number(req.params.userId), Number(req.params.availabilityId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Availability with ID ${req.params.availabilityId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/user/{userId}:
+ *   get:
+ *     summary: Get the upcoming shifts of a volunteer
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The shifts from today on, with their conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Shift'
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/user/:userId", selfOrPlanner, (req, res, next) => {
+    schedulesService.getUserShifts(Number(req.params.userId))
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules:
+ *   post:
+ *     summary: Assign a volunteer to a tour or a warehouse shift
+ *     description: >
+ *       The driver of a tour also becomes the driver of the route: they need a validated driving licence
+ *       and must not drive another tour at the same date and time. Other conflicts (double booking,
+ *       volunteer not available) do not prevent the assignment, they are returned with it.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NewShift'
+ *     responses:
+ *       201:
+ *         description: The shift with its conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shift'
+ *       400:
+ *         description: Invalid shift, the tour already has a driver, or the driver cannot take the tour
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/", authorize(["planning.manage"]), (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    schedulesService.createShift(req.body, issuer)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/{id}:
+ *   patch:
+ *     summary: Change the volunteer or the times of a shift
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               User_ID:
+ *                 type: integer
+ *               Start_Time:
+ *                 type: string
+ *               End_Time:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The shift with its conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shift'
+ *       404:
+ *         description: Shift not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.patch("/:id", authorize(["planning.manage"]), (req, res, next) => {
+    schedulesService.updateShift(Number(req.params.id), req.body)
+        .then((data) => {
+            if (!data) {
+                throw new NotFoundError(`Shift with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /schedules/{id}:
+ *   delete:
+ *     summary: Remove a shift
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Shift removed
+ *       404:
+ *         description: Shift not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id", authorize(["planning.manage"]), (req, res, next) => {
+    schedulesService.deleteShift(Number(req.params.id))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Shift with ID ${req.params.id} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+module.exports = controller;
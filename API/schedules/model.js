@@ -0,0 +1,81 @@
+const Joi = require("joi");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Durée par défaut d'un créneau de tournée, à partir de l'heure de départ de la route
+const TOUR_SHIFT_HOURS = 3;
+
+// Schéma de validation pour déclarer un créneau de disponibilité : récurrent (Day_Of_Week) ou ponctuel (Date)
+const availabilitySchema = Joi.object({
+    Day_Of_Week: Joi.number().integer().min(1).max(7),
+    Date: Joi.string().pattern(DATE_PATTERN),
+    Start_Time: Joi.string().pattern(TIME_PATTERN).required(),
+    End_Time: Joi.string().pattern(TIME_PATTERN).required(),
+    Valid_From: Joi.when("Day_Of_Week", {
+        is: Joi.exist(),
+        then: Joi.string().pattern(DATE_PATTERN).optional().allow(null),
+        otherwise: Joi.forbidden(),
+    }),
+    Valid_Until: Joi.when("Day_Of_Week", {
+        is: Joi.exist(),
+        then: Joi.string().pattern(DATE_PATTERN).optional().allow(null),
+        otherwise: Joi.forbidden(),
+    }),
+}).xor("Day_Of_Week", "Date");
+
+// Schéma de validation pour affecter un bénévole : à une tournée (Route_ID, la date vient de la route)
+// ou à l'entrepôt (Date et horaires obligatoires)
+const createShiftSchema = Joi.object({
+    User_ID: Joi.number().integer().required(),
+    Role: Joi.string().valid("driver", "crew", "warehouse").required(),
+    Route_ID: Joi.when("Role", {
+        is: "warehouse",
+        then: Joi.forbidden(),
+        otherwise: Joi.number().integer().required(),
+    }),
+    Date: Joi.when("Role", {
+        is: "warehouse",
+        then: Joi.string().pattern(DATE_PATTERN).required(),
+        otherwise: Joi.forbidden(),
+    }),
+    Start_Time: Joi.when("Role", {
+        is: "warehouse",
+        then: Joi.string().pattern(TIME_PATTERN).required(),
+        otherwise: Joi.string().pattern(TIME_PATTERN).optional(),
+    }),
+    End_Time: Joi.when("Role", {
+        is: "warehouse",
+        then: Joi.string().pattern(TIME_PATTERN).required(),
+        otherwise: Joi.string().pattern(TIME_PATTERN).optional(),
+    }),
+});
+
+// Schéma de validation pour modifier un créneau affecté
+const updateShiftSchema = Joi.object({
+    User_ID: Joi.number().integer(),
+    Start_Time: Joi.string().pattern(TIME_PATTERN),
+    End_Time: Joi.string().pattern(TIME_PATTERN),
+}).min(1);
+
+// Schéma de validation de la période affichée sur le planning
+const planningQuerySchema = Joi.object({
+    from: Joi.string().pattern(DATE_PATTERN).required(),
+    to: Joi.string().pattern(DATE_PATTERN).required(),
+});
+
+// Schéma de validation pour chercher les bénévoles d'un créneau
+const volunteersQuerySchema = Joi.object({
+    date: Joi.string().pattern(DATE_PATTERN).required(),
+    start: Joi.string().pattern(TIME_PATTERN).required(),
+    end: Joi.string().pattern(TIME_PATTERN).required(),
+});
+
+module.exports = {
+    TOUR_SHIFT_HOURS,
+    availabilitySchema,
+    createShiftSchema,
+    updateShiftSchema,
+    planningQuerySchema,
+    volunteersQuerySchema,
+};
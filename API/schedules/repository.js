@@ -0,0 +1,327 @@
+const getConnection = require("../common/db_handler");
+const toursRepository = require("../tours/repository");
+const { InvalidArgumentError, NotFoundError } = require("../common/service_errors");
+
+// L'utilisateur (alias u) a un permis de conduire validé par un administrateur
+const HAS_LICENCE = `EXISTS(SELECT 1
+              FROM User_Skills us
+                       JOIN Skills sk ON us.Skill_ID = sk.Skill_ID
+              WHERE us.User_ID = u.User_ID
+                AND sk.Name = 'Permis de conduire'
+                AND us.Validation_Date IS NOT NULL)`;
+
+const SHIFT_COLUMNS = `
+    s.Schedule_ID,
+    s.User_ID,
+    CONCAT(u.Firstname, ' ', u.Name)  AS User_Name,
+    DATE_FORMAT(s.Date, '%Y-%m-%d')   AS Date,
+    s.Type,
+    s.Role,
+    s.Start_Time,
+    s.End_Time,
+    sr.Route_ID,
+    ${HAS_LICENCE}                    AS Has_Licence`;
+
+// Récupère les créneaux de disponibilité d'un ou plusieurs utilisateurs
+async function getAvailabilities(userIds) {
+    if (userIds.length === 0) {
+        return [];
+    }
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT Availability_ID,
+                   User_ID,
+                   Day_Of_Week,
+                   DATE_FORMAT(Date, '%Y-%m-%d')        AS Date,
+                   Start_Time,
+                   End_Time,
+                   DATE_FORMAT(Valid_From, '%Y-%m-%d')  AS Valid_From,
+                   DATE_FORMAT(Valid_Until, '%Y-%m-%d') AS Valid_Until
+            FROM Availabilities
+            WHERE User_ID IN (${userIds.map(() => "?").join(", ")})
+            ORDER BY Date IS NOT NULL, Day_Of_Week, Date, Start_Time
+        `, userIds);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function createAvailability(userId, availability) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(`
+            INSERT INTO Availabilities (User_ID, Day_Of_Week, Date, Start_Time, End_Time, Valid_From, Valid_Until)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            userId,
+            availability.Day_Of_Week ?? null,
+            availability.Date ?? null,
+            availability.Start_Time,
+            availability.End_Time,
+            availability.Valid_From ?? null,
+            availability.Valid_Until ?? null
+        ]);
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteAvailability(userId, availabilityId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'DELETE FROM Availabilities WHERE User_ID = ? AND Availability_ID = ?',
+            [userId, availabilityId]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère les créneaux affectés entre deux dates, éventuellement ceux d'un seul utilisateur
+async function getShifts(from, to, userId = null) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT ${SHIFT_COLUMNS}
+            FROM Schedules s
+                     JOIN Users u ON s.User_ID = u.User_ID
+                     LEFT JOIN Schedule_Routes sr ON s.Schedule_ID = sr.Schedule_ID
+            WHERE s.Date BETWEEN ? AND ?
+              AND (? IS NULL OR s.User_ID = ?)
+            ORDER BY s.Date, s.Start_Time, u.Name
+        `, [from, to, userId, userId]);
+        return rows.map(row => ({ ...row, Has_Licence: Boolean(row.Has_Licence) }));
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getShift(id) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT ${SHIFT_COLUMNS}
+            FROM Schedules s
+                     JOIN Users u ON s.User_ID = u.User_ID
+                     LEFT JOIN Schedule_Routes sr ON s.Schedule_ID = sr.Schedule_ID
+            WHERE s.Schedule_ID = ?
+        `, [id]);
+        return rows[0] ? { ...rows[0], Has_Licence: Boolean(rows[0].Has_Licence) } : null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère les tournées entre deux dates, avec leur conducteur et leur camion
+async function getTours(from, to) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT r.Route_ID,
+                   DATE_FORMAT(r.Date, '%Y-%m-%d')  AS Date,
+                   r.Time,
+                   r.Type,
+                   r.User_ID                        AS Driver_ID,
+                   CONCAT(u.Firstname, ' ', u.Name) AS Driver_Name,
+                   t.Registration                   AS Truck_Registration
+            FROM Routes r
+                     LEFT JOIN Users u ON r.User_ID = u.User_ID
+                     LEFT JOIN Trucks t ON r.Truck_ID = t.Truck_ID
+            WHERE r.Date BETWEEN ? AND ?
+              AND r.Status <> 'cancelled'
+            ORDER BY r.Date, r.Time
+        `, [from, to]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getRoute(routeId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT Route_ID, DATE_FORMAT(Date, '%Y-%m-%d') AS Date, Time, Type, User_ID
+            FROM Routes
+            WHERE Route_ID = ?
+        `, [routeId]);
+        return rows[0] || null;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Bénévoles pouvant être affectés : rôle bénévole ou conducteur, ou au moins une disponibilité déclarée
+async function getVolunteers() {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT u.User_ID,
+                   CONCAT(u.Firstname, ' ', u.Name) AS User_Name,
+                   ${HAS_LICENCE}                   AS Has_Licence
+            FROM Users u
+            WHERE EXISTS(SELECT 1
+                         FROM User_Roles ur
+                                  JOIN Roles r ON ur.Role_ID = r.Role_ID
+                         WHERE ur.User_ID = u.User_ID
+                           AND r.Name IN ('volunteer', 'driver'))
+               OR EXISTS(SELECT 1 FROM Availabilities a WHERE a.User_ID = u.User_ID)
+            ORDER BY u.Name, u.Firstname
+        `);
+        return rows.map(row => ({ ...row, Has_Licence: Boolean(row.Has_Licence) }));
+    } finally {
+        await connection.end();
+    }
+}
+
+// Le conducteur d'une tournée doit avoir un permis validé et ne conduire aucune autre route au même moment
+async function checkRouteDriver(connection, userId, routeId) {
+    const [routes] = await connection.execute(
+        "SELECT DATE_FORMAT(Date, '%Y-%m-%d') AS Date, Time FROM Routes WHERE Route_ID = ?",
+        [routeId]
+    );
+    if (routes.length === 0) {
+        throw new NotFoundError(`Tour with ID ${routeId} not found`);
+    }
+    await toursRepository.checkDriver(connection, userId, routes[0].Date, routes[0].Time, routeId);
+}
+
+/**
+ * Affecte un bénévole à un créneau. Le conducteur d'une tournée devient aussi le conducteur de la route.
+ * @param {Object} shift - Le créneau (User_ID, Date, Type, Role, Start_Time, End_Time).
+ * @param {Number|null} routeId - La tournée, null pour un créneau d'entrepôt.
+ * @param {Number|null} assignedBy - L'utilisateur qui fait l'affectation.
+ * @returns {Number} - L'ID du créneau.
+ */
+async function createShift(shift, routeId, assignedBy) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        if (shift.Role === "driver") {
+            const [drivers] = await connection.execute(`
+                SELECT s.Schedule_ID
+                FROM Schedules s
+                         JOIN Schedule_Routes sr ON s.Schedule_ID = sr.Schedule_ID
+                WHERE sr.Route_ID = ?
+                  AND s.Role = 'driver'
+                FOR UPDATE
+            `, [routeId]);
+            if (drivers.length > 0) {
+                throw new InvalidArgumentError(`Tour ${routeId} already has a driver.`);
+            }
+            await checkRouteDriver(connection, shift.User_ID, routeId);
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO Schedules (User_ID, Date, Type, Role, Start_Time, End_Time, Assigned_By)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [shift.User_ID, shift.Date, shift.Type ?? null, shift.Role, shift.Start_Time, shift.End_Time, assignedBy]);
+        const scheduleId = result.insertId;
+
+        if (routeId) {
+            await connection.execute(
+                'INSERT INTO Schedule_Routes (Schedule_ID, Route_ID) VALUES (?, ?)',
+                [scheduleId, routeId]
+            );
+        }
+        if (shift.Role === "driver") {
+            await connection.execute('UPDATE Routes SET User_ID = ? WHERE Route_ID = ?', [shift.User_ID, routeId]);
+        }
+
+        await connection.commit();
+        return scheduleId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Modifie le bénévole ou les horaires d'un créneau ; un changement de conducteur est répercuté sur la route
+async function updateShift(id, data) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [shifts] = await connection.execute(`
+            SELECT s.Role, sr.Route_ID
+            FROM Schedules s
+                     LEFT JOIN Schedule_Routes sr ON s.Schedule_ID = sr.Schedule_ID
+            WHERE s.Schedule_ID = ?
+            FOR UPDATE
+        `, [id]);
+        if (shifts.length === 0) {
+            throw new NotFoundError(`Shift with ID ${id} not found`);
+        }
+
+        if (shifts[0].Role === "driver" && data.User_ID) {
+            await checkRouteDriver(connection, data.User_ID, shifts[0].Route_ID);
+        }
+
+        const fields = ["User_ID", "Start_Time", "End_Time"].filter(field => field in data);
+        await connection.execute(`
+            UPDATE Schedules
+            SET ${fields.map(field => `${field} = ?`).join(", ")}
+            WHERE Schedule_ID = ?
+        `, [...fields.map(field => data[field]), id]);
+
+        if (shifts[0].Role === "driver" && data.User_ID) {
+            await connection.execute('UPDATE Routes SET User_ID = ? WHERE Route_ID = ?', [data.User_ID, shifts[0].Route_ID]);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Supprime un créneau ; la route d'un conducteur retiré n'a plus de conducteur
+async function deleteShift(id) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        await connection.execute(`
+            UPDATE Routes r
+                JOIN Schedule_Routes sr ON r.Route_ID = sr.Route_ID
+                JOIN Schedules s ON sr.Schedule_ID = s.Schedule_ID
+            SET r.User_ID = NULL
+            WHERE s.Schedule_ID = ?
+              AND s.Role = 'driver'
+              AND r.User_ID = s.User_ID
+        `, [id]);
+        const [result] = await connection.execute('DELETE FROM Schedules WHERE Schedule_ID = ?', [id]);
+
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+module.exports = {
+    getAvailabilities,
+    createAvailability,
+    deleteAvailability,
+    getShifts,
+    getShift,
+    getTours,
+    getRoute,
+    getVolunteers,
+    createShift,
+    updateShift,
+    deleteShift
+};
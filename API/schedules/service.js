@@ -0,0 +1,214 @@
+const Repository = require("./repository");
+const {
+    TOUR_SHIFT_HOURS,
+    availabilitySchema,
+    createShiftSchema,
+    updateShiftSchema,
+    planningQuerySchema,
+    volunteersQuerySchema
+} = require("./model");
+const { InvalidArgumentError, NotFoundError } = require("../common/service_errors");
+
+// "HH:MM" ou "HH:MM:SS" en minutes depuis minuit
+function toMinutes(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// Heure "HH:MM" après un nombre d'heures, sans dépasser minuit
+function addHours(time, hours) {
+    const end = Math.min(toMinutes(time) + hours * 60, 23 * 60 + 59);
+    return `${String(Math.floor(end / 60)).padStart(2, "0")}:${String(end % 60).padStart(2, "0")}`;
+}
+
+// Jour ISO de la semaine (1 = lundi ... 7 = dimanche) d'une date YYYY-MM-DD
+function isoDay(date) {
+    const day = new Date(`${date}T00:00:00`).getDay();
+    return day === 0 ? 7 : day;
+}
+
+// Le créneau de disponibilité couvre-t-il entièrement ce créneau horaire, à cette date ?
+function covers(availability, date, start, end) {
+    const onDate = availability.Date
+        ? availability.Date === date
+        : availability.Day_Of_Week === isoDay(date)
+        && (!availability.Valid_From || availability.Valid_From <= date)
+        && (!availability.Valid_Until || availability.Valid_Until >= date);
+    return onDate
+        && toMinutes(availability.Start_Time) <= toMinutes(start)
+        && toMinutes(availability.End_Time) >= toMinutes(end);
+}
+
+function overlaps(a, b) {
+    return a.Date === b.Date
+        && toMinutes(a.Start_Time) < toMinutes(b.End_Time)
+        && toMinutes(b.Start_Time) < toMinutes(a.End_Time);
+}
+
+/**
+ * Signale les problèmes d'un créneau affecté, sans l'interdire :
+ * double_booking si le bénévole a un autre créneau qui le chevauche, missing_licence pour un conducteur
+ * sans permis validé, unavailable si aucune de ses disponibilités ne couvre le créneau.
+ */
+function findConflicts(shift, shifts, availabilities) {
+    const conflicts = [];
+    if (shifts.some(other => other.Schedule_ID !== shift.Schedule_ID && other.User_ID === shift.User_ID && overlaps(shift, other))) {
+        conflicts.push("double_booking");
+    }
+    if (shift.Role === "driver" && !shift.Has_Licence) {
+        conflicts.push("missing_licence");
+    }
+    if (!availabilities.some(a => a.User_ID === shift.User_ID && covers(a, shift.Date, shift.Start_Time, shift.End_Time))) {
+        conflicts.push("unavailable");
+    }
+    return conflicts;
+}
+
+// Ajoute à chaque créneau ses conflits
+async function withConflicts(shifts) {
+    const availabilities = await Repository.getAvailabilities([...new Set(shifts.map(s => s.User_ID))]);
+    return shifts.map(shift => ({ ...shift, Conflicts: findConflicts(shift, shifts, availabilities) }));
+}
+
+async function getAvailabilities(userId) {
+    return await Repository.getAvailabilities([userId]);
+}
+
+async function createAvailability(userId, availability) {
+    const { error } = availabilitySchema.validate(availability);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    if (toMinutes(availability.Start_Time) >= toMinutes(availability.End_Time)) {
+        throw new InvalidArgumentError("Start_Time must be before End_Time.");
+    }
+
+    await Repository.createAvailability(userId, availability);
+    return await getAvailabilities(userId);
+}
+
+async function deleteAvailability(userId, availabilityId) {
+    return await Repository.deleteAvailability(userId, availabilityId);
+}
+
+// Planning d'une période : les tournées et tous les créneaux affectés, avec leurs conflits
+async function getPlanning(query) {
+    const { error } = planningQuerySchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const [tours, shifts] = await Promise.all([
+        Repository.getTours(query.from, query.to),
+        Repository.getShifts(query.from, query.to)
+    ]);
+    return { Tours: tours, Shifts: await withConflicts(shifts) };
+}
+
+// Créneaux affectés à un bénévole à partir d'aujourd'hui ; les conflits tiennent compte de ses autres créneaux
+async function getUserShifts(userId) {
+    const today = new Date().toISOString().slice(0, 10);
+    return await withConflicts(await Repository.getShifts(today, "9999-12-31", userId));
+}
+
+/**
+ * Situation de bénévoles sur un créneau : Available si une de leurs disponibilités le couvre,
+ * Busy s'ils ont déjà un créneau qui le chevauche (hors celui de la tournée indiquée).
+ * Sans heure de fin, le créneau est celui d'une tournée partant à l'heure de début.
+ */
+async function getSlotStatus(userIds, date, start, end = null, routeId = null) {
+    const slot = { Date: date, Start_Time: start, End_Time: end ?? addHours(start, TOUR_SHIFT_HOURS) };
+    const [availabilities, shifts] = await Promise.all([
+        Repository.getAvailabilities(userIds),
+        Repository.getShifts(date, date)
+    ]);
+    return userIds.map(userId => ({
+        User_ID: userId,
+        Available: availabilities.some(a => a.User_ID === userId && covers(a, date, slot.Start_Time, slot.End_Time)),
+        Busy: shifts.some(shift => shift.User_ID === userId && (routeId === null || shift.Route_ID !== routeId) && overlaps(shift, slot))
+    }));
+}
+
+// Bénévoles pour un créneau : disponibles ou non, déjà occupés ou non, avec ou sans permis
+async function getVolunteers(query) {
+    const { error } = volunteersQuerySchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const volunteers = await Repository.getVolunteers();
+    const statuses = await getSlotStatus(volunteers.map(v => v.User_ID), query.date, query.start, query.end);
+    return volunteers.map((volunteer, i) => ({ ...volunteer, ...statuses[i] }));
+}
+
+async function getShift(id) {
+    const shift = await Repository.getShift(id);
+    if (!shift) {
+        return null;
+    }
+    const [withConflict] = await withConflicts([shift, ...(await Repository.getShifts(shift.Date, shift.Date, shift.User_ID))
+        .filter(other => other.Schedule_ID !== shift.Schedule_ID)]);
+    return withConflict;
+}
+
+// Affecte un bénévole ; les conflits sont renvoyés avec le créneau pour que le planificateur les voie
+async function createShift(data, issuer) {
+    const { error } = createShiftSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const shift = { User_ID: data.User_ID, Role: data.Role, Date: data.Date, Start_Time: data.Start_Time, End_Time: data.End_Time };
+    if (data.Route_ID) {
+        const route = await Repository.getRoute(data.Route_ID);
+        if (!route) {
+            throw new NotFoundError(`Tour with ID ${data.Route_ID} not found`);
+        }
+        shift.Date = route.Date;
+        shift.Type = route.Type;
+        shift.Start_Time = data.Start_Time ?? route.Time;
+        shift.End_Time = data.End_Time ?? addHours(shift.Start_Time, TOUR_SHIFT_HOURS);
+    }
+    if (toMinutes(shift.Start_Time) >= toMinutes(shift.End_Time)) {
+        throw new InvalidArgumentError("Start_Time must be before End_Time.");
+    }
+
+    const id = await Repository.createShift(shift, data.Route_ID ?? null, issuer?.id ?? null);
+    return await getShift(id);
+}
+
+async function updateShift(id, data) {
+    const { error } = updateShiftSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const existing = await Repository.getShift(id);
+    if (!existing) {
+        return null;
+    }
+    if (toMinutes(data.Start_Time ?? existing.Start_Time) >= toMinutes(data.End_Time ?? existing.End_Time)) {
+        throw new InvalidArgumentError("Start_Time must be before End_Time.");
+    }
+
+    await Repository.updateShift(id, data);
+    return await getShift(id);
+}
+
+async function deleteShift(id) {
+    return await Repository.deleteShift(id);
+}
+
+module.exports = {
+    getAvailabilities,
+    createAvailability,
+    deleteAvailability,
+    getPlanning,
+    getUserShifts,
+    getVolunteers,
+    getSlotStatus,
+    getShift,
+    createShift,
+    updateShift,
+    deleteShift
+};
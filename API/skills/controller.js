@@ -1,6 +1,8 @@
 const {Router} = require("express");
 const skillsService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
+const authorize = require("../common/middlewares/authorize_middleware");
+const {selfOrAdmin} = require("../common/middlewares/policy_middleware");
 const {upload, checkFileProvided} = require('../common/middlewares/uploads_middleware');
 
 const controller = Router();
@@ -147,7 +149,7 @@ controller.get("/unvalidated", (req, res, next) => {
  *       404:
  *         description: No unvalidated skills found for the user
  */
-controller.get("/unvalidated/:userId", (req, res, next) => {
+controller.get("/unvalidated/:userId", selfOrAdmin("userId"), (req, res, next) => {
     console.log('controller /unvalidated/:userId req.params.userId:', req.params.userId);
     skillsService.getUnvalidatedSkillsForUser(Number(req.params.userId))
         .then((data) => {
@@ -201,10 +203,14 @@ controller.get("/unvalidated/:userId", (req, res, next) => {
  *                   type: string
  *                   format: date
  *                   description: The date of validation
+ *       403:
+ *         description: Only skill validators can validate a skill
  *       404:
  *         description: No skill found for user with the given IDs
+ *     security:
+ *       - bearerAuth: []
  */
-controller.patch('/user/:userId/skill/:skillId/validate', (req, res, next) => {
+controller.patch('/user/:userId/skill/:skillId/validate', authorize(["skills.validate"]), (req, res, next) => {
     const userId = Number(req.params.userId);
     const skillId = Number(req.params.skillId);
 
@@ -238,7 +244,7 @@ controller.patch('/user/:userId/skill/:skillId/validate', (req, res, next) => {
  *       404:
  *         description: No skills found for the user
  */
-controller.get("/user/:userId", (req, res, next) => {
+controller.get("/user/:userId", selfOrAdmin("userId"), (req, res, next) => {
     skillsService.getAllForUser(Number(req.params.userId))
         .then((data) => res.json(data))
         .catch((err) => {
@@ -311,7 +317,7 @@ controller.get(
  *       400:
  *         description: Bad request, invalid user ID or skill ID.
  */
-controller.delete("/user/:userId/:skillId", (req, res, next) => {
+controller.delete("/user/:userId/:skillId", selfOrAdmin("userId"), (req, res, next) => {
     const userId = Number(req.params.userId);
     const skillId = Number(req.params.skillId);
 
@@ -471,7 +477,7 @@ controller.patch(
  *       500:
  *         description: Internal server error
  */
-controller.post('/:userId/skills', upload.single('document'), checkFileProvided, async (req, res, next) => {
+controller.post('/:userId/skills', selfOrAdmin("userId"), upload.single('document'), checkFileProvided, async (req, res, next) => {
     try {
         console.log('req.body:', req.body);
         console.log('req.file:', req.file);
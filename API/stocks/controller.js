@@ -29,6 +29,144 @@ const controller = Router();
  *         Product_ID: 1
  *         Quantity: 100
  *         Storage_Date: 2024-08-06
+ *     StockLot:
+ *       type: object
+ *       required:
+ *         - Product_ID
+ *         - Quantity
+ *       properties:
+ *         Stock_ID:
+ *           type: integer
+ *           description: The ID of the lot.
+ *         Product_ID:
+ *           type: integer
+ *           description: The ID of the product.
+ *         Quantity:
+ *           type: integer
+ *           description: The quantity left in the lot.
+ *         Expiry_Date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: The use-by or best-before date of the lot (null for non-perishable products).
+ *         Expiry_Type:
+ *           type: string
+ *           enum: [use_by, best_before]
+ *           description: Whether the expiry date is a use-by (DLC) or best-before (DDM) date.
+ *         Received_Date:
+ *           type: string
+ *           format: date
+ *           description: The date when the lot was received in the warehouse (defaults to today).
+ *         Donation_ID:
+ *           type: integer
+ *           nullable: true
+ *           description: The donation the lot comes from.
+ *         Route_ID:
+ *           type: integer
+ *           nullable: true
+ *           description: The collection route the lot comes from.
+ *       example:
+ *         Product_ID: 1
+ *         Quantity: 20
+ *         Expiry_Date: 2024-08-12
+ *         Expiry_Type: use_by
+ *         Received_Date: 2024-08-06
+ *         Donation_ID: 3
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         Movement_ID:
+ *           type: integer
+ *         Stock_ID:
+ *           type: integer
+ *           nullable: true
+ *           description: The lot concerned by the movement.
+ *         Product_ID:
+ *           type: integer
+ *         Quantity:
+ *           type: integer
+ *           description: Positive for an entry, negative for an exit.
+ *         Reason:
+ *           type: string
+ *           enum: [collected, distributed, manual_adjustment, spoiled, inventory_count, recipe_use]
+ *         User_ID:
+ *           type: integer
+ *           nullable: true
+ *           description: The user who made the change.
+ *         User_Name:
+ *           type: string
+ *           nullable: true
+ *         Comment:
+ *           type: string
+ *           nullable: true
+ *         Route_ID:
+ *           type: integer
+ *           nullable: true
+ *         Destination_ID:
+ *           type: integer
+ *           nullable: true
+ *         Movement_Date:
+ *           type: string
+ *           format: date-time
+ *     StockAdjustment:
+ *       type: object
+ *       required:
+ *         - Quantity
+ *       properties:
+ *         Quantity:
+ *           type: integer
+ *           description: The new quantity of the product, or of the lot if Stock_ID is given.
+ *         Stock_ID:
+ *           type: integer
+ *           description: Adjust only this lot of the product.
+ *         Reason:
+ *           type: string
+ *           enum: [manual_adjustment, spoiled, inventory_count, recipe_use]
+ *           default: manual_adjustment
+ *         Comment:
+ *           type: string
+ *       example:
+ *         Quantity: 80
+ *         Stock_ID: 12
+ *         Reason: spoiled
+ *         Comment: Barquettes abîmées
+ *     StockShortage:
+ *       type: object
+ *       properties:
+ *         Product_ID:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *         Barcode:
+ *           type: string
+ *         Category_Name:
+ *           type: string
+ *         StorageSector:
+ *           type: string
+ *         Threshold:
+ *           type: integer
+ *           description: The minimum stock level of the product, or of its category.
+ *         Available_Quantity:
+ *           type: integer
+ *           description: The quantity in stock, expired use-by lots excluded.
+ *         Requested_Quantity:
+ *           type: integer
+ *           description: The quantity asked by the requests not processed yet.
+ *         Missing_Quantity:
+ *           type: integer
+ *           description: Threshold plus requested quantity minus available quantity.
+ *         Coverage:
+ *           type: number
+ *           description: The share of the need covered by the stock (0 to 1).
+ *       example:
+ *         Product_ID: 42
+ *         Name: Pâtes
+ *         Category_Name: Épicerie salée
+ *         Threshold: 150
+ *         Available_Quantity: 60
+ *         Requested_Quantity: 20
+ *         Missing_Quantity: 110
+ *         Coverage: 0.35
  */
 
 /**
@@ -42,11 +180,15 @@ const controller = Router();
  * @swagger
  * /stocks:
  *   get:
- *     summary: Retrieve a list of stocks
+ *     summary: Retrieve the stocks aggregated per product
  *     tags: [Stocks]
  *     responses:
  *       200:
- *         description: A list of stocks.
+ *         description: >
+ *           A list of stocks, one per product, with the total quantity, the number of lots and the closest expiry date.
+ *           Quantity is the stock on hand. Reserved_Quantity is held by the baskets in progress (Basket_Quantity),
+ *           the approved requests not yet on a tour (Requests_Quantity) and the distribution destinations not yet
+ *           validated (Tours_Quantity). Available_Quantity is on hand minus reserved, lots past their use-by date excluded.
  *         content:
  *           application/json:
  *             schema:
@@ -86,11 +228,96 @@ controller.get("/IDs", (req, res, next) => {
 });
 
 
+/**
+ * @swagger
+ * /stocks/lots:
+ *   get:
+ *     summary: Retrieve every stock lot, without aggregation
+ *     tags: [Stocks]
+ *     responses:
+ *       200:
+ *         description: A list of lots, ordered by product then by expiry date.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockLot'
+ */
+controller.get("/lots", (req, res, next) => {
+    stocksService.getAllLots()
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /stocks/expiring:
+ *   get:
+ *     summary: Retrieve the lots expiring within the next N days
+ *     tags: [Stocks]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *         required: false
+ *         description: The number of days to look ahead. Already expired lots are included.
+ *     responses:
+ *       200:
+ *         description: A list of lots ordered by expiry date, with the number of days left.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockLot'
+ *       400:
+ *         description: Invalid number of days
+ */
+controller.get("/expiring", (req, res, next) => {
+    stocksService.getExpiring(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /stocks/shortages:
+ *   get:
+ *     summary: Retrieve the products below their minimum stock level, to ask donors for
+ *     tags: [Stocks]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Only return the first N products of the ranking.
+ *     responses:
+ *       200:
+ *         description: The products in shortage, the least covered first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockShortage'
+ *       400:
+ *         description: Invalid limit
+ */
+controller.get("/shortages", (req, res, next) => {
+    stocksService.getShortages(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
 /**
  * @swagger
  * /stocks/{id}:
  *   get:
- *     summary: Get a stock by ID
+ *     summary: Get a stock lot by ID
  *     tags: [Stocks]
  *     parameters:
  *       - in: path
@@ -101,11 +328,11 @@ controller.get("/IDs", (req, res, next) => {
  *         description: The stock ID
  *     responses:
  *       200:
- *         description: A single stock.
+ *         description: A single stock lot.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Stock'
+ *               $ref: '#/components/schemas/StockLot'
  *       404:
  *         description: Stock not found
  */
@@ -123,11 +350,43 @@ controller.get(
     },
 );
 
+/**
+ * @swagger
+ * /stocks/{id}/movements:
+ *   get:
+ *     summary: Get the stock movements history of a product
+ *     tags: [Stocks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: The movements of the product, the most recent first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockMovement'
+ */
+controller.get(
+    "/:id/movements",
+    (req, res, next) => {
+        stocksService.getMovements(Number(req.params.id))
+            .then((data) => res.json(data))
+            .catch((err) => next(err));
+    },
+);
+
 /**
  * @swagger
  * /stocks/product/{id}:
  *   get:
- *     summary: Get a stock by product ID
+ *     summary: Get the stock lots of a product
  *     tags: [Stocks]
  *     parameters:
  *       - in: path
@@ -138,11 +397,13 @@ controller.get(
  *         description: The product ID
  *     responses:
  *       200:
- *         description: A single stock.
+ *         description: The lots of the product, the first to expire first.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Stock'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockLot'
  *       404:
  *         description: Stock not found
  */
@@ -167,26 +428,36 @@ controller.get(
  * @swagger
  * /stocks:
  *   post:
- *     summary: Create a new stock
+ *     summary: Create a new stock lot
  *     tags: [Stocks]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Stock'
+ *             $ref: '#/components/schemas/StockLot'
  *     responses:
  *       201:
- *         description: The created stock.
+ *         description: The ID of the created lot.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Stock'
+ *               type: object
+ *               properties:
+ *                 Stock_ID:
+ *                   type: integer
+ *       400:
+ *         description: Invalid lot
+ *       403:
+ *         description: Permission stocks.manage required
+ *     security:
+ *       - bearerAuth: []
  */
 controller.post(
     "/",
+    authorize(["stocks.manage"]),
     (req, res, next) => {
-        stocksService.createOne(req.body)
+        stocksService.createOne(req.body, req.auth?.uid)
             .then((data) => res.status(201).json(data))
             .catch((err) => next(err));
     },
@@ -213,9 +484,12 @@ controller.post(
  */
 controller.delete(
     "/:id",
-    authorize(["admin"]),
+    authorize(["stocks.manage"]),
     (req, res, next) => {
-        stocksService.deleteOne(Number(req.params.id), req.user)
+        stocksService.deleteOne(Number(req.params.id), {
+            id: req.auth?.uid,
+            permissions: req.auth?.uperms,
+        })
             .then((deleted) => {
                 if (!deleted) {
                     throw new NotFoundError(`Stock with Product_ID ${req.params.id} not found`);
@@ -230,7 +504,7 @@ controller.delete(
  * @swagger
  * /stocks/{id}:
  *   patch:
- *     summary: Update a stock by ID
+ *     summary: Adjust the stock of a product, the difference being recorded in the movements journal
  *     tags: [Stocks]
  *     parameters:
  *       - in: path
@@ -238,28 +512,36 @@ controller.delete(
  *         schema:
  *           type: integer
  *         required: true
- *         description: The stock ID
+ *         description: The product ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Stock'
+ *             $ref: '#/components/schemas/StockAdjustment'
  *     responses:
  *       200:
- *         description: The updated stock.
+ *         description: The lots of the product after the adjustment.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Stock'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockLot'
+ *       400:
+ *         description: Invalid adjustment
+ *       403:
+ *         description: Permission stocks.manage required
  *       404:
  *         description: Stock not found
+ *     security:
+ *       - bearerAuth: []
  */
 controller.patch(
     "/:id",
+    authorize(["stocks.manage"]),
     (req, res, next) => {
-        const {Quantity, Storage_Date} = req.body;
-        stocksService.updateOne(Number(req.params.id), Quantity, Storage_Date)
+        stocksService.updateOne(Number(req.params.id), req.body, req.auth?.uid)
             .then((data) => {
                 if (data === null) {
                     throw new NotFoundError(`Stock with Product_ID ${req.params.id} not found`);
@@ -1,19 +1,47 @@
 const Joi = require("joi");
 
-// Schéma de validation pour créer un stock
+// Motifs possibles d'un mouvement de stock
+const MOVEMENT_REASONS = ["collected", "distributed", "manual_adjustment", "spoiled", "inventory_count", "recipe_use"];
+
+// Motifs qu'un utilisateur peut saisir à la main, les autres étant réservés aux tournées
+const MANUAL_MOVEMENT_REASONS = ["manual_adjustment", "spoiled", "inventory_count", "recipe_use"];
+
+// Schéma de validation pour créer un stock (un lot)
 const createStockSchema = Joi.object({
     Product_ID: Joi.number().required(),
-    Quantity: Joi.number().optional(),
+    Quantity: Joi.number().integer().min(1).required(),
+    Expiry_Date: Joi.date().optional().allow(null),
+    Expiry_Type: Joi.string().valid("use_by", "best_before").optional(),
+    Received_Date: Joi.date().optional().allow(null),
+    Donation_ID: Joi.number().integer().optional().allow(null),
+    Route_ID: Joi.number().integer().optional().allow(null),
+    Reason: Joi.string().valid("collected", ...MANUAL_MOVEMENT_REASONS).optional(),
+    Comment: Joi.string().max(255).optional().allow(null, ""),
 });
 
 // Schéma de validation pour mettre à jour un stock
 const updateStockSchema = Joi.object({
-    Product_ID: Joi.number().required(),
-    Quantity: Joi.number().required(),
-    Storage_Date: Joi.date().optional()
-}).min(1);
+    Quantity: Joi.number().integer().min(0).required(),
+    Stock_ID: Joi.number().integer().optional(), // Ajuste un seul lot au lieu du total du produit
+    Reason: Joi.string().valid(...MANUAL_MOVEMENT_REASONS).default("manual_adjustment"),
+    Comment: Joi.string().max(255).optional().allow(null, ""),
+});
+
+// Schéma de validation pour la liste des lots bientôt périmés
+const expiringStockSchema = Joi.object({
+    days: Joi.number().integer().min(0).default(7),
+});
+
+// Schéma de validation pour la liste des produits en manque
+const shortagesSchema = Joi.object({
+    limit: Joi.number().integer().min(1).optional(),
+});
 
 module.exports = {
+    MOVEMENT_REASONS,
+    MANUAL_MOVEMENT_REASONS,
     createStockSchema,
     updateStockSchema,
+    expiringStockSchema,
+    shortagesSchema,
 };
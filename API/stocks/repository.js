@@ -1,7 +1,8 @@
 const getConnection = require("../common/db_handler");
+const { InvalidArgumentError } = require("../common/service_errors");
 
-// Création d'un enregistrement de stock
-async function createOne(stock) {
+// Création d'un lot de stock, journalisée comme une entrée
+async function createOne(stock, movement) {
     if (!stock.Product_ID || !stock.Quantity) {
         throw new Error("createOne: Product_ID and Quantity must be defined");
     }
@@ -10,14 +11,10 @@ async function createOne(stock) {
     try {
         await connection.beginTransaction();
 
-        const query = `
-            INSERT INTO Stocks (Product_ID, Quantity)
-            VALUES (?, ?)
-        `;
-        const [result] = await connection.execute(query, [stock.Product_ID, stock.Quantity]);
+        const stockId = await addLot(connection, stock, movement);
 
         await connection.commit();
-        return result.insertId;
+        return stockId;
     } catch (error) {
         await connection.rollback();
         throw error;
@@ -59,11 +56,12 @@ async function getOneBy(attribute, value) {
                  JOIN Products p ON s.Product_ID = p.Product_ID
                  LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
         WHERE s.${attribute} = ?
+        ORDER BY s.Expiry_Date IS NULL, s.Expiry_Date, s.Received_Date
     `;
     const [rows] = await connection.execute(query, [value]);
     console.log("Produit trouvé: ", rows);
     await connection.end();
-    return rows || null;
+    return rows.length > 0 ? rows : null;
 }
 
 async function getAllStockIDs() { // Renamed to clarify it's for IDs
@@ -77,7 +75,7 @@ async function getAllStockIDs() { // Renamed to clarify it's for IDs
     return rows.map(row => row.Product_ID); // Extract only the IDs
 }
 
-// Récupère tous les stocks
+// Récupère tous les lots de stock
 async function getAll() {
     const connection = await getConnection();
     const query = `
@@ -85,36 +83,387 @@ async function getAll() {
         FROM Stocks s
                  JOIN Products p ON s.Product_ID = p.Product_ID
                  LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
+        ORDER BY s.Product_ID, s.Expiry_Date IS NULL, s.Expiry_Date, s.Received_Date
     `;
     const [rows] = await connection.execute(query);
     await connection.end();
     return rows;
 }
 
-// Update un enregistrement de stock
-async function updateOne(id, quantity) {
-    if (id === undefined || quantity === undefined) {
-        throw new Error("updateOne: id and quantity must be defined");
+/*
+ * Réservations : quantités promises mais pas encore sorties du stock. Elles ne sont pas enregistrées à part,
+ * elles se déduisent des paniers en cours, des demandes approuvées pas encore mises en tournée et des produits
+ * des destinations de distribution non validées. Annuler une demande, retirer ou passer une destination, ou annuler
+ * la tournée libère donc sa réservation ; valider la destination la transforme en sortie de stock.
+ */
+const RESERVATIONS = `
+    SELECT b.Product_ID, b.Quantity, 'basket' AS Source, b.User_ID AS Basket_User_ID, NULL AS Request_ID
+    FROM Basket_Items b
+    WHERE b.Reserved_Until > NOW()
+    UNION ALL
+    SELECT r.Product_ID, r.Quantity, 'request', NULL, r.Request_ID
+    FROM Requests r
+    WHERE r.Status = 'approved'
+    UNION ALL
+    SELECT dp.Product_ID, dp.Quantity, 'tour', NULL, NULL
+    FROM Destination_Products dp
+             JOIN Destinations d ON dp.Destination_ID = d.Destination_ID
+             JOIN Routes rt ON d.Route_ID = rt.Route_ID
+    WHERE d.Type = 0
+      AND d.Validated = 0
+      AND d.Skipped_At IS NULL
+      AND rt.Status <> 'cancelled'
+`;
+
+// Quantités réservées par produit, au total et par origine
+async function getReservedQuantities() {
+    const connection = await getConnection();
+    const query = `
+        SELECT Product_ID,
+               SUM(Quantity)                            AS Reserved_Quantity,
+               SUM(IF(Source = 'basket', Quantity, 0))  AS Basket_Quantity,
+               SUM(IF(Source = 'request', Quantity, 0)) AS Requests_Quantity,
+               SUM(IF(Source = 'tour', Quantity, 0))    AS Tours_Quantity
+        FROM (${RESERVATIONS}) reservation
+        GROUP BY Product_ID
+    `;
+    const [rows] = await connection.execute(query);
+    await connection.end();
+    return rows.map(row => ({
+        Product_ID: row.Product_ID,
+        Reserved_Quantity: Number(row.Reserved_Quantity),
+        Basket_Quantity: Number(row.Basket_Quantity),
+        Requests_Quantity: Number(row.Requests_Quantity),
+        Tours_Quantity: Number(row.Tours_Quantity)
+    }));
+}
+
+// Récupère les lots non vides dont la date de péremption tombe dans les `days` prochains jours (lots déjà périmés inclus)
+async function getExpiring(days) {
+    if (days === undefined) {
+        throw new Error("getExpiring: days must be defined");
     }
 
     const connection = await getConnection();
-    const [result] = await connection.execute(
-        'UPDATE Stocks SET Quantity = ? WHERE Product_ID = ?',
-        [quantity, id]
-    );
+    const query = `
+        SELECT s.*, p.*, c.Name AS Category_Name, c.StorageSector,
+               DATEDIFF(s.Expiry_Date, CURDATE()) AS Days_Left
+        FROM Stocks s
+                 JOIN Products p ON s.Product_ID = p.Product_ID
+                 LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
+        WHERE s.Expiry_Date IS NOT NULL
+          AND s.Expiry_Date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+          AND s.Quantity > 0
+        ORDER BY s.Expiry_Date, s.Received_Date
+    `;
+    const [rows] = await connection.execute(query, [days]);
     await connection.end();
-    return result.affectedRows > 0;
+    return rows;
+}
+
+// Liste les produits en manque : stock utilisable (hors lots périmés à DLC) inférieur au seuil minimum du produit
+// (ou de sa catégorie) augmenté des quantités demandées par les demandes non traitées.
+// Les produits les moins couverts arrivent en premier.
+async function getShortages() {
+    const connection = await getConnection();
+    const query = `
+        SELECT shortage.*,
+               shortage.Threshold + shortage.Requested_Quantity - shortage.Available_Quantity AS Missing_Quantity,
+               ROUND(shortage.Available_Quantity / (shortage.Threshold + shortage.Requested_Quantity), 2) AS Coverage
+        FROM (SELECT p.Product_ID,
+                     p.Name,
+                     p.Barcode,
+                     c.Name                                         AS Category_Name,
+                     c.StorageSector,
+                     COALESCE(p.Min_Quantity, c.Min_Quantity, 0)    AS Threshold,
+                     COALESCE((SELECT SUM(s.Quantity)
+                               FROM Stocks s
+                               WHERE s.Product_ID = p.Product_ID
+                                 AND (s.Expiry_Date IS NULL OR s.Expiry_Date >= CURDATE()
+                                   OR COALESCE(s.Expiry_Type, 'best_before') <> 'use_by')), 0) AS Available_Quantity,
+                     COALESCE((SELECT SUM(r.Quantity)
+                               FROM Requests r
+                               WHERE r.Product_ID = p.Product_ID
+                                 AND r.Status IN ('submitted', 'approved')), 0) AS Requested_Quantity
+              FROM Products p
+                       LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID) shortage
+        WHERE shortage.Threshold + shortage.Requested_Quantity > shortage.Available_Quantity
+        ORDER BY Coverage, Missing_Quantity DESC, shortage.Name
+    `;
+    const [rows] = await connection.execute(query);
+    await connection.end();
+    return rows.map(row => ({
+        ...row,
+        Available_Quantity: Number(row.Available_Quantity),
+        Requested_Quantity: Number(row.Requested_Quantity),
+        Missing_Quantity: Number(row.Missing_Quantity),
+        Coverage: Number(row.Coverage)
+    }));
+}
+
+// Ramène la quantité d'un produit (ou d'un seul de ses lots si Stock_ID est fourni) à la valeur donnée,
+// en journalisant l'écart avec le motif fourni
+async function updateOne(id, stock, movement) {
+    if (id === undefined || stock?.Quantity === undefined) {
+        throw new Error("updateOne: id and quantity must be defined");
+    }
+
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [lots] = await connection.execute(`
+            SELECT Stock_ID, Quantity
+            FROM Stocks
+            WHERE Product_ID = ?
+            FOR UPDATE
+        `, [id]);
+
+        if (lots.length === 0) {
+            await connection.rollback();
+            return false;
+        }
+
+        if (stock.Stock_ID) {
+            const lot = lots.find(l => l.Stock_ID === stock.Stock_ID);
+            if (!lot) {
+                throw new InvalidArgumentError(`Lot ${stock.Stock_ID} does not belong to product ${id}.`);
+            }
+            await adjustLot(connection, lot.Stock_ID, stock.Quantity - lot.Quantity, {...movement, Product_ID: id});
+        } else {
+            await setProductQuantity(connection, id, stock.Quantity, movement);
+        }
+
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
 }
 
-// Supprime un enregistrement de stock par son ID
-async function deleteOne(id) {
+// Supprime tous les lots d'un produit, en journalisant la sortie des quantités restantes
+async function deleteOne(id, movement) {
     if (id === undefined) {
         throw new Error("deleteOne: id must be defined");
     }
+
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [lots] = await connection.execute(`
+            SELECT Stock_ID, Quantity
+            FROM Stocks
+            WHERE Product_ID = ?
+              AND Quantity <> 0
+            FOR UPDATE
+        `, [id]);
+
+        for (const lot of lots) {
+            await recordMovement(connection, {
+                ...movement,
+                Stock_ID: lot.Stock_ID,
+                Product_ID: id,
+                Quantity: -lot.Quantity
+            });
+        }
+
+        const [result] = await connection.execute('DELETE FROM Stocks WHERE Product_ID = ?', [id]);
+
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère l'historique des mouvements d'un produit, du plus récent au plus ancien
+async function getMovements(productId) {
+    if (productId === undefined) {
+        throw new Error("getMovements: productId must be defined");
+    }
+
     const connection = await getConnection();
-    const [result] = await connection.execute('DELETE FROM Stocks WHERE Product_ID = ?', [id]);
+    const query = `
+        SELECT m.*,
+               s.Expiry_Date,
+               CONCAT(u.Firstname, ' ', u.Name) AS User_Name
+        FROM Stock_Movements m
+                 LEFT JOIN Stocks s ON m.Stock_ID = s.Stock_ID
+                 LEFT JOIN Users u ON m.User_ID = u.User_ID
+        WHERE m.Product_ID = ?
+        ORDER BY m.Movement_Date DESC, m.Movement_ID DESC
+    `;
+    const [rows] = await connection.execute(query, [productId]);
     await connection.end();
-    return result.affectedRows > 0;
+    return rows;
+}
+
+/*
+ * Les fonctions suivantes reçoivent la connexion de l'appelant afin de s'exécuter
+ * dans sa transaction (validation d'une tournée par exemple).
+ */
+
+// Enregistre un mouvement dans le journal. Le journal est en ajout seul : aucune fonction ne le modifie ni ne le purge.
+async function recordMovement(connection, movement) {
+    if (!movement?.Reason) {
+        throw new Error("recordMovement: Reason must be defined");
+    }
+
+    await connection.execute(`
+        INSERT INTO Stock_Movements (Stock_ID, Product_ID, Quantity, Reason, User_ID, Comment, Route_ID, Destination_ID)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        movement.Stock_ID || null,
+        movement.Product_ID,
+        movement.Quantity,
+        movement.Reason,
+        movement.User_ID || null,
+        movement.Comment || null,
+        movement.Route_ID || null,
+        movement.Destination_ID || null
+    ]);
+}
+
+// Modifie la quantité d'un lot et journalise l'écart
+async function adjustLot(connection, stockId, delta, movement) {
+    if (delta === 0) {
+        return;
+    }
+
+    await connection.execute(`
+        UPDATE Stocks
+        SET Quantity = Quantity + ?
+        WHERE Stock_ID = ?
+    `, [delta, stockId]);
+
+    await recordMovement(connection, {...movement, Stock_ID: stockId, Quantity: delta});
+}
+
+// Ajoute un nouveau lot au stock et enregistre l'entrée correspondante
+async function addLot(connection, lot, movement) {
+    const [result] = await connection.execute(`
+        INSERT INTO Stocks (Product_ID, Quantity, Expiry_Date, Expiry_Type, Received_Date, Donation_ID, Route_ID)
+        VALUES (?, ?, ?, ?, COALESCE(?, CURDATE()), ?, ?)
+    `, [
+        lot.Product_ID,
+        lot.Quantity,
+        lot.Expiry_Date || null,
+        lot.Expiry_Type || 'best_before',
+        lot.Received_Date || null,  // Date du jour si non fournie
+        lot.Donation_ID || null,
+        lot.Route_ID || null
+    ]);
+
+    await recordMovement(connection, {
+        ...movement,
+        Stock_ID: result.insertId,
+        Product_ID: lot.Product_ID,
+        Quantity: lot.Quantity
+    });
+    return result.insertId;
+}
+
+// Ramène la quantité totale d'un produit à la valeur donnée : un excédent entre comme un nouveau lot,
+// un manque est retiré des lots les plus proches de leur péremption, périmés compris
+async function setProductQuantity(connection, productId, quantity, movement) {
+    const [rows] = await connection.execute(`
+        SELECT COALESCE(SUM(Quantity), 0) AS Total
+        FROM Stocks
+        WHERE Product_ID = ?
+    `, [productId]);
+
+    const delta = quantity - Number(rows[0].Total);
+    if (delta > 0) {
+        await addLot(connection, {Product_ID: productId, Quantity: delta}, movement);
+    } else if (delta < 0) {
+        await consumeFefo(connection, productId, -delta, movement, {includeExpired: true});
+    }
+    return delta;
+}
+
+/**
+ * Quantité d'un produit encore disponible : stock distribuable (hors lots périmés à DLC) moins les réservations.
+ * Les lots du produit sont verrouillés jusqu'à la fin de la transaction : deux réservations concurrentes
+ * ne peuvent pas promettre les mêmes unités.
+ * @param connection - La connexion portant la transaction en cours.
+ * @param {Number} productId - Le produit.
+ * @param {Object} exclude - La réservation que l'appelant remplace, à ne pas décompter :
+ *                           le panier d'un utilisateur (basketUserId) ou une demande (requestId).
+ * @returns {Number} - La quantité disponible, jamais négative.
+ */
+async function getAvailableQuantity(connection, productId, {basketUserId = null, requestId = null} = {}) {
+    const [lots] = await connection.execute(`
+        SELECT Quantity
+        FROM Stocks
+        WHERE Product_ID = ?
+          AND Quantity > 0
+          AND (Expiry_Date IS NULL OR Expiry_Date >= CURDATE() OR COALESCE(Expiry_Type, 'best_before') <> 'use_by')
+        FOR UPDATE
+    `, [productId]);
+    const [reserved] = await connection.execute(`
+        SELECT COALESCE(SUM(Quantity), 0) AS Reserved
+        FROM (${RESERVATIONS}) reservation
+        WHERE Product_ID = ?
+          AND NOT (Source = 'basket' AND Basket_User_ID <=> ?)
+          AND NOT (Source = 'request' AND Request_ID <=> ?)
+    `, [productId, basketUserId, requestId]);
+
+    const onHand = lots.reduce((total, lot) => total + lot.Quantity, 0);
+    return Math.max(onHand - Number(reserved[0].Reserved), 0);
+}
+
+// Retire une quantité d'un produit en FEFO (premier périmé, premier sorti), sans jamais passer sous zéro.
+// Sauf `includeExpired`, les lots dont la DLC est dépassée ne peuvent plus être distribués et sont ignorés.
+async function consumeFefo(connection, productId, quantity, movement, {includeExpired = false} = {}) {
+    const [lots] = await connection.execute(`
+        SELECT Stock_ID, Quantity
+        FROM Stocks
+        WHERE Product_ID = ?
+          AND Quantity > 0
+          AND (? OR Expiry_Date IS NULL OR Expiry_Date >= CURDATE() OR COALESCE(Expiry_Type, 'best_before') <> 'use_by')
+        ORDER BY Expiry_Date IS NULL, Expiry_Date, Received_Date, Stock_ID
+        FOR UPDATE
+    `, [productId, includeExpired ? 1 : 0]);
+
+    const available = lots.reduce((total, lot) => total + lot.Quantity, 0);
+    if (available < quantity) {
+        throw new InvalidArgumentError(`Not enough stock for product ${productId}: ${available} available, ${quantity} requested.`);
+    }
+
+    let remaining = quantity;
+    for (const lot of lots) {
+        if (remaining <= 0) {
+            break;
+        }
+        const taken = Math.min(lot.Quantity, remaining);
+        await adjustLot(connection, lot.Stock_ID, -taken, {...movement, Product_ID: productId});
+        remaining -= taken;
+    }
 }
 
-module.exports = { createOne, getAll, getAllStockIDs, getOne, updateOne, deleteOne, getOneBy };
+module.exports = {
+    createOne,
+    getAll,
+    getReservedQuantities,
+    getAllStockIDs,
+    getOne,
+    updateOne,
+    deleteOne,
+    getOneBy,
+    getExpiring,
+    getShortages,
+    getMovements,
+    recordMovement,
+    adjustLot,
+    addLot,
+    setProductQuantity,
+    getAvailableQuantity,
+    consumeFefo
+};
@@ -1,16 +1,27 @@
-const { createUserSchema, updateUserSchema } = require("./model");
+const { createStockSchema, updateStockSchema, expiringStockSchema, shortagesSchema } = require("./model");
 const stockRepository = require("./repository");
 const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
 
-// Fonction de création d'utilisateur
-async function createOne(stock) {
+// Fonction de création d'un lot de stock
+async function createOne(stock, userId) {
+    const { error } = createStockSchema.validate(stock);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
 
-   await stockRepository.createOne(stock);
+    const { Reason, Comment, ...lot } = stock;
+    const stockId = await stockRepository.createOne(lot, {
+        Reason: Reason || "manual_adjustment",
+        Comment,
+        User_ID: userId
+    });
+    return { Stock_ID: stockId };
 }
 
-// Fonction de récupération d'un utilisateur en fonction de son ID
+// Fonction de récupération d'un lot en fonction de son ID
 async function getOne(id) {
     const stock = await stockRepository.getOne(id);
+    return stock ? { ...stock } : null;
 }
 //TODO:
 async function getOneBy(attribute, value) {
@@ -21,28 +32,70 @@ async function getOneBy(attribute, value) {
     return stock ? { ...stock } : null;
 }
 
-// Fonction de récupération de tous les utilisateurs
+// Fonction de récupération des stocks agrégés par produit.
+// Quantity est le stock en main ; Reserved_Quantity ce que promettent les paniers, demandes approuvées et tournées
+// de distribution ; Available_Quantity ce qui peut encore être demandé (lots non périmés à DLC, moins les réservations).
 async function getAll() {
-    const stocks = await stockRepository.getAll();
-    console.log('Stocks from service:', stocks);
-
-    // Utiliser un objet pour regrouper les produits par Product_ID
+    const [stocks, reserved] = await Promise.all([
+        stockRepository.getAll(),
+        stockRepository.getReservedQuantities()
+    ]);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Utiliser un objet pour regrouper les lots par Product_ID
     const groupedStocks = {};
 
     stocks.forEach(stock => {
-        const { Product_ID, Quantity, ...rest } = stock;
+        const { Stock_ID, Product_ID, Quantity, Expiry_Date, Expiry_Type, Received_Date, Donation_ID, Route_ID, ...rest } = stock;
 
         if (!groupedStocks[Product_ID]) {
             // Si le produit n'est pas encore dans groupedStocks, on l'ajoute
-            groupedStocks[Product_ID] = { ...rest, Product_ID, Quantity };
-        } else {
-            // Si le produit est déjà dans groupedStocks, on ajoute la quantité
-            groupedStocks[Product_ID].Quantity += Quantity;
+            groupedStocks[Product_ID] = { ...rest, Product_ID, Quantity: 0, Usable_Quantity: 0, Lots_Count: 0, Next_Expiry_Date: null };
+        }
+
+        // On ajoute la quantité du lot, et on garde la date de péremption la plus proche parmi les lots non vides
+        const product = groupedStocks[Product_ID];
+        product.Quantity += Quantity;
+        if (Quantity > 0) {
+            product.Lots_Count += 1;
+            if (Expiry_Date && (!product.Next_Expiry_Date || Expiry_Date < product.Next_Expiry_Date)) {
+                product.Next_Expiry_Date = Expiry_Date;
+            }
+            const expired = Expiry_Type === "use_by" && Expiry_Date && new Date(Expiry_Date) < today;
+            if (!expired) {
+                product.Usable_Quantity += Quantity;
+            }
         }
     });
 
     // Convertir l'objet en tableau
-    return Object.values(groupedStocks);
+    return Object.values(groupedStocks).map(({ Usable_Quantity, ...product }) => {
+        const { Product_ID, ...reservation } = reserved.find(r => r.Product_ID === product.Product_ID)
+            || { Reserved_Quantity: 0, Basket_Quantity: 0, Requests_Quantity: 0, Tours_Quantity: 0 };
+        return {
+            ...product,
+            ...reservation,
+            Available_Quantity: Math.max(Usable_Quantity - reservation.Reserved_Quantity, 0)
+        };
+    });
+}
+
+// Fonction de récupération de tous les lots, sans agrégation
+async function getAllLots() {
+    const lots = await stockRepository.getAll();
+    return lots.map(lot => ({ ...lot }));
+}
+
+// Fonction de récupération des lots qui périment dans les N prochains jours
+async function getExpiring(query) {
+    const { error, value } = expiringStockSchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const lots = await stockRepository.getExpiring(value.days);
+    return lots.map(lot => ({ ...lot }));
 }
 
 async function getAllIDs() {
@@ -54,34 +107,49 @@ async function getAllIDs() {
     }
 }
 
-// Fonction de mise à jour d'un utilisateur en fonction de son ID
-async function updateOne(id, quantity, storageDate) {
-    const existing = await stockRepository.getOneBy("Product_ID", id);
-    if (!existing) {
-        throw new Error(`Stock with Product_ID ${id} does not exist`);
+// Fonction de récupération des produits à solliciter auprès des donateurs, les moins couverts en premier
+async function getShortages(query) {
+    const { error, value } = shortagesSchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
     }
 
-    // Mise à jour de la date actuelle si storageDate n'est pas fourni
-    if (!storageDate) {
-        storageDate = new Date().toISOString().split('T')[0];
+    const shortages = await stockRepository.getShortages();
+    return value.limit ? shortages.slice(0, value.limit) : shortages;
+}
+
+// Fonction de mise à jour de la quantité d'un produit, l'écart étant journalisé avec son motif
+async function updateOne(id, data, userId) {
+    const { error, value } = updateStockSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
     }
 
-    const updated = await stockRepository.updateOne(id, quantity, storageDate);
-    return updated ? { ...updated } : null;
+    const { Quantity, Stock_ID, Reason, Comment } = value;
+    const updated = await stockRepository.updateOne(id, { Quantity, Stock_ID }, { Reason, Comment, User_ID: userId });
+    if (!updated) {
+        return null;
+    }
+    return await stockRepository.getOneBy("Product_ID", id);
 }
 
+// Fonction de récupération de l'historique des mouvements d'un produit
+async function getMovements(productId) {
+    const movements = await stockRepository.getMovements(productId);
+    return movements.map(movement => ({ ...movement }));
+}
 
-// Fonction de suppression d'un utilisateur
+// Fonction de suppression des lots d'un produit
 async function deleteOne(id, issuer) {
     const stock = await stockRepository.getOneBy("Product_ID", id);
     if (!stock) {
-        throw new Error(`Stock with Product_ID ${id} does not exist`);
+        return null;
     }
-    if (issuer?.role !== "admin") {
+    if (!issuer?.permissions?.includes("stocks.manage")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer un produit en stock sans être un administrateur.");
     }
-    return await stockRepository.deleteOne(id);
+    return await stockRepository.deleteOne(id, { Reason: "manual_adjustment", Comment: "Suppression du stock", User_ID: issuer.id });
 }
 
 
-module.exports = { createOne, getOne, getAllIDs, getOneBy, getAll, updateOne, deleteOne };
+module.exports = { createOne, getOne, getAllIDs, getOneBy, getAll, getAllLots, getExpiring, getShortages, getMovements, updateOne, deleteOne };
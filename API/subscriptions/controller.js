@@ -1,6 +1,7 @@
 const { Router } = require("express");
 const subscriptionService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
+const {selfOrAdmin, selfOrAdminBody} = require("../common/middlewares/policy_middleware");
 
 const controller = Router();
 
@@ -34,7 +35,7 @@ const controller = Router();
  *       404:
  *         description: Subscription not found
  */
-controller.get("/:userId", (req, res, next) => {
+controller.get("/:userId", selfOrAdmin("userId"), (req, res, next) => {
     subscriptionService.getSubscription(Number(req.params.userId))
         .then((data) => res.json(data))
         .catch((err) => next(err));
@@ -69,7 +70,7 @@ controller.get("/:userId", (req, res, next) => {
  *       400:
  *         description: Bad request
  */
-controller.post("/", (req, res, next) => {
+controller.post("/", selfOrAdminBody("user_id"), (req, res, next) => {
     subscriptionService.createSubscription(req.body)
         .then((data) => res.status(201).json(data))
         .catch((err) => next(err));
@@ -109,7 +110,7 @@ controller.post("/", (req, res, next) => {
  *       404:
  *         description: Subscription not found
  */
-controller.patch("/:userId", (req, res, next) => {
+controller.patch("/:userId", selfOrAdmin("userId"), (req, res, next) => {
     subscriptionService.updateSubscription(Number(req.params.userId), req.body)
         .then((data) => res.json(data))
         .catch((err) => next(err));
@@ -0,0 +1,93 @@
+// Routes réservées à une permission : sans elle, la réponse est 403 et le service n'est pas appelé.
+// Les services sont remplacés pour ne pas dépendre de la base.
+process.env.JWT_SECRET = "test-secret";
+
+const {describe, it, before, after, mock} = require("node:test");
+const assert = require("node:assert/strict");
+
+const generateJWT = require("../common/jwt_handler");
+const skillsService = require("../skills/service");
+const toursService = require("../tours/service");
+const stocksService = require("../stocks/service");
+const app = require("../index");
+
+const volunteerToken = generateJWT(2, ["volunteer"], ["inventories.count", "donations.create", "requests.create"]);
+
+// Routes protégées, avec la permission requise et le service appelé une fois l'accès accordé
+const GUARDED_ROUTES = [
+    {
+        name: "PATCH /skills/user/:userId/skill/:skillId/validate",
+        method: "PATCH",
+        path: "/skills/user/2/skill/1/validate",
+        permission: "skills.validate",
+        service: [skillsService, "validateUserSkill", {message: "Skill validated"}],
+    },
+    {
+        name: "PUT /tours/:id",
+        method: "PUT",
+        path: "/tours/6",
+        body: {User_ID: 2},
+        permission: "tours.manage",
+        service: [toursService, "updateOne", {Route_ID: 6, User_ID: 2}],
+    },
+    {
+        name: "POST /stocks",
+        method: "POST",
+        path: "/stocks",
+        body: {Product_ID: 11, Quantity: 4},
+        permission: "stocks.manage",
+        service: [stocksService, "createOne", {Stock_ID: 1}],
+    },
+    {
+        name: "PATCH /stocks/:id",
+        method: "PATCH",
+        path: "/stocks/11",
+        body: {Quantity: 3},
+        permission: "stocks.manage",
+        service: [stocksService, "updateOne", []],
+    },
+];
+
+describe("permission guards", () => {
+    let server;
+    let baseUrl;
+    const mocks = new Map();
+
+    before(async () => {
+        for (const {name, service: [module, method, result]} of GUARDED_ROUTES) {
+            mocks.set(name, mock.method(module, method, async () => result));
+        }
+        server = app.listen(0);
+        await new Promise(resolve => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        mock.restoreAll();
+        server.close();
+    });
+
+    async function call(route, token) {
+        const response = await fetch(baseUrl + route.path, {
+            method: route.method,
+            headers: {"Content-Type": "application/json", Authorization: `Bearer ${token}`},
+            body: route.body ? JSON.stringify(route.body) : undefined,
+        });
+        return response.status;
+    }
+
+    for (const route of GUARDED_ROUTES) {
+        describe(route.name, () => {
+            it(`forbids users without ${route.permission}`, async () => {
+                assert.equal(await call(route, volunteerToken), 403);
+                assert.equal(mocks.get(route.name).mock.callCount(), 0);
+            });
+
+            it(`lets users with ${route.permission} through`, async () => {
+                const status = await call(route, generateJWT(1, ["coordinator"], [route.permission]));
+                assert.ok(status >= 200 && status < 300, `expected a success, got ${status}`);
+                assert.equal(mocks.get(route.name).mock.callCount(), 1);
+            });
+        });
+    }
+});
@@ -0,0 +1,192 @@
+// Règles d'appartenance (ownerOr / selfOrAdmin / selfOrAdminBody) : un bénévole n'agit que sur ses propres données,
+// un gestionnaire (users.manage) agit sur celles de tous. Les services sont remplacés pour ne pas dépendre de la base.
+process.env.JWT_SECRET = "test-secret";
+
+const {describe, it, before, after, mock} = require("node:test");
+const assert = require("node:assert/strict");
+
+const generateJWT = require("../common/jwt_handler");
+const {ownerOr} = require("../common/middlewares/policy_middleware");
+const {AuthError, UnauthorizedError} = require("../common/service_errors");
+const usersService = require("../users/service");
+const requestsService = require("../requests/service");
+const registrationsService = require("../registrations/service");
+const skillsService = require("../skills/service");
+const subscriptionsService = require("../subscriptions/service");
+const app = require("../index");
+
+const VOLUNTEER_ID = 2;
+const OTHER_USER_ID = 3;
+const volunteerToken = generateJWT(VOLUNTEER_ID, ["volunteer"], ["inventories.count", "donations.create", "requests.create"]);
+const managerToken = generateJWT(1, ["coordinator"], ["backoffice.access", "users.manage"]);
+
+// Routes propres à un utilisateur, avec le service appelé une fois l'accès accordé
+const USER_ROUTES = [
+    {
+        name: "PATCH /users/:id",
+        method: "PATCH",
+        path: userId => `/users/${userId}`,
+        body: () => ({first_name: "Camille"}),
+        service: [usersService, "updateOne", {User_ID: VOLUNTEER_ID}],
+    },
+    {
+        name: "GET /requests/user/:userID",
+        method: "GET",
+        path: userId => `/requests/user/${userId}`,
+        service: [requestsService, "getOneUserID", [{Request_ID: 1}]],
+    },
+    {
+        name: "POST /registrations/:ticketId/:userId",
+        method: "POST",
+        path: userId => `/registrations/5/${userId}`,
+        service: [registrationsService, "createOne", undefined],
+    },
+    {
+        name: "DELETE /skills/user/:userId/:skillId",
+        method: "DELETE",
+        path: userId => `/skills/user/${userId}/4`,
+        service: [skillsService, "deleteSkillForUser", true],
+    },
+    {
+        name: "PATCH /subscriptions/:userId",
+        method: "PATCH",
+        path: userId => `/subscriptions/${userId}`,
+        body: () => ({end_date: "2030-01-01"}),
+        service: [subscriptionsService, "updateSubscription", {}],
+    },
+    {
+        name: "POST /subscriptions (selfOrAdminBody)",
+        method: "POST",
+        path: () => "/subscriptions",
+        body: userId => ({user_id: userId}),
+        service: [subscriptionsService, "createSubscription", {}],
+    },
+];
+
+describe("ownership policy on user-scoped routes", () => {
+    let server;
+    let baseUrl;
+    const mocks = new Map();
+
+    before(async () => {
+        for (const {name, service: [module, method, result]} of USER_ROUTES) {
+            mocks.set(name, mock.method(module, method, async () => result));
+        }
+        server = app.listen(0);
+        await new Promise(resolve => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        mock.restoreAll();
+        server.close();
+    });
+
+    async function call(route, userId, token) {
+        const headers = {"Content-Type": "application/json"};
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(baseUrl + route.path(userId), {
+            method: route.method,
+            headers,
+            body: route.body ? JSON.stringify(route.body(userId)) : undefined,
+        });
+        return response.status;
+    }
+
+    for (const route of USER_ROUTES) {
+        describe(route.name, () => {
+            it("forbids a volunteer from acting on another user's data", async () => {
+                const calls = mocks.get(route.name).mock.callCount();
+                assert.equal(await call(route, OTHER_USER_ID, volunteerToken), 403);
+                assert.equal(mocks.get(route.name).mock.callCount(), calls);
+            });
+
+            it("lets a volunteer act on their own data", async () => {
+                const status = await call(route, VOLUNTEER_ID, volunteerToken);
+                assert.ok(status >= 200 && status < 300, `expected a success, got ${status}`);
+            });
+
+            it("lets a user manager act on another user's data", async () => {
+                const status = await call(route, OTHER_USER_ID, managerToken);
+                assert.ok(status >= 200 && status < 300, `expected a success, got ${status}`);
+            });
+
+            it("requires to be logged in", async () => {
+                assert.equal(await call(route, VOLUNTEER_ID, null), 401);
+            });
+        });
+    }
+});
+
+describe("PATCH /requests/:id", () => {
+    let server;
+    let baseUrl;
+    let updateOne;
+
+    before(async () => {
+        // La demande 20 appartient au bénévole, la demande 30 à un autre utilisateur
+        mock.method(requestsService, "getOneRequest", async id => [{Request_ID: id, User: {User_ID: id / 10}}]);
+        updateOne = mock.method(requestsService, "updateOne", async (id, data) => ({Request_ID: id, ...data}));
+        server = app.listen(0);
+        await new Promise(resolve => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        mock.restoreAll();
+        server.close();
+    });
+
+    async function patch(requestId, token) {
+        const response = await fetch(`${baseUrl}/requests/${requestId}`, {
+            method: "PATCH",
+            headers: {"Content-Type": "application/json", Authorization: `Bearer ${token}`},
+            body: JSON.stringify({Quantity: 2}),
+        });
+        return response.status;
+    }
+
+    it("forbids a volunteer from changing another user's request", async () => {
+        assert.equal(await patch(OTHER_USER_ID * 10, volunteerToken), 403);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it("lets the requester and request managers change it", async () => {
+        const requestManagerToken = generateJWT(1, ["coordinator"], ["requests.manage"]);
+        assert.equal(await patch(VOLUNTEER_ID * 10, volunteerToken), 200);
+        assert.equal(await patch(OTHER_USER_ID * 10, requestManagerToken), 200);
+        assert.equal(updateOne.mock.callCount(), 2);
+    });
+});
+
+describe("ownerOr", () => {
+    // Exécute le middleware et renvoie l'erreur passée à next (undefined si l'accès est accordé)
+    function run(middleware, auth) {
+        return new Promise(resolve => middleware({auth, params: {}, body: {}}, {}, resolve));
+    }
+
+    it("resolves the owner asynchronously", async () => {
+        const middleware = ownerOr(async () => VOLUNTEER_ID);
+        assert.equal(await run(middleware, {uid: VOLUNTEER_ID, uperms: []}), undefined);
+        assert.ok(await run(middleware, {uid: OTHER_USER_ID, uperms: []}) instanceof UnauthorizedError);
+    });
+
+    it("forbids access when the resource has no owner", async () => {
+        const middleware = ownerOr(async () => undefined);
+        assert.ok(await run(middleware, {uid: VOLUNTEER_ID, uperms: []}) instanceof UnauthorizedError);
+    });
+
+    it("accepts any of the given permissions instead of ownership", async () => {
+        const middleware = ownerOr(async () => OTHER_USER_ID, ["tours.manage"]);
+        assert.equal(await run(middleware, {uid: VOLUNTEER_ID, uperms: ["tours.manage"]}), undefined);
+        assert.ok(await run(middleware, {uid: VOLUNTEER_ID, uperms: ["users.manage"]}) instanceof UnauthorizedError);
+    });
+
+    it("asks anonymous callers to log in without resolving the owner", async () => {
+        const resolveOwner = mock.fn(async () => VOLUNTEER_ID);
+        assert.ok(await run(ownerOr(resolveOwner), undefined) instanceof AuthError);
+        assert.equal(resolveOwner.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,94 @@
+// Modification d'une demande : une nouvelle quantité repasse par l'éligibilité et les quotas du foyer.
+// Le dépôt et le service des bénéficiaires sont remplacés pour ne pas dépendre de la base.
+const {describe, it, beforeEach, afterEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+
+const requestsRepository = require("../requests/repository");
+const beneficiariesService = require("../beneficiaries/service");
+const requestsService = require("../requests/service");
+const {InvalidArgumentError} = require("../common/service_errors");
+
+const submittedRequest = {
+    Request_ID: 7,
+    Quantity: 3,
+    Request_Date: new Date(2026, 9, 5),
+    Status: "submitted",
+    User: {User_ID: 2},
+    Product: {Product_ID: 11},
+};
+
+describe("requestsService.createOne and createOrder", () => {
+    let checkRequest;
+
+    beforeEach(() => {
+        mock.method(requestsRepository, "createOne", async request => ({Request_ID: 8, ...request}));
+        mock.method(requestsRepository, "createOrder", async () => 4);
+        mock.method(requestsRepository, "getOrder", async () => ({Order_ID: 4}));
+        mock.method(requestsRepository, "getOneBy", async () => []);
+        checkRequest = mock.method(beneficiariesService, "checkRequest", async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("dates a request today, on the server clock", async () => {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+        const created = await requestsService.createOne({Product_ID: 11, Quantity: 1, User_ID: 2});
+        assert.equal(checkRequest.mock.calls[0].arguments[2], today);
+        assert.equal(created.Date, today);
+    });
+
+    it("does not let the client choose the date of a request or an order", async () => {
+        await assert.rejects(
+            requestsService.createOne({Product_ID: 11, Quantity: 1, User_ID: 2, Date: "2030-01-01"}),
+            InvalidArgumentError
+        );
+        await assert.rejects(
+            requestsService.createOrder({User_ID: 2, Date: "2030-01-01", Items: [{Product_ID: 11, Quantity: 1}]}),
+            InvalidArgumentError
+        );
+        assert.equal(checkRequest.mock.callCount(), 0);
+    });
+});
+
+describe("requestsService.updateOne", () => {
+    let checkRequest;
+    let updateOne;
+
+    beforeEach(() => {
+        mock.method(requestsRepository, "getOneBy", async () => [{...submittedRequest}]);
+        updateOne = mock.method(requestsRepository, "updateOne", async (id, data) => ({Request_ID: id, ...data}));
+        checkRequest = mock.method(beneficiariesService, "checkRequest", async () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("checks only the added quantity against the household quotas, on the request date", async () => {
+        await requestsService.updateOne(7, {Quantity: 5});
+        assert.equal(checkRequest.mock.callCount(), 1);
+        assert.deepEqual(checkRequest.mock.calls[0].arguments, [2, [{Product_ID: 11, Quantity: 2}], "2026-10-05"]);
+        assert.equal(updateOne.mock.callCount(), 1);
+    });
+
+    it("re-checks the eligibility when the quantity goes down", async () => {
+        await requestsService.updateOne(7, {Quantity: 1});
+        assert.deepEqual(checkRequest.mock.calls[0].arguments[1], [{Product_ID: 11, Quantity: -2}]);
+    });
+
+    it("leaves the request unchanged when the household is over its quota", async () => {
+        checkRequest.mock.mockImplementation(async () => {
+            throw new InvalidArgumentError("Quota exceeded");
+        });
+        await assert.rejects(requestsService.updateOne(7, {Quantity: 9}), InvalidArgumentError);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it("does not let the request move to another user", async () => {
+        await assert.rejects(requestsService.updateOne(7, {User_ID: 3}), InvalidArgumentError);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+});
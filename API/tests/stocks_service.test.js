@@ -0,0 +1,49 @@
+// Journal des stocks : seuls des lots de quantité entière et positive y entrent,
+// et un produit sans stock donne null pour que la route réponde 404.
+const {describe, it, afterEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+
+const stockRepository = require("../stocks/repository");
+const stocksService = require("../stocks/service");
+const {InvalidArgumentError} = require("../common/service_errors");
+
+const manager = {id: 1, permissions: ["stocks.manage"]};
+
+describe("stocksService.createOne", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("records the lot with the user who created it", async () => {
+        const createOne = mock.method(stockRepository, "createOne", async () => 5);
+        assert.deepEqual(await stocksService.createOne({Product_ID: 11, Quantity: 4}, 1), {Stock_ID: 5});
+        assert.equal(createOne.mock.calls[0].arguments[1].User_ID, 1);
+    });
+
+    it("rejects missing, negative, zero and fractional quantities", async () => {
+        const createOne = mock.method(stockRepository, "createOne", async () => 5);
+        for (const Quantity of [undefined, -2, 0, 1.5]) {
+            await assert.rejects(stocksService.createOne({Product_ID: 11, Quantity}, 1), InvalidArgumentError);
+        }
+        assert.equal(createOne.mock.callCount(), 0);
+    });
+});
+
+describe("stocksService.deleteOne", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("returns null for a product without stock", async () => {
+        mock.method(stockRepository, "getOneBy", async () => null);
+        const deleteOne = mock.method(stockRepository, "deleteOne", async () => true);
+        assert.equal(await stocksService.deleteOne(11, manager), null);
+        assert.equal(deleteOne.mock.callCount(), 0);
+    });
+
+    it("deletes the lots of a product in stock", async () => {
+        mock.method(stockRepository, "getOneBy", async () => [{Stock_ID: 5, Product_ID: 11}]);
+        mock.method(stockRepository, "deleteOne", async () => true);
+        assert.equal(await stocksService.deleteOne(11, manager), true);
+    });
+});
@@ -0,0 +1,44 @@
+// Conflits de conducteur : une autre tournée du même jour est en conflit dès que les créneaux
+// (départ → retour estimé) se chevauchent, pas seulement à la même heure de départ.
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+
+const tourRepository = require("../tours/repository");
+const {DEFAULT_DURATION_MINUTES} = require("../tours/route_optimizer");
+const {InvalidArgumentError} = require("../common/service_errors");
+
+// Connexion factice : le permis du conducteur est validé, et ses tournées du jour sont celles données
+function connectionWith(routes) {
+    return {
+        execute: async query => query.includes("User_Skills")
+            ? [[{1: 1}]]
+            : [routes.map(route => ({...route, Destination_ID: null}))],
+    };
+}
+
+describe("tourRepository.checkDriver", () => {
+    it("rejects a tour starting while another one of the driver is under way", async () => {
+        const connection = connectionWith([{Route_ID: 9, User_ID: 2, Time: "09:00:00"}]);
+        await assert.rejects(tourRepository.checkDriver(connection, 2, "2026-11-02", "09:30"), InvalidArgumentError);
+    });
+
+    it("rejects a tour that would still run when another one of the driver starts", async () => {
+        const connection = connectionWith([{Route_ID: 9, User_ID: 2, Time: "10:00:00"}]);
+        await assert.rejects(tourRepository.checkDriver(connection, 2, "2026-11-02", "09:30"), InvalidArgumentError);
+    });
+
+    it("accepts a tour once the other one is over", async () => {
+        const end = 9 * 60 + DEFAULT_DURATION_MINUTES;
+        const time = `${String(Math.floor(end / 60)).padStart(2, "0")}:${String(end % 60).padStart(2, "0")}`;
+        const connection = connectionWith([{Route_ID: 9, User_ID: 2, Time: "09:00:00"}]);
+        await tourRepository.checkDriver(connection, 2, "2026-11-02", time);
+    });
+
+    it("ignores the tour being changed and the tours of other drivers", async () => {
+        const connection = connectionWith([
+            {Route_ID: 6, User_ID: 2, Time: "09:00:00"},
+            {Route_ID: 9, User_ID: 3, Time: "09:00:00"},
+        ]);
+        await tourRepository.checkDriver(connection, 2, "2026-11-02", "09:30", 6);
+    });
+});
@@ -0,0 +1,109 @@
+// Modification d'une tournée : corps validé, et un bénévole ne fait que prendre une tournée libre ou quitter la sienne.
+// Le dépôt est remplacé pour ne pas dépendre de la base.
+const {describe, it, beforeEach, afterEach, mock} = require("node:test");
+const assert = require("node:assert/strict");
+
+const tourRepository = require("../tours/repository");
+const toursService = require("../tours/service");
+const {InvalidArgumentError, UnauthorizedError} = require("../common/service_errors");
+
+const volunteer = {id: 2, permissions: ["inventories.count", "donations.create", "requests.create"]};
+const manager = {id: 1, permissions: ["tours.manage"]};
+
+describe("toursService.updateOne", () => {
+    let updateOne;
+
+    beforeEach(() => {
+        updateOne = mock.method(tourRepository, "updateOne", async (id, data) => ({Route_ID: id, ...data}));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("updates the date, time, driver or truck of a tour", async () => {
+        await toursService.updateOne(6, {Date: "2026-11-02", Time: "09:30", User_ID: 2, Truck_ID: 1});
+        assert.equal(updateOne.mock.callCount(), 1);
+    });
+
+    it("rejects unknown fields and empty bodies", async () => {
+        await assert.rejects(toursService.updateOne(6, {Status: "planned"}), InvalidArgumentError);
+        await assert.rejects(toursService.updateOne(6, {Destinations: []}), InvalidArgumentError);
+        await assert.rejects(toursService.updateOne(6, {}), InvalidArgumentError);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+});
+
+describe("toursService.setDriver", () => {
+    let updateOne;
+
+    function withTour(route) {
+        mock.method(tourRepository, "getLifecycle", async () => route);
+    }
+
+    beforeEach(() => {
+        updateOne = mock.method(tourRepository, "updateOne", async (id, data) => ({Route_ID: id, ...data}));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("lets a volunteer take a tour without driver", async () => {
+        withTour({Route_ID: 6, User_ID: null, Status: "planned"});
+        await toursService.setDriver(6, {User_ID: 2}, volunteer);
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [6, {User_ID: 2}, null]);
+    });
+
+    it("lets a volunteer leave their own tour", async () => {
+        withTour({Route_ID: 6, User_ID: 2, Status: "planned"});
+        await toursService.setDriver(6, {User_ID: null}, volunteer);
+        assert.deepEqual(updateOne.mock.calls[0].arguments, [6, {User_ID: null}, 2]);
+    });
+
+    it("forbids a volunteer from taking over or emptying someone else's tour", async () => {
+        withTour({Route_ID: 6, User_ID: 3, Status: "planned"});
+        await assert.rejects(toursService.setDriver(6, {User_ID: 2}, volunteer), UnauthorizedError);
+        await assert.rejects(toursService.setDriver(6, {User_ID: null}, volunteer), UnauthorizedError);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it("forbids a volunteer from assigning someone else", async () => {
+        withTour({Route_ID: 6, User_ID: null, Status: "planned"});
+        await assert.rejects(toursService.setDriver(6, {User_ID: 3}, volunteer), UnauthorizedError);
+    });
+
+    it("lets a tour manager assign anyone", async () => {
+        withTour({Route_ID: 6, User_ID: 3, Status: "planned"});
+        await toursService.setDriver(6, {User_ID: 4}, manager);
+        assert.equal(updateOne.mock.callCount(), 1);
+    });
+
+    it("returns null for a missing tour", async () => {
+        withTour(undefined);
+        assert.equal(await toursService.setDriver(6, {User_ID: 2}, volunteer), null);
+    });
+});
+
+describe("toursService.validateAllDestinationsProducts", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("passes the expiry dates of each destination to the repository", async () => {
+        const validateAll = mock.method(tourRepository, "validateAllDestinationsProducts", async () => {});
+        await toursService.validateAllDestinationsProducts(6, {
+            Destinations: [{Destination_ID: 12, Products: [{Product_ID: 45, Expiry_Date: null}]}]
+        }, 1);
+        assert.deepEqual(validateAll.mock.calls[0].arguments, [6, [{Destination_ID: 12, Products: [{Product_ID: 45, Expiry_Date: null}]}], 1]);
+    });
+
+    it("rejects destinations without products or given twice", async () => {
+        const validateAll = mock.method(tourRepository, "validateAllDestinationsProducts", async () => {});
+        await assert.rejects(toursService.validateAllDestinationsProducts(6, {Destinations: [{Destination_ID: 12}]}, 1), InvalidArgumentError);
+        await assert.rejects(toursService.validateAllDestinationsProducts(6, {
+            Destinations: [{Destination_ID: 12, Products: []}, {Destination_ID: 12, Products: []}]
+        }, 1), InvalidArgumentError);
+        assert.equal(validateAll.mock.callCount(), 0);
+    });
+});
@@ -1,6 +1,7 @@
 const { Router } = require('express');
 const ticketsService = require('./service');
 const NotFoundError = require('../common/http_errors').NotFoundError;
+const {selfOrAdmin} = require('../common/middlewares/policy_middleware');
 const {upload, checkFileProvided} = require('../common/middlewares/uploads_middleware');
 const controller = Router();
 
@@ -312,7 +313,7 @@ controller.delete("/:id", async (req, res, next) => {
  *       404:
  *         description: No tickets found for this user.
  */
-controller.get("/user/:id", async (req, res, next) => {
+controller.get("/user/:id", selfOrAdmin(), async (req, res, next) => {
     try {
         const tickets = await ticketsService.getAllForUser(Number(req.params.id));
         if (tickets.length === 0) {
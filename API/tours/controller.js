@@ -2,9 +2,13 @@ const {Router} = require("express");
 const toursService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
 const authorize = require("../common/middlewares/authorize_middleware");
+const {selfOrAdmin, ownerOr} = require("../common/middlewares/policy_middleware");
 
 const controller = Router();
 
+// Le conducteur de la tournée, ou un gestionnaire des tournées
+const driverOrManager = ownerOr(req => toursService.getDriverId(Number(req.params.id)), ["tours.manage"]);
+
 /**
  * @swagger
  * tags:
@@ -38,6 +42,19 @@ const controller = Router();
  *         Type:
  *           type: boolean
  *           example: true
+ *         Status:
+ *           type: string
+ *           enum: [planned, in_progress, completed, cancelled]
+ *           readOnly: true
+ *           description: Statut de la tournée, modifié par PATCH /tours/{id}/status
+ *         Started_At:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         Completed_At:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
  *         Destinations:
  *           type: array
  *           items:
@@ -50,19 +67,16 @@ const controller = Router();
  *           type: string
  *           format: date
  *           example: "2024-08-09"
+ *         Time:
+ *           type: string
+ *           example: "09:30"
  *         User_ID:
  *           type: integer
+ *           nullable: true
  *           example: 1
  *         Truck_ID:
  *           type: integer
  *           example: 5
- *         Type:
- *           type: boolean
- *           example: true
- *         Destinations:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/Destination'
  *
  *     Destination:
  *       type: object
@@ -77,6 +91,21 @@ const controller = Router();
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Product'
+ *         Sequence:
+ *           type: integer
+ *           readOnly: true
+ *           description: Position de la destination dans l'ordre de passage optimisé
+ *           example: 1
+ *         Distance:
+ *           type: number
+ *           readOnly: true
+ *           description: Distance estimée depuis l'arrêt précédent (ou l'entrepôt), en km
+ *           example: 2.4
+ *         Estimated_Arrival:
+ *           type: string
+ *           readOnly: true
+ *           description: Heure d'arrivée estimée (HH:MM) à partir de l'heure de départ de la tournée
+ *           example: "19:06"
  *
  *     Product:
  *       type: object
@@ -122,6 +151,7 @@ controller.get(
  * /tours/{id}:
  *   get:
  *     summary: Récupère une tournée spécifique par ID
+ *     description: Les destinations sont renvoyées dans l'ordre de passage, avec leur heure d'arrivée estimée.
  *     tags: [Tours]
  *     parameters:
  *       - in: path
@@ -182,7 +212,7 @@ controller.get(
  *         description: Erreur interne du serveur
  */
 controller.get(
-    "/users/:userId", (req, res, next) => {
+    "/users/:userId", selfOrAdmin("userId"), (req, res, next) => {
         toursService.getAllRoutesForUser(Number(req.params.userId))
             .then(data => {
                 if (!data) {
@@ -193,6 +223,58 @@ controller.get(
             .catch(err => next(err));
     });
 
+/**
+ * @swagger
+ * /tours/load:
+ *   post:
+ *     summary: Calcule le volume chargé par une tournée en cours de composition
+ *     description: Les produits sont identifiés par Product_ID, Donation_ID ou Request_ID. Le volume est calculé à partir du volume unitaire du produit, ou à défaut de sa catégorie.
+ *     tags: [Tours]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Destinations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           Product_ID:
+ *                             type: integer
+ *                           Donation_ID:
+ *                             type: integer
+ *                           Request_ID:
+ *                             type: integer
+ *                           Quantity:
+ *                             type: integer
+ *     responses:
+ *       200:
+ *         description: Volume chargé en m³
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Volume:
+ *                   type: number
+ *       400:
+ *         description: Requête invalide
+ */
+controller.post(
+    "/load", (req, res, next) => {
+        toursService.getLoad(req.body)
+            .then(data => res.json(data))
+            .catch(err => next(err));
+    });
+
 /**
  * @swagger
  * /tours:
@@ -213,14 +295,14 @@ controller.get(
  *             schema:
  *               $ref: '#/components/schemas/Tour'
  *       400:
- *         description: Requête invalide
+ *         description: Requête invalide, ou chargement supérieur à la capacité du camion, ou conducteur sans permis validé ou déjà pris
  *       500:
  *         description: Erreur interne du serveur
  */
 controller.post(
     "/", (req, res, next) => {
         console.log('Donnée depuis le controller',req.body);
-        toursService.createOne(req.body)
+        toursService.createOne(req.body, req.auth?.uid)
             .then(data => res.status(201).json(data))
             .catch(err => next(err));
     });
@@ -230,6 +312,7 @@ controller.post(
  * /tours/{id}:
  *   put:
  *     summary: Met à jour une tournée existante
+ *     description: Seule une tournée planifiée peut changer de date, d'heure, de conducteur ou de camion. Les destinations ont leurs propres routes.
  *     tags: [Tours]
  *     parameters:
  *       - in: path
@@ -252,19 +335,74 @@ controller.post(
  *             schema:
  *               $ref: '#/components/schemas/Tour'
  *       400:
- *         description: Requête invalide
+ *         description: Requête invalide, tournée qui n'est plus planifiée, ou conducteur sans permis validé ou déjà pris sur ce créneau
+ *       403:
+ *         description: Permission tours.manage requise
  *       404:
  *         description: Tournée non trouvée
  *       500:
  *         description: Erreur interne du serveur
+ *     security:
+ *       - bearerAuth: []
  */
 controller.put(
-    "/:id", (req, res, next) => {
+    "/:id", authorize(["tours.manage"]), (req, res, next) => {
         toursService.updateOne(Number(req.params.id), req.body)
             .then(updated => res.status(200).json(updated))
             .catch(err => next(err));
     });
 
+/**
+ * @swagger
+ * /tours/{id}/driver:
+ *   put:
+ *     summary: Inscrit ou désinscrit le conducteur d'une tournée planifiée
+ *     description: Un bénévole prend une tournée sans conducteur ou quitte la sienne (User_ID null) ; un gestionnaire des tournées affecte qui il veut.
+ *     tags: [Tours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la tournée
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - User_ID
+ *             properties:
+ *               User_ID:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Conducteur mis à jour
+ *       400:
+ *         description: Requête invalide, tournée qui n'est plus planifiée ou modifiée entre-temps, ou conducteur sans permis validé ou déjà pris sur ce créneau
+ *       403:
+ *         description: La tournée a déjà un conducteur, ou ce n'est pas la vôtre
+ *       404:
+ *         description: Tournée non trouvée
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.put(
+    "/:id/driver", (req, res, next) => {
+        const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+        toursService.setDriver(Number(req.params.id), req.body, issuer)
+            .then(updated => {
+                if (!updated) {
+                    throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
+                }
+                res.status(200).json(updated);
+            })
+            .catch(err => next(err));
+    });
+
 /**
  * @swagger
  * /tours/{id}:
@@ -281,14 +419,16 @@ controller.put(
  *     responses:
  *       204:
  *         description: Tournée supprimée avec succès
+ *       400:
+ *         description: Tournée en cours ou terminée, seule une tournée planifiée ou annulée peut être supprimée
  *       404:
  *         description: Tournée non trouvée
  *       500:
  *         description: Erreur interne du serveur
  */
 controller.delete(
-    "/:id"/*, authorize(["admin"])*/, (req, res, next) => {
-        toursService.deleteOne(Number(req.params.id))
+    "/:id"/*, authorize(["tours.manage"])*/, (req, res, next) => {
+        toursService.deleteOne(Number(req.params.id), req.auth?.uid)
             .then(deleted => {
                 if (!deleted) {
                     throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
@@ -365,7 +505,7 @@ controller.post(
  */
 controller.delete(
     "/:id/destinations/:destinationId", (req, res, next) => {
-        toursService.removeDestination(Number(req.params.id), Number(req.params.destinationId))
+        toursService.removeDestination(Number(req.params.id), Number(req.params.destinationId), req.auth?.uid)
             .then(() => res.status(204).end())
             .catch(err => next(err));
     });
@@ -383,9 +523,34 @@ controller.delete(
  *           type: integer
  *         required: true
  *         description: ID de la destination
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Products:
+ *                 type: array
+ *                 description: Dates de péremption des produits collectés (ignorées pour une distribution)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Product_ID:
+ *                       type: integer
+ *                       example: 45
+ *                     Expiry_Date:
+ *                       type: string
+ *                       format: date
+ *                       example: "2024-08-20"
+ *                     Expiry_Type:
+ *                       type: string
+ *                       enum: [use_by, best_before]
  *     responses:
  *       200:
- *         description: Produits validés et ajoutés au stock avec succès
+ *         description: Produits validés ; ajoutés au stock pour une collecte, retirés en FEFO pour une distribution
+ *       400:
+ *         description: Destination déjà validée ou stock insuffisant
  *       404:
  *         description: Destination non trouvée
  *       500:
@@ -393,8 +558,7 @@ controller.delete(
  */
 controller.post(
     "/destinations/:id/validate", (req, res, next) => {
-        console.log('Donnée depuis le controller',req.body);
-        toursService.validateDestinationProducts(Number(req.params.id))
+        toursService.validateDestinationProducts(Number(req.params.id), req.body, req.auth?.uid)
             .then(() => res.status(200).json({ message: 'Produits validés avec succès.' }))
             .catch(err => next(err));
     }
@@ -405,6 +569,7 @@ controller.post(
  * /tours/{id}/validate-all:
  *   post:
  *     summary: Valide tous les produits de toutes les destinations d'une tournée
+ *     description: Pour une collecte, chaque produit de chaque destination non validée doit avoir sa date de péremption (null pour un produit non périssable), afin que les lots créés entrent dans l'ordre FEFO.
  *     tags: [Tours]
  *     parameters:
  *       - in: path
@@ -413,9 +578,42 @@ controller.post(
  *           type: integer
  *         required: true
  *         description: ID de la tournée
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Destinations:
+ *                 type: array
+ *                 description: Dates de péremption des produits collectés, par destination (ignorées pour une distribution)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Destination_ID:
+ *                       type: integer
+ *                       example: 12
+ *                     Products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           Product_ID:
+ *                             type: integer
+ *                             example: 45
+ *                           Expiry_Date:
+ *                             type: string
+ *                             format: date
+ *                             nullable: true
+ *                             example: "2024-08-20"
+ *                           Expiry_Type:
+ *                             type: string
+ *                             enum: [use_by, best_before]
  *     responses:
  *       200:
- *         description: Toutes les destinations validées et produits ajoutés au stock avec succès
+ *         description: Toutes les destinations non encore validées le sont, et le stock est mis à jour
+ *       400:
+ *         description: Date de péremption manquante pour un produit collecté, ou stock insuffisant pour une distribution ; aucune destination n'est validée
  *       404:
  *         description: Tournée non trouvée
  *       500:
@@ -423,12 +621,278 @@ controller.post(
  */
 controller.post(
     "/:id/validate-all", (req, res, next) => {
-        toursService.validateAllDestinationsProducts(Number(req.params.id))
+        toursService.validateAllDestinationsProducts(Number(req.params.id), req.body, req.auth?.uid)
             .then(() => res.status(200).json({ message: 'Toutes les destinations validées avec succès.' }))
             .catch(err => next(err));
     }
 );
 
+/**
+ * @swagger
+ * /tours/{id}/status:
+ *   patch:
+ *     summary: Change le statut d'une tournée
+ *     description: |
+ *       Transitions possibles : planned -> in_progress ou cancelled ; in_progress -> completed ou cancelled.
+ *       Le conducteur démarre et termine sa tournée ; l'annulation, avec un motif, demande la permission tours.manage.
+ *       Une tournée ne se termine que si chaque destination est validée ou passée avec un motif.
+ *       Une tournée annulée rend ses demandes planifiées et ses dons pas encore collectés disponibles.
+ *     tags: [Tours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la tournée
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Status
+ *             properties:
+ *               Status:
+ *                 type: string
+ *                 enum: [in_progress, completed, cancelled]
+ *               Reason:
+ *                 type: string
+ *                 description: Motif, obligatoire pour une annulation
+ *     responses:
+ *       200:
+ *         description: La tournée mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tour'
+ *       400:
+ *         description: Transition impossible depuis le statut actuel, ou destinations encore à traiter
+ *       403:
+ *         description: Seul le conducteur ou un gestionnaire peut démarrer ou terminer la tournée, seul un gestionnaire peut l'annuler
+ *       404:
+ *         description: Tournée non trouvée
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.patch(
+    "/:id/status", (req, res, next) => {
+        const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+        toursService.changeStatus(Number(req.params.id), req.body, issuer)
+            .then(data => {
+                if (!data) {
+                    throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch(err => next(err));
+    }
+);
+
+/**
+ * @swagger
+ * /destinations/{id}/skip:
+ *   post:
+ *     summary: Passe une destination d'une tournée en cours sans la valider
+ *     description: >
+ *       Le conducteur indique pourquoi la destination n'a pas été faite (absence, adresse inaccessible...).
+ *       Ses produits ne sont plus réservés ; les demandes planifiées et les dons de cette adresse redeviennent disponibles.
+ *     tags: [Destinations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la destination
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Reason
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 example: "Personne présente"
+ *     responses:
+ *       200:
+ *         description: La tournée mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tour'
+ *       400:
+ *         description: Motif manquant, tournée pas en cours ou destination déjà traitée
+ *       403:
+ *         description: Seul le conducteur ou un gestionnaire peut passer une destination
+ *       404:
+ *         description: Destination non trouvée
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post(
+    "/destinations/:id/skip", (req, res, next) => {
+        const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+        toursService.skipDestination(Number(req.params.id), req.body, issuer)
+            .then(data => {
+                if (!data) {
+                    throw new NotFoundError(`Destination with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch(err => next(err));
+    }
+);
+
+/**
+ * @swagger
+ * /tours/{id}/mileage:
+ *   post:
+ *     summary: Relève le kilométrage du camion à la fin d'une tournée
+ *     description: Le kilométrage du camion est mis à jour. Il ne peut pas être inférieur au relevé d'une tournée précédente du même camion.
+ *     tags: [Tours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la tournée
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Mileage
+ *             properties:
+ *               Mileage:
+ *                 type: integer
+ *                 example: 48250
+ *     responses:
+ *       200:
+ *         description: Le relevé enregistré
+ *       400:
+ *         description: Kilométrage invalide, tournée sans camion ou pas encore démarrée
+ *       403:
+ *         description: Seul le conducteur de la tournée ou un gestionnaire peut relever le kilométrage
+ *       404:
+ *         description: Tournée non trouvée
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post(
+    "/:id/mileage", driverOrManager, (req, res, next) => {
+        toursService.recordMileage(Number(req.params.id), req.body)
+            .then(data => {
+                if (!data) {
+                    throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch(err => next(err));
+    }
+);
+
+/**
+ * @swagger
+ * /tours/{id}/optimize:
+ *   post:
+ *     summary: Ordonne les destinations d'une tournée par le plus court trajet depuis l'entrepôt
+ *     description: Plus proche voisin puis amélioration 2-opt sur les coordonnées des adresses. Les destinations sans coordonnées sont placées à la fin.
+ *     tags: [Tours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la tournée
+ *     responses:
+ *       200:
+ *         description: La tournée avec ses destinations dans le nouvel ordre de passage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tour'
+ *       404:
+ *         description: Tournée non trouvée
+ *       500:
+ *         description: Erreur interne du serveur
+ */
+controller.post(
+    "/:id/optimize", authorize(["tours.manage"]), (req, res, next) => {
+        toursService.optimizeOne(Number(req.params.id))
+            .then(data => {
+                if (!data) {
+                    throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch(err => next(err));
+    }
+);
+
+/**
+ * @swagger
+ * /tours/{id}/suggested-drivers:
+ *   get:
+ *     summary: Propose des conducteurs pour une tournée
+ *     description: >
+ *       Seuls les bénévoles au permis de conduire validé, sans autre tournée à la même date et à la même heure
+ *       et sans créneau qui chevauche la tournée sont proposés. Ceux qui se sont déclarés disponibles
+ *       passent en premier, puis ceux qui conduisent le moins de tournées dans le mois.
+ *     tags: [Tours]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la tournée
+ *     responses:
+ *       200:
+ *         description: Les conducteurs proposés, du plus au moins adapté
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   User_ID:
+ *                     type: integer
+ *                   User_Name:
+ *                     type: string
+ *                   Tours_Count:
+ *                     type: integer
+ *                     description: Nombre de tournées conduites dans le mois de la tournée
+ *                   Available:
+ *                     type: boolean
+ *                     description: Une disponibilité déclarée couvre la tournée
+ *       404:
+ *         description: Tournée non trouvée
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get(
+    "/:id/suggested-drivers", authorize(["tours.manage", "planning.manage"]), (req, res, next) => {
+        toursService.suggestDrivers(Number(req.params.id))
+            .then(data => {
+                if (!data) {
+                    throw new NotFoundError(`Tour with ID ${req.params.id} not found`);
+                }
+                res.json(data);
+            })
+            .catch(err => next(err));
+    }
+);
+
 /**
  * @swagger
  * /destinations/{id}/products:
@@ -456,7 +920,7 @@ controller.post(
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       400:
- *         description: Requête invalide
+ *         description: Requête invalide, ou chargement supérieur à la capacité du camion
  *       500:
  *         description: Erreur interne du serveur
  */
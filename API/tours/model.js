@@ -1,5 +1,14 @@
 const Joi = require("joi");
 
+// Cycle de vie d'une tournée : statuts atteignables depuis chaque statut.
+// Le conducteur démarre et termine sa tournée ; seul un gestionnaire l'annule.
+const TOUR_STATUS_TRANSITIONS = {
+    planned: ["in_progress", "cancelled"],
+    in_progress: ["completed", "cancelled"],
+    completed: [],
+    cancelled: [],
+};
+
 // Schéma de validation pour créer une tournée
 const createTourSchema = Joi.object({
     Date: Joi.date().required(),
@@ -22,24 +31,95 @@ const createTourSchema = Joi.object({
 });
 
 
-// Schéma de validation pour mettre à jour une tournée
+// Schéma de validation pour mettre à jour une tournée planifiée ; les destinations ont leurs propres routes
 const updateTourSchema = Joi.object({
-    Date: Joi.date().optional().allow(null),
+    Date: Joi.date().optional(),
+    Time: Joi.string().pattern(/^([01]\d|2[0-3]):?([0-5]\d)$/).optional(),
     User_ID: Joi.number().integer().optional().allow(null),
-    Truck_ID: Joi.number().integer().optional().allow(null),
-    Type: Joi.boolean().optional().allow(null),
+    Truck_ID: Joi.number().integer().optional(),
+}).min(1);
+
+
+// Schéma de validation pour l'inscription d'un conducteur (null pour se désinscrire)
+const setDriverSchema = Joi.object({
+    User_ID: Joi.number().integer().required().allow(null)
+});
+
+
+// Date de péremption d'un produit collecté (null pour un produit non périssable)
+const collectedProductSchema = Joi.object({
+    Product_ID: Joi.number().integer().required(),
+    Expiry_Date: Joi.date().optional().allow(null),
+    Expiry_Type: Joi.string().valid("use_by", "best_before").optional(),
+});
+
+// Schéma de validation pour la validation d'une destination (dates de péremption des produits collectés)
+const validateDestinationSchema = Joi.object({
+    Products: Joi.array().items(collectedProductSchema).optional()
+});
+
+
+// Schéma de validation pour la validation de toutes les destinations d'une tournée :
+// pour une collecte, chaque produit de chaque destination doit avoir sa date de péremption
+const validateAllDestinationsSchema = Joi.object({
+    Destinations: Joi.array().items(
+        Joi.object({
+            Destination_ID: Joi.number().integer().required(),
+            Products: Joi.array().items(collectedProductSchema).required(),
+        })
+    ).unique("Destination_ID").optional()
+});
+
+
+// Schéma de validation pour le calcul du chargement d'une tournée en cours de composition
+const tourLoadSchema = Joi.object({
     Destinations: Joi.array().items(
         Joi.object({
-            Address_ID: Joi.number().integer().optional().allow(null),
             Products: Joi.array().items(
                 Joi.object({
-                    Product_ID: Joi.number().integer().optional().allow(null),
-                    Quantity: Joi.number().integer().optional().allow(null),
-                })
-            ).optional().allow(null)
-        })
-    ).optional().allow(null)
-}).min(1);
+                    Product_ID: Joi.number().integer().optional(),
+                    Donation_ID: Joi.number().integer().optional(),
+                    Request_ID: Joi.number().integer().optional(),
+                    Quantity: Joi.number().integer().min(0).required(),
+                }).or("Product_ID", "Donation_ID", "Request_ID").unknown(true)
+            ).required(),
+        }).unknown(true)
+    ).required()
+});
+
+
+// Schéma de validation pour le relevé du compteur en fin de tournée
+const mileageSchema = Joi.object({
+    Mileage: Joi.number().integer().min(0).required()
+});
+
+
+// Schéma de validation pour un changement de statut d'une tournée
+const changeTourStatusSchema = Joi.object({
+    Status: Joi.string().valid("in_progress", "completed", "cancelled").required(),
+    Reason: Joi.when("Status", {
+        is: "cancelled",
+        then: Joi.string().max(255).required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
+
+// Schéma de validation pour une destination passée par le conducteur
+const skipDestinationSchema = Joi.object({
+    Reason: Joi.string().trim().max(255).required()
+});
 
 
-module.exports = { createTourSchema, updateTourSchema };
+module.exports = {
+    TOUR_STATUS_TRANSITIONS,
+    createTourSchema,
+    updateTourSchema,
+    setDriverSchema,
+    validateDestinationSchema,
+    validateAllDestinationsSchema,
+    tourLoadSchema,
+    mileageSchema,
+    changeTourStatusSchema,
+    skipDestinationSchema
+};
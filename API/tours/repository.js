@@ -1,4 +1,187 @@
 const getConnection = require("../common/db_handler");
+const stockRepository = require("../stocks/repository");
+const requestsRepository = require("../requests/repository");
+const truckRepository = require("../trucks/repository");
+const routeOptimizer = require("./route_optimizer");
+const { STATUS_TRANSITIONS } = require("../requests/model");
+const { InvalidArgumentError, NotFoundError } = require("../common/service_errors");
+
+// Volume unitaire d'un produit en litres : celui du produit, sinon celui de sa catégorie
+const UNIT_VOLUME = "COALESCE(p.Unit_Volume, c.Unit_Volume, 0)";
+
+// "HH:MM" ou "HH:MM:SS" en minutes depuis minuit
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Rend aux demandes planifiées d'une route, ou d'une seule de ses destinations, le statut approved :
+ * elles redeviennent disponibles pour une autre tournée.
+ * @param connection - La connexion de la transaction en cours.
+ * @param {Number} routeId - L'ID de la route.
+ * @param {Number|null} addressId - L'adresse de la destination retirée, ou null pour toute la route.
+ * @param {Number|null} userId - L'utilisateur à l'origine du retrait.
+ */
+async function unscheduleRequests(connection, routeId, addressId = null, userId = null) {
+    const [requests] = await connection.execute(`
+        SELECT r.Request_ID
+        FROM Requests r
+                 JOIN Users u ON r.User_ID = u.User_ID
+        WHERE r.Route_ID = ?
+          AND r.Status = 'scheduled'
+          AND (? IS NULL OR u.Address_ID = ?)
+    `, [routeId, addressId, addressId]);
+    await requestsRepository.recordStatus(connection, requests.map(r => r.Request_ID), 'approved', userId);
+}
+
+/**
+ * Détache d'une route les dons pas encore collectés, ou ceux d'une seule de ses adresses :
+ * ils pourront être collectés par une autre tournée.
+ * @param connection - La connexion de la transaction en cours.
+ * @param {Number} routeId - L'ID de la route.
+ * @param {Number|null} addressId - L'adresse de la destination passée, ou null pour toute la route.
+ */
+async function releaseDonations(connection, routeId, addressId = null) {
+    await connection.execute(`
+        UPDATE Donations d
+            LEFT JOIN Users u ON d.Donor_User_ID = u.User_ID
+            LEFT JOIN Pickup_Agreements pa ON d.Agreement_ID = pa.Agreement_ID
+            LEFT JOIN Merchant_Stores s ON pa.Store_ID = s.Store_ID
+        SET d.Route_ID = NULL
+        WHERE d.Route_ID = ?
+          AND d.Collected = 0
+          AND (? IS NULL OR COALESCE(s.Address_ID, u.Address_ID) = ?)
+    `, [routeId, addressId, addressId]);
+}
+
+/**
+ * Calcule le volume chargé (en m³) par les produits de toutes les destinations d'une route.
+ * @param connection - La connexion à utiliser, éventuellement au sein d'une transaction.
+ * @param {Number} routeId - L'ID de la route.
+ * @returns {Number} - Le volume en m³.
+ */
+async function getRouteVolume(connection, routeId) {
+    const [rows] = await connection.execute(`
+        SELECT COALESCE(SUM(dp.Quantity * ${UNIT_VOLUME}), 0) / 1000 AS Volume
+        FROM Destination_Products dp
+                 JOIN Destinations d ON dp.Destination_ID = d.Destination_ID
+                 JOIN Products p ON dp.Product_ID = p.Product_ID
+                 LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
+        WHERE d.Route_ID = ?
+    `, [routeId]);
+    return Number(rows[0].Volume);
+}
+
+/**
+ * Vérifie qu'un volume tient dans la capacité (en m³) d'un camion.
+ * @param connection - La connexion à utiliser, éventuellement au sein d'une transaction.
+ * @param {Number|null} truckId - L'ID du camion ; aucune vérification si la route n'a pas de camion.
+ * @param {Number} volume - Le volume chargé en m³.
+ * @throws {InvalidArgumentError} - Si le volume dépasse la capacité du camion.
+ */
+async function checkTruckCapacity(connection, truckId, volume) {
+    if (!truckId) {
+        return;
+    }
+    const [trucks] = await connection.execute(`
+        SELECT Registration, Capacity
+        FROM Trucks
+        WHERE Truck_ID = ?
+    `, [truckId]);
+
+    if (trucks.length === 0) {
+        throw new NotFoundError(`Truck with ID ${truckId} not found`);
+    }
+    const { Registration, Capacity } = trucks[0];
+    if (Capacity !== null && volume > Capacity) {
+        throw new InvalidArgumentError(
+            `The load of the tour (${volume.toFixed(2)} m³) exceeds the capacity of truck ${Registration} (${Capacity} m³).`
+        );
+    }
+}
+
+/**
+ * Conducteurs déjà pris pendant une route : une autre de leurs routes du même jour chevauche le créneau
+ * qui va de son départ à son retour estimé. Une route pas encore enregistrée, ou sans destination,
+ * dure une tournée par défaut.
+ * @param connection - La connexion à utiliser, éventuellement au sein d'une transaction.
+ * @param {String} date - La date de la route.
+ * @param {String} time - L'heure de départ de la route.
+ * @param {Number|null} routeId - La route concernée, ignorée dans la recherche de conflits.
+ * @returns {Map} - Pour chaque conducteur pris, l'ID de la route qui chevauche.
+ */
+async function getBusyDrivers(connection, date, time, routeId = null) {
+    const [rows] = await connection.execute(`
+        SELECT r.Route_ID,
+               r.User_ID,
+               r.Time,
+               d.Destination_ID,
+               a.Latitude,
+               a.Longitude
+        FROM Routes r
+                 LEFT JOIN Destinations d ON r.Route_ID = d.Route_ID
+                 LEFT JOIN Address a ON d.Address_ID = a.Address_ID
+        WHERE r.Date = DATE(?)
+          AND r.Status <> 'cancelled'
+          AND (r.User_ID IS NOT NULL OR r.Route_ID = ?)
+        ORDER BY r.Route_ID, d.Sequence IS NULL, d.Sequence, d.Destination_ID
+    `, [date, routeId]);
+
+    const routes = new Map();
+    rows.forEach(row => {
+        if (!routes.has(row.Route_ID)) {
+            routes.set(row.Route_ID, { Route_ID: row.Route_ID, User_ID: row.User_ID, Time: row.Time, Stops: [] });
+        }
+        if (row.Destination_ID) {
+            routes.get(row.Route_ID).Stops.push({ Latitude: row.Latitude, Longitude: row.Longitude });
+        }
+    });
+
+    const start = toMinutes(time);
+    const end = start + routeOptimizer.estimateDuration(routes.get(routeId)?.Stops ?? []);
+    const busy = new Map();
+    routes.forEach(route => {
+        const otherStart = toMinutes(route.Time);
+        const otherEnd = otherStart + routeOptimizer.estimateDuration(route.Stops);
+        if (route.Route_ID !== routeId && route.User_ID && otherStart < end && start < otherEnd) {
+            busy.set(route.User_ID, route.Route_ID);
+        }
+    });
+    return busy;
+}
+
+/**
+ * Vérifie qu'un utilisateur peut conduire une route : permis de conduire validé par un administrateur,
+ * et aucune autre route qui chevauche la sienne (voir getBusyDrivers).
+ * @param connection - La connexion à utiliser, éventuellement au sein d'une transaction.
+ * @param {Number|null} userId - Le conducteur ; aucune vérification si la route n'a pas de conducteur.
+ * @param {String} date - La date de la route.
+ * @param {String} time - L'heure de départ de la route.
+ * @param {Number|null} routeId - La route concernée, ignorée dans la recherche de conflits.
+ * @throws {InvalidArgumentError} - Si le permis n'est pas validé ou si le conducteur est déjà pris.
+ */
+async function checkDriver(connection, userId, date, time, routeId = null) {
+    if (!userId) {
+        return;
+    }
+    const [licences] = await connection.execute(`
+        SELECT 1
+        FROM User_Skills us
+                 JOIN Skills s ON us.Skill_ID = s.Skill_ID
+        WHERE us.User_ID = ?
+          AND s.Name = 'Permis de conduire'
+          AND us.Validation_Date IS NOT NULL
+    `, [userId]);
+    if (licences.length === 0) {
+        throw new InvalidArgumentError(`User ${userId} does not have a validated driving licence.`);
+    }
+
+    const busy = await getBusyDrivers(connection, date, time, routeId);
+    if (busy.has(Number(userId))) {
+        throw new InvalidArgumentError(`User ${userId} already drives tour ${busy.get(Number(userId))} at this date and time.`);
+    }
+}
 
 /**
  * Crée une nouvelle route avec ses destinations et produits associés.
@@ -22,6 +205,9 @@ async function createCollectOne(tourData) {
     try {
         await connection.beginTransaction();
 
+        await checkDriver(connection, User_ID, Date, Time);
+        await truckRepository.checkRoadworthy(connection, Truck_ID, Date, Time);
+
         // Insert the route into the Routes table
         const [result] = await connection.execute(`
             INSERT INTO Routes (Date, Time, User_ID, Truck_ID, Type)
@@ -78,6 +264,8 @@ async function createCollectOne(tourData) {
             }
         }
 
+        await checkTruckCapacity(connection, Truck_ID, await getRouteVolume(connection, routeId));
+
         await connection.commit();
         return routeId;
     } catch (error) {
@@ -88,7 +276,7 @@ async function createCollectOne(tourData) {
     }
 }
 
-async function createDistributionOne(tourData) {
+async function createDistributionOne(tourData, userId = null) {
     console.log('In Repository: ', tourData);
 
     const {
@@ -105,6 +293,9 @@ async function createDistributionOne(tourData) {
     try {
         await connection.beginTransaction();
 
+        await checkDriver(connection, User_ID, Date, Hours);
+        await truckRepository.checkRoadworthy(connection, Truck_ID, Date, Hours);
+
         // Insert the route into the Routes table
         const [result] = await connection.execute(`
             INSERT INTO Routes (Date, Time, User_ID, Truck_ID, Type)
@@ -136,31 +327,46 @@ async function createDistributionOne(tourData) {
 
                 // Fetch the Product_ID using the Request_ID
                 const [requestRow] = await connection.execute(`
-                    SELECT Product_ID
+                    SELECT Product_ID, Status
                     FROM Requests
                     WHERE Request_ID = ?
+                    FOR UPDATE
                 `, [Request_ID]);
 
                 const Product_ID = requestRow.length > 0 ? requestRow[0].Product_ID : null;
 
                 if (Product_ID) {
+                    // Seule une demande approuvée peut être mise en tournée
+                    if (!STATUS_TRANSITIONS[requestRow[0].Status].includes('scheduled')) {
+                        throw new InvalidArgumentError(`Request with ID ${Request_ID} is ${requestRow[0].Status} and cannot be scheduled`);
+                    }
+
+                    // La réservation de la demande passe à la destination : le stock non promis par ailleurs doit couvrir la quantité
+                    const available = await stockRepository.getAvailableQuantity(connection, Product_ID, { requestId: Request_ID });
+                    if (Quantity > available) {
+                        throw new InvalidArgumentError(`Only ${available} available for product ${Product_ID}, request ${Request_ID} cannot be scheduled`);
+                    }
+
                     await connection.execute(`
                         INSERT INTO Destination_Products (Destination_ID, Product_ID, Quantity)
                         VALUES (?, ?, ?)
                     `, [destinationId, Product_ID, Quantity]);
 
-                    // Update the request to associate it with the route and mark it as processed
+                    // Associate the request with the route and mark it as scheduled
                     await connection.execute(`
                         UPDATE Requests
-                        SET Route_ID = ?, Processed = 1, Processed_Date = NOW()
+                        SET Route_ID = ?
                         WHERE Request_ID = ?
                     `, [routeId, Request_ID]);
+                    await requestsRepository.recordStatus(connection, [Request_ID], 'scheduled', userId);
                 } else {
                     console.warn(`Product_ID not found for Request_ID: ${Request_ID}`);
                 }
             }
         }
 
+        await checkTruckCapacity(connection, Truck_ID, await getRouteVolume(connection, routeId));
+
         await connection.commit();
         return routeId;
     } catch (error) {
@@ -184,6 +390,12 @@ async function getOne(tourId) {
                r.Date                           AS Route_Date,
                r.Time                           AS Route_Time,
                r.Type                           AS Route_Type,
+               r.Status,
+               r.Started_At,
+               r.Completed_At,
+               r.Cancelled_At,
+               r.Cancel_Reason,
+               r.End_Mileage,
                u.User_ID                        AS Driver_ID,
                CONCAT(u.Firstname, ' ', u.Name) AS Driver_Name,
                t.Truck_ID,
@@ -208,6 +420,12 @@ async function getOne(tourId) {
         Route_Date: routes[0].Route_Date,
         Route_Time: routes[0].Route_Time,
         Route_Type: routes[0].Route_Type,
+        Status: routes[0].Status,
+        Started_At: routes[0].Started_At,
+        Completed_At: routes[0].Completed_At,
+        Cancelled_At: routes[0].Cancelled_At,
+        Cancel_Reason: routes[0].Cancel_Reason,
+        End_Mileage: routes[0].End_Mileage,
         Driver: {
             Driver_ID: routes[0].Driver_ID,
             Driver_Name: routes[0].Driver_Name
@@ -218,6 +436,7 @@ async function getOne(tourId) {
             Truck_Model: routes[0].Truck_Model,
             Truck_Capacity: routes[0].Truck_Capacity
         },
+        Load_Volume: await getRouteVolume(connection, tourId),
         Destinations: []
     };
 
@@ -226,11 +445,16 @@ async function getOne(tourId) {
             d.Destination_ID,
             d.Type AS Destination_Type,
             d.Validated,  -- Add Validated status
+            d.Skipped_At,
+            d.Skip_Reason,
+            d.Sequence,
             a.Street,
             a.City,
             a.State,
             a.Postal_Code,
             a.Country,
+            a.Latitude,
+            a.Longitude,
             dp.Destination_Product_ID,
             p.Product_ID,
             p.Name AS Product_Name,
@@ -250,6 +474,8 @@ async function getOne(tourId) {
             ProductsCategories c ON p.Category_ID = c.Category_ID
         WHERE
             d.Route_ID = ?
+        ORDER BY
+            d.Sequence IS NULL, d.Sequence, d.Destination_ID
     `, [tourId]);
 
     destinations.forEach(row => {
@@ -260,12 +486,17 @@ async function getOne(tourId) {
                 Destination_ID: row.Destination_ID,
                 Destination_Type: row.Destination_Type,
                 Validated: row.Validated,  // Include Validated status
+                Skipped_At: row.Skipped_At,
+                Skip_Reason: row.Skip_Reason,
+                Sequence: row.Sequence,
                 Address: {
                     Street: row.Street,
                     City: row.City,
                     State: row.State,
                     Postal_Code: row.Postal_Code,
-                    Country: row.Country
+                    Country: row.Country,
+                    Latitude: row.Latitude === null ? null : Number(row.Latitude),
+                    Longitude: row.Longitude === null ? null : Number(row.Longitude)
                 },
                 Products: []
             };
@@ -301,6 +532,9 @@ async function getAll() {
                r.Date                           AS Route_Date,
                r.Time                           AS Route_Time,
                r.Type                           AS Route_Type,
+               r.Status,
+               r.Started_At,
+               r.Completed_At,
                u.User_ID                        AS Driver_ID,
                CONCAT(u.Firstname, ' ', u.Name) AS Driver_Name,
                t.Truck_ID,
@@ -310,6 +544,7 @@ async function getAll() {
                d.Destination_ID,
                d.Type                           AS Destination_Type,
                d.Validated,  -- Add Validated status
+               d.Skipped_At,
                a.Street,
                a.City,
                a.State,
@@ -350,6 +585,9 @@ async function getAll() {
                 Route_Date: row.Route_Date,
                 Route_Time: row.Route_Time,
                 Route_Type: row.Route_Type,
+                Status: row.Status,
+                Started_At: row.Started_At,
+                Completed_At: row.Completed_At,
                 Driver: {
                     Driver_ID: row.Driver_ID,
                     Driver_Name: row.Driver_Name
@@ -372,6 +610,7 @@ async function getAll() {
                 Destination_ID: row.Destination_ID,
                 Destination_Type: row.Destination_Type,
                 Validated: row.Validated,  // Include Validated status
+                Skipped_At: row.Skipped_At,
                 Address: {
                     Street: row.Street,
                     City: row.City,
@@ -414,6 +653,9 @@ async function getAllRoutesForUser(userId) {
                 r.Date AS Route_Date,
                 r.Time AS Route_Time,
                 r.Type AS Route_Type,
+                r.Status,
+                r.Started_At,
+                r.Completed_At,
                 u.User_ID AS Driver_ID,
                 CONCAT(u.Firstname, ' ', u.Name) AS Driver_Name,
                 t.Truck_ID,
@@ -423,6 +665,7 @@ async function getAllRoutesForUser(userId) {
                 d.Destination_ID,
                 d.Type AS Destination_Type,
                 d.Validated,  -- Add Validated status
+                d.Skipped_At,
                 a.Street,
                 a.City,
                 a.State,
@@ -460,6 +703,9 @@ async function getAllRoutesForUser(userId) {
                     Route_Date: row.Route_Date,
                     Route_Time: row.Route_Time,
                     Route_Type: row.Route_Type,
+                    Status: row.Status,
+                    Started_At: row.Started_At,
+                    Completed_At: row.Completed_At,
                     Driver: {
                         Driver_ID: row.Driver_ID,
                         Driver_Name: row.Driver_Name
@@ -482,6 +728,7 @@ async function getAllRoutesForUser(userId) {
                     Destination_ID: row.Destination_ID,
                     Destination_Type: row.Destination_Type,
                     Validated: row.Validated,  // Include Validated status
+                    Skipped_At: row.Skipped_At,
                     Address: {
                         Street: row.Street,
                         City: row.City,
@@ -512,17 +759,85 @@ async function getAllRoutesForUser(userId) {
 }
 
 /**
- * Met à jour les informations de base d'une route (Date, User_ID, Truck_ID, Type).
+ * Récupère les conducteurs possibles d'une route : permis de conduire validé et aucune autre route
+ * qui chevauche la sienne (voir getBusyDrivers), avec le nombre de routes qu'ils conduisent dans le mois de la route.
+ * @param {Number} routeId - L'ID de la route.
+ * @returns {Object|null} - La route (Route_ID, Date, Time, User_ID) et ses conducteurs possibles, null si la route n'existe pas.
+ */
+async function getDriverCandidates(routeId) {
+    const connection = await getConnection();
+    try {
+        const [routes] = await connection.execute(`
+            SELECT Route_ID, DATE_FORMAT(Date, '%Y-%m-%d') AS Date, Time, User_ID
+            FROM Routes
+            WHERE Route_ID = ?
+        `, [routeId]);
+        if (routes.length === 0) {
+            return null;
+        }
+        const route = routes[0];
+
+        const [candidates] = await connection.execute(`
+            SELECT u.User_ID,
+                   CONCAT(u.Firstname, ' ', u.Name) AS User_Name,
+                   (SELECT COUNT(*)
+                    FROM Routes mr
+                    WHERE mr.User_ID = u.User_ID
+                      AND mr.Route_ID <> ?
+                      AND mr.Status <> 'cancelled'
+                      AND YEAR(mr.Date) = YEAR(?)
+                      AND MONTH(mr.Date) = MONTH(?)) AS Tours_Count
+            FROM Users u
+                     JOIN User_Skills us ON u.User_ID = us.User_ID
+                     JOIN Skills s ON us.Skill_ID = s.Skill_ID
+            WHERE s.Name = 'Permis de conduire'
+              AND us.Validation_Date IS NOT NULL
+        `, [routeId, route.Date, route.Date]);
+
+        const busy = await getBusyDrivers(connection, route.Date, route.Time, route.Route_ID);
+        return { Route: route, Candidates: candidates.filter(candidate => !busy.has(candidate.User_ID)) };
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Met à jour les informations de base d'une route planifiée (Date, Time, User_ID, Truck_ID).
  * @param {Number} id - L'ID de la route à mettre à jour.
  * @param {Object} data - Les données à mettre à jour.
+ * @param {Number|null|undefined} currentDriver - Le conducteur attendu, si la modification en dépend.
  * @returns {Object} - Un objet représentant la route mise à jour.
+ * @throws {InvalidArgumentError} - Si la route n'est plus planifiée ou si son conducteur a changé entre-temps.
  */
-async function updateOne(id, data) {
+async function updateOne(id, data, currentDriver = undefined) {
     const connection = await getConnection();
     try {
         await connection.beginTransaction();
 
-        const routeFields = ['Date', 'Time', 'User_ID', 'Truck_ID', 'Type'];
+        const [routes] = await connection.execute(
+            "SELECT DATE_FORMAT(Date, '%Y-%m-%d') AS Date, Time, User_ID, Truck_ID, Status FROM Routes WHERE Route_ID = ? FOR UPDATE",
+            [id]
+        );
+        if (routes.length === 0) {
+            throw new NotFoundError(`Tour with ID ${id} not found`);
+        }
+        if (routes[0].Status !== 'planned') {
+            throw new InvalidArgumentError(`The tour is ${routes[0].Status}, it can no longer be modified.`);
+        }
+        if (currentDriver !== undefined && routes[0].User_ID !== currentDriver) {
+            throw new InvalidArgumentError("The tour has been changed meanwhile, please reload it.");
+        }
+
+        // Le conducteur et le camion sont revérifiés s'ils changent, ou si la route change de date ou d'heure
+        const route = { ...routes[0], ...data };
+        if (['Date', 'Time', 'User_ID'].some(field => field in data)) {
+            await checkDriver(connection, route.User_ID, route.Date, route.Time, id);
+        }
+        if (['Date', 'Time', 'Truck_ID'].some(field => field in data)) {
+            await truckRepository.checkRoadworthy(connection, route.Truck_ID, route.Date, route.Time);
+        }
+
+        const routeFields = ['Date', 'Time', 'User_ID', 'Truck_ID'];
         const routeUpdates = routeFields.filter(field => field in data);
 
         if (routeUpdates.length > 0) {
@@ -537,6 +852,11 @@ async function updateOne(id, data) {
             `, values);
         }
 
+        // Un changement de camion doit laisser la place au chargement actuel
+        if (data.Truck_ID) {
+            await checkTruckCapacity(connection, data.Truck_ID, await getRouteVolume(connection, id));
+        }
+
         await connection.commit();
         return { Route_ID: id, ...data };
     } catch (error) {
@@ -547,17 +867,243 @@ async function updateOne(id, data) {
     }
 }
 
+// Conducteur d'une route, undefined si la route n'existe pas
+async function getDriverId(routeId) {
+    const connection = await getConnection();
+    try {
+        const [routes] = await connection.execute('SELECT User_ID FROM Routes WHERE Route_ID = ?', [routeId]);
+        return routes[0]?.User_ID;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Conducteur et statut d'une route, undefined si la route n'existe pas
+async function getLifecycle(routeId) {
+    const connection = await getConnection();
+    try {
+        const [routes] = await connection.execute('SELECT Route_ID, User_ID, Status FROM Routes WHERE Route_ID = ?', [routeId]);
+        return routes[0];
+    } finally {
+        await connection.end();
+    }
+}
+
+// Route d'une destination (Route_ID, User_ID, Status), undefined si la destination n'existe pas
+async function getDestinationRoute(destinationId) {
+    const connection = await getConnection();
+    try {
+        const [routes] = await connection.execute(`
+            SELECT r.Route_ID, r.User_ID, r.Status
+            FROM Destinations d
+                     JOIN Routes r ON d.Route_ID = r.Route_ID
+            WHERE d.Destination_ID = ?
+        `, [destinationId]);
+        return routes[0];
+    } finally {
+        await connection.end();
+    }
+}
+
+// Horodatage posé par chaque statut de la tournée
+const STATUS_TIMESTAMPS = {
+    in_progress: 'Started_At',
+    completed: 'Completed_At',
+    cancelled: 'Cancelled_At'
+};
+
+/**
+ * Fait passer une route d'un statut à un autre et horodate le changement.
+ * Une tournée ne se termine que si chaque destination est validée ou passée ; une tournée annulée
+ * rend ses demandes planifiées et ses dons pas encore collectés disponibles pour une autre tournée.
+ * @param {Number} routeId - L'ID de la route.
+ * @param {String} fromStatus - Le statut attendu, la route a pu changer entre-temps.
+ * @param {String} toStatus - Le nouveau statut.
+ * @param {String|null} reason - Le motif d'annulation.
+ * @param {Number|null} userId - L'utilisateur à l'origine du changement.
+ * @returns {Boolean} - False si la route n'est plus dans le statut attendu.
+ * @throws {InvalidArgumentError} - Si des destinations restent à traiter pour terminer la tournée.
+ */
+async function changeStatus(routeId, fromStatus, toStatus, reason = null, userId = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [routes] = await connection.execute('SELECT Status FROM Routes WHERE Route_ID = ? FOR UPDATE', [routeId]);
+        if (routes.length === 0 || routes[0].Status !== fromStatus) {
+            await connection.rollback();
+            return false;
+        }
+
+        if (toStatus === 'completed') {
+            const [[pending]] = await connection.execute(`
+                SELECT COUNT(*) AS Count
+                FROM Destinations
+                WHERE Route_ID = ?
+                  AND Validated = 0
+                  AND Skipped_At IS NULL
+            `, [routeId]);
+            if (pending.Count > 0) {
+                throw new InvalidArgumentError(`${pending.Count} destination(s) must still be validated or skipped with a reason.`);
+            }
+        }
+        if (toStatus === 'cancelled') {
+            await unscheduleRequests(connection, routeId, null, userId);
+            await releaseDonations(connection, routeId);
+        }
+
+        await connection.execute(`
+            UPDATE Routes
+            SET Status = ?,
+                ${STATUS_TIMESTAMPS[toStatus]} = NOW(),
+                Cancel_Reason = ?
+            WHERE Route_ID = ?
+        `, [toStatus, toStatus === 'cancelled' ? reason : null, routeId]);
+
+        await connection.commit();
+        return true;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Passe une destination d'une tournée en cours sans la valider, avec le motif donné par le conducteur.
+ * Ses produits ne sont plus réservés, les demandes planifiées et les dons de son adresse redeviennent disponibles.
+ * @param {Number} destinationId - L'ID de la destination.
+ * @param {String} reason - Le motif.
+ * @param {Number|null} userId - L'utilisateur à l'origine du changement.
+ * @throws {InvalidArgumentError} - Si la tournée n'est pas en cours ou si la destination est déjà traitée.
+ */
+async function skipDestination(destinationId, reason, userId = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [destinations] = await connection.execute(`
+            SELECT d.Route_ID, d.Address_ID, d.Type, d.Validated, d.Skipped_At, r.Status AS Route_Status
+            FROM Destinations d
+                     JOIN Routes r ON d.Route_ID = r.Route_ID
+            WHERE d.Destination_ID = ?
+            FOR UPDATE
+        `, [destinationId]);
+        if (destinations.length === 0) {
+            throw new NotFoundError(`Destination with ID ${destinationId} not found`);
+        }
+        const destination = destinations[0];
+        if (destination.Route_Status !== 'in_progress') {
+            throw new InvalidArgumentError(`Only a destination of a tour in progress can be skipped, this tour is ${destination.Route_Status}.`);
+        }
+        if (destination.Validated || destination.Skipped_At) {
+            throw new InvalidArgumentError(`Destination with ID ${destinationId} has already been ${destination.Validated ? 'validated' : 'skipped'}`);
+        }
+
+        if (destination.Type) {
+            await releaseDonations(connection, destination.Route_ID, destination.Address_ID);
+        } else {
+            await unscheduleRequests(connection, destination.Route_ID, destination.Address_ID, userId);
+        }
+        await connection.execute(
+            'UPDATE Destinations SET Skipped_At = NOW(), Skip_Reason = ? WHERE Destination_ID = ?',
+            [reason, destinationId]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
 /**
- * Supprime une route, ses destinations, et les produits associés.
+ * Relève le kilométrage du camion à la fin d'une tournée et le reporte sur le camion.
+ * @param {Number} routeId - L'ID de la route.
+ * @param {Number} mileage - Le kilométrage affiché au compteur.
+ * @returns {Object|null} - Le relevé, ou null si la route n'existe pas.
+ * @throws {InvalidArgumentError} - Si la route n'a pas de camion ou n'a pas commencé, ou si le compteur est inférieur au dernier relevé.
+ */
+async function recordEndMileage(routeId, mileage) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [routes] = await connection.execute(
+            "SELECT Truck_ID, Date, Time, Status FROM Routes WHERE Route_ID = ? FOR UPDATE",
+            [routeId]
+        );
+        if (routes.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+        const route = routes[0];
+        if (!route.Truck_ID) {
+            throw new InvalidArgumentError('This tour has no truck.');
+        }
+        if (!['in_progress', 'completed'].includes(route.Status)) {
+            throw new InvalidArgumentError(`The mileage is recorded once the tour has started, this tour is ${route.Status}.`);
+        }
+
+        // Le compteur ne peut pas reculer par rapport aux tournées précédentes du camion
+        const [[previous]] = await connection.execute(`
+            SELECT MAX(End_Mileage) AS Mileage
+            FROM Routes
+            WHERE Truck_ID = ?
+              AND Route_ID <> ?
+              AND (Date < ? OR (Date = ? AND Time < ?))
+        `, [route.Truck_ID, routeId, route.Date, route.Date, route.Time]);
+        if (previous.Mileage !== null && mileage < previous.Mileage) {
+            throw new InvalidArgumentError(`The mileage cannot be lower than the previous reading (${previous.Mileage} km).`);
+        }
+
+        await connection.execute('UPDATE Routes SET End_Mileage = ? WHERE Route_ID = ?', [mileage, routeId]);
+        await connection.execute(
+            'UPDATE Trucks SET Mileage = GREATEST(COALESCE(Mileage, 0), ?) WHERE Truck_ID = ?',
+            [mileage, route.Truck_ID]
+        );
+
+        await connection.commit();
+        return { Route_ID: routeId, Truck_ID: route.Truck_ID, End_Mileage: mileage };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Supprime une route planifiée ou annulée, ses destinations, et les produits associés.
  * @param {Number} id - L'ID de la route à supprimer.
+ * @param {Number|null} userId - L'utilisateur à l'origine de la suppression.
  * @returns {Boolean} - True si la suppression a été effectuée, sinon False.
+ * @throws {InvalidArgumentError} - Si la route est en cours ou terminée.
  */
-async function deleteOne(id) {
+async function deleteOne(id, userId = null) {
     const connection = await getConnection();
     try {
         await connection.beginTransaction();
 
-        // Delete all products associated with the destinations of the route
+        // Seule une route pas encore partie, ou annulée, peut disparaître : les autres gardent la trace de ce qui a été fait
+        const [routes] = await connection.execute('SELECT Status FROM Routes WHERE Route_ID = ? FOR UPDATE', [id]);
+        if (routes.length === 0) {
+            await connection.rollback();
+            return false;
+        }
+        if (!['planned', 'cancelled'].includes(routes[0].Status)) {
+            throw new InvalidArgumentError(`The tour is ${routes[0].Status}, only a planned or cancelled tour can be deleted.`);
+        }
+
+        // Comme pour une annulation, les demandes planifiées redeviennent disponibles
+        // et les dons pas encore collectés pourront l'être par une autre tournée
+        await unscheduleRequests(connection, id, null, userId);
+        await releaseDonations(connection, id);
+
+        // Delete all products associated with the destinations of the route, which releases their stock reservation
         await connection.execute(`
             DELETE FROM Destination_Products
             WHERE Destination_ID IN (
@@ -608,11 +1154,22 @@ async function addDestination(routeId, destinationData) {
  * @param destinationId
  * @returns {Promise<void>}
  */
-async function removeDestination(routeId, destinationId) {
+async function removeDestination(routeId, destinationId, userId = null) {
     const connection = await getConnection();
     try {
         await connection.beginTransaction();
 
+        const [destinations] = await connection.execute(`
+            SELECT Address_ID, Validated
+            FROM Destinations
+            WHERE Destination_ID = ?
+              AND Route_ID = ?
+        `, [destinationId, routeId]);
+        if (destinations.length > 0 && !destinations[0].Validated) {
+            await unscheduleRequests(connection, routeId, destinations[0].Address_ID, userId);
+        }
+
+        // Les produits retirés ne sont plus réservés
         await connection.execute(`
             DELETE FROM Destination_Products WHERE Destination_ID = ?
         `, [destinationId]);
@@ -631,17 +1188,137 @@ async function removeDestination(routeId, destinationId) {
 }
 
 /**
- * Ajoute un produit à une destination existante.
+ * Récupère les destinations d'une route avec les coordonnées de leur adresse, dans l'ordre actuel.
+ * @param {Number} routeId - L'ID de la route.
+ * @returns {Array|null} - Les destinations, ou null si la route n'existe pas.
+ */
+async function getRouteStops(routeId) {
+    const connection = await getConnection();
+    try {
+        const [routes] = await connection.execute(`
+            SELECT Route_ID FROM Routes WHERE Route_ID = ?
+        `, [routeId]);
+        if (routes.length === 0) {
+            return null;
+        }
+
+        const [stops] = await connection.execute(`
+            SELECT d.Destination_ID, a.Latitude, a.Longitude
+            FROM Destinations d
+                     LEFT JOIN Address a ON d.Address_ID = a.Address_ID
+            WHERE d.Route_ID = ?
+            ORDER BY d.Sequence IS NULL, d.Sequence, d.Destination_ID
+        `, [routeId]);
+        return stops;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Enregistre l'ordre de passage des destinations d'une route.
+ * @param {Number} routeId - L'ID de la route.
+ * @param {Array<Number>} destinationIds - Les IDs des destinations dans l'ordre de passage.
+ */
+async function saveSequence(routeId, destinationIds) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        for (const [index, destinationId] of destinationIds.entries()) {
+            await connection.execute(`
+                UPDATE Destinations
+                SET Sequence = ?
+                WHERE Destination_ID = ? AND Route_ID = ?
+            `, [index + 1, destinationId, routeId]);
+        }
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Ajoute un produit à une destination existante, si le camion de la route peut encore le charger
+ * et, pour une distribution, si le stock disponible le permet.
  * @param {Number} destinationId - L'ID de la destination à laquelle ajouter le produit.
  * @param {Object} productData - Les données du produit à ajouter.
+ * @throws {InvalidArgumentError} - Si le chargement dépasse la capacité du camion ou le stock disponible.
  */
 async function addProductToDestination(destinationId, productData) {
     const connection = await getConnection();
-    await connection.execute(`
-        INSERT INTO Destination_Products (Destination_ID, Product_ID, Quantity)
-        VALUES (?, ?, ?)
-    `, [destinationId, productData.Product_ID, productData.Quantity]);
-    await connection.end();
+    try {
+        await connection.beginTransaction();
+
+        const [routes] = await connection.execute(`
+            SELECT r.Route_ID, r.Truck_ID, d.Type, d.Validated
+            FROM Destinations d
+                     JOIN Routes r ON d.Route_ID = r.Route_ID
+            WHERE d.Destination_ID = ?
+        `, [destinationId]);
+
+        if (routes.length === 0) {
+            throw new NotFoundError(`Destination with ID ${destinationId} not found`);
+        }
+
+        // Une distribution planifiée réserve ses produits : ils doivent être disponibles
+        if (!routes[0].Type && !routes[0].Validated) {
+            const available = await stockRepository.getAvailableQuantity(connection, productData.Product_ID);
+            if (productData.Quantity > available) {
+                throw new InvalidArgumentError(`Only ${available} available for product ${productData.Product_ID}`);
+            }
+        }
+
+        await connection.execute(`
+            INSERT INTO Destination_Products (Destination_ID, Product_ID, Quantity)
+            VALUES (?, ?, ?)
+        `, [destinationId, productData.Product_ID, productData.Quantity]);
+
+        await checkTruckCapacity(connection, routes[0].Truck_ID, await getRouteVolume(connection, routes[0].Route_ID));
+
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Calcule le volume (en m³) d'une tournée en cours de composition, avant sa création.
+ * Les produits sont identifiés par Product_ID, ou à défaut par le don ou la demande dont ils proviennent.
+ * @param {Array} destinations - Les destinations, au format de la création de tournée.
+ * @returns {Number} - Le volume en m³.
+ */
+async function computeVolume(destinations) {
+    const connection = await getConnection();
+    try {
+        let litres = 0;
+        for (const { Products = [] } of destinations) {
+            for (const product of Products) {
+                const [rows] = await connection.execute(`
+                    SELECT ${UNIT_VOLUME} AS Unit_Volume
+                    FROM Products p
+                             LEFT JOIN ProductsCategories c ON p.Category_ID = c.Category_ID
+                    WHERE p.Product_ID = COALESCE(?,
+                                                  (SELECT Product_ID FROM Donations WHERE Donation_ID = ?),
+                                                  (SELECT Product_ID FROM Requests WHERE Request_ID = ?))
+                `, [product.Product_ID ?? null, product.Donation_ID ?? null, product.Request_ID ?? null]);
+
+                if (rows.length > 0) {
+                    litres += product.Quantity * Number(rows[0].Unit_Volume);
+                }
+            }
+        }
+        return litres / 1000;
+    } finally {
+        await connection.end();
+    }
 }
 
 /**
@@ -657,33 +1334,126 @@ async function removeProductFromDestination(destinationId, productId) {
     await connection.end();
 }
 
-async function validateDestinationProducts(destinationId) {
-    const connection = await getConnection();
-    try {
-        await connection.beginTransaction();
+/**
+ * Valide une destination dans la transaction de l'appelant et répercute ses produits sur le stock :
+ * une collecte ajoute un lot par produit, une distribution retire les quantités en FEFO.
+ * @param connection - La connexion portant la transaction en cours.
+ * @param {Number} destinationId - L'ID de la destination à valider.
+ * @param {Array} lots - Dates de péremption des produits collectés ({Product_ID, Expiry_Date, Expiry_Type}), optionnelles.
+ * @param {Number|null} userId - L'utilisateur qui valide, enregistré dans le journal des mouvements.
+ * @param {Boolean} requireExpiry - Pour une collecte, exige la date de péremption de chaque produit (null si non périssable).
+ */
+async function validateDestination(connection, destinationId, lots = [], userId = null, requireExpiry = false) {
+    const [destinations] = await connection.execute(`
+        SELECT d.Destination_ID, d.Route_ID, d.Address_ID, d.Type, d.Validated, d.Skipped_At, r.Status AS Route_Status
+        FROM Destinations d
+                 JOIN Routes r ON d.Route_ID = r.Route_ID
+        WHERE d.Destination_ID = ?
+        FOR UPDATE
+    `, [destinationId]);
+
+    if (destinations.length === 0) {
+        throw new NotFoundError(`Destination with ID ${destinationId} not found`);
+    }
+    const destination = destinations[0];
+    if (destination.Validated) {
+        throw new InvalidArgumentError(`Destination with ID ${destinationId} has already been validated`);
+    }
+    if (destination.Skipped_At) {
+        throw new InvalidArgumentError(`Destination with ID ${destinationId} has been skipped`);
+    }
+    if (['completed', 'cancelled'].includes(destination.Route_Status)) {
+        throw new InvalidArgumentError(`The tour of destination ${destinationId} is ${destination.Route_Status}`);
+    }
 
-        // Validate products for the destination by adding them to the stock
-        const [products] = await connection.execute(`
-            SELECT Product_ID, Quantity 
-            FROM Destination_Products 
-            WHERE Destination_ID = ?
-        `, [destinationId]);
+    const [products] = await connection.execute(`
+        SELECT Product_ID, Quantity
+        FROM Destination_Products
+        WHERE Destination_ID = ?
+    `, [destinationId]);
 
-        for (const product of products) {
-            await connection.execute(`
-                UPDATE Stocks
-                SET Quantity = Quantity + ?
-                WHERE Product_ID = ?
-            `, [product.Quantity, product.Product_ID]);
+    const movement = {
+        Route_ID: destination.Route_ID,
+        Destination_ID: destination.Destination_ID,
+        User_ID: userId
+    };
+
+    for (const product of products) {
+        if (destination.Type) {
+            // Collecte : la donation correspondante est marquée comme collectée et devient l'origine du lot.
+            // Une collecte commerçant se fait à l'adresse du magasin, les autres à l'adresse du donateur.
+            const [donations] = await connection.execute(`
+                SELECT d.Donation_ID
+                FROM Donations d
+                         LEFT JOIN Users u ON d.Donor_User_ID = u.User_ID
+                         LEFT JOIN Pickup_Agreements pa ON d.Agreement_ID = pa.Agreement_ID
+                         LEFT JOIN Merchant_Stores s ON pa.Store_ID = s.Store_ID
+                WHERE d.Route_ID = ?
+                  AND d.Product_ID = ?
+                  AND COALESCE(s.Address_ID, u.Address_ID) = ?
+                  AND d.Collected = 0
+                ORDER BY d.Quantity = ? DESC, d.Donation_ID
+                LIMIT 1
+            `, [destination.Route_ID, product.Product_ID, destination.Address_ID, product.Quantity]);
+
+            const Donation_ID = donations.length > 0 ? donations[0].Donation_ID : null;
+            if (Donation_ID) {
+                await connection.execute(`
+                    UPDATE Donations
+                    SET Collected = 1, Collection_Date = CURDATE()
+                    WHERE Donation_ID = ?
+                `, [Donation_ID]);
+            }
+
+            const lot = lots.find(l => l.Product_ID === product.Product_ID) || {};
+            if (requireExpiry && lot.Expiry_Date === undefined) {
+                throw new InvalidArgumentError(
+                    `The expiry date of product ${product.Product_ID} at destination ${destinationId} is missing (null for a non-perishable product).`
+                );
+            }
+            await stockRepository.addLot(connection, {
+                Product_ID: product.Product_ID,
+                Quantity: product.Quantity,
+                Expiry_Date: lot.Expiry_Date,
+                Expiry_Type: lot.Expiry_Type,
+                Donation_ID,
+                Route_ID: destination.Route_ID
+            }, {...movement, Reason: 'collected'});
+        } else {
+            // Distribution : les produits sortent du stock, premier périmé premier sorti
+            await stockRepository.consumeFefo(connection, product.Product_ID, product.Quantity, {
+                ...movement,
+                Reason: 'distributed'
+            });
         }
+    }
 
-        // Mark the destination as validated
-        await connection.execute(`
-            UPDATE Destinations
-            SET Validated = 1
-            WHERE Destination_ID = ?
-        `, [destinationId]);
+    // Distribution : les demandes planifiées des bénéficiaires de cette adresse sont livrées
+    if (!destination.Type) {
+        const [requests] = await connection.execute(`
+            SELECT r.Request_ID
+            FROM Requests r
+                     JOIN Users u ON r.User_ID = u.User_ID
+            WHERE r.Route_ID = ?
+              AND u.Address_ID = ?
+              AND r.Status = 'scheduled'
+        `, [destination.Route_ID, destination.Address_ID]);
+        await requestsRepository.recordStatus(connection, requests.map(r => r.Request_ID), 'delivered', userId);
+    }
+
+    // Mark the destination as validated
+    await connection.execute(`
+        UPDATE Destinations
+        SET Validated = 1
+        WHERE Destination_ID = ?
+    `, [destinationId]);
+}
 
+async function validateDestinationProducts(destinationId, lots = [], userId = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+        await validateDestination(connection, destinationId, lots, userId);
         await connection.commit();
     } catch (error) {
         await connection.rollback();
@@ -693,20 +1463,25 @@ async function validateDestinationProducts(destinationId) {
     }
 }
 
-async function validateAllDestinationsProducts(routeId) {
+async function validateAllDestinationsProducts(routeId, destinationLots = [], userId = null) {
     const connection = await getConnection();
     try {
         await connection.beginTransaction();
 
-        // Get all destinations for the route
+        // Get all destinations of the route that are not validated yet
         const [destinations] = await connection.execute(`
             SELECT Destination_ID
             FROM Destinations
             WHERE Route_ID = ?
+              AND Validated = 0
+              AND Skipped_At IS NULL
         `, [routeId]);
 
+        // Toutes les destinations sont validées dans la même transaction : un stock insuffisant
+        // ou une date de péremption manquante pour une collecte annule l'ensemble
         for (const destination of destinations) {
-            await validateDestinationProducts(destination.Destination_ID);
+            const lots = destinationLots.find(d => d.Destination_ID === destination.Destination_ID)?.Products ?? [];
+            await validateDestination(connection, destination.Destination_ID, lots, userId, true);
         }
 
         await connection.commit();
@@ -726,10 +1501,21 @@ module.exports = {
     validateDestinationProducts,
     validateAllDestinationsProducts,
     updateOne,
+    getDriverId,
+    getLifecycle,
+    getDestinationRoute,
+    changeStatus,
+    skipDestination,
+    recordEndMileage,
     deleteOne,
     addDestination,
     removeDestination,
     addProductToDestination,
     removeProductFromDestination,
-    getAllRoutesForUser
+    getAllRoutesForUser,
+    computeVolume,
+    getRouteStops,
+    saveSequence,
+    checkDriver,
+    getDriverCandidates
 };
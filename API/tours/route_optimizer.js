@@ -0,0 +1,166 @@
+// Ordonnancement des destinations d'une tournée : plus proche voisin depuis l'entrepôt,
+// puis amélioration 2-opt. Les distances sont calculées à vol d'oiseau sur les coordonnées
+// des adresses.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Entrepôt de départ des tournées
+const WAREHOUSE = {
+    Latitude: Number(process.env.WAREHOUSE_LATITUDE || 48.8566),
+    Longitude: Number(process.env.WAREHOUSE_LONGITUDE || 2.3522)
+};
+
+// Vitesse moyenne en ville et temps passé à chaque arrêt (chargement, signature...)
+const AVERAGE_SPEED_KMH = Number(process.env.TOUR_AVERAGE_SPEED_KMH || 25);
+const STOP_DURATION_MINUTES = Number(process.env.TOUR_STOP_DURATION_MINUTES || 10);
+
+// Les rues allongent le trajet par rapport à la ligne droite
+const ROAD_FACTOR = 1.3;
+
+// Durée retenue pour une tournée dont le trajet ne peut pas être estimé
+const DEFAULT_DURATION_MINUTES = Number(process.env.TOUR_DEFAULT_DURATION_MINUTES || 180);
+
+function hasCoordinates(point) {
+    return point.Latitude !== null && point.Latitude !== undefined
+        && point.Longitude !== null && point.Longitude !== undefined;
+}
+
+/**
+ * Distance à vol d'oiseau (formule de haversine) entre deux points.
+ * @param {Object} a - Un point avec Latitude et Longitude.
+ * @param {Object} b - Un point avec Latitude et Longitude.
+ * @returns {Number} - La distance en km.
+ */
+function distance(a, b) {
+    const toRadians = degrees => (Number(degrees) * Math.PI) / 180;
+    const dLat = toRadians(b.Latitude - a.Latitude);
+    const dLon = toRadians(b.Longitude - a.Longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.Latitude)) * Math.cos(toRadians(b.Latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Longueur du trajet entrepôt -> arrêts dans l'ordre (sans retour à l'entrepôt)
+function pathLength(origin, stops) {
+    let total = 0;
+    let previous = origin;
+    stops.forEach(stop => {
+        total += distance(previous, stop);
+        previous = stop;
+    });
+    return total;
+}
+
+function nearestNeighbour(origin, stops) {
+    const remaining = [...stops];
+    const ordered = [];
+    let current = origin;
+    while (remaining.length > 0) {
+        let nearest = 0;
+        remaining.forEach((stop, i) => {
+            if (distance(current, stop) < distance(current, remaining[nearest])) {
+                nearest = i;
+            }
+        });
+        current = remaining.splice(nearest, 1)[0];
+        ordered.push(current);
+    }
+    return ordered;
+}
+
+// Inverse des portions du trajet tant que cela le raccourcit
+function twoOpt(origin, stops) {
+    let best = stops;
+    let bestLength = pathLength(origin, best);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < best.length - 1; i++) {
+            for (let j = i + 1; j < best.length; j++) {
+                const candidate = [
+                    ...best.slice(0, i),
+                    ...best.slice(i, j + 1).reverse(),
+                    ...best.slice(j + 1)
+                ];
+                const candidateLength = pathLength(origin, candidate);
+                if (candidateLength < bestLength - 1e-9) {
+                    best = candidate;
+                    bestLength = candidateLength;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Ordonne des destinations pour parcourir le moins de distance depuis l'entrepôt.
+ * Les destinations sans coordonnées sont placées à la fin, dans leur ordre d'origine.
+ * @param {Array} stops - Les destinations, avec Latitude et Longitude.
+ * @param {Object} origin - Le point de départ, l'entrepôt par défaut.
+ * @returns {Array} - Les destinations dans l'ordre de passage.
+ */
+function optimize(stops, origin = WAREHOUSE) {
+    const located = stops.filter(hasCoordinates);
+    const unlocated = stops.filter(stop => !hasCoordinates(stop));
+    return [...twoOpt(origin, nearestNeighbour(origin, located)), ...unlocated];
+}
+
+/**
+ * Estime l'heure d'arrivée à chaque destination, dans l'ordre donné, à partir de l'heure de départ.
+ * Après une destination sans coordonnées, les heures suivantes ne peuvent plus être estimées.
+ * @param {String} startTime - L'heure de départ de l'entrepôt (HH:MM ou HH:MM:SS).
+ * @param {Array} stops - Les destinations dans l'ordre de passage.
+ * @param {Object} origin - Le point de départ, l'entrepôt par défaut.
+ * @returns {Array} - Pour chaque destination, { Distance, Estimated_Arrival } (km et HH:MM, ou null).
+ */
+function estimateArrivals(startTime, stops, origin = WAREHOUSE) {
+    if (!startTime) {
+        return stops.map(() => ({Distance: null, Estimated_Arrival: null}));
+    }
+    const [hours, minutes] = String(startTime).split(":").map(Number);
+    let elapsed = hours * 60 + minutes;
+    let previous = origin;
+
+    return stops.map((stop, i) => {
+        if (!previous || !hasCoordinates(stop)) {
+            previous = null;
+            return {Distance: null, Estimated_Arrival: null};
+        }
+        const km = distance(previous, stop) * ROAD_FACTOR;
+        elapsed += (i > 0 ? STOP_DURATION_MINUTES : 0) + (km / AVERAGE_SPEED_KMH) * 60;
+        previous = stop;
+
+        const arrival = Math.round(elapsed) % (24 * 60);
+        return {
+            Distance: Math.round(km * 100) / 100,
+            Estimated_Arrival: `${String(Math.floor(arrival / 60)).padStart(2, "0")}:${String(arrival % 60).padStart(2, "0")}`
+        };
+    });
+}
+
+/**
+ * Estime la durée d'une tournée : trajet depuis l'entrepôt par les destinations dans l'ordre donné,
+ * arrêt à chaque destination, puis retour à l'entrepôt.
+ * Sans destination, ou si l'une d'elles n'a pas de coordonnées, la durée par défaut est retenue.
+ * @param {Array} stops - Les destinations dans l'ordre de passage.
+ * @param {Object} origin - Le point de départ et d'arrivée, l'entrepôt par défaut.
+ * @returns {Number} - La durée en minutes.
+ */
+function estimateDuration(stops, origin = WAREHOUSE) {
+    if (stops.length === 0 || !stops.every(hasCoordinates)) {
+        return DEFAULT_DURATION_MINUTES;
+    }
+    const km = (pathLength(origin, stops) + distance(stops[stops.length - 1], origin)) * ROAD_FACTOR;
+    return Math.round(stops.length * STOP_DURATION_MINUTES + (km / AVERAGE_SPEED_KMH) * 60);
+}
+
+module.exports = {
+    WAREHOUSE,
+    DEFAULT_DURATION_MINUTES,
+    distance,
+    optimize,
+    estimateArrivals,
+    estimateDuration
+};
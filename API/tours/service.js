@@ -1,15 +1,29 @@
 const tourRepository = require("./repository");
-const {InvalidArgumentError} = require("../common/service_errors");
+const routeOptimizer = require("./route_optimizer");
+const schedulesService = require("../schedules/service");
+const {
+    TOUR_STATUS_TRANSITIONS,
+    updateTourSchema,
+    setDriverSchema,
+    validateDestinationSchema,
+    validateAllDestinationsSchema,
+    tourLoadSchema,
+    mileageSchema,
+    changeTourStatusSchema,
+    skipDestinationSchema
+} = require("./model");
+const {InvalidArgumentError, UnauthorizedError} = require("../common/service_errors");
 
-async function createOne(data) {
+async function createOne(data, userId = null) {
     let tourId;
     if (data.Type) {
         // Call the method for 'collect'
-        tourId = tourRepository.createCollectOne(data);
+        tourId = await tourRepository.createCollectOne(data);
     } else {
         // Call the method for 'distribute'
-        tourId = tourRepository.createDistributionOne(data);
+        tourId = await tourRepository.createDistributionOne(data, userId);
     }
+    await optimizeOne(tourId);
     return {routeId: tourId};
 }
 
@@ -18,9 +32,23 @@ async function getOne(id) {
     if (!tour) {
         throw new InvalidArgumentError(`Tour with ID ${id} not found`);
     }
+    // Heures d'arrivée estimées à partir de l'heure de départ de la route
+    const arrivals = routeOptimizer.estimateArrivals(tour.Route_Time, tour.Destinations.map(d => d.Address));
+    tour.Destinations = tour.Destinations.map((destination, i) => ({...destination, ...arrivals[i]}));
     return tour;
 }
 
+// Réordonne les destinations de la route par le plus court trajet depuis l'entrepôt
+async function optimizeOne(id) {
+    const stops = await tourRepository.getRouteStops(id);
+    if (stops === null) {
+        return null;
+    }
+    const ordered = routeOptimizer.optimize(stops);
+    await tourRepository.saveSequence(id, ordered.map(stop => stop.Destination_ID));
+    return getOne(id);
+}
+
 async function getAllRoutesForUser(id) {
     if (id === undefined) {
         throw new Error("getOneProduct: Product_ID must be defined");
@@ -36,29 +64,159 @@ async function getAll() {
     return tourRepository.getAll();
 }
 
+// Volume (en m³) d'une tournée en cours de composition, pour le comparer à la capacité des camions
+async function getLoad(data) {
+    const {error} = tourLoadSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    const volume = await tourRepository.computeVolume(data.Destinations);
+    return {Volume: Math.round(volume * 1000) / 1000};
+}
+
+/**
+ * Conducteurs proposés pour une route : permis validé, pas d'autre route au même moment
+ * et aucun créneau qui chevauche la tournée. Ceux qui se sont déclarés disponibles passent en premier,
+ * puis ceux qui conduisent le moins de routes dans le mois.
+ */
+async function suggestDrivers(id) {
+    const result = await tourRepository.getDriverCandidates(id);
+    if (!result) {
+        return null;
+    }
+    const {Route, Candidates} = result;
+    const statuses = await schedulesService.getSlotStatus(Candidates.map(c => c.User_ID), Route.Date, Route.Time, null, id);
+
+    return Candidates
+        .map((candidate, i) => ({...candidate, ...statuses[i]}))
+        .filter(candidate => !candidate.Busy)
+        .sort((a, b) => (b.Available - a.Available) || (a.Tours_Count - b.Tours_Count) || a.User_Name.localeCompare(b.User_Name))
+        .map(({Busy, ...candidate}) => candidate);
+}
+
+// Met à jour la date, l'heure, le conducteur ou le camion d'une tournée planifiée
 async function updateOne(id, data) {
+    const {error} = updateTourSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
     return await tourRepository.updateOne(id, data);
 }
 
-async function deleteOne(id) {
-    return tourRepository.deleteOne(id);
+// Un bénévole prend une tournée sans conducteur ou quitte la sienne ; un gestionnaire affecte qui il veut
+async function setDriver(id, data, issuer) {
+    const {error} = setDriverSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const route = await tourRepository.getLifecycle(id);
+    if (!route) {
+        return null;
+    }
+    const joining = data.User_ID !== null && Number(data.User_ID) === Number(issuer?.id) && route.User_ID === null;
+    const leaving = data.User_ID === null && route.User_ID !== null && route.User_ID === Number(issuer?.id);
+    if (!issuer?.permissions?.includes("tours.manage") && !joining && !leaving) {
+        throw new UnauthorizedError("You can only take a tour without driver or leave your own tour.");
+    }
+    return await tourRepository.updateOne(id, {User_ID: data.User_ID}, route.User_ID);
+}
+
+async function getDriverId(id) {
+    return tourRepository.getDriverId(id);
 }
 
-async function validateAllDestinationsProducts(id) {
-    await tourRepository.validateAllDestinationsProducts(id);
+// Le conducteur de la tournée, ou un gestionnaire des tournées
+function isDriverOrManager(route, issuer) {
+    return issuer?.permissions?.includes("tours.manage") || Number(route.User_ID) === Number(issuer?.id);
 }
 
-async function validateDestinationProducts(id) {
-    await tourRepository.validateDestinationProducts(id);
+// Fait avancer une tournée dans son cycle de vie : le conducteur la démarre et la termine,
+// l'annulation est réservée aux gestionnaires
+async function changeStatus(id, data, issuer) {
+    const {error} = changeTourStatusSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const route = await tourRepository.getLifecycle(id);
+    if (!route) {
+        return null;
+    }
+    const allowed = data.Status === "cancelled"
+        ? issuer?.permissions?.includes("tours.manage")
+        : isDriverOrManager(route, issuer);
+    if (!allowed) {
+        throw new UnauthorizedError("You do not have permission to change the status of this tour.");
+    }
+    if (!TOUR_STATUS_TRANSITIONS[route.Status].includes(data.Status)) {
+        throw new InvalidArgumentError(`The tour is ${route.Status}, it cannot move to ${data.Status}.`);
+    }
+
+    const changed = await tourRepository.changeStatus(id, route.Status, data.Status, data.Reason || null, issuer?.id ?? null);
+    if (!changed) {
+        throw new InvalidArgumentError("The tour has been changed meanwhile, please reload it.");
+    }
+    return await tourRepository.getOne(id);
+}
+
+// Destination passée par le conducteur, qui doit en donner la raison
+async function skipDestination(id, data, issuer) {
+    const {error, value} = skipDestinationSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const route = await tourRepository.getDestinationRoute(id);
+    if (!route) {
+        return null;
+    }
+    if (!isDriverOrManager(route, issuer)) {
+        throw new UnauthorizedError("Only the driver of the tour can skip one of its destinations.");
+    }
+    await tourRepository.skipDestination(id, value.Reason, issuer?.id ?? null);
+    return await tourRepository.getOne(route.Route_ID);
+}
+
+// Kilométrage relevé par le conducteur à la fin de la tournée, reporté sur le camion
+async function recordMileage(id, data) {
+    const {error} = mileageSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    return tourRepository.recordEndMileage(id, data.Mileage);
+}
+
+async function deleteOne(id, userId = null) {
+    return tourRepository.deleteOne(id, userId);
+}
+
+async function validateAllDestinationsProducts(id, data = {}, userId) {
+    const {error, value} = validateAllDestinationsSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    await tourRepository.validateAllDestinationsProducts(id, value.Destinations, userId);
+}
+
+async function validateDestinationProducts(id, data = {}, userId) {
+    const {error, value} = validateDestinationSchema.validate(data);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+    await tourRepository.validateDestinationProducts(id, value.Products, userId);
 }
 
+// Chaque ajout ou retrait de destination recalcule l'ordre de passage de la route
 async function addDestination(routeId, destinationData) {
-    const destinationId = tourRepository.addDestination(routeId, destinationData);
+    const destinationId = await tourRepository.addDestination(routeId, destinationData);
+    await optimizeOne(routeId);
     return {destinationId};
 }
 
-async function removeDestination(routeId, destinationId) {
-    await tourRepository.removeDestination(routeId, destinationId);
+async function removeDestination(routeId, destinationId, userId = null) {
+    await tourRepository.removeDestination(routeId, destinationId, userId);
+    await optimizeOne(routeId);
 }
 
 async function addProductToDestination(destinationId, productData) {
@@ -74,6 +232,11 @@ module.exports = {
     getOne,
     getAll,
     updateOne,
+    setDriver,
+    getDriverId,
+    changeStatus,
+    skipDestination,
+    recordMileage,
     deleteOne,
     addDestination,
     removeDestination,
@@ -81,5 +244,8 @@ module.exports = {
     removeProductFromDestination,
     validateAllDestinationsProducts,
     validateDestinationProducts,
-    getAllRoutesForUser
+    getAllRoutesForUser,
+    getLoad,
+    optimizeOne,
+    suggestDrivers
 };
@@ -26,7 +26,19 @@ const controller = Router();
  *           description: The model of the truck
  *         Conditions:
  *           type: integer
- *           description: The condition of the truck (1-5 scale)
+ *           description: The condition of the truck (1-5 scale, 5 meaning a revision is needed)
+ *         Mileage:
+ *           type: integer
+ *           description: The mileage logged at the end of the last tour or maintenance
+ *         Insurance_Due_Date:
+ *           type: string
+ *           format: date
+ *         Technical_Inspection_Due_Date:
+ *           type: string
+ *           format: date
+ *         Next_Inspection_Date:
+ *           type: string
+ *           format: date
  *       required:
  *         - Registration
  *         - Capacity
@@ -93,6 +105,378 @@ controller.get("/availableToday", (req, res, next) => {
         .catch((err) => next(err));
 });
 
+/**
+ * @swagger
+ * /trucks/available:
+ *   get:
+ *     summary: Retrieve the trucks available on a date and time window
+ *     description: >
+ *       Trucks needing a revision (condition 5), with an overdue insurance or inspection, or immobilised during the window are left out,
+ *       as well as trucks already on a tour whose estimated duration overlaps the window.
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "18:00"
+ *         description: Start of the window (HH:MM), the whole day if omitted
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "21:00"
+ *         description: End of the window (HH:MM), one default tour duration after the start if omitted
+ *       - in: query
+ *         name: excludeRoute
+ *         schema:
+ *           type: integer
+ *         description: The tour being edited, ignored in the conflict check
+ *     responses:
+ *       200:
+ *         description: A list of available trucks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Truck'
+ *       400:
+ *         description: Invalid date or time window
+ */
+controller.get("/available", (req, res, next) => {
+    trucksService.getAvailableTrucks(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/alerts:
+ *   get:
+ *     summary: Retrieve the insurance, technical inspection and inspection due dates that are close or overdue
+ *     description: A truck with an overdue date is left out of tour creation until a new due date is recorded.
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: How many days ahead a due date raises an alert
+ *     responses:
+ *       200:
+ *         description: The alerts, most urgent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   Truck_ID:
+ *                     type: integer
+ *                   Registration:
+ *                     type: string
+ *                   Type:
+ *                     type: string
+ *                     enum: [inspection, insurance, technical_inspection]
+ *                   Due_Date:
+ *                     type: string
+ *                     format: date
+ *                   Overdue:
+ *                     type: boolean
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/alerts", authorize(["trucks.manage"]), (req, res, next) => {
+    trucksService.getAlerts(req.query)
+        .then((data) => res.json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Maintenance:
+ *       type: object
+ *       required:
+ *         - Type
+ *         - Date
+ *       properties:
+ *         Maintenance_ID:
+ *           type: integer
+ *           readOnly: true
+ *         Type:
+ *           type: string
+ *           enum: [inspection, repair, insurance, technical_inspection]
+ *         Date:
+ *           type: string
+ *           format: date
+ *         Mileage:
+ *           type: integer
+ *           description: Raises the mileage of the truck if higher
+ *         Cost:
+ *           type: number
+ *         Description:
+ *           type: string
+ *         Next_Due_Date:
+ *           type: string
+ *           format: date
+ *           description: New due date of the truck for this type (not for a repair)
+ *         Conditions:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           writeOnly: true
+ *           description: Condition of the truck observed during the maintenance
+ *         Unavailable_From:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the immobilisation, the truck cannot go on a tour until Unavailable_Until
+ *         Unavailable_Until:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /trucks/{id}/maintenances:
+ *   get:
+ *     summary: Retrieve the maintenance log of a truck
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *     responses:
+ *       200:
+ *         description: The maintenances, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Maintenance'
+ *       404:
+ *         description: Truck not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.get("/:id/maintenances", authorize(["trucks.manage"]), (req, res, next) => {
+    trucksService.getMaintenances(Number(req.params.id))
+        .then((data) => {
+            if (data === null) {
+                throw new NotFoundError(`Truck with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/{id}/maintenances:
+ *   post:
+ *     summary: Record a maintenance of a truck
+ *     description: >
+ *       The new due date, mileage and condition are applied to the truck. An immobilisation period
+ *       makes the truck unavailable for tours during that time.
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Maintenance'
+ *     responses:
+ *       201:
+ *         description: The maintenance log of the truck
+ *       400:
+ *         description: Invalid maintenance
+ *       404:
+ *         description: Truck not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/:id/maintenances", authorize(["trucks.manage"]), (req, res, next) => {
+    const issuer = {id: req.auth?.uid, permissions: req.auth?.uperms};
+    trucksService.createMaintenance(Number(req.params.id), req.body, issuer)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/{id}/maintenances/{maintenanceId}:
+ *   delete:
+ *     summary: Remove a maintenance and its immobilisation
+ *     description: The due dates of the truck are left unchanged.
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *       - in: path
+ *         name: maintenanceId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the maintenance
+ *     responses:
+ *       204:
+ *         description: Maintenance removed
+ *       404:
+ *         description: Maintenance not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id/maintenances/:maintenanceId", authorize(["trucks.manage"]), (req, res, next) => {
+    trucksService.deleteMaintenance(Number(req.params.id), Number(req.params.maintenanceId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Maintenance with ID ${req.params.maintenanceId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/{id}/downtimes:
+ *   get:
+ *     summary: Retrieve the periods a truck is immobilised
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *     responses:
+ *       200:
+ *         description: The downtimes, latest first
+ *       404:
+ *         description: Truck not found
+ */
+controller.get("/:id/downtimes", (req, res, next) => {
+    trucksService.getDowntimes(Number(req.params.id))
+        .then((data) => {
+            if (data === null) {
+                throw new NotFoundError(`Truck with ID ${req.params.id} not found`);
+            }
+            res.json(data);
+        })
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/{id}/downtimes:
+ *   post:
+ *     summary: Immobilise a truck for a period
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Start_Date
+ *               - End_Date
+ *             properties:
+ *               Start_Date:
+ *                 type: string
+ *                 format: date-time
+ *               End_Date:
+ *                 type: string
+ *                 format: date-time
+ *               Reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The downtimes of the truck
+ *       400:
+ *         description: Invalid period
+ *       404:
+ *         description: Truck not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.post("/:id/downtimes", authorize(["trucks.manage"]), (req, res, next) => {
+    trucksService.createDowntime(Number(req.params.id), req.body)
+        .then((data) => res.status(201).json(data))
+        .catch((err) => next(err));
+});
+
+/**
+ * @swagger
+ * /trucks/{id}/downtimes/{downtimeId}:
+ *   delete:
+ *     summary: Remove a downtime period
+ *     tags: [Truck]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the truck
+ *       - in: path
+ *         name: downtimeId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The ID of the downtime
+ *     responses:
+ *       204:
+ *         description: Downtime removed
+ *       404:
+ *         description: Downtime not found
+ *     security:
+ *       - bearerAuth: []
+ */
+controller.delete("/:id/downtimes/:downtimeId", authorize(["trucks.manage"]), (req, res, next) => {
+    trucksService.deleteDowntime(Number(req.params.id), Number(req.params.downtimeId))
+        .then((deleted) => {
+            if (!deleted) {
+                throw new NotFoundError(`Downtime with ID ${req.params.downtimeId} not found`);
+            }
+            res.status(204).json();
+        })
+        .catch((err) => next(err));
+});
+
 /**
  * @swagger
  * /trucks/{id}:
@@ -5,7 +5,11 @@ const createTruckSchema = Joi.object({
     Registration: Joi.string().max(50).required(),
     Capacity: Joi.number().integer().required(),
     Model: Joi.string().max(100).required(),
-    Conditions: Joi.number().integer().min(1).max(5).required()
+    Conditions: Joi.number().integer().min(1).max(5).required(),
+    Mileage: Joi.number().integer().min(0).optional(),
+    Insurance_Due_Date: Joi.date().optional().allow(null),
+    Technical_Inspection_Due_Date: Joi.date().optional().allow(null),
+    Next_Inspection_Date: Joi.date().optional().allow(null)
 });
 
 // Schéma de validation pour mettre à jour un camion (Truck)
@@ -14,7 +18,73 @@ const updateTruckSchema = Joi.object({
     Registration: Joi.string().max(50).optional(),
     Capacity: Joi.number().integer().optional(),
     Model: Joi.string().max(100).optional(),
-    Conditions: Joi.number().integer().min(1).max(5).optional()
+    Conditions: Joi.number().integer().min(1).max(5).optional(),
+    Mileage: Joi.number().integer().min(0).optional(),
+    Insurance_Due_Date: Joi.date().optional().allow(null),
+    Technical_Inspection_Due_Date: Joi.date().optional().allow(null),
+    Next_Inspection_Date: Joi.date().optional().allow(null)
 }).min(1); // Assurez-vous qu'au moins un champ est mis à jour
 
-module.exports = { createTruckSchema, updateTruckSchema };
+// Un camion dont l'état est "Révision à faire" ne part plus en tournée
+const OUT_OF_SERVICE_CONDITION = 5;
+
+// Schéma de validation pour la recherche des camions disponibles sur un créneau
+const availabilityQuerySchema = Joi.object({
+    date: Joi.date().iso().required(),
+    from: Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$/).optional(),
+    to: Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$/).optional(),
+    excludeRoute: Joi.number().integer().optional()
+});
+
+// Schéma de validation pour une période d'immobilisation d'un camion
+const downtimeSchema = Joi.object({
+    Start_Date: Joi.date().required(),
+    End_Date: Joi.date().greater(Joi.ref('Start_Date')).required(),
+    Reason: Joi.string().max(255).optional().allow(null, '')
+});
+
+// Types d'entretien et échéance du camion que chacun renouvelle (une réparation n'en renouvelle aucune)
+const MAINTENANCE_TYPES = ["inspection", "repair", "insurance", "technical_inspection"];
+const DUE_DATE_COLUMNS = {
+    inspection: "Next_Inspection_Date",
+    insurance: "Insurance_Due_Date",
+    technical_inspection: "Technical_Inspection_Due_Date"
+};
+
+// Nombre de jours avant une échéance à partir duquel une alerte est levée
+const ALERT_DAYS = 30;
+
+// Schéma de validation pour un entretien ; la période d'immobilisation éventuelle bloque le camion
+const maintenanceSchema = Joi.object({
+    Type: Joi.string().valid(...MAINTENANCE_TYPES).required(),
+    Date: Joi.date().required(),
+    Mileage: Joi.number().integer().min(0).optional().allow(null),
+    Cost: Joi.number().min(0).optional().allow(null),
+    Description: Joi.string().max(255).optional().allow(null, ''),
+    Next_Due_Date: Joi.when('Type', {
+        is: 'repair',
+        then: Joi.forbidden(),
+        otherwise: Joi.date().greater(Joi.ref('Date')).optional().allow(null)
+    }),
+    Conditions: Joi.number().integer().min(1).max(5).optional(),
+    Unavailable_From: Joi.date().optional(),
+    Unavailable_Until: Joi.date().greater(Joi.ref('Unavailable_From')).optional()
+}).and('Unavailable_From', 'Unavailable_Until');
+
+// Schéma de validation pour la recherche des échéances proches
+const alertsQuerySchema = Joi.object({
+    days: Joi.number().integer().min(0).optional()
+});
+
+module.exports = {
+    OUT_OF_SERVICE_CONDITION,
+    MAINTENANCE_TYPES,
+    DUE_DATE_COLUMNS,
+    ALERT_DAYS,
+    createTruckSchema,
+    updateTruckSchema,
+    availabilityQuerySchema,
+    downtimeSchema,
+    maintenanceSchema,
+    alertsQuerySchema
+};
@@ -1,12 +1,39 @@
 const getConnection = require("../common/db_handler");
+const { OUT_OF_SERVICE_CONDITION, DUE_DATE_COLUMNS } = require("./model");
+const { InvalidArgumentError, NotFoundError } = require("../common/service_errors");
+
+// Colonnes d'un camion, les échéances au format YYYY-MM-DD
+const TRUCK_COLUMNS = `
+    t.Truck_ID,
+    t.Registration,
+    t.Capacity,
+    t.Model,
+    t.Conditions,
+    t.Mileage,
+    DATE_FORMAT(t.Insurance_Due_Date, '%Y-%m-%d')            AS Insurance_Due_Date,
+    DATE_FORMAT(t.Technical_Inspection_Due_Date, '%Y-%m-%d') AS Technical_Inspection_Due_Date,
+    DATE_FORMAT(t.Next_Inspection_Date, '%Y-%m-%d')          AS Next_Inspection_Date`;
+
+// Le camion (alias t) peut partir en tournée à la date donnée (à répéter trois fois dans les paramètres) :
+// pas de révision à faire et aucune échéance dépassée
+const ROADWORTHY = `(t.Conditions IS NULL OR t.Conditions < ${OUT_OF_SERVICE_CONDITION})
+    AND (t.Insurance_Due_Date IS NULL OR t.Insurance_Due_Date >= ?)
+    AND (t.Technical_Inspection_Due_Date IS NULL OR t.Technical_Inspection_Due_Date >= ?)
+    AND (t.Next_Inspection_Date IS NULL OR t.Next_Inspection_Date >= ?)`;
+
+const EDITABLE_COLUMNS = [
+    'Registration', 'Capacity', 'Model', 'Conditions', 'Mileage',
+    'Insurance_Due_Date', 'Technical_Inspection_Due_Date', 'Next_Inspection_Date'
+];
 
 async function createTruck(truck) {
     const connection = await getConnection();
+    const fields = EDITABLE_COLUMNS.filter(field => field in truck);
     const query = `
-        INSERT INTO Trucks (Registration, Capacity, Model, Conditions)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO Trucks (${fields.join(", ")})
+        VALUES (${fields.map(() => "?").join(", ")})
     `;
-    const values = [truck.Registration, truck.Capacity, truck.Model, truck.Conditions];
+    const values = fields.map(field => truck[field]);
     const [result] = await connection.execute(query, values);
     await connection.end();
     return result.insertId;
@@ -14,49 +41,305 @@ async function createTruck(truck) {
 
 async function getAllTrucks() {
     const connection = await getConnection();
-    const query = `SELECT * FROM Trucks`;
+    const query = `SELECT ${TRUCK_COLUMNS} FROM Trucks t`;
     const [rows] = await connection.execute(query);
     await connection.end();
     return rows;
 }
 
-async function getAvailableTrucksToday() {
+/**
+ * Récupère les camions en état de partir sur un créneau : pas de révision à faire, aucune échéance
+ * dépassée à la date du créneau et aucune période d'immobilisation qui le chevauche.
+ * @param {String} start - Début du créneau (YYYY-MM-DD HH:MM:SS).
+ * @param {String} end - Fin du créneau (YYYY-MM-DD HH:MM:SS).
+ * @returns {Array} - Les camions.
+ */
+async function getTrucksInService(start, end) {
+    const date = start.slice(0, 10);
     const connection = await getConnection();
-    const query = `
-        SELECT 
-            t.Truck_ID, 
-            t.Registration, 
-            t.Capacity, 
-            t.Model, 
-            t.Conditions
-        FROM 
-            Trucks t
-        LEFT JOIN 
-            Routes r ON t.Truck_ID = r.Truck_ID AND r.Date = CURDATE()
-        WHERE 
-            r.Route_ID IS NULL;
-    `;
-    const [rows] = await connection.execute(query);
-    await connection.end();
-    return rows.length > 0 ? rows : [];
+    try {
+        const [rows] = await connection.execute(`
+            SELECT ${TRUCK_COLUMNS}
+            FROM Trucks t
+            WHERE ${ROADWORTHY}
+              AND NOT EXISTS(SELECT 1
+                             FROM Truck_Downtimes td
+                             WHERE td.Truck_ID = t.Truck_ID
+                               AND td.Start_Date < ?
+                               AND td.End_Date > ?)
+            ORDER BY t.Truck_ID
+        `, [date, date, date, end, start]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Vérifie qu'un camion peut partir en tournée à une date et une heure : pas de révision à faire,
+ * aucune échéance dépassée et pas d'immobilisation à ce moment-là.
+ * @param connection - La connexion à utiliser, éventuellement au sein d'une transaction.
+ * @param {Number|null} truckId - L'ID du camion ; aucune vérification si la route n'a pas de camion.
+ * @param {String} date - La date de la tournée.
+ * @param {String} time - L'heure de départ de la tournée.
+ * @throws {InvalidArgumentError} - Si le camion ne peut pas partir.
+ */
+async function checkRoadworthy(connection, truckId, date, time) {
+    if (!truckId) {
+        return;
+    }
+    const day = String(date).slice(0, 10);
+    const [trucks] = await connection.execute(`
+        SELECT t.Registration,
+               ${ROADWORTHY}                      AS Roadworthy,
+               EXISTS(SELECT 1
+                      FROM Truck_Downtimes td
+                      WHERE td.Truck_ID = t.Truck_ID
+                        AND td.Start_Date <= TIMESTAMP(?, ?)
+                        AND td.End_Date > TIMESTAMP(?, ?)) AS Immobilised
+        FROM Trucks t
+        WHERE t.Truck_ID = ?
+    `, [day, day, day, day, time, day, time, truckId]);
+
+    if (trucks.length === 0) {
+        throw new NotFoundError(`Truck with ID ${truckId} not found`);
+    }
+    if (!trucks[0].Roadworthy) {
+        throw new InvalidArgumentError(`Truck ${trucks[0].Registration} needs a revision or has an overdue insurance or inspection.`);
+    }
+    if (trucks[0].Immobilised) {
+        throw new InvalidArgumentError(`Truck ${trucks[0].Registration} is immobilised at this date and time.`);
+    }
+}
+
+/**
+ * Récupère les routes d'une date qui ont un camion, avec les coordonnées de leurs destinations
+ * dans l'ordre de passage pour en estimer la durée.
+ * @param {String} date - La date (YYYY-MM-DD).
+ * @param {Number|null} excludeRouteId - Une route à ignorer, par exemple celle en cours de modification.
+ * @returns {Array} - Les routes (Route_ID, Truck_ID, Time, Stops).
+ */
+async function getRoutesWithStops(date, excludeRouteId = null) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT r.Route_ID,
+                   r.Truck_ID,
+                   r.Time,
+                   d.Destination_ID,
+                   a.Latitude,
+                   a.Longitude
+            FROM Routes r
+                     LEFT JOIN Destinations d ON r.Route_ID = d.Route_ID
+                     LEFT JOIN Address a ON d.Address_ID = a.Address_ID
+            WHERE r.Date = ?
+              AND r.Truck_ID IS NOT NULL
+              AND r.Status <> 'cancelled'
+              AND (? IS NULL OR r.Route_ID <> ?)
+            ORDER BY r.Route_ID, d.Sequence IS NULL, d.Sequence, d.Destination_ID
+        `, [date, excludeRouteId, excludeRouteId]);
+
+        const routes = {};
+        rows.forEach(row => {
+            if (!routes[row.Route_ID]) {
+                routes[row.Route_ID] = { Route_ID: row.Route_ID, Truck_ID: row.Truck_ID, Time: row.Time, Stops: [] };
+            }
+            if (row.Destination_ID) {
+                routes[row.Route_ID].Stops.push({ Latitude: row.Latitude, Longitude: row.Longitude });
+            }
+        });
+        return Object.values(routes);
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getMaintenances(truckId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT m.Maintenance_ID,
+                   m.Truck_ID,
+                   m.Type,
+                   DATE_FORMAT(m.Date, '%Y-%m-%d')          AS Date,
+                   m.Mileage,
+                   m.Cost,
+                   m.Description,
+                   DATE_FORMAT(m.Next_Due_Date, '%Y-%m-%d') AS Next_Due_Date,
+                   CONCAT(u.Firstname, ' ', u.Name)         AS Created_By_Name,
+                   td.Start_Date                            AS Unavailable_From,
+                   td.End_Date                              AS Unavailable_Until
+            FROM Truck_Maintenances m
+                     LEFT JOIN Users u ON m.Created_By = u.User_ID
+                     LEFT JOIN Truck_Downtimes td ON td.Maintenance_ID = m.Maintenance_ID
+            WHERE m.Truck_ID = ?
+            ORDER BY m.Date DESC, m.Maintenance_ID DESC
+        `, [truckId]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+/**
+ * Enregistre un entretien et le répercute sur le camion : nouvelle échéance du même type,
+ * kilométrage, état constaté, et période d'immobilisation si elle est indiquée.
+ * @param {Number} truckId - L'ID du camion.
+ * @param {Object} maintenance - L'entretien.
+ * @param {Number|null} userId - L'utilisateur qui enregistre l'entretien.
+ * @returns {Number} - L'ID de l'entretien.
+ */
+async function createMaintenance(truckId, maintenance, userId = null) {
+    const connection = await getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            INSERT INTO Truck_Maintenances (Truck_ID, Type, Date, Mileage, Cost, Description, Next_Due_Date, Created_By)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            truckId,
+            maintenance.Type,
+            maintenance.Date,
+            maintenance.Mileage ?? null,
+            maintenance.Cost ?? null,
+            maintenance.Description || null,
+            maintenance.Next_Due_Date ?? null,
+            userId
+        ]);
+        const maintenanceId = result.insertId;
+
+        const dueDateColumn = DUE_DATE_COLUMNS[maintenance.Type];
+        if (dueDateColumn && maintenance.Next_Due_Date) {
+            await connection.execute(
+                `UPDATE Trucks SET ${dueDateColumn} = ? WHERE Truck_ID = ?`,
+                [maintenance.Next_Due_Date, truckId]
+            );
+        }
+        if (maintenance.Mileage) {
+            await connection.execute(
+                'UPDATE Trucks SET Mileage = GREATEST(COALESCE(Mileage, 0), ?) WHERE Truck_ID = ?',
+                [maintenance.Mileage, truckId]
+            );
+        }
+        if (maintenance.Conditions) {
+            await connection.execute('UPDATE Trucks SET Conditions = ? WHERE Truck_ID = ?', [maintenance.Conditions, truckId]);
+        }
+        if (maintenance.Unavailable_From) {
+            await connection.execute(`
+                INSERT INTO Truck_Downtimes (Truck_ID, Start_Date, End_Date, Reason, Maintenance_ID)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                truckId,
+                new Date(maintenance.Unavailable_From),
+                new Date(maintenance.Unavailable_Until),
+                maintenance.Description || maintenance.Type,
+                maintenanceId
+            ]);
+        }
+
+        await connection.commit();
+        return maintenanceId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Supprime un entretien et son immobilisation ; les échéances du camion ne sont pas modifiées
+async function deleteMaintenance(truckId, maintenanceId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'DELETE FROM Truck_Maintenances WHERE Truck_ID = ? AND Maintenance_ID = ?',
+            [truckId, maintenanceId]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
+}
+
+// Récupère les camions dont une échéance tombe avant une date (ou est déjà dépassée)
+async function getTrucksDueBefore(date) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT ${TRUCK_COLUMNS}
+            FROM Trucks t
+            WHERE t.Insurance_Due_Date <= ?
+               OR t.Technical_Inspection_Due_Date <= ?
+               OR t.Next_Inspection_Date <= ?
+        `, [date, date, date]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function getDowntimes(truckId) {
+    const connection = await getConnection();
+    try {
+        const [rows] = await connection.execute(`
+            SELECT Downtime_ID, Truck_ID, Start_Date, End_Date, Reason, Maintenance_ID
+            FROM Truck_Downtimes
+            WHERE Truck_ID = ?
+            ORDER BY Start_Date DESC
+        `, [truckId]);
+        return rows;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function createDowntime(truckId, downtime) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(`
+            INSERT INTO Truck_Downtimes (Truck_ID, Start_Date, End_Date, Reason)
+            VALUES (?, ?, ?, ?)
+        `, [truckId, new Date(downtime.Start_Date), new Date(downtime.End_Date), downtime.Reason || null]);
+        return result.insertId;
+    } finally {
+        await connection.end();
+    }
+}
+
+async function deleteDowntime(truckId, downtimeId) {
+    const connection = await getConnection();
+    try {
+        const [result] = await connection.execute(
+            'DELETE FROM Truck_Downtimes WHERE Truck_ID = ? AND Downtime_ID = ?',
+            [truckId, downtimeId]
+        );
+        return result.affectedRows > 0;
+    } finally {
+        await connection.end();
+    }
 }
 
 async function getTruckById(truckId) {
     const connection = await getConnection();
-    const query = `SELECT * FROM Trucks WHERE Truck_ID = ?`;
+    const query = `SELECT ${TRUCK_COLUMNS} FROM Trucks t WHERE t.Truck_ID = ?`;
     const [rows] = await connection.execute(query, [truckId]);
     await connection.end();
     return rows[0];
 }
 
 async function updateTruck(truckId, truck) {
+    const fields = EDITABLE_COLUMNS.filter(field => field in truck);
+    if (fields.length === 0) {
+        return true;
+    }
     const connection = await getConnection();
     const query = `
         UPDATE Trucks
-        SET Registration = ?, Capacity = ?, Model = ?, Conditions = ?
+        SET ${fields.map(field => `${field} = ?`).join(", ")}
         WHERE Truck_ID = ?
     `;
-    const values = [truck.Registration, truck.Capacity, truck.Model, truck.Conditions, truckId];
+    const values = [...fields.map(field => truck[field]), truckId];
     const [result] = await connection.execute(query, values);
     await connection.end();
     return result.affectedRows > 0;
@@ -89,4 +372,21 @@ async function deleteTruck(truckId, forceDelete = false) {
     return result.affectedRows > 0;
 }
 
-module.exports = { createTruck, getAvailableTrucksToday, getRoutesByTruckId, getAllTrucks, getTruckById, updateTruck, deleteTruck };
+module.exports = {
+    createTruck,
+    getTrucksInService,
+    checkRoadworthy,
+    getRoutesWithStops,
+    getMaintenances,
+    createMaintenance,
+    deleteMaintenance,
+    getTrucksDueBefore,
+    getDowntimes,
+    createDowntime,
+    deleteDowntime,
+    getRoutesByTruckId,
+    getAllTrucks,
+    getTruckById,
+    updateTruck,
+    deleteTruck
+};
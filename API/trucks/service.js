@@ -1,6 +1,16 @@
-const { createTruckSchema, updateTruckSchema } = require("./model");
+const {
+    DUE_DATE_COLUMNS,
+    ALERT_DAYS,
+    createTruckSchema,
+    updateTruckSchema,
+    availabilityQuerySchema,
+    downtimeSchema,
+    maintenanceSchema,
+    alertsQuerySchema
+} = require("./model");
 const truckRepository = require("./repository");
-const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
+const routeOptimizer = require("../tours/route_optimizer");
+const { InvalidArgumentError, NotFoundError, UnauthorizedError } = require("../common/service_errors");
 
 // Fonction de création d'un camion (Truck)
 async function createTruck(truckData) {
@@ -33,9 +43,135 @@ async function getAllTrucks() {
     return trucks;
 }
 
+// Date locale au format YYYY-MM-DD
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// "HH:MM" ou "HH:MM:SS" en minutes depuis minuit
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(":").map(Number);
+    return hours * 60 + minutes;
+}
+
+// Minutes depuis minuit en "HH:MM", sans dépasser minuit
+function toTime(minutes) {
+    const bounded = Math.min(minutes, 23 * 60 + 59);
+    return `${String(Math.floor(bounded / 60)).padStart(2, "0")}:${String(bounded % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Camions disponibles à une date, sur un créneau horaire : en état de partir, pas immobilisés
+ * et sans autre tournée dont la durée estimée chevauche le créneau.
+ * Sans heure de début, toute la journée est considérée ; sans heure de fin, le créneau dure
+ * une tournée par défaut. La tournée en cours de modification (excludeRoute) est ignorée.
+ */
+async function getAvailableTrucks(query) {
+    const { error } = availabilityQuerySchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const date = String(query.date).slice(0, 10);
+    const from = query.from ?? "00:00";
+    const to = query.to ?? (query.from ? toTime(toMinutes(from) + routeOptimizer.DEFAULT_DURATION_MINUTES) : "23:59");
+    if (toMinutes(from) >= toMinutes(to)) {
+        throw new InvalidArgumentError("from must be before to.");
+    }
+
+    const [trucks, routes] = await Promise.all([
+        truckRepository.getTrucksInService(`${date} ${from}:00`, `${date} ${to}:00`),
+        truckRepository.getRoutesWithStops(date, query.excludeRoute ? Number(query.excludeRoute) : null)
+    ]);
+
+    const busyTrucks = new Set(routes
+        .filter(route => {
+            const start = toMinutes(route.Time);
+            const end = start + routeOptimizer.estimateDuration(route.Stops);
+            return start < toMinutes(to) && toMinutes(from) < end;
+        })
+        .map(route => route.Truck_ID));
+    return trucks.filter(truck => !busyTrucks.has(truck.Truck_ID));
+}
+
 async function getAvailableTrucksToday() {
-    const trucks = await truckRepository.getAvailableTrucksToday();
-    return trucks;
+    return await getAvailableTrucks({ date: localDate(new Date()) });
+}
+
+async function getMaintenances(truckId) {
+    if (!await truckRepository.getTruckById(truckId)) {
+        return null;
+    }
+    return await truckRepository.getMaintenances(truckId);
+}
+
+async function createMaintenance(truckId, maintenance, issuer) {
+    const { error } = maintenanceSchema.validate(maintenance);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    if (!await truckRepository.getTruckById(truckId)) {
+        throw new NotFoundError(`Truck with ID ${truckId} not found`);
+    }
+    await truckRepository.createMaintenance(truckId, maintenance, issuer?.id ?? null);
+    return await truckRepository.getMaintenances(truckId);
+}
+
+async function deleteMaintenance(truckId, maintenanceId) {
+    return await truckRepository.deleteMaintenance(truckId, maintenanceId);
+}
+
+/**
+ * Échéances (assurance, contrôle technique, inspection) dépassées ou qui tombent dans les jours à venir,
+ * de la plus urgente à la moins urgente. Overdue indique une échéance dépassée : le camion ne part plus en tournée.
+ */
+async function getAlerts(query = {}) {
+    const { error } = alertsQuerySchema.validate(query);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    const today = localDate(new Date());
+    const limit = new Date();
+    limit.setDate(limit.getDate() + Number(query.days ?? ALERT_DAYS));
+
+    const trucks = await truckRepository.getTrucksDueBefore(localDate(limit));
+    return trucks
+        .flatMap(truck => Object.entries(DUE_DATE_COLUMNS)
+            .filter(([, column]) => truck[column] && truck[column] <= localDate(limit))
+            .map(([type, column]) => ({
+                Truck_ID: truck.Truck_ID,
+                Registration: truck.Registration,
+                Type: type,
+                Due_Date: truck[column],
+                Overdue: truck[column] < today
+            })))
+        .sort((a, b) => a.Due_Date.localeCompare(b.Due_Date));
+}
+
+async function getDowntimes(truckId) {
+    if (!await truckRepository.getTruckById(truckId)) {
+        return null;
+    }
+    return await truckRepository.getDowntimes(truckId);
+}
+
+async function createDowntime(truckId, downtime) {
+    const { error } = downtimeSchema.validate(downtime);
+    if (error) {
+        throw new InvalidArgumentError(error.details[0].message);
+    }
+
+    if (!await truckRepository.getTruckById(truckId)) {
+        throw new NotFoundError(`Truck with ID ${truckId} not found`);
+    }
+    await truckRepository.createDowntime(truckId, downtime);
+    return await truckRepository.getDowntimes(truckId);
+}
+
+async function deleteDowntime(truckId, downtimeId) {
+    return await truckRepository.deleteDowntime(truckId, downtimeId);
 }
 
 // Fonction de mise à jour d'un camion par son ID
@@ -71,4 +207,19 @@ async function deleteTruck(id, forceDelete = false) {
 
 
 
-module.exports = { createTruck, getOneTruck, getAvailableTrucksToday, getAllTrucks, updateTruck, deleteTruck };
+module.exports = {
+    createTruck,
+    getOneTruck,
+    getAvailableTrucks,
+    getAvailableTrucksToday,
+    getMaintenances,
+    createMaintenance,
+    deleteMaintenance,
+    getAlerts,
+    getDowntimes,
+    createDowntime,
+    deleteDowntime,
+    getAllTrucks,
+    updateTruck,
+    deleteTruck
+};
@@ -2,6 +2,7 @@ const { Router } = require("express");
 const usersService = require("./service");
 const NotFoundError = require("../common/http_errors").NotFoundError;
 const authorize = require("../common/middlewares/authorize_middleware");
+const {selfOrAdmin} = require("../common/middlewares/policy_middleware");
 
 const controller = Router();
 
@@ -25,7 +26,8 @@ const controller = Router();
  *           description: The email of the user.
  *         password:
  *           type: string
- *           description: The password of the user.
+ *           writeOnly: true
+ *           description: The password of the user, stored hashed and never returned.
  *         first_name:
  *           type: string
  *           description: The first name of the user.
@@ -35,6 +37,11 @@ const controller = Router();
  *         telephone:
  *           type: string
  *           description: The telephone number of the user.
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The roles of the user (volunteer by default). Setting them requires the roles.manage permission.
  *       example:
  *         id: 1
  *         email: user@example.com
@@ -69,7 +76,7 @@ const controller = Router();
  */
 controller.get(
     "/",
-    // authorize([/*"admin"*/]),
+    // authorize([/*"users.manage"*/]),
     (_req, res, next) => {
         usersService.getAll()
             .then((data) => res.json(data))
@@ -121,6 +128,7 @@ controller.get(
  */
 controller.get(
     "/:id/schedule",
+    selfOrAdmin(),
     (req, res, next) => {
         usersService.getUserSchedule(Number(req.params.id))
             .then((data) => {
@@ -158,11 +166,9 @@ controller.get(
  */
 controller.get(
     "/:id",
+    selfOrAdmin(),
     (req, res, next) => {
-        usersService.getOne(Number(req.params.id), {
-            id: req.auth?.uid,
-            role: req.auth?.urole,
-        })
+        usersService.getOne(Number(req.params.id))
             .then((data) => {
                 if (data === null) {
                     throw new NotFoundError(`Utilisateur avec l'id ${req.params.id} non trouvé`);
@@ -232,6 +238,7 @@ controller.get(
 
 controller.post(
     "/verif/:id",
+    selfOrAdmin(),
     (req, res, next) => {
         const { columnName: param, value } = req.body;
         const userId = Number(req.params.id);
@@ -319,6 +326,7 @@ controller.post(
  */
 controller.post(
     "/verif-skill/:id",
+    selfOrAdmin(),
     (req, res, next) => {
         const { skillName } = req.body;
         const userId = Number(req.params.id);
@@ -361,8 +369,12 @@ controller.post(
  */
 controller.post(
     "/",
+    authorize(["users.manage"]),
     (req, res, next) => {
-        usersService.createOne(req.body)
+        usersService.createOne(req.body, {
+            id: req.auth?.uid,
+            permissions: req.auth?.uperms,
+        })
             .then((data) => res.status(201).json(data))
             .catch((err) => next(err));
     },
@@ -389,11 +401,9 @@ controller.post(
  */
 controller.delete(
     "/:id",
+    selfOrAdmin(),
     (req, res, next) => {
-        usersService.deleteOne(Number(req.params.id), {
-            id: req.auth?.uid,
-            role: req.auth?.urole,
-        })
+        usersService.deleteOne(Number(req.params.id))
             .then((id) => {
                 if (id === null) {
                     throw new NotFoundError(`Utilisateur avec l'id ${req.params.id} non trouvé`);
@@ -502,11 +512,9 @@ controller.delete(
  */
 controller.patch(
     "/:id",
+    selfOrAdmin(),
     (req, res, next) => {
-        usersService.updateOne(Number(req.params.id), req.body, {
-            id: req.auth?.uid,
-            role: req.auth?.urole,
-        })
+        usersService.updateOne(Number(req.params.id), req.body)
             .then((data) => {
                 if (data === null) {
                     throw new NotFoundError(`Utilisateur avec l'id ${req.params.id} non trouvé`);
@@ -2,9 +2,11 @@ const Joi = require("joi");
 
 // Schéma de validation pour créer un utilisateur classique
 const createUserSchema = Joi.object({
-    role: Joi.string()
-        .valid("admin", "volunteer")
-        .default("volunteer"),
+    roles: Joi.array()
+        .items(Joi.string())
+        .unique()
+        .min(1)
+        .default(["volunteer"]),
     email: Joi.string().email().required(),
     password: Joi.string().required(),
     first_name: Joi.string().required(),
@@ -38,7 +40,12 @@ const updateUserSchema = Joi.object({
 }).min(1);
 
 
+// Colonnes qu'un utilisateur peut vérifier sur son compte via /users/verif/:id ; le mot de passe n'en fait pas partie
+const VERIFIABLE_COLUMNS = ["Name", "Firstname", "Address_ID", "Phone", "Email", "Birthdate", "IsRegistered", "Email_Verified"];
+
+
 module.exports = {
     createUserSchema,
     updateUserSchema,
+    VERIFIABLE_COLUMNS,
 };
@@ -4,8 +4,6 @@ const {mkdirSync} = require("node:fs");
 
 // Création d'un utilisateur classique et de son adresse
 async function createOne(user) {
-    console.log('User in repository:', user);
-
     const {
         name = null,
         firstname = null,
@@ -14,7 +12,9 @@ async function createOne(user) {
         email = null,
         password = null,
         birthdate = null,
-        isRegistered = null
+        isRegistered = null,
+        emailVerified = true, // Faux pour une inscription en ligne, jusqu'à la vérification de l'email
+        roles = ["volunteer"]
     } = user;
 
     const connection = await getConnection();
@@ -22,19 +22,30 @@ async function createOne(user) {
     try {
         // Insérer l'adresse dans la table Addresses et récupérer l'ID généré
         const [addressResult] = await connection.execute(
-            'INSERT INTO Address (Street, City, State, Postal_Code, Country) VALUES (?, ?, ?, ?, ?)',
-            [address.street, address.city, address.state, address.postal_code, address.country]
+            'INSERT INTO Address (Street, City, State, Postal_Code, Country, Latitude, Longitude) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [address.street, address.city, address.state, address.postal_code, address.country, address.latitude ?? null, address.longitude ?? null]
         );
         const address_id = addressResult.insertId;
 
         // Insérer l'utilisateur dans la table Users avec l'Address_ID
         const [result] = await connection.execute(
-            'INSERT INTO Users (Name, Firstname, Address_ID, Phone, Email, Password, Birthdate, IsRegistered) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [name, firstname, address_id, phone, email, password, birthdate, isRegistered]
+            'INSERT INTO Users (Name, Firstname, Address_ID, Phone, Email, Password, Birthdate, IsRegistered, Email_Verified) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [name, firstname, address_id, phone, email, password, birthdate, isRegistered, emailVerified]
         );
 
         const user_id = result.insertId;
 
+        // Attribuer les rôles de l'utilisateur
+        if (roles.length > 0) {
+            await connection.execute(
+                `INSERT INTO User_Roles (User_ID, Role_ID)
+                 SELECT ?, Role_ID
+                 FROM Roles
+                 WHERE Name IN (${roles.map(() => "?").join(", ")})`,
+                [user_id, ...roles]
+            );
+        }
+
         // Créer le dossier pour l'utilisateur
         const userDir = join(__dirname, '..', 'uploads', 'justificatif', String(user_id));
         mkdirSync(userDir, {recursive: true});
@@ -52,6 +63,16 @@ async function createOne(user) {
 }
 
 
+// Noms des rôles d'un utilisateur, agrégés dans une colonne Roles puis découpés en tableau
+const ROLES_COLUMN = `(SELECT GROUP_CONCAT(r.Name ORDER BY r.Name)
+          FROM User_Roles ur
+                   JOIN Roles r ON r.Role_ID = ur.Role_ID
+          WHERE ur.User_ID = u.User_ID) AS Roles`;
+
+function withRoles(row) {
+    return {...row, Roles: row.Roles ? row.Roles.split(",") : []};
+}
+
 // Récupère un utilisateur en fonction de son ID
 async function getOne(id) {
     if (id === undefined) {
@@ -60,7 +81,7 @@ async function getOne(id) {
     const connection = await getConnection();
 
     const query = `
-        SELECT u.*, a.Street, a.City, a.State, a.Postal_Code, a.Country
+        SELECT u.*, a.Street, a.City, a.State, a.Postal_Code, a.Country, ${ROLES_COLUMN}
         FROM Users u
                  LEFT JOIN Address a ON u.Address_ID = a.Address_ID
         WHERE u.User_ID = ?
@@ -68,7 +89,7 @@ async function getOne(id) {
 
     const [rows] = await connection.execute(query, [id]);
     await connection.end();
-    return rows[0] || null;
+    return rows[0] ? withRoles(rows[0]) : null;
 }
 
 async function getUserSchedule(userId) {
@@ -98,14 +119,26 @@ async function getUserSchedule(userId) {
     return rows;
 }
 
-async function checkPassword(id, password) {
-    if (id === undefined || password === undefined) {
-        throw new Error("checkPassword: Both id and password must be defined");
+// Remplace le mot de passe (déjà haché) d'un utilisateur
+async function updatePassword(id, passwordHash) {
+    if (id === undefined || passwordHash === undefined) {
+        throw new Error("updatePassword: Both id and passwordHash must be defined");
     }
     const connection = await getConnection();
-    const [rows] = await connection.execute('SELECT * FROM Users WHERE User_ID = ? AND Password = ?', [id, password]);
+    const [result] = await connection.execute('UPDATE Users SET Password = ? WHERE User_ID = ?', [passwordHash, id]);
     await connection.end();
-    return rows[0] || null;
+    return result.affectedRows > 0;
+}
+
+// Marque l'adresse email d'un utilisateur comme vérifiée
+async function setEmailVerified(id) {
+    if (id === undefined) {
+        throw new Error("setEmailVerified: id must be defined");
+    }
+    const connection = await getConnection();
+    const [result] = await connection.execute('UPDATE Users SET Email_Verified = TRUE WHERE User_ID = ?', [id]);
+    await connection.end();
+    return result.affectedRows > 0;
 }
 
 // Récupère un ou plusieurs utilisateurs en fonction d'un attribut
@@ -121,6 +154,7 @@ async function getOneBy(attribute, value) {
     return rows[0] || null;
 }
 
+// attribute est inséré tel quel dans la requête : il doit venir de VERIFIABLE_COLUMNS (voir le service)
 async function getOneVerifBy(attribute, value, id) {
     if (attribute === undefined || value === undefined || id === undefined) {
         throw new Error("getOneVerifBy: Attribute, value, and id must be defined");
@@ -163,9 +197,9 @@ async function verifySkill(User_id, skillName) {
 // Récupère tous les utilisateurs
 async function getAll() {
     const connection = await getConnection();
-    const [rows] = await connection.execute('SELECT * FROM Users');
+    const [rows] = await connection.execute(`SELECT u.*, ${ROLES_COLUMN} FROM Users u`);
     await connection.end();
-    return rows;
+    return rows.map(withRoles);
 }
 
 // MAJ un utilisateur
@@ -175,7 +209,6 @@ async function updateOne(id, user) {
     }
 
     const connection = await getConnection();
-    console.log("User before update:", user);
 
     try {
         await connection.beginTransaction();
@@ -201,7 +234,7 @@ async function updateOne(id, user) {
             ...(IsRegistered !== undefined && {IsRegistered})
         };
 
-        console.log("User Details to Update:", userDetails);
+        console.log("User fields to update:", Object.keys(userDetails));
 
         if (Object.keys(userDetails).length > 0) {
             const userUpdateStr = Object.keys(userDetails)
@@ -219,14 +252,16 @@ async function updateOne(id, user) {
         }
 
         if (Object.keys(address).length > 0) {
-            const {street, city, state, postal_code, country} = address;
+            const {street, city, state, postal_code, country, latitude, longitude} = address;
 
             const addressDetails = {
                 ...(street !== undefined && {Street: street}),
                 ...(city !== undefined && {City: city}),
                 ...(state !== undefined && {State: state}),
                 ...(postal_code !== undefined && {Postal_Code: postal_code}),
-                ...(country !== undefined && {Country: country})
+                ...(country !== undefined && {Country: country}),
+                ...(latitude !== undefined && {Latitude: latitude}),
+                ...(longitude !== undefined && {Longitude: longitude})
             };
 
             console.log("Address Details to Update:", addressDetails);
@@ -302,6 +337,6 @@ async function updateIsRegistered(userId, isRegistered) {
 }
 
 module.exports = {
-    createOne, getOne, getOneVerifBy, getUserSchedule, verifySkill, getAll, deleteOne, getOneBy, checkPassword,
+    createOne, getOne, getOneVerifBy, getUserSchedule, verifySkill, getAll, deleteOne, getOneBy, updatePassword, setEmailVerified,
     updateOne, updateIsRegistered
 };
@@ -1,30 +1,49 @@
-const { createUserSchema, updateUserSchema } = require("./model");
+const { createUserSchema, updateUserSchema, VERIFIABLE_COLUMNS } = require("./model");
 const Repository = require("./repository");
-const { InvalidArgumentError, UnauthorizedError } = require("../common/service_errors");
+const rolesRepository = require("../roles/repository");
+const geocoding = require("../common/geocoding");
+const { hashPassword } = require("../common/password_handler");
+const { InvalidArgumentError, UnauthorizedError, NotFoundError } = require("../common/service_errors");
+
+// Retire le mot de passe haché d'un utilisateur avant de le renvoyer
+function withoutPassword(user) {
+    const { Password, password, ...rest } = user;
+    return rest;
+}
 
 // Fonction de création d'utilisateur
-async function createOne(user) {
+async function createOne(user, issuer) {
     const { value, error } = createUserSchema.validate(user);
     if (error) {
         throw error;
     }
 
+    // Choisir d'autres rôles que celui par défaut revient à attribuer des droits
+    if (user.roles !== undefined && !issuer?.permissions?.includes("roles.manage")) {
+        throw new UnauthorizedError("Vous ne pouvez pas attribuer de rôles.");
+    }
+    const knownRoles = (await rolesRepository.getAll()).map(role => role.Name);
+    const unknownRoles = value.roles.filter(role => !knownRoles.includes(role));
+    if (unknownRoles.length) {
+        throw new InvalidArgumentError(`Rôles inconnus : ${unknownRoles.join(", ")}`);
+    }
+
     if (await Repository.getOneBy("Email", value.email)) {
         throw new InvalidArgumentError("Cet email est déjà utilisé.");
     }
 
-    const newUser = await Repository.createOne(value);
-    return { ...newUser, password: "[redacted]" };
+    if (value.address) {
+        Object.assign(value.address, await geocoding.geocode(value.address));
+    }
+
+    const newUser = await Repository.createOne({ ...value, password: await hashPassword(value.password) });
+    return { User_ID: newUser };
 }
 
 // Fonction de récupération d'un utilisateur en fonction de son ID
-async function getOne(id, issuer) {
-    if (["volunteer"].includes(issuer.role) && issuer.id !== id) {
-        throw new UnauthorizedError("Vous ne pouvez voir que votre propre compte.");
-    }
-
+async function getOne(id) {
     const user = await Repository.getOne(id);
-    return user ? { ...user, password: "[redacted]" } : null;
+    return user ? withoutPassword(user) : null;
 }
 
 async function getUserSchedule(userId) {
@@ -42,7 +61,7 @@ async function getOneBy(attribute, value) {
     }
 
     const user = await Repository.getOneBy(attribute, value);
-    return user ? { ...user} : null;
+    return user ? withoutPassword(user) : null;
 }
 
 async function getOneVerifBy(attribute, value, id) {
@@ -50,8 +69,15 @@ async function getOneVerifBy(attribute, value, id) {
         throw new Error("getOneBy: Both attribute and value must be defined");
     }
 
-    const user = await Repository.getOneVerifBy(attribute, value, id);
-    return user ? { ...user} : null;
+    // Le nom de colonne est inséré tel quel dans la requête : seules les colonnes prévues sont acceptées,
+    // ce qui empêche aussi de sonder le mot de passe haché
+    const column = VERIFIABLE_COLUMNS.find(name => name.toLowerCase() === String(attribute).toLowerCase());
+    if (!column) {
+        throw new InvalidArgumentError(`getOneVerifBy: ${attribute} cannot be checked, expected one of ${VERIFIABLE_COLUMNS.join(", ")}`);
+    }
+
+    const user = await Repository.getOneVerifBy(column, value, id);
+    return user ? withoutPassword(user) : null;
 }
 
 async function verifySkill(skillName, userId) {
@@ -66,19 +92,13 @@ async function verifySkill(skillName, userId) {
 // Fonction de récupération de tous les utilisateurs
 async function getAll() {
     const users = await Repository.getAll();
-    return users.map(user => ({ ...user, password: "[redacted]" }));
+    return users.map(withoutPassword);
 }
 
 //MAJ d'un utilisateur
-async function updateOne(id, user, issuer) {
-    console.log(user);
-    if (["volunteer"].includes(issuer.role) && issuer.id !== id) {
-        throw new UnauthorizedError("Vous ne pouvez mettre à jour que votre propre compte.");
-    }
-
+async function updateOne(id, user) {
     const { value, error } = updateUserSchema.validate(user);
     if (error) {
-        console.log("Validation Error:", error);
         throw error;
     }
 
@@ -98,35 +118,43 @@ async function updateOne(id, user, issuer) {
         }
     }
 
+    // L'adresse a changé : on recalcule ses coordonnées à partir de l'adresse complète
+    if (value.address && Object.keys(value.address).length > 0) {
+        const currentAddress = await Repository.getOne(id);
+        Object.assign(value.address, await geocoding.geocode({
+            street: currentAddress.Street,
+            city: currentAddress.City,
+            postal_code: currentAddress.Postal_Code,
+            country: currentAddress.Country,
+            ...value.address
+        }));
+    }
+
     // Fusionner les nouvelles valeurs avec les anciennes pour préserver les champs non modifiés
     const updatedUserData = {
         ...currentUser,
         ...value,
         Name: value.last_name || currentUser.Name,
         Firstname: value.first_name || currentUser.Firstname,
-        Password: value.password || currentUser.Password,
+        Password: value.password ? await hashPassword(value.password) : currentUser.Password,
         Phone: value.telephone || currentUser.Phone,
         Birthdate: value.birthdate || currentUser.Birthdate
     };
 
-    console.log("Updated User Data:", updatedUserData);
+    console.log("Updated User Data:", withoutPassword(updatedUserData));
 
     // Mise à jour de l'utilisateur
     const updateResult = await Repository.updateOne(id, updatedUserData);
 
     console.log("Update Result:", updateResult);
 
-    return updateResult ? { ...updatedUserData, password: "[redacted]" } : null;
+    return updateResult ? withoutPassword(updatedUserData) : null;
 }
 
 // Fonction de suppression d'un utilisateur
-async function deleteOne(id, issuer) {
-    if (["customer", "owner", "provider"].includes(issuer.role) && issuer.id !== id) {
-        throw new UnauthorizedError("Vous ne pouvez supprimer que votre propre compte.");
-    }
-
+async function deleteOne(id) {
     const user = await Repository.getOne(id);
-    if (user?.role === "admin") {
+    if (user?.Roles.includes("admin")) {
         throw new UnauthorizedError("Vous ne pouvez pas supprimer le compte d'un administrateur.");
     }
 
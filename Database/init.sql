@@ -9,7 +9,9 @@ CREATE TABLE IF NOT EXISTS ProductsCategories
 (
     Category_ID   INT AUTO_INCREMENT PRIMARY KEY,
     Name          VARCHAR(100) NOT NULL,
-    StorageSector VARCHAR(100)
+    StorageSector VARCHAR(100),
+    Min_Quantity  INT DEFAULT NULL, -- seuil de stock minimum par défaut des produits de la catégorie
+    Unit_Volume   DECIMAL(8, 3) DEFAULT NULL -- volume par défaut d'une unité en litres
 );
 
 CREATE TABLE IF NOT EXISTS Products
@@ -18,6 +20,9 @@ CREATE TABLE IF NOT EXISTS Products
     Barcode     VARCHAR(50),
     Name        VARCHAR(100),
     Category_ID INT, -- Foreign key to link product to its category
+    Min_Quantity INT DEFAULT NULL, -- seuil de stock minimum (NULL : seuil de la catégorie)
+    Allergens   VARCHAR(255) DEFAULT NULL, -- allergènes séparés par des virgules
+    Unit_Volume DECIMAL(8, 3) DEFAULT NULL, -- volume d'une unité en litres (NULL : volume de la catégorie)
     FOREIGN KEY (Category_ID) REFERENCES ProductsCategories (Category_ID) ON DELETE SET NULL
 );
 
@@ -28,7 +33,9 @@ CREATE TABLE IF NOT EXISTS Address
     City        VARCHAR(100),
     State       VARCHAR(100),
     Postal_Code VARCHAR(20),
-    Country     VARCHAR(100)
+    Country     VARCHAR(100),
+    Latitude    DECIMAL(9, 6) DEFAULT NULL,
+    Longitude   DECIMAL(9, 6) DEFAULT NULL
 );
 
 CREATE TABLE IF NOT EXISTS Users
@@ -42,10 +49,74 @@ CREATE TABLE IF NOT EXISTS Users
     Password     VARCHAR(255),
     Birthdate    DATE,
     IsRegistered BOOLEAN,
-    Role         ENUM ('admin', 'volunteer') NOT NULL DEFAULT 'volunteer',
+    Email_Verified BOOLEAN NOT NULL DEFAULT TRUE, -- false until a self-registered user confirms their address
     FOREIGN KEY (Address_ID) REFERENCES Address (Address_ID) ON DELETE SET NULL
 );
 
+-- Rôles et permissions : les droits de chaque rôle sont des données, pas du code.
+-- Un utilisateur peut cumuler plusieurs rôles, ses permissions sont l'union de celles de ses rôles.
+CREATE TABLE IF NOT EXISTS Roles
+(
+    Role_ID     INT AUTO_INCREMENT PRIMARY KEY,
+    Name        VARCHAR(50) NOT NULL UNIQUE,
+    Description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS Permissions
+(
+    Permission_ID INT AUTO_INCREMENT PRIMARY KEY,
+    Name          VARCHAR(100) NOT NULL UNIQUE,
+    Description   VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS Role_Permissions
+(
+    Role_ID       INT NOT NULL,
+    Permission_ID INT NOT NULL,
+    PRIMARY KEY (Role_ID, Permission_ID),
+    FOREIGN KEY (Role_ID) REFERENCES Roles (Role_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Permission_ID) REFERENCES Permissions (Permission_ID) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS User_Roles
+(
+    User_ID INT NOT NULL,
+    Role_ID INT NOT NULL,
+    PRIMARY KEY (User_ID, Role_ID),
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Role_ID) REFERENCES Roles (Role_ID) ON DELETE CASCADE
+);
+
+-- Jetons de rafraîchissement : seule l'empreinte SHA-256 est stockée. Chaque rafraîchissement consomme
+-- le jeton et en crée un nouveau dans la même famille (une famille = une session de connexion)
+CREATE TABLE IF NOT EXISTS Refresh_Tokens
+(
+    Refresh_Token_ID INT AUTO_INCREMENT PRIMARY KEY,
+    User_ID          INT         NOT NULL,
+    Family_ID        CHAR(36)    NOT NULL,
+    Token_Hash       CHAR(64)    NOT NULL UNIQUE,
+    Created_At       DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Expires_At       DATETIME    NOT NULL,
+    Used_At          DATETIME DEFAULT NULL,
+    Revoked_At       DATETIME DEFAULT NULL,
+    INDEX (Family_ID),
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
+);
+
+-- Jetons à usage unique envoyés par mail (réinitialisation du mot de passe, vérification de l'email) ;
+-- seule l'empreinte SHA-256 est stockée
+CREATE TABLE IF NOT EXISTS User_Tokens
+(
+    User_Token_ID INT AUTO_INCREMENT PRIMARY KEY,
+    User_ID       INT                                            NOT NULL,
+    Type          ENUM ('password_reset', 'email_verification') NOT NULL,
+    Token_Hash    CHAR(64)                                       NOT NULL UNIQUE,
+    Created_At    DATETIME                                       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    Expires_At    DATETIME                                       NOT NULL,
+    Used_At       DATETIME DEFAULT NULL,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
+);
+
 CREATE TABLE IF NOT EXISTS Skills
 (
     Skill_ID INT AUTO_INCREMENT PRIMARY KEY,
@@ -66,11 +137,44 @@ CREATE TABLE IF NOT EXISTS User_Skills
 
 CREATE TABLE IF NOT EXISTS Trucks
 (
-    Truck_ID     INT AUTO_INCREMENT PRIMARY KEY,
-    Registration VARCHAR(50),
-    Capacity     INT,
-    Model        VARCHAR(100),
-    Conditions   INT
+    Truck_ID                      INT AUTO_INCREMENT PRIMARY KEY,
+    Registration                  VARCHAR(50),
+    Capacity                      INT, -- volume utile en m³
+    Model                         VARCHAR(100),
+    Conditions                    INT,
+    Mileage                       INT DEFAULT 0, -- kilométrage relevé en fin de tournée ou à l'entretien
+    Insurance_Due_Date            DATE,          -- échéance de l'assurance
+    Technical_Inspection_Due_Date DATE,          -- échéance du contrôle technique
+    Next_Inspection_Date          DATE           -- prochaine inspection interne
+);
+
+-- Carnet d'entretien des camions
+CREATE TABLE IF NOT EXISTS Truck_Maintenances
+(
+    Maintenance_ID INT AUTO_INCREMENT PRIMARY KEY,
+    Truck_ID       INT  NOT NULL,
+    Type           ENUM ('inspection', 'repair', 'insurance', 'technical_inspection') NOT NULL,
+    Date           DATE NOT NULL,
+    Mileage        INT,
+    Cost           DECIMAL(10, 2),
+    Description    VARCHAR(255),
+    Next_Due_Date  DATE, -- nouvelle échéance pour une inspection, une assurance ou un contrôle technique
+    Created_By     INT,
+    FOREIGN KEY (Truck_ID) REFERENCES Trucks (Truck_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Created_By) REFERENCES Users (User_ID) ON DELETE SET NULL
+);
+
+-- Périodes où un camion est immobilisé (entretien, réparation...) : il ne peut pas partir en tournée
+CREATE TABLE IF NOT EXISTS Truck_Downtimes
+(
+    Downtime_ID    INT AUTO_INCREMENT PRIMARY KEY,
+    Truck_ID       INT      NOT NULL,
+    Start_Date     DATETIME NOT NULL,
+    End_Date       DATETIME NOT NULL,
+    Reason         VARCHAR(255),
+    Maintenance_ID INT NULL, -- l'entretien qui a immobilisé le camion
+    FOREIGN KEY (Truck_ID) REFERENCES Trucks (Truck_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Maintenance_ID) REFERENCES Truck_Maintenances (Maintenance_ID) ON DELETE CASCADE
 );
 
 CREATE TABLE IF NOT EXISTS Subscriptions
@@ -83,13 +187,35 @@ CREATE TABLE IF NOT EXISTS Subscriptions
     FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
 );
 
+-- Créneaux de disponibilité déclarés par les bénévoles : récurrent (jour de la semaine, éventuellement
+-- borné par Valid_From / Valid_Until) ou ponctuel (Date)
+CREATE TABLE IF NOT EXISTS Availabilities
+(
+    Availability_ID INT AUTO_INCREMENT PRIMARY KEY,
+    User_ID         INT     NOT NULL,
+    Day_Of_Week     TINYINT NULL, -- 1 = lundi ... 7 = dimanche, créneau récurrent
+    Date            DATE    NULL, -- créneau ponctuel
+    Start_Time      TIME    NOT NULL,
+    End_Time        TIME    NOT NULL,
+    Valid_From      DATE    NULL,
+    Valid_Until     DATE    NULL,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
+);
+
+-- Créneau affecté à un bénévole : sur une tournée (conducteur ou équipier, la route est dans Schedule_Routes)
+-- ou à l'entrepôt
 CREATE TABLE IF NOT EXISTS Schedules
 (
     Schedule_ID INT AUTO_INCREMENT PRIMARY KEY,
     User_ID     INT,
     Date        DATE,
     Type        BOOLEAN, -- true for 'collect', false for 'distribute'
-    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
+    Role        ENUM ('driver', 'crew', 'warehouse') NOT NULL DEFAULT 'crew',
+    Start_Time  TIME NULL,
+    End_Time    TIME NULL,
+    Assigned_By INT  NULL,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Assigned_By) REFERENCES Users (User_ID) ON DELETE SET NULL
 );
 
 CREATE TABLE IF NOT EXISTS Routes
@@ -100,6 +226,13 @@ CREATE TABLE IF NOT EXISTS Routes
     User_ID  INT NULL,
     Truck_ID INT,
     Type     BOOLEAN, -- true for 'collect', false for 'distribute'
+    End_Mileage INT NULL, -- kilométrage du camion relevé en fin de tournée
+    -- Cycle de vie d'une tournée : planned -> in_progress -> completed, ou cancelled avant la fin
+    Status        ENUM ('planned', 'in_progress', 'completed', 'cancelled') NOT NULL DEFAULT 'planned',
+    Started_At    DATETIME     NULL,
+    Completed_At  DATETIME     NULL,
+    Cancelled_At  DATETIME     NULL,
+    Cancel_Reason VARCHAR(255) NULL,
     FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE,
     FOREIGN KEY (Truck_ID) REFERENCES Trucks (Truck_ID) ON DELETE CASCADE
 );
@@ -120,6 +253,9 @@ CREATE TABLE IF NOT EXISTS Destinations
     Address_ID     INT,
     Type           BOOLEAN, -- true for 'collect', false for 'distribute'
     Validated      BOOLEAN DEFAULT FALSE,
+    Sequence       INT     DEFAULT NULL, -- position in the optimised order of the route
+    Skipped_At     DATETIME     NULL,    -- destination passée par le conducteur, sans validation
+    Skip_Reason    VARCHAR(255) NULL,
     FOREIGN KEY (Route_ID) REFERENCES Routes (Route_ID) ON DELETE CASCADE,
     FOREIGN KEY (Address_ID) REFERENCES Address (Address_ID)
 );
@@ -134,29 +270,140 @@ CREATE TABLE IF NOT EXISTS Destination_Products
     FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID)
 );
 
-CREATE TABLE IF NOT EXISTS Stocks
+-- Cycle de vie d'une demande : submitted -> approved -> scheduled (sur une tournée) -> delivered,
+-- ou rejected (avec un motif) / cancelled. Les transitions sont contrôlées par requests/service.js.
+-- Commande : demandes déposées ensemble depuis le catalogue, une ligne de Requests par produit
+CREATE TABLE IF NOT EXISTS Orders
 (
-    Stock_ID   INT AUTO_INCREMENT PRIMARY KEY,
-    Product_ID INT,
-    Quantity   INT,
-    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE
+    Order_ID   INT AUTO_INCREMENT PRIMARY KEY,
+    User_ID    INT      NOT NULL,
+    Date       DATE     NOT NULL,
+    Created_At DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
 );
 
 CREATE TABLE IF NOT EXISTS Requests
 (
-    Request_ID     INT AUTO_INCREMENT PRIMARY KEY,
-    Product_ID     INT,
-    Quantity       INT,
-    Date           DATE,
-    User_ID        INT,
-    Route_ID       INT  NULL,
-    Processed      BOOLEAN DEFAULT FALSE,
-    Processed_Date DATE NULL,
+    Request_ID       INT AUTO_INCREMENT PRIMARY KEY,
+    Product_ID       INT,
+    Quantity         INT,
+    Date             DATE,
+    User_ID          INT,
+    Route_ID         INT  NULL,
+    Status           ENUM ('submitted', 'approved', 'rejected', 'scheduled', 'delivered', 'cancelled') NOT NULL DEFAULT 'submitted',
+    Rejection_Reason VARCHAR(255) NULL,
+    Order_ID         INT  NULL,
+    FOREIGN KEY (Order_ID) REFERENCES Orders (Order_ID) ON DELETE CASCADE,
     FOREIGN KEY (Route_ID) REFERENCES Routes (Route_ID) ON DELETE SET NULL,
     FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE,
     FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE
 );
 
+-- Panier en cours de constitution : chaque ligne réserve temporairement la quantité choisie,
+-- pour qu'un autre foyer ne puisse pas demander les mêmes unités. Une réservation expirée ne compte plus.
+CREATE TABLE IF NOT EXISTS Basket_Items
+(
+    User_ID        INT      NOT NULL,
+    Product_ID     INT      NOT NULL,
+    Quantity       INT      NOT NULL,
+    Reserved_Until DATETIME NOT NULL,
+    PRIMARY KEY (User_ID, Product_ID),
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE
+);
+
+-- Historique des changements de statut d'une demande : qui, quand et pourquoi
+CREATE TABLE IF NOT EXISTS Request_Status_History
+(
+    History_ID INT AUTO_INCREMENT PRIMARY KEY,
+    Request_ID INT                                                                             NOT NULL,
+    Status     ENUM ('submitted', 'approved', 'rejected', 'scheduled', 'delivered', 'cancelled') NOT NULL,
+    Reason     VARCHAR(255)                                                                    NULL,
+    Changed_By INT                                                                             NULL,
+    Changed_At DATETIME                                                                        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (Request_ID) REFERENCES Requests (Request_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Changed_By) REFERENCES Users (User_ID) ON DELETE SET NULL
+);
+
+-- Foyer bénéficiaire : composition, et période d'éligibilité validée par un administrateur
+CREATE TABLE IF NOT EXISTS Beneficiaries
+(
+    User_ID            INT PRIMARY KEY,
+    Adults             INT                                     NOT NULL DEFAULT 1,
+    Children           INT                                     NOT NULL DEFAULT 0,
+    Notes              TEXT,
+    Eligibility_Status ENUM ('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    Eligible_From      DATE                                    NULL,
+    Eligible_Until     DATE                                    NULL,
+    Reviewed_By        INT                                     NULL,
+    Reviewed_At        DATETIME                                NULL,
+    Rejection_Reason   VARCHAR(255)                            NULL,
+    Created_At         DATETIME                                NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Reviewed_By) REFERENCES Users (User_ID) ON DELETE SET NULL
+);
+
+-- Justificatifs du foyer (ressources, composition...), stockés dans uploads/beneficiaries/<User_ID>
+CREATE TABLE IF NOT EXISTS Beneficiary_Documents
+(
+    Document_ID INT AUTO_INCREMENT PRIMARY KEY,
+    User_ID     INT          NOT NULL,
+    Type        VARCHAR(100) NOT NULL,
+    File_Name   VARCHAR(255) NOT NULL,
+    Uploaded_At DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (User_ID) REFERENCES Beneficiaries (User_ID) ON DELETE CASCADE
+);
+
+-- Quota d'une catégorie de produits sur une période glissante de Period_Days jours :
+-- Base_Quantity par foyer plus Per_Member_Quantity par membre du foyer
+CREATE TABLE IF NOT EXISTS Category_Quotas
+(
+    Category_ID         INT PRIMARY KEY,
+    Period_Days         INT NOT NULL CHECK (Period_Days > 0),
+    Base_Quantity       INT NOT NULL DEFAULT 0,
+    Per_Member_Quantity INT NOT NULL DEFAULT 0,
+    FOREIGN KEY (Category_ID) REFERENCES ProductsCategories (Category_ID) ON DELETE CASCADE
+);
+
+-- Commerçants partenaires : un contrat (dates de début et de fin) et un ou plusieurs magasins
+CREATE TABLE IF NOT EXISTS Merchants
+(
+    Merchant_ID     INT AUTO_INCREMENT PRIMARY KEY,
+    Name            VARCHAR(255) NOT NULL,
+    Siret           CHAR(14),
+    Contact_User_ID INT  NULL, -- compte utilisateur du commerçant (rôle merchant)
+    Phone           VARCHAR(20),
+    Email           VARCHAR(255),
+    Contract_Start  DATE NOT NULL,
+    Contract_End    DATE NULL, -- NULL : contrat sans date de fin
+    FOREIGN KEY (Contact_User_ID) REFERENCES Users (User_ID) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS Merchant_Stores
+(
+    Store_ID    INT AUTO_INCREMENT PRIMARY KEY,
+    Merchant_ID INT          NOT NULL,
+    Name        VARCHAR(255) NOT NULL,
+    Address_ID  INT          NOT NULL,
+    FOREIGN KEY (Merchant_ID) REFERENCES Merchants (Merchant_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Address_ID) REFERENCES Address (Address_ID)
+);
+
+-- Collecte convenue avec un magasin : un jour de la semaine (1 = lundi ... 7 = dimanche), une plage horaire
+-- et la quantité attendue d'un produit. Une donation attendue est générée pour chaque jour couvert par le contrat.
+CREATE TABLE IF NOT EXISTS Pickup_Agreements
+(
+    Agreement_ID      INT AUTO_INCREMENT PRIMARY KEY,
+    Store_ID          INT     NOT NULL,
+    Weekday           TINYINT NOT NULL CHECK (Weekday BETWEEN 1 AND 7),
+    Window_Start      TIME    NOT NULL,
+    Window_End        TIME    NOT NULL,
+    Product_ID        INT     NOT NULL,
+    Expected_Quantity INT     NOT NULL,
+    FOREIGN KEY (Store_ID) REFERENCES Merchant_Stores (Store_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE
+);
+
 CREATE TABLE IF NOT EXISTS Donations
 (
     Donation_ID     INT AUTO_INCREMENT PRIMARY KEY,
@@ -167,9 +414,82 @@ CREATE TABLE IF NOT EXISTS Donations
     Route_ID        INT  NULL,                                                   -- Reference to the route (tour) to which the donation is assigned (NULL if not assigned)
     Collected       BOOLEAN DEFAULT false,                                       -- Indicates if the donation has been collected (default is false)
     Collection_Date DATE NULL,                                                   -- Date when the donation was collected (NULL if not yet collected)
+    Agreement_ID    INT  NULL,                                                   -- Merchant pickup agreement that generated this expected donation (NULL for one-off donations)
     FOREIGN KEY (Route_ID) REFERENCES Routes (Route_ID) ON DELETE SET NULL,      -- If the route is deleted, set Route_ID to NULL
     FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE, -- If the product is deleted, delete the donation
-    FOREIGN KEY (Donor_User_ID) REFERENCES Users (User_ID) ON DELETE SET NULL    -- If the user is deleted, delete the donation
+    FOREIGN KEY (Donor_User_ID) REFERENCES Users (User_ID) ON DELETE SET NULL,   -- If the user is deleted, delete the donation
+    FOREIGN KEY (Agreement_ID) REFERENCES Pickup_Agreements (Agreement_ID) ON DELETE SET NULL,
+    UNIQUE (Agreement_ID, Date)                                                  -- One expected donation per agreement and day
+);
+
+-- Chaque ligne de Stocks est un lot : une quantité d'un produit reçue à une date, avec sa propre date de péremption
+CREATE TABLE IF NOT EXISTS Stocks
+(
+    Stock_ID      INT AUTO_INCREMENT PRIMARY KEY,
+    Product_ID    INT,
+    Quantity      INT,
+    Expiry_Date   DATE                          DEFAULT NULL,            -- NULL pour les produits non périssables
+    Expiry_Type   ENUM ('use_by', 'best_before') DEFAULT 'best_before',  -- 'use_by' = DLC, 'best_before' = DDM
+    Received_Date DATE                          DEFAULT (CURRENT_DATE),
+    Donation_ID   INT                           DEFAULT NULL,            -- Donation d'origine du lot (NULL si inconnue)
+    Route_ID      INT                           DEFAULT NULL,            -- Tournée de collecte d'origine du lot (NULL si inconnue)
+    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Donation_ID) REFERENCES Donations (Donation_ID) ON DELETE SET NULL,
+    FOREIGN KEY (Route_ID) REFERENCES Routes (Route_ID) ON DELETE SET NULL
+);
+
+-- Journal des entrées et sorties de stock, lot par lot. Les lignes ne sont jamais modifiées ni supprimées par l'API.
+CREATE TABLE IF NOT EXISTS Stock_Movements
+(
+    Movement_ID    INT AUTO_INCREMENT PRIMARY KEY,
+    Stock_ID       INT          DEFAULT NULL,
+    Product_ID     INT          DEFAULT NULL, -- NULL si le produit a été supprimé, le mouvement reste au journal
+    Quantity       INT NOT NULL, -- positive pour une entrée, négative pour une sortie
+    Reason         ENUM ('collected', 'distributed', 'manual_adjustment', 'spoiled', 'inventory_count', 'recipe_use') NOT NULL,
+    User_ID        INT          DEFAULT NULL, -- auteur du mouvement (NULL si inconnu)
+    Comment        VARCHAR(255) DEFAULT NULL,
+    Route_ID       INT          DEFAULT NULL,
+    Destination_ID INT          DEFAULT NULL,
+    Movement_Date  DATETIME     DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (Stock_ID) REFERENCES Stocks (Stock_ID) ON DELETE SET NULL,
+    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE SET NULL,
+    FOREIGN KEY (User_ID) REFERENCES Users (User_ID) ON DELETE SET NULL,
+    FOREIGN KEY (Route_ID) REFERENCES Routes (Route_ID) ON DELETE SET NULL,
+    FOREIGN KEY (Destination_ID) REFERENCES Destinations (Destination_ID) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS Inventories
+(
+    Inventory_ID INT AUTO_INCREMENT PRIMARY KEY,
+    Status       ENUM ('open', 'approved', 'cancelled') NOT NULL DEFAULT 'open',
+    Opened_By    INT      DEFAULT NULL,
+    Opened_At    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    Approved_By  INT      DEFAULT NULL,
+    Approved_At  DATETIME DEFAULT NULL,
+    FOREIGN KEY (Opened_By) REFERENCES Users (User_ID) ON DELETE SET NULL,
+    FOREIGN KEY (Approved_By) REFERENCES Users (User_ID) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS Inventory_Sectors
+(
+    Inventory_ID  INT          NOT NULL,
+    StorageSector VARCHAR(100) NOT NULL,
+    PRIMARY KEY (Inventory_ID, StorageSector),
+    FOREIGN KEY (Inventory_ID) REFERENCES Inventories (Inventory_ID) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS Inventory_Counts
+(
+    Inventory_ID      INT NOT NULL,
+    Product_ID        INT NOT NULL,
+    Expected_Quantity INT NOT NULL, -- stock théorique au moment du comptage
+    Counted_Quantity  INT NOT NULL,
+    Counted_By        INT      DEFAULT NULL,
+    Counted_At        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (Inventory_ID, Product_ID),
+    FOREIGN KEY (Inventory_ID) REFERENCES Inventories (Inventory_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Product_ID) REFERENCES Products (Product_ID) ON DELETE CASCADE,
+    FOREIGN KEY (Counted_By) REFERENCES Users (User_ID) ON DELETE SET NULL
 );
 
 
@@ -233,12 +553,12 @@ CREATE TABLE Recipes_Ingredients
 ## 2.2.2. Insertion of data
 
 -- Données de test pour la table Address
-INSERT INTO Address (Street, City, State, Postal_Code, Country)
-VALUES ('123 Rue de la Paix', 'Paris', 'Île-de-France', '75001', 'France'),
-       ('456 Avenue des Champs-Élysées', 'Paris', 'Île-de-France', '75008', 'France'),
-       ('789 Boulevard Saint-Germain', 'Paris', 'Île-de-France', '75006', 'France'),
-       ('1011 Rue de Rivoli', 'Paris', 'Île-de-France', '75004', 'France'),
-       ('1213 Rue du Bac', 'Paris', 'Île-de-France', '75007', 'France');
+INSERT INTO Address (Street, City, State, Postal_Code, Country, Latitude, Longitude)
+VALUES ('123 Rue de la Paix', 'Paris', 'Île-de-France', '75001', 'France', 48.869100, 2.331500),
+       ('456 Avenue des Champs-Élysées', 'Paris', 'Île-de-France', '75008', 'France', 48.871400, 2.303100),
+       ('789 Boulevard Saint-Germain', 'Paris', 'Île-de-France', '75006', 'France', 48.853400, 2.333300),
+       ('1011 Rue de Rivoli', 'Paris', 'Île-de-France', '75004', 'France', 48.857200, 2.356000),
+       ('1213 Rue du Bac', 'Paris', 'Île-de-France', '75007', 'France', 48.852900, 2.322800);
 
 -- Données de test pour la table ProductCategories
 INSERT INTO ProductsCategories (Name, StorageSector)
@@ -366,13 +686,129 @@ VALUES
 ('15234567890126', 'Gel désinfectant', 15),
 ('15234567890127', 'Thermomètre', 15);
 
+-- Volumes unitaires moyens par catégorie (en litres), utilisés pour le chargement des camions
+UPDATE ProductsCategories
+SET Unit_Volume = CASE Name
+                      WHEN 'Fruits et Légumes' THEN 0.5
+                      WHEN 'Viandes et Poissons' THEN 1
+                      WHEN 'Pains et Pâtisseries' THEN 2
+                      WHEN 'Crèmerie et Produits laitiers' THEN 1
+                      WHEN 'Charcuterie et Traiteur' THEN 0.5
+                      WHEN 'Surgelés' THEN 1.5
+                      WHEN 'Boissons' THEN 1.5
+                      WHEN 'Épicerie salée' THEN 1
+                      WHEN 'Épicerie sucrée' THEN 1
+                      WHEN 'Produits du monde' THEN 1
+                      WHEN 'Nutrition et Végétale' THEN 1
+                      WHEN 'Bébé' THEN 2
+                      WHEN 'Entretien et Nettoyage' THEN 1.5
+                      WHEN 'Hygiène et Beauté' THEN 0.5
+                      WHEN 'Parapharmacie' THEN 0.3
+    END;
+
+UPDATE Products
+SET Unit_Volume = 5
+WHERE Barcode = '12234567890125'; -- Couches
+
+-- Seuils de stock minimum : par catégorie pour les produits de base, affinés pour quelques produits
+UPDATE ProductsCategories
+SET Min_Quantity = CASE Name
+                       WHEN 'Fruits et Légumes' THEN 50
+                       WHEN 'Crèmerie et Produits laitiers' THEN 40
+                       WHEN 'Épicerie salée' THEN 60
+                       WHEN 'Épicerie sucrée' THEN 30
+                       WHEN 'Bébé' THEN 20
+                       WHEN 'Hygiène et Beauté' THEN 20
+    END;
+
+UPDATE Products
+SET Min_Quantity = CASE Barcode
+                       WHEN '8234567890123' THEN 150 -- Pâtes
+                       WHEN '8234567890124' THEN 150 -- Riz
+                       WHEN '4234567890123' THEN 100 -- Lait
+                       WHEN '12234567890123' THEN 40 -- Lait infantile
+                       WHEN '12234567890125' THEN 60 -- Couches
+    END
+WHERE Barcode IN ('8234567890123', '8234567890124', '4234567890123', '12234567890123', '12234567890125');
+
 -- Données de test pour la table Users
-INSERT INTO Users (Name, Firstname, Address_ID, Phone, Email, Password, Birthdate, IsRegistered, Role)
-VALUES ('admin', 'admin', 1, '0102030405', 'admin@user.com', 'password', '1985-05-15', true, 'admin'),
-       ('Martin', 'Lucie', 2, '0607080910', 'l.martin@user.com', 'password', '1990-07-22', false, 'volunteer'),
-       ('Lefèvre', 'Pierre', 3, '0708091011', 'p.lefevre@user.com', 'password', '1980-02-17', true, 'volunteer'),
-       ('Moreau', 'Sophie', 4, '0809101112', 's.moreau@user.com', 'password', '1995-12-25', false, 'volunteer'),
-       ('Dubois', 'Louis', 5, '0910111213', 'l.dubois@user.com', 'password', '1978-09-30', true, 'volunteer');
+-- Mots de passe hachés avec scrypt (common/password_handler.js) ; en clair : password
+INSERT INTO Users (Name, Firstname, Address_ID, Phone, Email, Password, Birthdate, IsRegistered)
+VALUES ('admin', 'admin', 1, '0102030405', 'admin@user.com',
+        'scrypt$16384$8$1$ycSrrdbR2+lWoNIwwgqzew==$AvncDmQcEbXz6DCGja+/OtbLRv3iTvJ+oQpWHDGcX7bEQ0gGiguxZ9XK2YTLTKDalqUTlSC8FZGsnCwJzlTOVA==', '1985-05-15', true),
+       ('Martin', 'Lucie', 2, '0607080910', 'l.martin@user.com',
+        'scrypt$16384$8$1$pv14JNdTLCj8UaK1a491yQ==$R5blsC696djvyAxxXe/7Nm14u4lBeQdeL+mWTKDnSCztmUlNA6MHBd0n2vYKe8h0X23ZXWUBXyG8pKW2JHtvAw==', '1990-07-22', false),
+       ('Lefèvre', 'Pierre', 3, '0708091011', 'p.lefevre@user.com',
+        'scrypt$16384$8$1$3wQDNQaRf/nOEt0Nx8cakg==$UCZX9G7Nph+tTL2cyXGF+satRyGbC5BWercUZrS3Cuh3GUI47HY7tQcpS6OpK4jRphKcwZbMuXPZ+yS6TE7x3w==', '1980-02-17', true),
+       ('Moreau', 'Sophie', 4, '0809101112', 's.moreau@user.com',
+        'scrypt$16384$8$1$0WckOT1Ra2gmPWGsXr9/xQ==$mPYTeTHAfNwOrwdJ+8GdXkFapwwMqjo6UclxpARR2k5Eg5OiV+p8pAX/AHZY4HYbsQ2d4zm5zN5qb0P9PhGpKA==', '1995-12-25', false),
+       ('Dubois', 'Louis', 5, '0910111213', 'l.dubois@user.com',
+        'scrypt$16384$8$1$zGzZ7DS16zwzs8lvAoldjA==$DnKYXdqZZn4xQdSJ1kNiDvvoJ37DFbGN6VkFgqZ6eRPbgy4L+SBUjPgJBjOuPhr6suWvOvcJDDkcgh4yySloCw==', '1978-09-30', true);
+
+-- Rôles de l'association et permissions associées
+INSERT INTO Roles (Name, Description)
+VALUES ('admin', 'Administrateur : tous les droits'),
+       ('coordinator', 'Coordinateur de site : gestion courante sans le paramétrage'),
+       ('volunteer', 'Bénévole'),
+       ('driver', 'Chauffeur des tournées'),
+       ('beneficiary', 'Foyer bénéficiaire'),
+       ('donor', 'Donateur particulier'),
+       ('merchant', 'Commerçant partenaire');
+
+INSERT INTO Permissions (Name, Description)
+VALUES ('backoffice.access', 'Accéder au back office'),
+       ('users.manage', 'Consulter et modifier les comptes des autres utilisateurs'),
+       ('roles.manage', 'Attribuer les rôles et leurs permissions'),
+       ('catalogue.manage', 'Gérer les produits, catégories et recettes'),
+       ('stocks.manage', 'Gérer les stocks'),
+       ('inventories.count', 'Participer aux inventaires'),
+       ('inventories.approve', 'Valider ou annuler les inventaires'),
+       ('donations.create', 'Faire un don'),
+       ('donations.manage', 'Gérer les dons'),
+       ('requests.create', 'Demander des produits'),
+       ('requests.manage', 'Gérer les demandes'),
+       ('tours.manage', 'Planifier les tournées'),
+       ('tours.drive', 'Conduire les tournées'),
+       ('trucks.manage', 'Gérer les camions'),
+       ('skills.validate', 'Valider les compétences des bénévoles'),
+       ('services.manage', 'Gérer les services entre membres'),
+       ('merchants.manage', 'Gérer les commerçants partenaires et leurs collectes'),
+       ('beneficiaries.manage', 'Valider l''éligibilité des bénéficiaires et fixer les quotas'),
+       ('planning.manage', 'Affecter les bénévoles aux tournées et aux créneaux d''entrepôt');
+
+-- L'administrateur a toutes les permissions
+INSERT INTO Role_Permissions (Role_ID, Permission_ID)
+SELECT r.Role_ID, p.Permission_ID
+FROM Roles r
+         CROSS JOIN Permissions p
+WHERE r.Name = 'admin';
+
+INSERT INTO Role_Permissions (Role_ID, Permission_ID)
+SELECT r.Role_ID, p.Permission_ID
+FROM Roles r
+         JOIN Permissions p ON (r.Name, p.Name) IN (
+        ('coordinator', 'backoffice.access'), ('coordinator', 'users.manage'), ('coordinator', 'stocks.manage'),
+        ('coordinator', 'inventories.count'), ('coordinator', 'inventories.approve'), ('coordinator', 'donations.manage'),
+        ('coordinator', 'requests.manage'), ('coordinator', 'tours.manage'), ('coordinator', 'skills.validate'),
+        ('coordinator', 'services.manage'), ('coordinator', 'merchants.manage'), ('coordinator', 'beneficiaries.manage'),
+        ('coordinator', 'planning.manage'),
+        ('volunteer', 'inventories.count'), ('volunteer', 'donations.create'), ('volunteer', 'requests.create'),
+        ('driver', 'tours.drive'),
+        ('beneficiary', 'requests.create'),
+        ('donor', 'donations.create'),
+        ('merchant', 'donations.create')
+    );
+
+INSERT INTO User_Roles (User_ID, Role_ID)
+SELECT u.User_ID, r.Role_ID
+FROM Users u
+         JOIN Roles r ON (u.Email, r.Name) IN (
+        ('admin@user.com', 'admin'),
+        ('l.martin@user.com', 'volunteer'),
+        ('p.lefevre@user.com', 'volunteer'), ('p.lefevre@user.com', 'driver'),
+        ('s.moreau@user.com', 'beneficiary'),
+        ('l.dubois@user.com', 'volunteer'), ('l.dubois@user.com', 'coordinator')
+    );
 
 -- Données de test pour la table Skills
 INSERT INTO Skills (Name, UseType)
@@ -399,12 +835,24 @@ VALUES (1, 1, '2024-08-25', '1.png'),
        (5, 6, NULL, '6.png');
 
 -- Données de test pour la table Trucks
-INSERT INTO Trucks (Registration, Capacity, Model, Conditions)
-VALUES ('ABC123', 10, 'Renault', 2),
-       ('DEF456', 15, 'Mercedes', 1),
-       ('GHI789', 20, 'Iveco', 4),
-       ('JKL012', 25, 'Volvo', 3),
-       ('MNO345', 30, 'Scania', 1);
+INSERT INTO Trucks (Registration, Capacity, Model, Conditions, Mileage, Insurance_Due_Date, Technical_Inspection_Due_Date,
+                    Next_Inspection_Date)
+VALUES ('ABC123', 10, 'Renault', 2, 84210, '2025-03-31', '2025-11-15', '2024-10-01'),
+       ('DEF456', 15, 'Mercedes', 1, 32050, '2025-06-30', '2026-02-01', '2024-12-01'),
+       ('GHI789', 20, 'Iveco', 4, 151300, '2024-09-30', '2024-09-20', '2024-09-15'),
+       ('JKL012', 25, 'Volvo', 3, 98740, '2025-01-31', '2024-09-16', '2024-11-01'),
+       ('MNO345', 30, 'Scania', 1, 12480, '2025-08-31', '2027-05-10', '2025-01-15');
+
+-- Données de test pour la table Truck_Maintenances
+INSERT INTO Truck_Maintenances (Truck_ID, Type, Date, Mileage, Cost, Description, Next_Due_Date, Created_By)
+VALUES (3, 'repair', '2024-09-09', 151250, 420.00, 'Remplacement des plaquettes de frein', NULL, 1),
+       (4, 'technical_inspection', '2022-09-16', 61200, 85.00, 'Contrôle technique sans contre-visite', '2024-09-16', 1),
+       (1, 'inspection', '2024-04-01', 80100, NULL, 'Niveaux, pneus et éclairage', '2024-10-01', 1);
+
+-- Données de test pour la table Truck_Downtimes
+INSERT INTO Truck_Downtimes (Truck_ID, Start_Date, End_Date, Reason, Maintenance_ID)
+VALUES (3, '2024-09-09 08:00:00', '2024-09-11 18:00:00', 'Remplacement des plaquettes de frein', 1),
+       (4, '2024-09-16 00:00:00', '2024-09-16 23:59:59', 'Contrôle technique', NULL);
 
 -- Données de test pour la table Subscriptions
 INSERT INTO Subscriptions (User_ID, End_Date, Amount, Status)
@@ -414,13 +862,20 @@ VALUES (1, '2024-09-05', 9.99, true),
        (4, '2023-09-10', 9.99, true),
        (5, '2024-09-07', 9.99, true);
 
--- Données de test pour la table Schedules
-INSERT INTO Schedules (User_ID, Date, Type)
-VALUES (1, '2024-09-01', true),
-       (2, '2024-09-02', false),
-       (3, '2024-09-03', true),
-       (4, '2024-09-04', false),
-       (5, '2024-09-05', true);
+-- Données de test pour la table Schedules : les conducteurs des routes de test
+INSERT INTO Schedules (User_ID, Date, Type, Role, Start_Time, End_Time)
+VALUES (1, '2024-09-01', true, 'driver', '19:00', '22:00'),
+       (2, '2024-09-02', false, 'driver', '18:30', '21:30'),
+       (3, '2024-09-03', true, 'driver', '18:15', '21:15'),
+       (4, '2024-09-04', false, 'driver', '18:00', '21:00'),
+       (5, '2024-09-05', true, 'driver', '18:45', '21:45');
+
+-- Données de test pour la table Availabilities
+INSERT INTO Availabilities (User_ID, Day_Of_Week, Date, Start_Time, End_Time, Valid_From, Valid_Until)
+VALUES (2, 6, NULL, '09:00', '12:00', '2024-01-01', NULL),
+       (3, 1, NULL, '17:00', '22:00', NULL, NULL),
+       (3, 3, NULL, '17:00', '22:00', NULL, NULL),
+       (3, NULL, '2024-09-03', '14:00', '22:00', NULL, NULL);
 
 -- Données de test pour la table Routes
 INSERT INTO Routes (Date, Time, User_ID, Truck_ID, Type)
@@ -575,13 +1030,28 @@ VALUES
 (75, 7000);
 
 -- Données de test pour la table Requests
-INSERT INTO Requests (Product_ID, Quantity, Date, User_ID, Route_ID, Processed, Processed_Date)
-VALUES (1, 10, '2023-10-01', 3, 1, TRUE, '2023-10-02'),
-       (2, 20, '2023-10-02', 2, 2, TRUE, '2023-10-03'),
-       (3, 30, '2023-10-03', 3, NULL, FALSE, NULL),
-       (7, 30, '2023-10-03', 3, NULL, FALSE, NULL),
-       (4, 40, '2023-10-04', 4, NULL, FALSE, NULL),
-       (5, 50, '2023-10-05', 5, NULL, FALSE, NULL);
+INSERT INTO Requests (Product_ID, Quantity, Date, User_ID, Route_ID, Status)
+VALUES (1, 10, '2023-10-01', 3, 1, 'delivered'),
+       (2, 20, '2023-10-02', 2, 2, 'delivered'),
+       (3, 30, '2023-10-03', 3, NULL, 'approved'),
+       (7, 30, '2023-10-03', 3, NULL, 'approved'),
+       (4, 40, '2023-10-04', 4, NULL, 'submitted'),
+       (5, 50, '2023-10-05', 5, NULL, 'submitted');
+
+-- Historique des demandes de test : dépôt par le demandeur, puis décisions de l'administrateur
+INSERT INTO Request_Status_History (Request_ID, Status, Changed_By, Changed_At)
+SELECT Request_ID, 'submitted', User_ID, Date
+FROM Requests;
+
+INSERT INTO Request_Status_History (Request_ID, Status, Changed_By, Changed_At)
+SELECT r.Request_ID, s.Status, a.User_ID, DATE_ADD(r.Date, INTERVAL s.Step DAY)
+FROM Requests r
+         JOIN (SELECT 'approved' AS Status, 1 AS Step
+               UNION ALL SELECT 'scheduled', 1
+               UNION ALL SELECT 'delivered', 2) s
+              ON s.Status = 'approved' AND r.Status IN ('approved', 'delivered')
+                  OR s.Status <> 'approved' AND r.Status = 'delivered'
+         JOIN Users a ON a.Email = 'admin@user.com';
 
 -- Données de test pour la table Donations
 INSERT INTO Donations (Product_ID, Quantity, Donor_User_ID, Date, Route_ID, Collected, Collection_Date)
@@ -594,6 +1064,80 @@ VALUES (1, 5, 1, '2024-01-01', 1, true, '2024-01-02'),
        (1, 20, 2, '2024-01-07', 5, false, NULL),
        (5, 25, 5, '2024-01-08', 1, true, '2024-01-09');
 
+-- Foyer de test : deux adultes et trois enfants, éligibilité validée par l'administrateur
+INSERT INTO Beneficiaries (User_ID, Adults, Children, Eligibility_Status, Eligible_From, Eligible_Until, Reviewed_By, Reviewed_At)
+SELECT b.User_ID, 2, 3, 'approved', '2024-01-01', '2027-06-30', a.User_ID, '2024-01-01 10:00:00'
+FROM Users b
+         JOIN Users a ON a.Email = 'admin@user.com'
+WHERE b.Email = 's.moreau@user.com';
+
+-- Quotas de test, par foyer et par membre du foyer
+INSERT INTO Category_Quotas (Category_ID, Period_Days, Base_Quantity, Per_Member_Quantity)
+SELECT c.Category_ID, q.Period_Days, q.Base_Quantity, q.Per_Member_Quantity
+FROM ProductsCategories c
+         JOIN (SELECT 'Fruits et Légumes' AS Category, 7 AS Period_Days, 5 AS Base_Quantity, 5 AS Per_Member_Quantity
+               UNION ALL SELECT 'Viandes et Poissons', 7, 2, 2
+               UNION ALL SELECT 'Pains et Pâtisseries', 7, 2, 3
+               UNION ALL SELECT 'Crèmerie et Produits laitiers', 7, 2, 3
+               UNION ALL SELECT 'Épicerie salée', 30, 5, 5
+               UNION ALL SELECT 'Épicerie sucrée', 30, 3, 3) q ON q.Category = c.Name;
+
+-- Données de test pour les commerçants partenaires
+INSERT INTO Address (Street, City, State, Postal_Code, Country, Latitude, Longitude)
+VALUES ('12 Rue des Martyrs', 'Paris', 'Île-de-France', '75009', 'France', 48.878300, 2.339600),
+       ('40 Rue de Bretagne', 'Paris', 'Île-de-France', '75003', 'France', 48.863300, 2.362200);
+
+INSERT INTO Merchants (Name, Siret, Phone, Email, Contract_Start, Contract_End)
+VALUES ('Boulangerie des Martyrs', '12345678900011', '0142851234', 'contact@boulangerie-martyrs.fr', '2024-01-01', NULL),
+       ('Primeur du Marais', '98765432100022', '0142775678', 'contact@primeur-marais.fr', '2024-03-01', '2026-12-31');
+
+INSERT INTO Merchant_Stores (Merchant_ID, Name, Address_ID)
+SELECT m.Merchant_ID, m.Name, a.Address_ID
+FROM Merchants m
+         JOIN Address a ON (m.Name, a.Street) IN (
+        ('Boulangerie des Martyrs', '12 Rue des Martyrs'),
+        ('Primeur du Marais', '40 Rue de Bretagne')
+    );
+
+-- Pain invendu chaque soir de semaine, fruits et légumes le mardi et le vendredi matin
+INSERT INTO Pickup_Agreements (Store_ID, Weekday, Window_Start, Window_End, Product_ID, Expected_Quantity)
+SELECT s.Store_ID, w.Weekday, w.Window_Start, w.Window_End, p.Product_ID, w.Quantity
+FROM Merchant_Stores s
+         JOIN (SELECT 'Boulangerie des Martyrs' AS Store, 1 AS Weekday, '19:00:00' AS Window_Start, '20:00:00' AS Window_End, 'Baguette' AS Product, 20 AS Quantity
+               UNION ALL SELECT 'Boulangerie des Martyrs', 2, '19:00:00', '20:00:00', 'Baguette', 20
+               UNION ALL SELECT 'Boulangerie des Martyrs', 3, '19:00:00', '20:00:00', 'Baguette', 20
+               UNION ALL SELECT 'Boulangerie des Martyrs', 4, '19:00:00', '20:00:00', 'Baguette', 20
+               UNION ALL SELECT 'Boulangerie des Martyrs', 5, '19:00:00', '20:00:00', 'Croissant', 30
+               UNION ALL SELECT 'Primeur du Marais', 2, '08:00:00', '09:30:00', 'Pomme', 15
+               UNION ALL SELECT 'Primeur du Marais', 5, '08:00:00', '09:30:00', 'Tomate', 10) w ON w.Store = s.Name
+         JOIN Products p ON p.Name = w.Product;
+
+-- Dates de péremption des lots de test : DLC courte pour le frais, DDM longue pour l'épicerie, rien pour le non alimentaire
+UPDATE Stocks s
+    JOIN Products p ON s.Product_ID = p.Product_ID
+SET s.Expiry_Type = IF(p.Category_ID <= 6, 'use_by', 'best_before'),
+    s.Expiry_Date = CASE
+                        WHEN p.Category_ID <= 6 THEN DATE_ADD(CURDATE(), INTERVAL s.Stock_ID % 15 DAY)
+                        WHEN p.Category_ID <= 12 THEN DATE_ADD(CURDATE(), INTERVAL 6 MONTH)
+                        END;
+
+-- Lots supplémentaires provenant des donations collectées
+INSERT INTO Stocks (Product_ID, Quantity, Expiry_Date, Expiry_Type, Received_Date, Donation_ID, Route_ID)
+VALUES (1, 5, DATE_ADD(CURDATE(), INTERVAL 2 DAY), 'use_by', '2024-01-02', 1, 1),
+       (3, 15, DATE_ADD(CURDATE(), INTERVAL 9 DAY), 'use_by', '2024-01-04', 3, 3),
+       (4, 20, DATE_ADD(CURDATE(), INTERVAL 4 DAY), 'use_by', '2024-01-06', 5, 4),
+       (5, 25, DATE_ADD(CURDATE(), INTERVAL 20 DAY), 'use_by', '2024-01-09', 8, 1);
+
+-- Mouvements d'entrée correspondant aux lots de test
+INSERT INTO Stock_Movements (Stock_ID, Product_ID, Quantity, Reason, Route_ID, Movement_Date)
+SELECT Stock_ID,
+       Product_ID,
+       Quantity,
+       IF(Donation_ID IS NULL, 'manual_adjustment', 'collected'),
+       Route_ID,
+       Received_Date
+FROM Stocks;
+
 -- Données de test pour la table Statuses
 INSERT INTO Statuses (Name)
 VALUES ('Inscription Ouverte'),
@@ -2,25 +2,41 @@
 import Cookies from 'js-cookie';
 import VueJwtDecode from 'vue-jwt-decode';
 
-export default function useAuthGuard(permittedRoles) {
+// Permissions de l'utilisateur connecté, portées par le jeton ('uperms') et issues de ses rôles.
+// Ce sont les mêmes noms que côté API (authorize), ex. 'tours.manage'.
+export function getPermissions() {
+    const token = Cookies.get('token');
+    if (!token) {
+        return [];
+    }
+    try {
+        return VueJwtDecode.decode(token).uperms || [];
+    } catch (error) {
+        console.error('Invalid token', error);
+        return [];
+    }
+}
+
+export function hasPermission(permission) {
+    return getPermissions().includes(permission);
+}
+
+// Garde globale du routeur : une route avec meta.permission exige cette permission,
+// une route avec meta.requiresAuth exige seulement d'être connecté
+export default function useAuthGuard() {
     return (to, from, next) => {
-        const token = Cookies.get('token');
-        if (token) {
-            try {
-                const decodedToken = VueJwtDecode.decode(token);
-                const userRole = decodedToken.urole; // assuming the role is stored in 'urole'
-                const isAuthenticated = permittedRoles.includes(userRole);
-                if (!isAuthenticated) {
-                    next('/login');
-                } else {
-                    next();
-                }
-            } catch (error) {
-                console.error('Invalid token', error);
-                next('/login');
-            }
-        } else {
+        const {permission, requiresAuth} = to.meta;
+        if (!permission && !requiresAuth) {
+            next();
+            return;
+        }
+
+        if (!Cookies.get('token')) {
             next('/login');
+        } else if (permission && !hasPermission(permission)) {
+            next('/');
+        } else {
+            next();
         }
     };
 }
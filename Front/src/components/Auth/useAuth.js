@@ -2,6 +2,7 @@ import { ref } from 'vue';
 import Cookies from 'js-cookie';
 import VueJwtDecode from 'vue-jwt-decode';
 import axios from '@/utils/Axios.js';
+import { logout as closeSession } from '@/utils/Session.js';
 
 export default function useAuth() {
     const isAuthenticated = ref(false);
@@ -24,7 +25,8 @@ export default function useAuth() {
             const decodedToken = VueJwtDecode.decode(token);
             const expirationTime = decodedToken.exp * 1000;
 
-            if (Date.now() < expirationTime) {
+            // Un jeton d'accès expiré est renouvelé par Axios tant que le jeton de rafraîchissement est valide
+            if (Date.now() < expirationTime || Cookies.get('refreshToken')) {
                 isAuthenticated.value = true;
                 userId.value = decodedToken.uid;
 
@@ -41,8 +43,8 @@ export default function useAuth() {
 
 
 
-    const logout = () => {
-        Cookies.remove('token');
+    const logout = async () => {
+        await closeSession();
         isAuthenticated.value = false;
         isSubscribed.value = false;
         userId.value = null;
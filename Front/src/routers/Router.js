@@ -1,5 +1,6 @@
 import {createRouter, createWebHistory} from 'vue-router';
 import LoginPage from '../vue/LoginPage.vue';
+import useAuthGuard from '@/components/Auth/AuthGuard.js';
 
 //***** FRONT OFFICE
 import SignUpPage from "../vue/frontOffice/SignUpPage.vue";
@@ -15,6 +16,7 @@ import MyAccountRoutesDetails from "@/vue/frontOffice/Compte/MyAccountRoutesDeta
 import MyAccountSkillsDetails from "@/vue/frontOffice/Compte/MyAccountSkills.vue";
 import MyAccountServicesOwned from "@/vue/frontOffice/Compte/MyAccountServicesOwned.vue";
 import MyAccountServicesParticipated from "@/vue/frontOffice/Compte/MyAccountServicesParticipated.vue";
+import MyAccountHousehold from "@/vue/frontOffice/Compte/MyAccountHousehold.vue";
 
 import CreateTicket from "@/vue/frontOffice/Tickets/CreateTicket.vue";
 
@@ -52,6 +54,8 @@ import StocksAdmin from '@/vue/backOffice/Stocks/StocksAdmin.vue';
 import Stocks from "@/vue/backOffice/Stocks/Stocks.vue";
 import CatalogueAdmin from "@/vue/backOffice/Stocks/Catalogue.vue";
 import StocksDetails from '@/vue/backOffice/Stocks/StocksDetails.vue';
+import InventoryAdmin from '@/vue/backOffice/Stocks/InventoryAdmin.vue';
+import InventoryDetails from '@/vue/backOffice/Stocks/InventoryDetails.vue';
 
 //***** Recipes
 import RecipesAdmin from '@/vue/backOffice/Recipes/RecipesAdmin.vue';
@@ -83,6 +87,11 @@ import RequestsSelectTruck from "@/vue/backOffice/Tournee/DistributionTour/Distr
 import RequestsReviewAndConfirmTour
     from "@/vue/backOffice/Tournee/DistributionTour/DistributionTourCreation/ReviewAndConfirmTour.vue";
 
+//***** Beneficiaries
+import BeneficiariesAdmin from "@/vue/backOffice/Beneficiaries/BeneficiariesAdmin.vue";
+//***** Planning
+import PlanningBoard from "@/vue/backOffice/Planning/PlanningBoard.vue";
+
 //***** Skills
 import SkillsAdmin from "@/vue/backOffice/Skills/SkillsAdmin.vue";
 
@@ -106,13 +115,13 @@ const routes = [
         path: '/catalogue',
         name: 'Catalogue',
         component: CatalogueProduct,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {permission: 'requests.create'}
     },
     {
         path: '/donation',
         name: 'Donation',
         component: Donation,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {permission: 'donations.create'}
     },
 
     //Pages de compte
@@ -120,49 +129,55 @@ const routes = [
         path: '/my-account/:id',
         name: 'MyAccount',
         component: MyAccount,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-service-owned/:id',
         name: 'MyAccountServicesOwned',
         component: MyAccountServicesOwned,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-service-participated/:id',
         name: 'MyAccountServicesParticipated',
         component: MyAccountServicesParticipated,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-donations/:id',
         name: 'MyAccountDonation',
         component: MyAccountDonation,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-products-received/:id',
         name: 'MyAccountRecievedProduct',
         component: MyAccountRecievedProduct,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-routes/:id',
         name: 'MyAccountRoutes',
         component: MyAccountRoutes,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-routes/details/:id',
         name: 'MyAccountRoutesDetails',
         component: MyAccountRoutesDetails,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
     },
     {
         path: '/my-account-skills/:id',
         name: 'MyAccountSkillsDetails',
         component: MyAccountSkillsDetails,
-        /*beforeEnter: useAuthGuard(['volunteer'])*/
+        meta: {requiresAuth: true}
+    },
+    {
+        path: '/my-account-household/:id',
+        name: 'MyAccountHousehold',
+        component: MyAccountHousehold,
+        meta: {permission: 'requests.create'}
     },
 
     //Stripe
@@ -170,13 +185,13 @@ const routes = [
         path: '/payment-cotisation',
         name: 'PaymentCotisation',
         component: PaymentCotisation,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/payment-success',
         name: 'PaymentSuccess',
         component: PaymentSuccess,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
 
     //Mission
@@ -184,7 +199,7 @@ const routes = [
         path: '/mission',
         name: 'Mission',
         component: Mission,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
 
     //Services
@@ -192,37 +207,37 @@ const routes = [
         path: '/advice',
         name: 'Advice',
         component: Advice,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/cooking',
         name: 'Cooking',
         component: Cooking,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/security',
         name: 'Security',
         component: Security,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/car',
         name: 'Car',
         component: Car,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/help',
         name: 'Help',
         component: Help,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
     {
         path: '/service-details/:id',
         name: 'Details',
         component: Details,
-        //beforeEnter: useAuthGuard(['volunteer'])
+        meta: {requiresAuth: true}
     },
 
 
@@ -231,56 +246,56 @@ const routes = [
         path: '/back-office',
         name: 'BackOfficeHome',
         component: BackOfficeHome,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'backoffice.access'}
     },
     //Users
     {
         path: '/users',
         name: 'UsersAdmin',
         component: UsersAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/users/:id',
         name: 'UserDetails',
         component: UserDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-services-owned/:id',
         name: 'UserAdminServicesOwned',
         component: UserAdminServicesOwned,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-services-participated/:id',
         name: 'UserAdminServicesParticipated',
         component: UserAdminServicesParticipated,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-donations/:id',
         name: 'UserDetailsDonations',
         component: UserDetailsDonations,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-products-received/:id',
         name: 'UserDetailsRecievedProduct',
         component: UserDetailsRecievedProduct,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-routes/:id',
         name: 'UserDetailsRoutes',
         component: UserDetailsRoutes,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-routes/details/:id',
         name: 'UserDetailsRoutesDetails',
         component: UserDetailsRoutesDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'users.manage'}
     },
     {
         path: '/user-skills/:id',
@@ -292,170 +307,196 @@ const routes = [
         path: '/stocks-admin',
         name: 'StocksAdmin',
         component: StocksAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'stocks.manage'}
     },
     {
         path: '/catalogue-admin',
         name: 'CatalogueAdmin',
         component: CatalogueAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'catalogue.manage'}
     },
     {
         path: '/stocks',
         name: 'Stocks',
         component: Stocks,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'stocks.manage'}
     },
     {
         path: '/stocks-admin/:id',
         name: 'StocksDetails',
         component: StocksDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'stocks.manage'}
+    },
+    {
+        path: '/inventory-admin',
+        name: 'InventoryAdmin',
+        component: InventoryAdmin,
+        meta: {permission: 'inventories.count'}
+    },
+    {
+        path: '/inventory-admin/:id',
+        name: 'InventoryDetails',
+        component: InventoryDetails,
+        meta: {permission: 'inventories.count'}
     },
     //Donations
     {
         path: '/donation-admin',
         name: 'DonationAdmin',
         component: DonationAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'donations.manage'}
     },
     {
         path: '/donations-admin',
         name: 'DonationsAdmin',
         component: DonationsAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'donations.manage'}
     },
     {
         path: '/requests-admin',
         name: 'RequestsAdmin',
         component: RequestsAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'requests.manage'}
     },
     //Tournée
     {
         path: '/tour-admin',
         name: 'TourAdmin',
         component: TourAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/donations-createTour-admin',
         name: 'DonationsCreateTour',
         component: DonationsCreateTour,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/donations-select-truck',
         name: 'DonationsSelectTruck',
         component: DonationsSelectTruck,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/donations-review-and-confirm-tour',
         name: 'DonationsReviewAndConfirmTour',
         component: DonationsReviewAndConfirmTour,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/requests-createTour-admin',
         name: 'RequestsCreateTour',
         component: RequestsCreateTour,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/requests-select-truck',
         name: 'RequestsSelectTruck',
         component: RequestsSelectTruck,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/requests-review-and-confirm-tour',
         name: 'RequestsReviewAndConfirmTour',
         component: RequestsReviewAndConfirmTour,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/distribution-tours',
         name: 'DistributionTourAdmin',
         component: DistributionTourAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/distribution-tours-details/:id',
         name: 'DistributionTourDetails',
         component: DistributionTourDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/distribution-tours-update/:id',
         name: 'DistributionTourUpdate',
         component: DistributionTourUpdate,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/pickup-tours',
         name: 'PickupTourAdmin',
         component: PickupTourAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/pickup-tours-details/:id',
         name: 'PickUpTourDetails',
         component: PickUpTourDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     {
         path: '/pickup-tours-update/:id',
         name: 'PickUpTourUpdate',
         component: PickUpTourUpdate,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
 
     {
         path: '/tour-admin/:id',
         name: 'TourDetails',
         component: TourDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'tours.manage'}
     },
     //Recipes
     {
         path: '/recipes-admin',
         name: 'RecipesAdmin',
         component: RecipesAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'catalogue.manage'}
     },
     {
         path: '/recipes-admin-add',
         name: 'RecipesAdminAdd',
         component: RecipesAdminAdd,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'catalogue.manage'}
+    },
+    //Beneficiaries
+    {
+        path: '/beneficiaries-admin',
+        name: 'BeneficiariesAdmin',
+        component: BeneficiariesAdmin,
+        meta: {permission: 'beneficiaries.manage'}
+    },
+    //Planning
+    {
+        path: '/planning-board',
+        name: 'PlanningBoard',
+        component: PlanningBoard,
+        meta: {permission: 'planning.manage'}
     },
     //Skills
     {
         path: '/skills-admin',
         name: 'SkillsAdmin',
         component: SkillsAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'skills.validate'}
     },
     //Trucks
     {
         path: '/trucks-admin',
         name: 'TrucksAdmin',
         component: TrucksAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'trucks.manage'}
     },
     //Services
     {
         path: '/services-admin',
         name: 'ServicesAdmin',
         component: ServicesAdmin,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'services.manage'}
     },
     {
         path: '/services-admin-details/:id',
         name: 'ServicesAdminDetails',
         component: ServicesAdminDetails,
-        /*beforeEnter: useAuthGuard(['admin'])*/
+        meta: {permission: 'services.manage'}
     },
 ];
 
@@ -464,4 +505,7 @@ const router = createRouter({
     routes,
 });
 
+// Les permissions demandées par meta.permission sont celles de l'API (voir AuthGuard.js)
+router.beforeEach(useAuthGuard());
+
 export default router;
@@ -5,6 +5,7 @@ const store = createStore({
         selectedAddresses: new Set(),
         selectedDestinations: [], // Store selected destinations including addresses data and products
         selectedTruck: null, // Store the selected truck object
+        tourSchedule: {Date: '', Time: ''}, // Date and departure time chosen with the truck
     },
     mutations: {
         addAddress(state, addressId) {
@@ -28,6 +29,12 @@ const store = createStore({
         },
         clearSelectedTruck(state) {
             state.selectedTruck = null;
+        },
+        setTourSchedule(state, schedule) {
+            state.tourSchedule = schedule;
+        },
+        clearTourSchedule(state) {
+            state.tourSchedule = {Date: '', Time: ''};
         }
     },
     getters: {
@@ -35,6 +42,7 @@ const store = createStore({
         isAddressSelected: (state) => (addressId) => state.selectedAddresses.has(addressId),
         selectedDestinations: state => state.selectedDestinations, // Return complete destinations with addresses and products
         selectedTruck: state => state.selectedTruck,
+        tourSchedule: state => state.tourSchedule,
     },
     actions: {
         saveTourData({ commit }, destinations) {
@@ -45,6 +53,7 @@ const store = createStore({
             commit('clearAddresses');
             commit('clearSelectedDestinations');
             commit('clearSelectedTruck');
+            commit('clearTourSchedule');
         }
     }
 });
@@ -1,8 +1,10 @@
 import axios from 'axios';
 import Cookies from 'js-cookie';
 
+const baseURL = 'http://localhost:3000';
+
 const axiosInstance = axios.create({
-    baseURL: 'http://localhost:3000',
+    baseURL,
 });
 
 axiosInstance.interceptors.request.use(config => {
@@ -15,9 +17,41 @@ axiosInstance.interceptors.request.use(config => {
     return Promise.reject(error);
 });
 
+// Rafraîchissement en cours, partagé par les requêtes qui échouent en même temps
+let refreshing = null;
+
+// Échange le jeton de rafraîchissement contre une nouvelle paire de jetons.
+// L'appel passe par axios directement pour ne pas repasser dans les intercepteurs.
+const refreshTokens = async () => {
+    const refreshToken = Cookies.get('refreshToken');
+    if (!refreshToken) {
+        throw new Error('No refresh token');
+    }
+    const response = await axios.post(`${baseURL}/auth/refresh`, { refreshToken });
+    Cookies.set('token', response.headers.authorization.split(' ')[1]);
+    Cookies.set('refreshToken', response.data.refreshToken);
+};
+
 axiosInstance.interceptors.response.use(
     response => response,
-    error => {
+    async error => {
+        const original = error.config;
+
+        // Jeton d'accès expiré : on le renouvelle une fois puis on rejoue la requête
+        if (error.response?.status === 401 && original && !original._retry && !original.url.includes('auth/')) {
+            original._retry = true;
+            try {
+                refreshing = refreshing || refreshTokens().finally(() => {
+                    refreshing = null;
+                });
+                await refreshing;
+            } catch (refreshError) {
+                // Session expirée ou révoquée : la requête est rejouée sans jeton
+                Cookies.remove('token');
+                Cookies.remove('refreshToken');
+            }
+            return axiosInstance(original);
+        }
         return Promise.reject(error);
     }
 );
@@ -0,0 +1,159 @@
+// Décodeur EAN-13 / UPC-A à partir d'une image (ImageData), utilisé quand le navigateur
+// ne fournit pas l'API BarcodeDetector.
+
+// Largeurs (en modules) des 4 barres de chaque chiffre, en partant de l'espace pour les codes L et G
+const L_CODES = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+const G_CODES = L_CODES.map(code => code.split('').reverse().join(''));
+
+// Parité des 6 chiffres de gauche, qui encode le premier chiffre de l'EAN-13
+const FIRST_DIGIT_PARITIES = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLL', 'LGLGGL', 'LGGLGL'];
+
+// Un EAN-13 compte 59 barres et espaces : garde 3 + 6 × 4 + garde centrale 5 + 6 × 4 + garde 3
+const EAN13_RUNS = 59;
+const EAN13_MODULES = 95;
+const MAX_DIGIT_ERROR = 1.5;
+
+// Trouve le chiffre dont le motif est le plus proche des 4 largeurs mesurées : { digit, error } ou null
+function matchDigit(runs, codes) {
+    const total = runs.reduce((sum, run) => sum + run, 0);
+    const widths = runs.map(run => (run * 7) / total);
+
+    let best = null;
+    codes.forEach((code, digit) => {
+        const error = widths.reduce((sum, width, i) => sum + Math.abs(width - Number(code[i])), 0);
+        if (!best || error < best.error) {
+            best = { digit, error };
+        }
+    });
+    return best.error <= MAX_DIGIT_ERROR ? best : null;
+}
+
+// Vérifie la clé de contrôle d'un EAN-13
+export function isValidEan13(code) {
+    if (!/^\d{13}$/.test(code)) {
+        return false;
+    }
+    const sum = code
+        .slice(0, 12)
+        .split('')
+        .reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return (10 - (sum % 10)) % 10 === Number(code[12]);
+}
+
+// Vérifie que des barres de garde font bien un module chacune
+function isGuard(runs, module) {
+    return runs.every(run => run > module * 0.4 && run < module * 1.8);
+}
+
+// Tente de lire un EAN-13 sur 59 largeurs consécutives commençant par une barre
+function decodeRuns(runs) {
+    const module = runs.reduce((sum, run) => sum + run, 0) / EAN13_MODULES;
+    if (!isGuard(runs.slice(0, 3), module) || !isGuard(runs.slice(27, 32), module) || !isGuard(runs.slice(56, 59), module)) {
+        return null;
+    }
+
+    let parities = '';
+    let digits = '';
+    for (let i = 0; i < 6; i++) {
+        const digitRuns = runs.slice(3 + i * 4, 7 + i * 4);
+        const l = matchDigit(digitRuns, L_CODES);
+        const g = matchDigit(digitRuns, G_CODES);
+        if (!l && !g) {
+            return null;
+        }
+        // En cas de doute, on garde le motif le plus proche
+        if (!g || (l && l.error <= g.error)) {
+            parities += 'L';
+            digits += l.digit;
+        } else {
+            parities += 'G';
+            digits += g.digit;
+        }
+    }
+    for (let i = 0; i < 6; i++) {
+        const digit = matchDigit(runs.slice(32 + i * 4, 36 + i * 4), L_CODES);
+        if (!digit) {
+            return null;
+        }
+        digits += digit.digit;
+    }
+
+    const firstDigit = FIRST_DIGIT_PARITIES.indexOf(parities);
+    if (firstDigit === -1) {
+        return null;
+    }
+    const code = `${firstDigit}${digits}`;
+    return isValidEan13(code) ? code : null;
+}
+
+// Transforme une ligne de pixels en largeurs de barres et d'espaces alternés, en commençant par un espace
+function toRuns(row) {
+    let min = 255;
+    let max = 0;
+    for (const value of row) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    if (max - min < 40) {
+        return [];
+    }
+    const threshold = (min + max) / 2;
+
+    const runs = [];
+    let dark = false;
+    let length = 0;
+    for (const value of row) {
+        const isDark = value < threshold;
+        if (isDark === dark) {
+            length++;
+        } else {
+            runs.push(length);
+            dark = isDark;
+            length = 1;
+        }
+    }
+    runs.push(length);
+    return runs;
+}
+
+// Cherche un EAN-13 dans une ligne de pixels, lue dans les deux sens
+function decodeRow(row) {
+    for (const pixels of [row, [...row].reverse()]) {
+        const runs = toRuns(pixels);
+        // Les indices impairs sont des barres (la liste commence par un espace)
+        for (let start = 1; start + EAN13_RUNS <= runs.length; start += 2) {
+            const code = decodeRuns(runs.slice(start, start + EAN13_RUNS));
+            if (code) {
+                return code;
+            }
+        }
+    }
+    return null;
+}
+
+// Décode un EAN-13 ou un UPC-A (renvoyé sur 13 chiffres, précédé d'un 0) dans une image.
+// Plusieurs lignes horizontales sont lues autour du centre de l'image.
+export function decodeImageData(imageData, scanLines = 15) {
+    const { width, height, data } = imageData;
+    const step = Math.max(1, Math.floor(height / (scanLines + 1)));
+
+    for (let i = 0; i < scanLines; i++) {
+        // On part du centre puis on s'en éloigne alternativement vers le haut et le bas
+        const offset = Math.ceil(i / 2) * step * (i % 2 === 0 ? 1 : -1);
+        const y = Math.floor(height / 2) + offset;
+        if (y < 0 || y >= height) {
+            continue;
+        }
+
+        const row = new Array(width);
+        for (let x = 0; x < width; x++) {
+            const index = (y * width + x) * 4;
+            row[x] = 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
+        }
+        const code = decodeRow(row);
+        if (code) {
+            return code;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,29 @@
+import Cookies from 'js-cookie';
+import axios from '@/utils/Axios.js';
+
+// Enregistre les jetons reçus à la connexion
+export const saveSession = (response) => {
+    const authHeader = response.headers.authorization;
+    const token = authHeader ? authHeader.split(' ')[1] : null;
+    if (token) {
+        Cookies.set('token', token);
+    }
+    if (response.data?.refreshToken) {
+        Cookies.set('refreshToken', response.data.refreshToken);
+    }
+    return token;
+};
+
+// Ferme la session côté serveur (révocation des jetons de rafraîchissement) et supprime les jetons locaux
+export const logout = async () => {
+    const refreshToken = Cookies.get('refreshToken');
+    Cookies.remove('token');
+    Cookies.remove('refreshToken');
+    if (refreshToken) {
+        try {
+            await axios.post('/auth/logout', { refreshToken });
+        } catch (error) {
+            console.error('Error closing the session:', error);
+        }
+    }
+};